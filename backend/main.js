@@ -1,44 +1,136 @@
+/**
+ * @typedef {Object} InventoryDataRequest
+ * @property {boolean} [addSpec=true] - Inclui a especificação e os atributos extras de cada bem
+ * @property {string} [hash] - Hash da base que o cliente já tem em cache
+ */
+
 /**
  * Obtém um objeto consolidado contendo a lista oficial de localidades (com metadados) e o inventário atual agrupado por local.
- * @return {Object} Dados formatados com locations e inventory
+ * Quando o cliente envia o hash da base que tem em cache e ela não mudou, responde apenas
+ * { notModified: true, hash }, sem reenviar o inventário.
+ * As colunas da aba 'inventario' são localizadas pelo cabeçalho (readInventorySheet_).
+ * @param {boolean|InventoryDataRequest} [request=true] - add_spec (formato antigo) ou { addSpec, hash }
+ * @return {Object} Dados formatados com locations, inventory, attributes e hash (ou notModified e hash)
  * @property {Array<{name: string, assetsCount: number}>} locations - Lista de localidades com contagem de bens
- * @property {Array<{location: string, assets: number[]}>} inventory - Inventário agrupado por localidade
+ * @property {Array<{location: string, assets: Array<{code: number, name?: string, attributes?: Object<string, string>}>}>} inventory - Inventário agrupado por localidade
+ * @property {Array<{key: string, label: string}>} attributes - Atributos extras encontrados (categoria, valor de aquisição, responsável...)
+ * @property {string} hash - Hash SHA-256 (hex) de { locations, inventory, attributes }
+ * @property {boolean} [notModified] - true quando o hash enviado corresponde à base atual
+ * @throws {Error} Erro de esquema (inventorySchemaMessage) quando falta a coluna de localidade ou tombamento
  */
-function getInventoryData(add_spec = true) {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const sheetInventario = ss.getSheetByName('inventario');
+function getInventoryData(request = true) {
+  const options = request !== null && typeof request === 'object' ? request : { addSpec: request };
+  const add_spec = options.addSpec !== false;
 
-  // Early return com array vazio se a aba não existir
-  if (!sheetInventario) {
-    throw new Error("getInventoryData: Aba 'inventario' não encontrada.");
+  const data = readInventoryData_(add_spec);
+  const hash = inventoryHash_(data);
+
+  if (options.hash && String(options.hash) === hash) {
+    return { notModified: true, hash: hash };
+  }
+
+  return { locations: data.locations, inventory: data.inventory, attributes: data.attributes, hash: hash };
+}
+
+/**
+ * Calcula o hash SHA-256 (hex) da base do inventário, usado pelo cache do aplicativo
+ * @param {{locations: Array, inventory: Array, attributes: Array}} data - Base do inventário
+ * @return {string} Hash em hexadecimal
+ */
+function inventoryHash_(data) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, JSON.stringify(data), Utilities.Charset.UTF_8);
+  return digest.map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Lê colunas da aba 'inventario' localizadas pelo cabeçalho (chave `inventory_columns`
+ * da aba app_config, ver shared/inventoryColumns.js), uma coluna por leitura
+ * @param {Spreadsheet} ss - Planilha ativa
+ * @param {Object} options - Leitura
+ * @param {string[]} options.keys - Colunas lidas ('localidade', 'tombamento', 'especificacao')
+ * @param {boolean} [options.attributes=false] - Lê também os atributos extras (valores como exibidos na planilha)
+ * @param {string|Object} [options.config] - Valor de `inventory_columns` já lido (omitido: lê o app_config)
+ * @return {{sheet: Sheet, columns: Object<string, number>, attributes: Array<{key: string, label: string}>, rows: Array<Object>}|null}
+ * Colunas (1 = A), atributos encontrados e uma linha por bem ({ localidade, tombamento, ..., attributes });
+ * null se a aba não existir
+ * @throws {Error} Erro de esquema quando falta uma coluna obrigatória
+ */
+function readInventorySheet_(ss, options) {
+  const sheet = ss.getSheetByName('inventario');
+  if (!sheet) return null;
+
+  const config = Object.prototype.hasOwnProperty.call(options, 'config') ? options.config : readAppConfig_(ss).inventory_columns;
+  const lastCol = sheet.getLastColumn();
+  const header = lastCol > 0 ? sheet.getRange(1, 1, 1, lastCol).getValues()[0] : [];
+  const map = inventoryColumnMap(header, config);
+
+  if (map.missing.length > 0) {
+    throw new Error(inventorySchemaMessage(map.missing));
   }
 
-  const lastRowInv = sheetInventario.getLastRow();
+  const attributes = options.attributes ? map.attributes : [];
+  const result = { sheet: sheet, columns: map.columns, attributes: attributes, rows: [] };
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) return result;
+
+  const readColumn = (key, display) => {
+    if (!map.columns[key]) return null;
+    const range = sheet.getRange(2, map.columns[key], lastRow - 1, 1);
+    return display ? range.getDisplayValues() : range.getValues();
+  };
+
+  const values = {};
+  options.keys.forEach(key => { values[key] = readColumn(key, false); });
+  const attributeValues = attributes.map(attribute => readColumn(attribute.key, true));
 
-  // Early return se não houver dados além do cabeçalho
-  if (lastRowInv < 2) {
-    return { locations: [], inventory: [] };
+  for (let i = 0; i < lastRow - 1; i++) {
+    const row = { attributes: {} };
+    options.keys.forEach(key => { row[key] = values[key] ? values[key][i][0] : ''; });
+    attributes.forEach((attribute, index) => {
+      const value = inventoryAttributeValue(attributeValues[index][i][0]);
+      if (value !== '') row.attributes[attribute.key] = value;
+    });
+    result.rows.push(row);
   }
 
+  return result;
+}
+
+/**
+ * Lê a aba 'inventario' e agrupa os bens por localidade
+ * @param {boolean} add_spec - Inclui a especificação e os atributos extras de cada bem
+ * @return {{locations: Array<{name: string, assetsCount: number}>, inventory: Array<{location: string, assets: Array}>, attributes: Array<{key: string, label: string}>}}
+ */
+function readInventoryData_(add_spec) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
   /** ===============================
    * 1. LEITURA E PROCESSAMENTO OTIMIZADO
    * =============================== */
 
-  // Se add_spec for true, lê até a coluna L (9 colunas a partir da D). 
-  // Se false, lê apenas até a F (3 colunas a partir da D) para economizar memória.
-  const numCols = add_spec ? 9 : 3;
-  const invData = sheetInventario.getRange(2, 4, lastRowInv - 1, numCols).getValues();
+  // Sem add_spec, lê apenas localidade e tombamento para economizar memória
+  const sheetData = readInventorySheet_(ss, {
+    keys: add_spec ? ['localidade', 'tombamento', 'especificacao'] : ['localidade', 'tombamento'],
+    attributes: add_spec
+  });
+
+  // Early return com array vazio se a aba não existir
+  if (!sheetData) {
+    throw new Error("getInventoryData: Aba 'inventario' não encontrada.");
+  }
+
+  const invData = sheetData.rows;
   const inventoryMap = new Map();
 
   // Processamento otimizado com for loop
   for (let i = 0; i < invData.length; i++) {
     const row = invData[i];
-    const local = String(row[0]).trim(); // Coluna D (Índice 0)
+    const local = String(row.localidade).trim();
 
     // Validação rápida: pular linhas sem local
     if (!local) continue;
 
-    const asset = parseInt(row[2], 10); // Coluna F (Índice 2)
+    const asset = parseInt(row.tombamento, 10);
 
     // Validação numérica mais eficiente
     if (isNaN(asset)) continue;
@@ -50,14 +142,12 @@ function getInventoryData(add_spec = true) {
 
     // Estrutura o dado de acordo com o parâmetro
     if (add_spec) {
-      // Coluna L é o índice 8 (D=0, E=1, F=2, G=3, H=4, I=5, J=6, K=7, L=8)
       // Pega a string, remove espaços extras e corta nos primeiros 50 caracteres
-      const specName = String(row[8] || "").trim().substring(0, 50);
-      
-      inventoryMap.get(local).push({ 
-        code: asset, 
-        name: specName 
-      });
+      const specName = String(row.especificacao || "").trim().substring(0, 50);
+      const detail = { code: asset, name: specName };
+      if (Object.keys(row.attributes).length > 0) detail.attributes = row.attributes;
+
+      inventoryMap.get(local).push(detail);
     } else {
       inventoryMap.get(local).push({ 
         code: asset
@@ -94,7 +184,8 @@ function getInventoryData(add_spec = true) {
 
   return {
     locations: locationsOutput,
-    inventory: inventoryOutput
+    inventory: inventoryOutput,
+    attributes: sheetData.attributes
   };
 }
 // function getInventoryData() {
@@ -189,26 +280,199 @@ function getInventoryData(add_spec = true) {
 /**
  * @typedef {Object} AssetMapping
  * @property {string} location - O nome da localidade correspondente
- * @property {number[]} assets - Array contendo os números de tombamento
+ * @property {string[]} assets - Tombamentos encontrados, como gravados na aba "leituras"
+ */
+
+/**
+ * Tipos de imagem aceitos pelo savePhoto (extensão do arquivo no Drive)
+ * @type {Object<string, string>}
+ */
+const PHOTO_EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' };
+
+/**
+ * Tamanho máximo de uma foto (bytes, após a decodificação do base64)
+ * @type {number}
+ */
+const PHOTO_MAX_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Nome da aba com o histórico de alterações das leituras
+ * @type {string}
+ */
+const HISTORY_SHEET_NAME = 'historico_leituras';
+
+/**
+ * Cabeçalho da aba de histórico (criada automaticamente se não existir)
+ * @type {string[]}
+ */
+const HISTORY_HEADER = ['uid', 'data', 'usuario', 'acao', 'tombamento', 'localidade', 'antes', 'depois'];
+
+/**
+ * Nome da aba com os campos das leituras (ver shared/readingFields.js)
+ * @type {string}
+ */
+const FIELDS_SHEET_NAME = 'campos_leitura';
+
+/**
+ * Cabeçalho da aba de campos (a aba é opcional; sem ela valem os campos padrão)
+ * @type {string[]}
+ */
+const FIELDS_HEADER = ['campo', 'rotulo', 'tipo', 'opcoes', 'obrigatorio', 'padrao'];
+
+/**
+ * Nome da aba com os pedidos de transferência de bens
+ * @type {string}
+ */
+const TRANSFER_SHEET_NAME = 'transferencias';
+
+/**
+ * Cabeçalho da aba de transferências (criada automaticamente se não existir)
+ * @type {string[]}
+ */
+const TRANSFER_HEADER = ['id', 'data', 'tombamento', 'origem', 'destino', 'solicitante', 'justificativa', 'status', 'leitura_uid', 'decidido_por', 'decidido_em'];
+
+/**
+ * Situações de um pedido de transferência (coluna H)
+ * @readonly
+ * @enum {string}
+ */
+const TransferStatus = Object.freeze({
+  PENDING: 'pendente',
+  APPROVED: 'aprovada',
+  REJECTED: 'recusada'
+});
+
+/**
+ * Nome da aba com a fila de reimpressão de etiquetas de tombamento
+ * @type {string}
+ */
+const RELABEL_SHEET_NAME = 'reimpressao_etiquetas';
+
+/**
+ * Cabeçalho da aba de reimpressão (criada automaticamente se não existir)
+ * @type {string[]}
+ */
+const RELABEL_HEADER = ['id', 'data', 'tombamento', 'descricao', 'localidade', 'solicitante', 'status', 'leitura_uid', 'concluida_por', 'concluida_em'];
+
+/**
+ * Situações de um pedido de reimpressão (coluna G)
+ * @readonly
+ * @enum {string}
+ */
+const RelabelStatus = Object.freeze({
+  PENDING: 'pendente',
+  PRINTED: 'impressa',
+  CANCELLED: 'cancelada'
+});
+
+/**
+ * Layouts de papel de etiquetas aceitos pela folha de reimpressão (medidas em mm)
+ * @type {Object<string, {name: string, pageWidth: number, pageHeight: number, labelWidth: number, labelHeight: number, columns: number, rows: number, top: number, left: number, hGap: number, vGap: number}>}
+ */
+const LABEL_LAYOUTS = Object.freeze({
+  a4_21: { name: 'A4 - 21 etiquetas 63,5 × 38,1 mm (Pimaco A4256 / Avery L7160)', pageWidth: 210, pageHeight: 297, labelWidth: 63.5, labelHeight: 38.1, columns: 3, rows: 7, top: 15.15, left: 7.25, hGap: 2.5, vGap: 0 },
+  a4_24: { name: 'A4 - 24 etiquetas 70 × 37 mm (Avery 3474)', pageWidth: 210, pageHeight: 297, labelWidth: 70, labelHeight: 37, columns: 3, rows: 8, top: 0.5, left: 0, hGap: 0, vGap: 0 },
+  a4_65: { name: 'A4 - 65 etiquetas 38,1 × 21,2 mm (Avery L7651)', pageWidth: 210, pageHeight: 297, labelWidth: 38.1, labelHeight: 21.2, columns: 5, rows: 13, top: 10.7, left: 4.7, hGap: 2.5, vGap: 0 },
+  letter_30: { name: 'Carta - 30 etiquetas 66,7 × 25,4 mm (Pimaco 6180 / Avery 5160)', pageWidth: 215.9, pageHeight: 279.4, labelWidth: 66.7, labelHeight: 25.4, columns: 3, rows: 10, top: 12.7, left: 4.8, hGap: 3.1, vGap: 0 }
+});
+
+/**
+ * Extrai da linha da aba "leituras" os campos registrados no histórico
+ * @param {Array} row - Colunas fixas, na ordem de READING_CORE_COLUMNS (A:J)
+ * @param {Object} [fields] - Valores dos campos extras (omitidos quando não há)
+ * @return {Object} Valores da leitura
+ */
+function readingSnapshot_(row, fields) {
+  const snapshot = {
+    location: String(row[3] ?? ''),
+    user: String(row[4] ?? ''),
+    state: row[5],
+    ipvu: row[6],
+    obs: String(row[7] ?? ''),
+    source: String(row[8] ?? ''),
+    cancelledAt: formatCellDate_(row[9])
+  };
+  if (fields && Object.keys(fields).length > 0) {
+    snapshot.fields = fields;
+  }
+  return snapshot;
+}
+
+/**
+ * Converte datas lidas da planilha em texto (google.script.run não transporta Date)
+ * @param {*} value - Valor da célula
+ * @return {string}
+ */
+function formatCellDate_(value) {
+  if (value instanceof Date) {
+    return Utilities.formatDate(value, Session.getScriptTimeZone(), 'dd/MM/yyyy HH:mm:ss');
+  }
+  return String(value ?? '');
+}
+
+/**
+ * Retorna a versão de cancelamentos da planilha (muda a cada leitura cancelada).
+ * Fica nas propriedades do script, separada por planilha, pois a biblioteca pode
+ * atender várias planilhas.
+ * @param {Spreadsheet} ss - Planilha ativa
+ * @return {string} Versão atual
+ */
+function getCancelVersion_(ss) {
+  return PropertiesService.getScriptProperties().getProperty('LEITURAS_CANCEL_VERSION_' + ss.getId()) || '0';
+}
+
+/**
+ * Incrementa a versão de cancelamentos, invalidando os cursores incrementais dos clientes
+ * @param {Spreadsheet} ss - Planilha ativa
  */
+function bumpCancelVersion_(ss) {
+  const next = String(parseInt(getCancelVersion_(ss), 10) + 1);
+  PropertiesService.getScriptProperties().setProperty('LEITURAS_CANCEL_VERSION_' + ss.getId(), next);
+}
 
 /**
  * @typedef {Object} InventoryDataResponse
  * @property {LocationSummary[]} locations - Lista resumida para preenchimento de seletores de UI
  * @property {AssetMapping[]} assetsFinded - Mapeamento detalhado de bens agrupados por local
+ * (somente as leituras novas quando `full` é false)
+ * @property {string|null} cursor - Token a ser enviado na próxima chamada para receber apenas as novidades
+ * @property {boolean} full - true quando `assetsFinded` contém todas as leituras (o cliente deve substituir o cache)
+ * @property {LocationClosure[]} closures - Localidades concluídas na campanha (sempre completas)
  */
 
 /**
  * Processa os dados da aba "leituras" para gerar um resumo do inventário agrupado por localidade
- * @param {string} [targetLocation] - A localidade que o usuário está inventariando (opcional)
+ *
+ * O cursor tem o formato "<linha>:<uid da linha>:<versão de cancelamentos>". Como o
+ * saveCodeBatch só acrescenta linhas (atualizações não alteram código nem localidade),
+ * basta ler as linhas após o cursor. A aba é relida por completo se a linha do cursor
+ * não tiver mais o mesmo uid (linhas apagadas/reordenadas manualmente) ou se alguma
+ * leitura foi cancelada desde a última sincronização.
+ *
+ * Leituras canceladas (coluna `cancelado_em` preenchida) são ignoradas. As colunas são
+ * localizadas pelo cabeçalho da aba (readingColumnMap), como no saveCodeBatch.
+ *
+ * Com campanhas cadastradas (aba `campanhas`) e `request.campaign` informado, apenas as
+ * leituras da campanha entram no resumo; o cursor ganha a campanha no fim e as contagens
+ * das localidades são calculadas a partir do inventário e das leituras da campanha (a aba
+ * 'localidades' soma as leituras de todas as campanhas).
+ *
+ * @param {string|Object} [request] - Localidade (formato antigo) ou objeto de requisição
+ * @param {string} [request.location] - A localidade que o usuário está inventariando (opcional)
+ * @param {string} [request.cursor] - Cursor devolvido na sincronização anterior (opcional)
+ * @param {string} [request.campaign] - Campanha ativa no app (opcional)
  * @return {InventoryDataResponse} Objeto contendo o resumo das localidades e o mapa de bens
  */
-function getInventorySummary(targetLocation = null) {
+function getInventorySummary(request = null) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const groups = {};
 
+  const isRequestObject = request !== null && typeof request === 'object';
+  const targetLocation = isRequestObject ? request.location : request;
+  const cursor = isRequestObject && request.cursor ? String(request.cursor) : null;
+
   /** ===============================
-   * 1. PROCESSAMENTO DA ABA "leituras" (Otimizado)
+   * 1. PROCESSAMENTO DA ABA "leituras" (Incremental)
    * =============================== */
   const sheetDados = ss.getSheetByName("leituras");
 
@@ -217,20 +481,62 @@ function getInventorySummary(targetLocation = null) {
     throw new Error("getInventorySummary: Aba 'leituras' não encontrada.");
   }
   const sheetDadosLastRow = sheetDados.getLastRow();
-  if (sheetDadosLastRow >= 2) {
-    const data = sheetDados.getRange(2, 2, sheetDadosLastRow - 1, 3).getValues();
+  const cancelVersion = getCancelVersion_(ss);
+
+  // Campanha ativa no app (ignorada sem campanhas cadastradas)
+  const campaign = isRequestObject && readCampaigns_(ss).length > 0 ? campaignId(request.campaign) : '';
+  const columns = readingSheetColumns_(sheetDados);
+  const campaignCol = campaign ? columns[READING_CAMPAIGN_COLUMN] || 0 : 0;
+  const cursorTail = ':' + cancelVersion + (campaign ? ':' + campaign : '');
+
+  // Primeira linha a ler (inclui a linha do cursor para validar o uid)
+  let startRow = 1;
+  let full = true;
+
+  if (cursor) {
+    const parts = cursor.split(':');
+    const cursorRow = parseInt(parts[0], 10);
+
+    if (parts.length >= 3 && ':' + parts.slice(2).join(':') === cursorTail &&
+      !isNaN(cursorRow) && cursorRow >= 1 && cursorRow <= sheetDadosLastRow) {
+      if (String(sheetDados.getRange(cursorRow, columns.uid).getValue()) === parts[1]) {
+        startRow = cursorRow;
+        full = false;
+      }
+    }
+  }
+
+  let nextCursor = null;
+
+  if (sheetDadosLastRow > startRow) {
+    const data = sheetDados.getRange(startRow + 1, 1, sheetDadosLastRow - startRow, readingSheetWidth_(sheetDados)).getValues();
 
     // Loop otimizado
     for (let i = 0; i < data.length; i++) {
-      const code = parseInt(data[i][1], 10);
-      if (isNaN(code)) continue;
+      // Leitura cancelada
+      if (data[i][columns.cancelado_em - 1] !== '') continue;
+
+      // Leitura de outra campanha (ou anterior às campanhas)
+      if (campaign && (!campaignCol || campaignId(data[i][campaignCol - 1]) !== campaign)) continue;
 
-      const location = String(data[i][2]).trim();
+      // Tombamento como gravado (texto), preservando zeros à esquerda
+      const code = String(data[i][columns.tombamento - 1]).trim();
+      if (code === '') continue;
+
+      const location = String(data[i][columns.localidade - 1]).trim();
       if (!location) continue;
 
       groups[location] = groups[location] || [];
       groups[location].push(code);
     }
+
+    nextCursor = sheetDadosLastRow + ':' + String(data[data.length - 1][columns.uid - 1]) + cursorTail;
+  } else if (!full) {
+    // Nada novo: o cursor continua válido
+    nextCursor = cursor;
+  } else if (sheetDadosLastRow >= 1) {
+    // Aba só com o cabeçalho: o cursor aponta para ele
+    nextCursor = '1:' + String(sheetDados.getRange(1, columns.uid).getValue()) + cursorTail;
   }
 
   /** ===============================
@@ -246,7 +552,10 @@ function getInventorySummary(targetLocation = null) {
   let locations = [];
   const sheetLocGetLastRow = sheetLoc.getLastRow();
   if (sheetLocGetLastRow >= 2) {
-    const locData = sheetLoc.getRange('A2:D' + sheetLocGetLastRow).getValues();
+    // Com campanha, as contagens consideram apenas as leituras dela
+    const locData = campaign
+      ? campaignLocationRows_(ss, readCampaignFoundCodes_(sheetDados, campaign))
+      : sheetLoc.getRange('A2:D' + sheetLocGetLastRow).getValues();
     const target = targetLocation ? String(targetLocation).trim() : null;
 
     locations = locData
@@ -267,7 +576,10 @@ function getInventorySummary(targetLocation = null) {
     .sort((a, b) => a.localeCompare(b, 'pt-BR', { numeric: true }))
     .map(loc => ({ location: loc, assets: groups[loc] }));
 
-  return { locations, assetsFinded };
+  // Localidades concluídas na campanha (aba conclusoes_localidades)
+  const closures = readLocationClosures_(ss, campaign);
+
+  return { locations, assetsFinded, cursor: nextCursor, full, closures };
 }
 
 /**
@@ -283,13 +595,24 @@ function getUserName() {
  * Salva ou atualiza um lote de itens na planilha "leituras" de forma segura, idempotente e otimizada
  * @param {Array<Object>} items - Array de itens para salvar
  * @param {string} items[].uid - Identificador único do item
- * @param {string|number} items[].code - Código do item
+ * @param {string} items[].code - Tombamento já normalizado pelo app (validateAssetCode), como texto
  * @param {string} items[].location - Localidade do item
  * @param {number} items[].state - Estado do item
  * @param {number} items[].ipvu - Valor IPVU do item
  * @param {string} items[].obs - Observações sobre o item
  * @param {string} items[].source - Fonte da leitura
- * @return {Array<string>} UIDs efetivamente persistidos
+ * @param {boolean} [items[].cancelled] - Marca a leitura como cancelada (a linha não é apagada)
+ * @param {{from: string, justification?: string}} [items[].transfer] - Pedido de transferência
+ * da localidade `from` para a localidade da leitura (registrado apenas na criação da leitura)
+ * @param {Object<string, *>} [items[].fields] - Campos extras da aba `campos_leitura`, gravados
+ * na coluna de mesmo cabeçalho (campos ausentes mantêm o valor atual da linha)
+ * @param {string} [items[].campaignId] - Campanha da leitura, gravada na coluna `campanha`.
+ * Obrigatória quando há campanhas cadastradas (aba `campanhas`); campanhas encerradas
+ * não aceitam leituras nem alterações
+ * @return {Array<{uid: string, status: string, reason?: string}>} Resultado por item
+ * (valores de `SaveBatchStatus`, ver shared/saveBatchResult.js). Itens recusados
+ * (ex.: código fora das regras de `code_validation_rules` ou localidade não liberada
+ * para o usuário na aba `usuarios`) não são gravados.
  */
 function saveCodeBatch(items) {
   if (!Array.isArray(items) || items.length === 0) {
@@ -310,7 +633,6 @@ function saveCodeBatch(items) {
       throw new Error('Aba "leituras" não encontrada.');
     }
 
-    const LAST_COL = 9;
     const HEADER_ROWS = 1;
 
     const now = new Date();
@@ -321,11 +643,37 @@ function saveCodeBatch(items) {
     );
     const user = getUserName();
 
+    // Mesmas regras/normalização aplicadas pelo frontend (shared/assetCode.js)
+    const settings = getAppSettings();
+    const codeRules = parseAssetCodeRules(settings.code_validation_rules);
+    // Campos da aba campos_leitura (shared/readingFields.js); as opções de estado e vida útil valem como regra
+    const readingFields = parseReadingFields(settings.reading_fields);
+    // Estado, vida útil, tombamento e localidade (shared/readingRules.js, também aplicadas pelo servidor local)
+    const readingRules = readingFieldRules(parseReadingRules(settings.reading_validation_rules), readingFields);
+    const catalog = readReadingCatalog_(ss, readingRules, settings.inventory_columns);
+    // Campanhas da aba campanhas (shared/campaigns.js); sem elas a coluna campanha não é usada
+    const campaigns = parseCampaigns(settings.campaigns);
+    const withCampaign = campaigns.length > 0;
+    // Papel e localidades do usuário (aba usuarios, shared/userPermissions.js), já lidos pelo getAppSettings
+    const access = settings.user_permissions;
+    // Localidades concluídas (aba conclusoes_localidades), lidas uma vez por campanha
+    const closuresByCampaign = Object.create(null);
+    const closuresOf = campaign => closuresByCampaign[campaign] || (closuresByCampaign[campaign] = readLocationClosures_(ss, campaign));
+
+    // Colunas localizadas pelo cabeçalho; a gravação vai até a última coluna usada (as fotos ficam de fora)
+    const columns = readingColumns_(sheet, readingFields, withCampaign);
+    const LAST_COL = Math.max.apply(null, Object.keys(columns)
+      .filter(key => key !== 'fotos' && (READING_CORE_COLUMNS.indexOf(key) !== -1 ||
+        readingFields.some(field => field.key === key) || (withCampaign && key === READING_CAMPAIGN_COLUMN)))
+      .map(key => columns[key]));
+
     /* ------------------------------------------------------------
      * 1. Leitura única da planilha (UID -> linha)
      * ------------------------------------------------------------ */
     const lastRow = sheet.getLastRow();
     const uidToRow = Object.create(null);
+    // Valores atuais de cada linha, para o histórico (antes/depois)
+    const uidToValues = Object.create(null);
 
     if (lastRow > HEADER_ROWS) {
       const values = sheet
@@ -333,9 +681,10 @@ function saveCodeBatch(items) {
         .getValues();
 
       values.forEach((row, index) => {
-        const uid = row[0];
+        const uid = row[columns.uid - 1];
         if (uid && !uidToRow[uid]) {
           uidToRow[uid] = HEADER_ROWS + 1 + index;
+          uidToValues[uid] = row;
         }
       });
     }
@@ -345,56 +694,225 @@ function saveCodeBatch(items) {
      * ------------------------------------------------------------ */
     const rowsToUpdate = [];
     const rowsToAppend = [];
-    const persistedUids = [];
+    const results = [];
+    const historyEntries = [];
+    // Pedidos (etiqueta danificada) e cancelamentos para a fila de reimpressão
+    const relabelEntries = [];
+
+    let hasCancellation = false;
 
     items.forEach(item => {
+      // Sem uid não há como o cliente identificar o resultado
       if (!item || !item.uid) return;
 
+      const cancelled = item.cancelled === true;
+      // O app envia o código já normalizado: normalizar de novo recusaria, por exemplo,
+      // os 12 dígitos que sobram de um EAN-13 com dropCheckDigit
+      const validation = validateNormalizedAssetCode(item.code, codeRules);
+
+      // Localidade não liberada para o usuário; em alterações vale também a já gravada
+      const stored = uidToValues[item.uid];
+      const accessReason = userLocationReason(access, UserAction.READINGS, stored ? stored[columns.localidade - 1] : item.location) ||
+        (stored && !cancelled ? userLocationReason(access, UserAction.READINGS, item.location) : '');
+      if (accessReason) {
+        Logger.log(`saveCodeBatch: leitura rejeitada (${item.uid}: ${item.code}) - ${accessReason}`);
+        results.push({ uid: String(item.uid), status: SaveBatchStatus.REJECTED, reason: accessReason });
+        return;
+      }
+
+      // Campanha desconhecida ou encerrada (vale também para cancelamentos)
+      const campaignReason = campaignReadingReason(campaigns, item.campaignId);
+      if (campaignReason) {
+        Logger.log(`saveCodeBatch: leitura rejeitada (${item.uid}: ${item.code}) - ${campaignReason}`);
+        results.push({ uid: String(item.uid), status: SaveBatchStatus.REJECTED, reason: campaignReason });
+        return;
+      }
+
+      // Localidade concluída: novas leituras, alterações e cancelamentos mudariam as contagens
+      // registradas na conclusão; vale a localidade enviada e, em alterações, a já gravada
+      const closures = closuresOf(withCampaign ? campaignId(item.campaignId) : '');
+      const closureReason = locationClosureReadingReason(closures, item.location) ||
+        (stored ? locationClosureReadingReason(closures, stored[columns.localidade - 1]) : '');
+      if (closureReason) {
+        Logger.log(`saveCodeBatch: leitura rejeitada (${item.uid}: ${item.code}) - ${closureReason}`);
+        results.push({ uid: String(item.uid), status: SaveBatchStatus.REJECTED, reason: closureReason });
+        return;
+      }
+
+      // Cancelamentos não passam pelas regras do código: apenas marcam a linha
+      if (!validation.valid && !cancelled) {
+        Logger.log(`saveCodeBatch: código rejeitado (${item.uid}: ${item.code}) - ${validation.reason}`);
+        results.push({ uid: String(item.uid), status: SaveBatchStatus.REJECTED, reason: validation.reason });
+        return;
+      }
+
+      if (!String(item.location ?? '').trim() && !cancelled) {
+        results.push({ uid: String(item.uid), status: SaveBatchStatus.REJECTED, reason: 'Localidade não informada' });
+        return;
+      }
+
+      if (!cancelled) {
+        const check = validateReading({ code: validation.code, location: item.location, state: item.state, ipvu: item.ipvu }, readingRules, catalog);
+        if (!check.valid) {
+          Logger.log(`saveCodeBatch: leitura rejeitada (${item.uid}: ${item.code}) - ${check.reason}`);
+          results.push({ uid: String(item.uid), status: SaveBatchStatus.REJECTED, reason: check.reason });
+          return;
+        }
+      }
+
+      // Cancelamentos não alteram os campos extras
+      const extras = cancelled ? { valid: true, values: {} } : readingExtraValues(item, readingFields);
+      if (!extras.valid) {
+        Logger.log(`saveCodeBatch: leitura rejeitada (${item.uid}: ${item.code}) - ${extras.reason}`);
+        results.push({ uid: String(item.uid), status: SaveBatchStatus.REJECTED, reason: extras.reason });
+        return;
+      }
+
+      // A campanha é gravada como as colunas dos campos extras
+      if (withCampaign) {
+        extras.values[READING_CAMPAIGN_COLUMN] = campaignId(item.campaignId);
+      }
+
       const rowData = [
         String(item.uid),
         formattedDate,
-        String(item.code ?? ''), // preserva zeros/EAN
+        validation.valid ? validation.code : String(item.code ?? ''), // código normalizado (preserva zeros/EAN)
         String(item.location ?? ''),
         user,
         Number(item.state ?? ''),
         Number(item.ipvu ?? ''),
         String(item.obs ?? ''),
-        String(item.source ?? '')
+        String(item.source ?? ''),
+        cancelled ? formattedDate : ''
       ];
 
+      if (cancelled) hasCancellation = true;
+
       const existingRow = uidToRow[item.uid];
+      const result = { uid: String(item.uid), status: existingRow ? SaveBatchStatus.UPDATED : SaveBatchStatus.SAVED };
+      const before = existingRow ? readingRowValues_(uidToValues[item.uid], columns, readingFields) : null;
+      const sheetRow = readingSheetRow_(rowData, extras.values, columns, existingRow ? uidToValues[item.uid] : [], LAST_COL);
+
+      historyEntries.push({
+        result: result,
+        row: [
+          String(item.uid),
+          formattedDate,
+          user,
+          cancelled ? 'cancelamento' : (existingRow ? 'alteração' : 'criação'),
+          assetCodeCell_(rowData[2]),
+          rowData[3],
+          before ? JSON.stringify(readingSnapshot_(before.core, before.fields)) : '',
+          JSON.stringify(readingSnapshot_(rowData, readingRowValues_(sheetRow, columns, readingFields).fields))
+        ]
+      });
+
+      // Campo ausente (clientes antigos) não altera a fila
+      if ((item.damagedLabel === true && !cancelled) || (existingRow && (cancelled || item.damagedLabel === false))) {
+        relabelEntries.push({ result: result, uid: rowData[0], code: rowData[2], location: rowData[3], damaged: !cancelled && item.damagedLabel === true });
+      }
 
       if (existingRow) {
-        rowsToUpdate.push({ row: existingRow, data: rowData });
+        rowsToUpdate.push({ row: existingRow, data: rowData, sheetRow: sheetRow, result: result });
       } else {
-        rowsToAppend.push(rowData);
+        const transfer = !cancelled && item.transfer && String(item.transfer.from ?? '').trim()
+          ? item.transfer
+          : null;
+        rowsToAppend.push({ data: rowData, sheetRow: sheetRow, result: result, transfer: transfer });
       }
 
-      persistedUids.push(item.uid);
+      results.push(result);
     });
 
     /* ------------------------------------------------------------
      * 3. Escrita segura
      * ------------------------------------------------------------ */
 
-    // Updates
+    // Updates (uma falha afeta apenas o item da linha)
     rowsToUpdate
       .sort((a, b) => a.row - b.row)
       .forEach(update => {
-        sheet
-          .getRange(update.row, 1, 1, LAST_COL)
-          .setValues([update.data]);
+        try {
+          sheet
+            .getRange(update.row, 1, 1, LAST_COL)
+            .setValues([update.sheetRow]);
+        } catch (e) {
+          Logger.log(`saveCodeBatch: falha ao atualizar a linha ${update.row} - ${e.message}`);
+          update.result.status = SaveBatchStatus.RETRYABLE;
+          update.result.reason = 'Falha ao atualizar a linha';
+        }
       });
 
     // Appends (recalcula lastRow para evitar race lógica)
     if (rowsToAppend.length > 0) {
-      const appendStartRow = sheet.getLastRow() + 1;
-      sheet
-        .getRange(appendStartRow, 1, rowsToAppend.length, LAST_COL)
-        .setValues(rowsToAppend);
+      try {
+        const appendStartRow = sheet.getLastRow() + 1;
+        sheet
+          .getRange(appendStartRow, 1, rowsToAppend.length, LAST_COL)
+          .setValues(rowsToAppend.map(append => append.sheetRow));
+      } catch (e) {
+        Logger.log(`saveCodeBatch: falha ao acrescentar linhas - ${e.message}`);
+        rowsToAppend.forEach(append => {
+          append.result.status = SaveBatchStatus.RETRYABLE;
+          append.result.reason = 'Falha ao gravar a linha';
+        });
+      }
+    }
+
+    // Pedidos de transferência das leituras novas gravadas com sucesso
+    const transferRows = rowsToAppend
+      .filter(append => append.transfer && append.result.status === SaveBatchStatus.SAVED)
+      .map(append => [
+        Utilities.getUuid(),
+        formattedDate,
+        assetCodeCell_(append.data[2]),
+        String(append.transfer.from).trim(),
+        append.data[3],
+        user,
+        String(append.transfer.justification ?? '').substring(0, 500),
+        TransferStatus.PENDING,
+        append.data[0],
+        '',
+        ''
+      ]);
+
+    if (transferRows.length > 0) {
+      try {
+        appendTransferRows_(ss, transferRows);
+      } catch (e) {
+        Logger.log(`saveCodeBatch: falha ao gravar transferências - ${e.message}`);
+      }
+    }
+
+    // Fila de reimpressão: apenas leituras gravadas. Falhas aqui não desfazem o lote.
+    const relabelChanges = relabelEntries.filter(entry => entry.result.status !== SaveBatchStatus.RETRYABLE);
+    if (relabelChanges.length > 0) {
+      try {
+        updateRelabelQueue_(ss, relabelChanges, formattedDate, user);
+      } catch (e) {
+        Logger.log(`saveCodeBatch: falha ao atualizar a fila de reimpressão - ${e.message}`);
+      }
+    }
+
+    // Clientes precisam reler o resumo completo para descartar as leituras canceladas
+    if (hasCancellation) {
+      bumpCancelVersion_(ss);
     }
 
-    return persistedUids;
+    // Histórico: apenas o que foi efetivamente gravado. Falhas aqui não desfazem o lote.
+    const historyRows = historyEntries
+      .filter(entry => entry.result.status !== SaveBatchStatus.RETRYABLE)
+      .map(entry => entry.row);
+
+    if (historyRows.length > 0) {
+      try {
+        appendHistoryRows_(ss, historyRows);
+      } catch (e) {
+        Logger.log(`saveCodeBatch: falha ao gravar histórico - ${e.message}`);
+      }
+    }
+
+    return results;
 
   } catch (err) {
     Logger.log('Erro em saveCodeBatch:', err);
@@ -405,116 +923,1573 @@ function saveCodeBatch(items) {
 }
 
 /**
- * Salva uma mensagem na aba 'observacoes'
- * @param {Object} payload - Objeto contendo dados da mensagem
- * @param {string} payload.uid - Identificador único
- * @param {string} payload.location - Localidade
- * @param {string} payload.message - Mensagem a ser salva
- * @return {string} O UID da mensagem salva
+ * Localiza as colunas da aba "leituras" pelo cabeçalho e cria, no fim da aba, as
+ * colunas dos campos extras (e a da campanha) que ainda não existem
+ * @param {Sheet} sheet - Aba "leituras"
+ * @param {ReadingField[]} fields - Campos de parseReadingFields
+ * @param {boolean} [withCampaign] - Inclui a coluna `campanha` (há campanhas cadastradas)
+ * @return {Object<string, number>} Coluna (1 = A) de cada campo
  */
-function saveMessage(payload) {
-  const lock = LockService.getScriptLock();
-  try {
-    lock.waitLock(30000);
-  } catch (e) {
-    throw new Error('Servidor ocupado. Tente novamente.');
-  }
+function readingColumns_(sheet, fields, withCampaign) {
+  const lastCol = sheet.getLastColumn();
+  const columns = readingSheetColumns_(sheet);
 
-  try {
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    let sheet = ss.getSheetByName("observacoes");
+  const missing = fields.filter(field => !field.property && !columns[field.key]).map(field => field.key);
+  if (withCampaign && !columns[READING_CAMPAIGN_COLUMN]) missing.push(READING_CAMPAIGN_COLUMN);
 
-    // Early return com array vazio se a aba não existir
-    if (!sheet) {
-      throw new Error("saveMessage: Aba 'observacoes' não encontrada.");
-    }
+  if (missing.length > 0) {
+    const start = Math.max(lastCol, READING_CORE_COLUMNS.length) + 1;
+    sheet.getRange(1, start, 1, missing.length).setValues([missing]);
+    missing.forEach((key, index) => { columns[key] = start + index; });
+  }
 
-    const now = new Date();
-    const formattedDate = Utilities.formatDate(
-      now,
-      Session.getScriptTimeZone(),
-      'dd/MM/yyyy HH:mm:ss'
-    );
-    const aferidor = getUserName();
+  return columns;
+}
 
+/**
+ * Monta a linha gravada na aba "leituras" a partir das colunas fixas e dos campos extras
+ * @param {Array} rowData - Colunas fixas, na ordem de READING_CORE_COLUMNS (A:J)
+ * @param {Object} extras - Valores dos campos extras enviados
+ * @param {Object<string, number>} columns - Colunas de readingColumns_
+ * @param {Array} base - Linha atual (atualizações) ou [] (leituras novas)
+ * @param {number} width - Quantidade de colunas gravadas
+ * @return {Array} Linha completa; colunas não informadas mantêm o valor atual
+ */
+function readingSheetRow_(rowData, extras, columns, base, width) {
+  const row = [];
+  for (let i = 0; i < width; i++) {
+    row.push(base[i] ?? '');
+  }
 
-    // Preparação dos dados
-    const uuid = payload.uid;
-    const localidade = payload.location;
-    const mensagem = payload.message;
+  rowData.forEach((value, index) => { row[columns[READING_CORE_COLUMNS[index]] - 1] = value; });
+  row[columns.tombamento - 1] = assetCodeCell_(rowData[2]);
+  Object.keys(extras).forEach(key => { row[columns[key] - 1] = extras[key]; });
 
-    // Inserção na planilha (A:E)
-    sheet.appendRow([
-      uuid,           // Coluna A
-      formattedDate,  // Coluna B
-      localidade,     // Coluna C
-      aferidor,       // Coluna D
-      mensagem        // Coluna E
-    ]);
+  return row;
+}
 
-    // Retorna o UID para o frontend confirmar o sucesso
-    return uuid;
+/**
+ * Valor gravado na célula de um tombamento. A planilha converte textos numéricos em
+ * número e descartaria os zeros à esquerda; esses códigos vão como texto (prefixo ').
+ * @param {*} code - Tombamento normalizado
+ * @return {string}
+ */
+function assetCodeCell_(code) {
+  const text = String(code ?? '');
+  return /^0\d/.test(text) ? "'" + text : text;
+}
 
-  } catch (error) {
-    Logger.log("Erro ao salvar mensagem:", error);
-    throw new Error("Falha ao salvar observação: " + error.message);
-  } finally {
-    lock.releaseLock();
-  }
+/**
+ * Lê uma linha da aba "leituras" pelas colunas do cabeçalho
+ * @param {Array} row - Linha da aba
+ * @param {Object<string, number>} columns - Colunas de readingColumns_
+ * @param {ReadingField[]} fields - Campos de parseReadingFields
+ * @return {{core: Array, fields: Object}} Colunas fixas (A:J) e valores dos campos extras
+ */
+function readingRowValues_(row, columns, fields) {
+  const values = {};
+  fields.forEach(field => {
+    if (!field.property) values[field.key] = row[columns[field.key] - 1] ?? '';
+  });
+
+  return {
+    core: READING_CORE_COLUMNS.slice(0, READING_CORE_COLUMNS.indexOf('fotos')).map(key => row[columns[key] - 1] ?? ''),
+    fields: values
+  };
 }
 
+/**
+ * Lê a aba `campos_leitura` (opcional)
+ * @param {Spreadsheet} ss - Planilha ativa
+ * @param {Object} rules - Regras de parseReadingRules (opções padrão de estado e vida útil)
+ * @return {ReadingField[]} Campos interpretados por parseReadingFields
+ */
+function readReadingFields_(ss, rules) {
+  const sheet = ss.getSheetByName(FIELDS_SHEET_NAME);
+  const lastRow = sheet ? sheet.getLastRow() : 0;
+  const rows = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, FIELDS_HEADER.length).getValues() : null;
+  return parseReadingFields(rows, rules);
+}
 
 /**
- * Obtém itens não encontrados filtrados por localidade
- * @param {string} targetLocation Nome da localidade (Obrigatório)
- * @return {Array<Array<string>>} Lista de [Tombamento, Descrição]
+ * Lê a aba `campanhas` (opcional)
+ * @param {Spreadsheet} ss - Planilha ativa
+ * @return {Campaign[]} Campanhas interpretadas por parseCampaigns ([] sem a aba)
  */
-function getNotFoundItens(targetLocation) {
-  // 1. Validação de Entrada (Parâmetro Obrigatório)
-  if (!targetLocation) {
-    throw new Error("getNotFoundItens: targetLocation não fornecido.");
-  }
+function readCampaigns_(ss) {
+  const sheet = ss.getSheetByName(CAMPAIGN_SHEET_NAME);
+  const lastRow = sheet ? sheet.getLastRow() : 0;
+  const rows = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, CAMPAIGN_HEADER.length).getValues() : [];
+  return parseCampaigns(rows);
+}
 
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const sheet = ss.getSheetByName('nao_encontrados_geral');
+/**
+ * Permissões do usuário ativo pela aba `usuarios` (opcional)
+ * @param {Spreadsheet} ss - Planilha ativa
+ * @return {UserPermissionSet} Permissões de userPermissions (sem a aba, todos podem tudo)
+ */
+function readUserPermissions_(ss) {
+  const sheet = ss.getSheetByName(USERS_SHEET_NAME);
+  const lastRow = sheet ? sheet.getLastRow() : 0;
+  const rows = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, USERS_HEADER.length).getValues() : [];
+  return userPermissions(parseUsers(rows), Session.getActiveUser().getEmail());
+}
 
-  if (!sheet) {
-    throw new Error("getNotFoundItens: aba nao_encontrados_geral não encontrada");
+/**
+ * Interrompe a função quando o papel do usuário ativo não permite a ação
+ * @param {Spreadsheet} ss - Planilha ativa
+ * @param {string} action - Valor de UserAction
+ * @param {string} caller - Nome da função (prefixo da mensagem de erro)
+ * @throws {Error} Quando a ação não é permitida
+ */
+function assertUserCan_(ss, action, caller) {
+  const reason = userActionReason(readUserPermissions_(ss), action);
+  if (reason) {
+    throw new Error(`${caller}: ${reason}`);
   }
+}
 
-  const lastRow = sheet.getLastRow();
-  if (lastRow < 3) return [];
+/**
+ * Colunas da aba "leituras" pelo cabeçalho, sem criar as que faltam. Campos extras e a
+ * campanha só aparecem quando têm coluna; as fixas sem cabeçalho ficam na posição padrão.
+ * @param {Sheet} sheet - Aba "leituras"
+ * @return {Object<string, number>} Coluna (1 = A) de cada campo (readingColumnMap)
+ */
+function readingSheetColumns_(sheet) {
+  const lastCol = sheet.getLastColumn();
+  return readingColumnMap(lastCol > 0 ? sheet.getRange(1, 1, 1, lastCol).getValues()[0] : []);
+}
 
-  // 2. Otimização de I/O: Leitura em lote
-  // Inicia na linha 3, coluna 1, pega (lastRow - 2) linhas e 3 colunas (A, B, C)
-  const data = sheet.getRange(3, 1, lastRow - 2, 3).getValues();
+/**
+ * Quantidade de colunas lidas da aba "leituras": todas as usadas e, no mínimo, as fixas
+ * @param {Sheet} sheet - Aba "leituras"
+ * @return {number}
+ */
+function readingSheetWidth_(sheet) {
+  return Math.max(sheet.getLastColumn(), READING_CORE_COLUMNS.length);
+}
 
-  // 3. Normalização fora do loop (Evita repetir trim() milhares de vezes)
-  const target = String(targetLocation).trim();
-  const result = [];
+/**
+ * Monta o cadastro usado pelas regras de tombamento e localidade do saveCodeBatch
+ * @param {Spreadsheet} ss - Planilha ativa
+ * @param {Object} rules - Regras interpretadas por parseReadingRules
+ * @param {string|Object} config - Valor de `inventory_columns` da aba app_config
+ * @return {{codes: Set<string>|null, locations: Set<string>|null}} Cadastro (null: regra desligada)
+ */
+function readReadingCatalog_(ss, rules, config) {
+  const catalog = { codes: null, locations: null };
+  if (!rules.requireInventoryCode && !rules.requireKnownLocation) return catalog;
 
-  // 4. Otimização de Processamento (Single Pass Loop)
-  // Usar for tradicional é mais rápido que filter/map no Apps Script
-  for (let i = 0; i < data.length; i++) {
-    const row = data[i];
+  // Localidade e tombamento do inventário
+  const inventory = readInventorySheet_(ss, { keys: ['localidade', 'tombamento'], config: config });
+  const invRows = inventory ? inventory.rows : [];
 
-    // Compara Localidade (Coluna A -> índice 0)
-    if (String(row[0]).trim() === target) {
-      // Adiciona direto [Tombamento, Descrição] (Colunas B e C -> índices 1 e 2)
-      const specName = String(row[2] || "").trim().substring(0, 100);
-      result.push([row[1], specName]);
-    }
+  if (rules.requireInventoryCode) {
+    catalog.codes = new Set(invRows.map(row => readingCodeKey(row.tombamento)).filter(key => key !== ''));
   }
 
-  return result;
-}
+  if (rules.requireKnownLocation) {
+    catalog.locations = new Set(readLocationNames_(ss, invRows.map(row => row.localidade)));
+  }
+
+  return catalog;
+}
+
+/**
+ * Lista as localidades cadastradas: coluna A da aba 'localidades' ou, sem ela,
+ * as localidades do inventário (as mesmas do getInventoryData)
+ * @param {Spreadsheet} ss - Planilha ativa
+ * @param {Array} [inventoryLocations] - Localidades do inventário já lidas (omitidas: lê a aba)
+ * @return {string[]} Nomes sem espaços nas pontas, sem vazios e sem repetições
+ */
+function readLocationNames_(ss, inventoryLocations) {
+  let names;
+
+  const sheetLocais = ss.getSheetByName('localidades');
+  const locLastRow = sheetLocais ? sheetLocais.getLastRow() : 0;
+
+  if (locLastRow > 1) {
+    names = sheetLocais.getRange(2, 1, locLastRow - 1, 1).getValues().map(row => row[0]);
+  } else if (inventoryLocations) {
+    names = inventoryLocations;
+  } else {
+    const inventory = readInventorySheet_(ss, { keys: ['localidade'] });
+    names = inventory ? inventory.rows.map(row => row.localidade) : [];
+  }
+
+  const unique = [];
+  names.forEach(name => {
+    const text = String(name).trim();
+    if (text !== '' && unique.indexOf(text) === -1) unique.push(text);
+  });
+  return unique;
+}
+
+/**
+ * Acrescenta linhas na aba de histórico, criando-a se necessário
+ * @param {Spreadsheet} ss - Planilha ativa
+ * @param {Array<Array>} rows - Linhas no formato de HISTORY_HEADER
+ */
+function appendHistoryRows_(ss, rows) {
+  let sheet = ss.getSheetByName(HISTORY_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(HISTORY_SHEET_NAME);
+    sheet.getRange(1, 1, 1, HISTORY_HEADER.length).setValues([HISTORY_HEADER]);
+    sheet.setFrozenRows(1);
+  }
+
+  sheet
+    .getRange(sheet.getLastRow() + 1, 1, rows.length, HISTORY_HEADER.length)
+    .setValues(rows);
+}
+
+/**
+ * Acrescenta pedidos na aba de transferências, criando-a se necessário
+ * @param {Spreadsheet} ss - Planilha ativa
+ * @param {Array<Array>} rows - Linhas no formato de TRANSFER_HEADER
+ */
+function appendTransferRows_(ss, rows) {
+  let sheet = ss.getSheetByName(TRANSFER_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(TRANSFER_SHEET_NAME);
+    sheet.getRange(1, 1, 1, TRANSFER_HEADER.length).setValues([TRANSFER_HEADER]);
+    sheet.setFrozenRows(1);
+  }
+
+  sheet
+    .getRange(sheet.getLastRow() + 1, 1, rows.length, TRANSFER_HEADER.length)
+    .setValues(rows);
+}
+
+/**
+ * Atualiza a fila de reimpressão de etiquetas, criando a aba se necessário.
+ * Um pedido por leitura (uid) e no máximo um pendente por tombamento; leituras
+ * canceladas ou desmarcadas cancelam o pedido ainda pendente.
+ * @param {Spreadsheet} ss - Planilha ativa
+ * @param {Array<{uid: string, code: string, location: string, damaged: boolean}>} entries - Leituras gravadas
+ * @param {string} date - Data da gravação (dd/MM/yyyy HH:mm:ss)
+ * @param {string} user - Usuário que enviou as leituras
+ */
+function updateRelabelQueue_(ss, entries, date, user) {
+  const requested = entries.filter(entry => entry.damaged);
+  let sheet = ss.getSheetByName(RELABEL_SHEET_NAME);
+  if (!sheet) {
+    // Sem aba não há pedidos a cancelar
+    if (requested.length === 0) return;
+    sheet = ss.insertSheet(RELABEL_SHEET_NAME);
+    sheet.getRange(1, 1, 1, RELABEL_HEADER.length).setValues([RELABEL_HEADER]);
+    sheet.setFrozenRows(1);
+  }
+
+  const lastRow = sheet.getLastRow();
+  const queue = lastRow > 1
+    ? sheet.getRange(2, 1, lastRow - 1, RELABEL_HEADER.length).getValues()
+    : [];
+
+  // Cancelamentos: apenas a situação (G:J) das linhas alteradas é regravada
+  entries
+    .filter(entry => !entry.damaged)
+    .forEach(entry => {
+      queue.forEach((row, index) => {
+        if (String(row[7]) !== entry.uid || String(row[6]) !== RelabelStatus.PENDING) return;
+        row[6] = RelabelStatus.CANCELLED;
+        row[8] = user;
+        row[9] = date;
+        sheet.getRange(index + 2, 7, 1, 4).setValues([row.slice(6, 10)]);
+      });
+    });
+
+  if (requested.length === 0) return;
+
+  const descriptions = readAssetDescriptions_(ss);
+  const rows = [];
+
+  requested.forEach(entry => {
+    const key = readingCodeKey(entry.code);
+    // Reenvios da mesma leitura (edições) e pedidos pendentes do mesmo bem não duplicam a etiqueta
+    const exists = queue.concat(rows).some(row =>
+      String(row[6]) !== RelabelStatus.CANCELLED &&
+      (String(row[7]) === entry.uid || (String(row[6]) === RelabelStatus.PENDING && readingCodeKey(row[2]) === key))
+    );
+    if (exists) return;
+
+    rows.push([
+      Utilities.getUuid(),
+      date,
+      assetCodeCell_(entry.code),
+      descriptions[key] || '',
+      entry.location,
+      user,
+      RelabelStatus.PENDING,
+      entry.uid,
+      '',
+      ''
+    ]);
+  });
+
+  if (rows.length > 0) {
+    sheet
+      .getRange(sheet.getLastRow() + 1, 1, rows.length, RELABEL_HEADER.length)
+      .setValues(rows);
+  }
+}
+
+/**
+ * Descrição curta de cada bem da aba 'inventario' (especificação, 50 caracteres), pelo tombamento
+ * @param {Spreadsheet} ss - Planilha ativa
+ * @return {Object<string, string>} Descrições pelas chaves de readingCodeKey
+ */
+function readAssetDescriptions_(ss) {
+  const descriptions = Object.create(null);
+  const inventory = readInventorySheet_(ss, { keys: ['tombamento', 'especificacao'] });
+  if (!inventory) return descriptions;
+
+  inventory.rows.forEach(row => {
+    const key = readingCodeKey(row.tombamento);
+    if (key && !descriptions[key]) {
+      descriptions[key] = String(row.especificacao || '').trim().substring(0, 50);
+    }
+  });
+
+  return descriptions;
+}
+
+/**
+ * @typedef {Object} TransferDecisionResult
+ * @property {string[]} decided - IDs dos pedidos aprovados/recusados
+ * @property {Array<{id: string, reason: string}>} errors - Pedidos não processados e o motivo
+ */
+
+/**
+ * Aprova ou recusa pedidos de transferência pendentes.
+ * Na aprovação, a coluna de localidade da aba 'inventario' passa a ser o destino
+ * em todas as linhas do tombamento, e o próximo getInventoryData já reflete a mudança.
+ * Com a aba `usuarios`, apenas administradores podem decidir.
+ * @param {Object} request - Decisão
+ * @param {string[]} request.ids - IDs dos pedidos (coluna A da aba 'transferencias')
+ * @param {boolean} request.approve - true aprova, false recusa
+ * @return {TransferDecisionResult} Resultado por pedido
+ */
+function decideTransfers(request) {
+  const ids = request && Array.isArray(request.ids) ? request.ids.map(String) : [];
+  if (ids.length === 0) {
+    throw new Error("decideTransfers: nenhum pedido informado.");
+  }
+  const approve = request.approve === true;
+  // Altera a aba inventario: apenas administradores
+  assertUserCan_(SpreadsheetApp.getActiveSpreadsheet(), UserAction.TRANSFERS, 'decideTransfers');
+
+  const lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+  } catch (e) {
+    throw new Error('Servidor ocupado. Tente novamente.');
+  }
+
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName(TRANSFER_SHEET_NAME);
+    if (!sheet) {
+      throw new Error(`decideTransfers: Aba '${TRANSFER_SHEET_NAME}' não encontrada.`);
+    }
+
+    const lastRow = sheet.getLastRow();
+    const transfers = lastRow > 1
+      ? sheet.getRange(2, 1, lastRow - 1, TRANSFER_HEADER.length).getValues()
+      : [];
+
+    // Inventário lido uma única vez (localidade e tombamento, pelo cabeçalho)
+    let inventory = null;
+    let sheetInventario = null;
+    let locationColumn = 0;
+    if (approve) {
+      const inventoryData = readInventorySheet_(ss, { keys: ['localidade', 'tombamento'] });
+      if (!inventoryData) {
+        throw new Error("decideTransfers: Aba 'inventario' não encontrada.");
+      }
+      sheetInventario = inventoryData.sheet;
+      locationColumn = inventoryData.columns.localidade;
+      inventory = inventoryData.rows;
+    }
+
+    const user = getUserName();
+    const decidedAt = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'dd/MM/yyyy HH:mm:ss');
+    const result = { decided: [], errors: [] };
+    // Índices (em `inventory`) das linhas cuja localidade mudou
+    const changedRows = [];
+    // Índices (em `transfers`) dos pedidos decididos
+    const decidedRows = [];
+
+    ids.forEach(id => {
+      const index = transfers.findIndex(row => String(row[0]) === id);
+      if (index === -1) {
+        result.errors.push({ id: id, reason: 'Pedido não encontrado' });
+        return;
+      }
+
+      const transfer = transfers[index];
+      if (String(transfer[7]) !== TransferStatus.PENDING) {
+        result.errors.push({ id: id, reason: `Pedido já ${transfer[7]}` });
+        return;
+      }
+
+      if (approve) {
+        const code = readingCodeKey(transfer[2]);
+        const destination = String(transfer[4]);
+        let found = false;
+
+        inventory.forEach((row, rowIndex) => {
+          if (readingCodeKey(row.tombamento) === code) {
+            row.localidade = destination;
+            found = true;
+            if (changedRows.indexOf(rowIndex) === -1) changedRows.push(rowIndex);
+          }
+        });
+
+        if (!found) {
+          result.errors.push({ id: id, reason: `Tombamento ${transfer[2]} não está na aba inventario` });
+          return;
+        }
+      }
+
+      transfer[7] = approve ? TransferStatus.APPROVED : TransferStatus.REJECTED;
+      transfer[9] = user;
+      transfer[10] = decidedAt;
+      decidedRows.push(index);
+      result.decided.push(id);
+    });
+
+    // Apenas as células alteradas da coluna de localidade são regravadas
+    changedRows.forEach(rowIndex => {
+      sheetInventario.getRange(rowIndex + 2, locationColumn).setValue(inventory[rowIndex].localidade);
+    });
+
+    // Situação dos pedidos (H:K) gravada depois do inventário
+    decidedRows.forEach(index => {
+      sheet.getRange(index + 2, 8, 1, 4).setValues([transfers[index].slice(7, 11)]);
+    });
+
+    return result;
+
+  } catch (error) {
+    Logger.log("Erro ao decidir transferências:", error);
+    throw new Error("Falha ao decidir transferências: " + error.message);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Aprova ou recusa os pedidos das linhas selecionadas na aba 'transferencias'.
+ * Chamada pelo menu da planilha (usa a interface do Sheets para confirmar e informar o resultado).
+ * @param {boolean} approve - true aprova, false recusa
+ */
+function decideSelectedTransfers(approve) {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getActiveSheet();
+
+  const accessReason = userActionReason(readUserPermissions_(ss), UserAction.TRANSFERS);
+  if (accessReason) {
+    ui.alert(accessReason);
+    return;
+  }
+
+  if (sheet.getName() !== TRANSFER_SHEET_NAME) {
+    ui.alert(`Selecione as linhas dos pedidos na aba '${TRANSFER_SHEET_NAME}'.`);
+    return;
+  }
+
+  // Linhas de todas as seleções (Ctrl+clique), sem o cabeçalho
+  const rows = [];
+  sheet.getActiveRangeList().getRanges().forEach(range => {
+    for (let r = range.getRow(); r <= range.getLastRow(); r++) {
+      if (r > 1 && rows.indexOf(r) === -1) rows.push(r);
+    }
+  });
+
+  const pending = rows
+    .map(r => sheet.getRange(r, 1, 1, TRANSFER_HEADER.length).getValues()[0])
+    .filter(row => row[0] && String(row[7]) === TransferStatus.PENDING);
+
+  if (pending.length === 0) {
+    ui.alert('Nenhum pedido pendente selecionado.');
+    return;
+  }
+
+  const action = approve ? 'Aprovar' : 'Recusar';
+  const summary = pending
+    .slice(0, 10)
+    .map(row => `• ${row[2]}: ${row[3]} → ${row[4]}`)
+    .join('\n') + (pending.length > 10 ? `\n... e mais ${pending.length - 10}` : '');
+
+  const answer = ui.alert(
+    `${action} ${pending.length} transferência(s)?`,
+    summary + (approve ? '\n\nA localidade dos bens será atualizada na aba inventario.' : ''),
+    ui.ButtonSet.YES_NO
+  );
+  if (answer !== ui.Button.YES) return;
+
+  const result = decideTransfers({ ids: pending.map(row => String(row[0])), approve: approve });
+  const errors = result.errors.map(error => `• ${error.id}: ${error.reason}`).join('\n');
+
+  ui.alert(
+    `${result.decided.length} pedido(s) ${approve ? 'aprovado(s)' : 'recusado(s)'}.` +
+    (errors ? `\n\nNão processados:\n${errors}` : '')
+  );
+}
+
+/**
+ * Escapa um texto para uso em HTML gerado pelo script
+ * @param {*} text - Texto
+ * @return {string}
+ */
+function escapeHtml_(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * @typedef {Object} QrCodeDialogOptions
+ * @property {string} text - Conteúdo do QR Code (por exemplo o link do leitor, com ou sem parâmetros)
+ * @property {string} [title] - Título da janela
+ * @property {string} [caption] - Texto acima do QR Code
+ * @property {string} [link] - URL do botão "abrir no computador" (omitida: sem botão)
+ * @property {string} [fileName] - Nome dos arquivos baixados, sem extensão
+ * @property {number} [size] - Tamanho do QR Code em pixels (também o do PNG)
+ * @property {string} [errorCorrection] - Nível de correção de erros ('L', 'M', 'Q' ou 'H')
+ */
+
+/**
+ * Exibe um QR Code em uma janela da planilha, com download em PNG e SVG.
+ * O QR é gerado no próprio script (shared/qrCode.js), sem enviar o conteúdo a serviços externos.
+ * Chamada pelo menu da planilha (openReader).
+ * @param {QrCodeDialogOptions} options - Conteúdo e opções
+ */
+function showQrCodeDialog(options) {
+  const opts = options || {};
+  const text = String(opts.text || '');
+  if (!text) {
+    throw new Error('showQrCodeDialog: conteúdo do QR Code não informado.');
+  }
+
+  const size = Number(opts.size) || 200;
+  const svg = qrCodeSvg(text, { size: size, margin: 2, errorCorrection: opts.errorCorrection || QrCodeErrorCorrection.MEDIUM });
+  const fileName = String(opts.fileName || 'qrcode').replace(/[^\w.-]+/g, '_');
+  const link = opts.link ? String(opts.link) : '';
+
+  const htmlContent = `
+    <style>
+      body { margin: 0; padding: 20px; font-family: 'Segoe UI', Roboto, sans-serif; background-color: #f8f9fa; }
+      .container {
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        justify-content: center;
+        background: white;
+        border-radius: 8px;
+        padding: 15px;
+        box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+      }
+      .qr-code { margin: 10px 0 15px 0; }
+      .btn {
+        background-color: #1a73e8;
+        color: white;
+        padding: 14px 20px;
+        text-decoration: none;
+        border-radius: 6px;
+        font-weight: 600;
+        text-align: center;
+        width: 90%;
+        display: block;
+        box-sizing: border-box;
+        transition: background 0.2s;
+      }
+      .btn:hover { background-color: #1557b0; }
+      .downloads { display: flex; gap: 8px; margin-bottom: 15px; }
+      .btn-download {
+        background: white;
+        color: #1a73e8;
+        border: 1px solid #1a73e8;
+        border-radius: 6px;
+        padding: 6px 12px;
+        font-weight: 600;
+        cursor: pointer;
+      }
+      .url-text {
+        font-size: 10px;
+        color: #999;
+        margin-top: 20px;
+        word-break: break-all;
+        text-align: center;
+      }
+      p { color: #5f6368; font-size: 14px; margin-bottom: 5px; text-align: center; }
+    </style>
+    <div class="container">
+      ${opts.caption ? `<p>${escapeHtml_(opts.caption)}</p>` : ''}
+
+      <div id="qr" class="qr-code">${svg}</div>
+
+      <div class="downloads">
+        <button class="btn-download" onclick="downloadQr('png')">Baixar PNG</button>
+        <button class="btn-download" onclick="downloadQr('svg')">Baixar SVG</button>
+      </div>
+
+      ${link ? `<a href="${escapeHtml_(link)}" target="_blank" class="btn" onclick="google.script.host.close()">ABRIR NO COMPUTADOR</a>
+      <div class="url-text">Link direto: ${escapeHtml_(link)}</div>` : ''}
+    </div>
+    <script>
+      function saveBlob(blob, name) {
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.style.display = 'none';
+        a.href = url;
+        a.download = name;
+        document.body.appendChild(a);
+        a.click();
+        setTimeout(function () { window.URL.revokeObjectURL(url); a.remove(); }, 500);
+      }
+
+      function downloadQr(format) {
+        const source = new XMLSerializer().serializeToString(document.querySelector('#qr svg'));
+        if (format === 'svg') {
+          saveBlob(new Blob([source], { type: 'image/svg+xml' }), '${fileName}.svg');
+          return;
+        }
+
+        // PNG: desenha o SVG em um canvas do mesmo tamanho
+        const img = new Image();
+        img.onload = function () {
+          const canvas = document.createElement('canvas');
+          canvas.width = ${size};
+          canvas.height = ${size};
+          const ctx = canvas.getContext('2d');
+          ctx.imageSmoothingEnabled = false;
+          ctx.drawImage(img, 0, 0, ${size}, ${size});
+          canvas.toBlob(function (blob) { saveBlob(blob, '${fileName}.png'); }, 'image/png');
+        };
+        img.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(source);
+      }
+    </script>
+  `;
+
+  const html = HtmlService.createHtmlOutput(htmlContent)
+    .setWidth(Math.max(400, size + 120))
+    .setHeight(Math.max(480, size + (link ? 300 : 180)))
+    .setTitle(opts.title || 'QR Code');
+
+  SpreadsheetApp.getUi().showModalDialog(html, opts.title || 'QR Code');
+}
+
+/**
+ * Exibe a folha de etiquetas QR das localidades (formato de shared/locationLabel.js).
+ * Ao ler uma etiqueta, o aplicativo seleciona a localidade em vez de registrar um bem.
+ * Chamada pelo menu da planilha.
+ */
+function printLocationLabels() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  const accessReason = userActionReason(readUserPermissions_(ss), UserAction.LABELS);
+  if (accessReason) {
+    ui.alert(accessReason);
+    return;
+  }
+
+  const names = readLocationNames_(ss);
+
+  if (names.length === 0) {
+    ui.alert("Nenhuma localidade cadastrada nas abas 'localidades' ou 'inventario'.");
+    return;
+  }
+
+  // QR gerado no próprio script (shared/qrCode.js); nível Q tolera etiquetas gastas
+  const labels = names.map(name => `
+      <div class="label">
+        ${qrCodeSvg(locationLabelText(name), { size: 130, margin: 2, errorCorrection: QrCodeErrorCorrection.QUARTILE })}
+        <div class="name">${escapeHtml_(name)}</div>
+      </div>`).join('');
+
+  const htmlContent = `
+    <style>
+      body { margin: 0; padding: 10px; font-family: 'Segoe UI', Roboto, sans-serif; }
+      .toolbar { display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px; }
+      .toolbar p { margin: 0; color: #5f6368; font-size: 13px; }
+      .btn { background-color: #1a73e8; color: white; border: 0; padding: 10px 18px; border-radius: 6px; font-weight: 600; cursor: pointer; }
+      .sheet { display: grid; grid-template-columns: repeat(3, 1fr); gap: 8px; }
+      .label { border: 1px dashed #999; padding: 8px; text-align: center; page-break-inside: avoid; break-inside: avoid; }
+      .label svg { display: block; margin: 0 auto; }
+      .name { margin-top: 4px; font-size: 14px; font-weight: 600; word-break: break-word; }
+      @media print {
+        .toolbar { display: none; }
+        body { padding: 0; }
+      }
+    </style>
+    <div class="toolbar">
+      <p>${names.length} etiqueta(s). Ao ler uma etiqueta, o leitor seleciona a localidade.</p>
+      <button class="btn" onclick="window.print()">IMPRIMIR</button>
+    </div>
+    <div class="sheet">${labels}</div>
+  `;
+
+  const html = HtmlService.createHtmlOutput(htmlContent)
+    .setWidth(720)
+    .setHeight(560)
+    .setTitle('Etiquetas das localidades');
+
+  ui.showModalDialog(html, '🏷️ Etiquetas das localidades');
+}
+
+/**
+ * Exibe a folha de reimpressão das etiquetas de tombamento pendentes (aba 'reimpressao_etiquetas').
+ * O código de barras (Code 128, shared/code128.js) é gerado no próprio script; o layout do papel
+ * (LABEL_LAYOUTS) e a primeira etiqueta livre da folha são escolhidos na janela.
+ * Chamada pelo menu da planilha.
+ */
+function printRelabelQueue() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  const accessReason = userActionReason(readUserPermissions_(ss), UserAction.LABELS);
+  if (accessReason) {
+    ui.alert(accessReason);
+    return;
+  }
+
+  const sheet = ss.getSheetByName(RELABEL_SHEET_NAME);
+  const lastRow = sheet ? sheet.getLastRow() : 0;
+
+  const pending = lastRow > 1
+    ? sheet.getRange(2, 1, lastRow - 1, RELABEL_HEADER.length).getValues()
+      .filter(row => row[0] && String(row[6]) === RelabelStatus.PENDING)
+    : [];
+
+  if (pending.length === 0) {
+    ui.alert('Nenhuma etiqueta pendente de reimpressão.');
+    return;
+  }
+
+  const labels = pending.map(row => ({
+    id: String(row[0]),
+    code: String(row[2]),
+    description: String(row[3]),
+    svg: code128Svg(String(row[2]), { width: '100%', height: 40 })
+  }));
+
+  // JSON embutido no <script>: '<' escapado para não fechar a tag
+  const json = value => JSON.stringify(value).replace(/</g, '\\u003c');
+  const options = Object.keys(LABEL_LAYOUTS)
+    .map(key => `<option value="${key}">${escapeHtml_(LABEL_LAYOUTS[key].name)}</option>`)
+    .join('');
+
+  const htmlContent = `
+    <style id="page-style"></style>
+    <style>
+      body { margin: 0; padding: 10px; font-family: 'Segoe UI', Roboto, sans-serif; background: #f1f3f4; }
+      .toolbar { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; margin-bottom: 10px; font-size: 13px; color: #5f6368; }
+      .toolbar select, .toolbar input { padding: 4px; }
+      .toolbar input { width: 50px; }
+      .btn { background-color: #1a73e8; color: white; border: 0; padding: 8px 14px; border-radius: 6px; font-weight: 600; cursor: pointer; }
+      .btn:disabled { background-color: #9aa0a6; cursor: default; }
+      .btn-outline { background: white; color: #1a73e8; border: 1px solid #1a73e8; }
+      #status { width: 100%; margin: 0; }
+      .page { position: relative; background: white; margin: 0 auto 10px auto; box-shadow: 0 1px 4px rgba(0,0,0,0.2); overflow: hidden; }
+      .label {
+        position: absolute;
+        box-sizing: border-box;
+        padding: 1.5mm 2mm;
+        display: flex;
+        flex-direction: column;
+        justify-content: center;
+        text-align: center;
+        outline: 1px dashed #ccc;
+        overflow: hidden;
+      }
+      .label svg { display: block; flex: 1; min-height: 0; }
+      .desc, .code { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+      .code { font-weight: 600; }
+      @media print {
+        .toolbar { display: none; }
+        body { padding: 0; background: white; }
+        .page { margin: 0; box-shadow: none; page-break-after: always; break-after: page; }
+        .label { outline: none; }
+      }
+    </style>
+    <div class="toolbar">
+      <select id="layout" onchange="render()">${options}</select>
+      <label>Começar na etiqueta <input id="start" type="number" min="1" value="1" onchange="render()"></label>
+      <button class="btn" onclick="window.print()">IMPRIMIR</button>
+      <button id="mark" class="btn btn-outline" onclick="markPrinted()">Marcar como impressas</button>
+      <p id="status">${pending.length} etiqueta(s) pendente(s).</p>
+    </div>
+    <div id="pages"></div>
+    <script>
+      const LAYOUTS = ${json(LABEL_LAYOUTS)};
+      const LABELS = ${json(labels)};
+
+      function render() {
+        const layout = LAYOUTS[document.getElementById('layout').value];
+        const perPage = layout.columns * layout.rows;
+        // Etiquetas já usadas no início da primeira folha
+        const start = Math.min(Math.max(parseInt(document.getElementById('start').value, 10) || 1, 1), perPage) - 1;
+        const fontSize = Math.min(3, layout.labelHeight * 0.1);
+
+        document.getElementById('page-style').textContent =
+          '@page { size: ' + layout.pageWidth + 'mm ' + layout.pageHeight + 'mm; margin: 0; }';
+
+        const container = document.getElementById('pages');
+        container.innerHTML = '';
+        let page = null;
+
+        for (let slot = 0; slot < start + LABELS.length; slot++) {
+          const position = slot % perPage;
+          if (position === 0) {
+            page = document.createElement('div');
+            page.className = 'page';
+            page.style.width = layout.pageWidth + 'mm';
+            page.style.height = layout.pageHeight + 'mm';
+            container.appendChild(page);
+          }
+          if (slot < start) continue;
+
+          const label = LABELS[slot - start];
+          const column = position % layout.columns;
+          const row = Math.floor(position / layout.columns);
+
+          const el = document.createElement('div');
+          el.className = 'label';
+          el.style.left = (layout.left + column * (layout.labelWidth + layout.hGap)) + 'mm';
+          el.style.top = (layout.top + row * (layout.labelHeight + layout.vGap)) + 'mm';
+          el.style.width = layout.labelWidth + 'mm';
+          el.style.height = layout.labelHeight + 'mm';
+          el.style.fontSize = fontSize + 'mm';
+
+          const desc = document.createElement('div');
+          desc.className = 'desc';
+          desc.textContent = label.description;
+
+          const code = document.createElement('div');
+          code.className = 'code';
+          code.textContent = label.code;
+
+          el.appendChild(desc);
+          el.insertAdjacentHTML('beforeend', label.svg);
+          el.appendChild(code);
+          page.appendChild(el);
+        }
+      }
+
+      function markPrinted() {
+        const button = document.getElementById('mark');
+        const status = document.getElementById('status');
+        button.disabled = true;
+        status.textContent = 'Gravando...';
+
+        google.script.run
+          .withSuccessHandler(function (result) {
+            status.textContent = result.printed + ' etiqueta(s) marcada(s) como impressa(s).';
+          })
+          .withFailureHandler(function (error) {
+            button.disabled = false;
+            status.textContent = 'Erro: ' + error.message;
+          })
+          .markRelabelPrinted(LABELS.map(function (label) { return label.id; }));
+      }
+
+      render();
+    </script>
+  `;
+
+  const html = HtmlService.createHtmlOutput(htmlContent)
+    .setWidth(900)
+    .setHeight(640)
+    .setTitle('Reimpressão de etiquetas');
+
+  ui.showModalDialog(html, '🏷️ Reimpressão de etiquetas');
+}
+
+/**
+ * Marca como impressos os pedidos pendentes de reimpressão de etiquetas
+ * (com a aba `usuarios`, exige o papel supervisor ou admin)
+ * @param {string[]} ids - IDs dos pedidos (coluna A da aba 'reimpressao_etiquetas')
+ * @return {{printed: number}} Quantidade de pedidos marcados
+ */
+function markRelabelPrinted(ids) {
+  const wanted = Array.isArray(ids) ? ids.map(String) : [];
+  if (wanted.length === 0) {
+    throw new Error('markRelabelPrinted: nenhum pedido informado.');
+  }
+  assertUserCan_(SpreadsheetApp.getActiveSpreadsheet(), UserAction.LABELS, 'markRelabelPrinted');
+
+  const lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+  } catch (e) {
+    throw new Error('Servidor ocupado. Tente novamente.');
+  }
+
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName(RELABEL_SHEET_NAME);
+    if (!sheet) {
+      throw new Error(`markRelabelPrinted: Aba '${RELABEL_SHEET_NAME}' não encontrada.`);
+    }
+
+    const lastRow = sheet.getLastRow();
+    const queue = lastRow > 1
+      ? sheet.getRange(2, 1, lastRow - 1, RELABEL_HEADER.length).getValues()
+      : [];
+    const user = getUserName();
+    const printedAt = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'dd/MM/yyyy HH:mm:ss');
+    let printed = 0;
+
+    queue.forEach((row, index) => {
+      if (wanted.indexOf(String(row[0])) === -1 || String(row[6]) !== RelabelStatus.PENDING) return;
+      sheet.getRange(index + 2, 7, 1, 4).setValues([[RelabelStatus.PRINTED, row[7], user, printedAt]]);
+      printed++;
+    });
+
+    return { printed: printed };
+
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * @typedef {Object} ReadingHistoryEntry
+ * @property {string} uid - Identificador da leitura
+ * @property {string} date - Data da gravação (dd/MM/yyyy HH:mm:ss)
+ * @property {string} user - Usuário que enviou a alteração
+ * @property {string} action - 'criação', 'alteração' ou 'cancelamento'
+ * @property {string} code - Tombamento
+ * @property {string} location - Localidade
+ * @property {Object|null} before - Valores anteriores (null na criação)
+ * @property {Object|null} after - Valores gravados
+ */
+
+/**
+ * Retorna o histórico de alterações de uma leitura (uid) ou de um tombamento
+ * @param {string|Object} query - uid/tombamento, ou objeto { uid } / { code }
+ * @return {ReadingHistoryEntry[]} Entradas em ordem cronológica
+ */
+function getReadingHistory(query) {
+  const isQueryObject = query !== null && typeof query === 'object';
+  const uid = isQueryObject ? String(query.uid ?? '').trim() : String(query ?? '').trim();
+  const code = isQueryObject ? String(query.code ?? '').trim() : uid;
+
+  if (!uid && !code) {
+    throw new Error("getReadingHistory: uid ou tombamento não fornecido.");
+  }
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(HISTORY_SHEET_NAME);
+  if (!sheet) return [];
+
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) return [];
+
+  const parseJson = (value) => {
+    if (!value) return null;
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return null;
+    }
+  };
+
+  const data = sheet.getRange(2, 1, lastRow - 1, HISTORY_HEADER.length).getValues();
+  const result = [];
+
+  for (let i = 0; i < data.length; i++) {
+    const row = data[i];
+    const rowUid = String(row[0]);
+    const rowCode = String(row[4]);
+
+    if ((uid && rowUid === uid) || (code && rowCode === code)) {
+      result.push({
+        uid: rowUid,
+        date: formatCellDate_(row[1]),
+        user: String(row[2]),
+        action: String(row[3]),
+        code: rowCode,
+        location: String(row[5]),
+        before: parseJson(row[6]),
+        after: parseJson(row[7])
+      });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Retorna a pasta do Drive onde as fotos são gravadas.
+ * Usa a chave `photos_folder_id` da aba `app_config`; sem ela, cria (uma única vez)
+ * a pasta "Fotos - <nome da planilha>" ao lado da planilha.
+ * @param {Spreadsheet} ss - Planilha ativa
+ * @return {Folder} Pasta das fotos
+ */
+function getPhotosFolder_(ss) {
+  const configuredId = String(readAppConfig_(ss).photos_folder_id || '').trim();
+  if (configuredId) {
+    return DriveApp.getFolderById(configuredId);
+  }
+
+  const properties = PropertiesService.getScriptProperties();
+  const propertyKey = 'PHOTOS_FOLDER_' + ss.getId();
+  const savedId = properties.getProperty(propertyKey);
+  if (savedId) {
+    try {
+      return DriveApp.getFolderById(savedId);
+    } catch (e) {
+      Logger.log(`getPhotosFolder_: pasta ${savedId} inacessível, criando outra - ${e.message}`);
+    }
+  }
+
+  const parents = DriveApp.getFileById(ss.getId()).getParents();
+  const parent = parents.hasNext() ? parents.next() : DriveApp.getRootFolder();
+  const folder = parent.createFolder('Fotos - ' + ss.getName());
+  properties.setProperty(propertyKey, folder.getId());
+  return folder;
+}
+
+/**
+ * @typedef {Object} SavePhotoResponse
+ * @property {string} photoId - Identificador da foto gerado no dispositivo
+ * @property {string} fileId - ID do arquivo no Drive
+ * @property {string} url - Link do arquivo (gravado na coluna `fotos` da leitura)
+ */
+
+/**
+ * Grava uma foto de uma leitura no Drive e adiciona o link na coluna `fotos` da aba 'leituras'.
+ * A leitura precisa ter sido sincronizada antes (o dispositivo só envia fotos de
+ * leituras já gravadas). Reenvios da mesma foto reutilizam o arquivo existente.
+ * @param {Object} payload - Dados da foto
+ * @param {string} payload.uid - UID da leitura
+ * @param {string} payload.photoId - Identificador da foto (único por leitura)
+ * @param {string} payload.mimeType - Tipo da imagem (image/jpeg, image/png ou image/webp)
+ * @param {string} payload.data - Conteúdo da imagem em base64 (sem o prefixo data:)
+ * @return {SavePhotoResponse} Dados do arquivo gravado
+ */
+function savePhoto(payload) {
+  if (!payload || !payload.uid || !payload.photoId || !payload.data) {
+    throw new Error("savePhoto: uid, photoId e data são obrigatórios.");
+  }
+
+  const extension = PHOTO_EXTENSIONS[payload.mimeType];
+  if (!extension) {
+    throw new Error(`savePhoto: tipo de imagem não suportado (${payload.mimeType}).`);
+  }
+
+  const bytes = Utilities.base64Decode(String(payload.data));
+  if (bytes.length > PHOTO_MAX_BYTES) {
+    throw new Error("savePhoto: foto maior que o limite permitido.");
+  }
+
+  const lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+  } catch (e) {
+    throw new Error('Servidor ocupado. Tente novamente.');
+  }
+
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName("leituras");
+    if (!sheet) {
+      throw new Error('Aba "leituras" não encontrada.');
+    }
+
+    const uid = String(payload.uid);
+    const columns = readingSheetColumns_(sheet);
+    const lastRow = sheet.getLastRow();
+    const uids = lastRow > 1 ? sheet.getRange(2, columns.uid, lastRow - 1, 1).getValues() : [];
+    const index = uids.findIndex(row => String(row[0]) === uid);
+    if (index === -1) {
+      throw new Error(`savePhoto: leitura ${uid} não encontrada.`);
+    }
+    const row = index + 2;
+
+    // Fotos seguem a permissão da localidade da leitura (aba usuarios)
+    const accessReason = userLocationReason(readUserPermissions_(ss), UserAction.READINGS, sheet.getRange(row, columns.localidade).getValue());
+    if (accessReason) {
+      throw new Error(`savePhoto: ${accessReason}`);
+    }
+
+    // Nome determinístico: um reenvio (ex.: timeout no cliente) não duplica o arquivo
+    const folder = getPhotosFolder_(ss);
+    const fileName = `${uid}_${payload.photoId}.${extension}`;
+    const existing = folder.getFilesByName(fileName);
+    const file = existing.hasNext()
+      ? existing.next()
+      : folder.createFile(Utilities.newBlob(bytes, payload.mimeType, fileName));
+
+    const url = file.getUrl();
+    const cell = sheet.getRange(row, columns.fotos);
+    const links = String(cell.getValue() || '').split('\n').filter(link => link !== '');
+    if (links.indexOf(url) === -1) {
+      links.push(url);
+      cell.setValue(links.join('\n'));
+    }
+
+    return { photoId: String(payload.photoId), fileId: file.getId(), url: url };
+
+  } catch (error) {
+    Logger.log("Erro ao salvar foto:", error);
+    throw new Error("Falha ao salvar foto: " + error.message);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Salva uma mensagem na aba 'observacoes'
+ * @param {Object} payload - Objeto contendo dados da mensagem
+ * @param {string} payload.uid - Identificador único
+ * @param {string} payload.location - Localidade
+ * @param {string} payload.message - Mensagem a ser salva
+ * @return {string} O UID da mensagem salva
+ * @throws {Error} Quando o usuário não pode enviar observações da localidade (aba usuarios)
+ */
+function saveMessage(payload) {
+  const lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+  } catch (e) {
+    throw new Error('Servidor ocupado. Tente novamente.');
+  }
+
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    let sheet = ss.getSheetByName("observacoes");
+
+    // Early return com array vazio se a aba não existir
+    if (!sheet) {
+      throw new Error("saveMessage: Aba 'observacoes' não encontrada.");
+    }
+
+    // Papel e localidade do usuário (aba usuarios)
+    const accessReason = userLocationReason(readUserPermissions_(ss), UserAction.MESSAGES, payload.location);
+    if (accessReason) {
+      throw new Error(`saveMessage: ${accessReason}`);
+    }
+
+    const now = new Date();
+    const formattedDate = Utilities.formatDate(
+      now,
+      Session.getScriptTimeZone(),
+      'dd/MM/yyyy HH:mm:ss'
+    );
+    const aferidor = getUserName();
+
+
+    // Preparação dos dados
+    const uuid = payload.uid;
+    const localidade = payload.location;
+    const mensagem = payload.message;
+
+    // Inserção na planilha (A:E)
+    sheet.appendRow([
+      uuid,           // Coluna A
+      formattedDate,  // Coluna B
+      localidade,     // Coluna C
+      aferidor,       // Coluna D
+      mensagem        // Coluna E
+    ]);
+
+    // Retorna o UID para o frontend confirmar o sucesso
+    return uuid;
+
+  } catch (error) {
+    Logger.log("Erro ao salvar mensagem:", error);
+    throw new Error("Falha ao salvar observação: " + error.message);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+
+/**
+ * Tombamentos com ao menos uma leitura não cancelada na campanha
+ * @param {Sheet} sheet - Aba "leituras"
+ * @param {string} campaign - Identificador da campanha
+ * @return {Set<string>} Tombamentos encontrados (chaves de readingCodeKey)
+ */
+function readCampaignFoundCodes_(sheet, campaign) {
+  const found = new Set();
+  const columns = readingSheetColumns_(sheet);
+  const campaignCol = columns[READING_CAMPAIGN_COLUMN];
+  const lastRow = sheet.getLastRow();
+  if (!campaignCol || lastRow < 2) return found;
+
+  sheet.getRange(2, 1, lastRow - 1, readingSheetWidth_(sheet)).getValues().forEach(row => {
+    if (row[columns.cancelado_em - 1] !== '' || campaignId(row[campaignCol - 1]) !== campaign) return;
+    const code = readingCodeKey(row[columns.tombamento - 1]);
+    if (code !== '') found.add(code);
+  });
+
+  return found;
+}
+
+/**
+ * Linhas no formato da aba 'localidades' (A: localidade, B: total, C: encontrados,
+ * D: faltantes) calculadas a partir do inventário e dos tombamentos encontrados
+ * @param {Spreadsheet} ss - Planilha ativa
+ * @param {Set<string>} found - Tombamentos encontrados (readCampaignFoundCodes_)
+ * @return {Array<Array>}
+ */
+function campaignLocationRows_(ss, found) {
+  const inventory = readInventorySheet_(ss, { keys: ['localidade', 'tombamento'] });
+  const totals = {};
+
+  (inventory ? inventory.rows : []).forEach(row => {
+    const location = String(row.localidade).trim();
+    const code = readingCodeKey(row.tombamento);
+    if (!location || code === '') return;
+
+    totals[location] = totals[location] || { total: 0, found: 0 };
+    totals[location].total++;
+    if (found.has(code)) totals[location].found++;
+  });
+
+  return Object.keys(totals).map(name => [name, totals[name].total, totals[name].found, totals[name].total - totals[name].found]);
+}
+
+/**
+ * Obtém itens não encontrados filtrados por localidade
+ *
+ * Com campanhas cadastradas e `campaign` informado, a lista é calculada a partir do
+ * inventário e das leituras da campanha (a aba nao_encontrados_geral considera todas).
+ * @param {string|Object} targetLocation Nome da localidade (formato antigo) ou { location, campaign }
+ * @return {Array<Array<string>>} Lista de [Tombamento, Descrição]
+ */
+function getNotFoundItens(targetLocation) {
+  const isRequestObject = targetLocation !== null && typeof targetLocation === 'object';
+  const location = isRequestObject ? targetLocation.location : targetLocation;
+
+  // 1. Validação de Entrada (Parâmetro Obrigatório)
+  if (!location) {
+    throw new Error("getNotFoundItens: targetLocation não fornecido.");
+  }
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  const campaign = isRequestObject && readCampaigns_(ss).length > 0 ? campaignId(targetLocation.campaign) : '';
+  if (campaign) {
+    const sheetDados = ss.getSheetByName('leituras');
+    if (!sheetDados) {
+      throw new Error("getNotFoundItens: Aba 'leituras' não encontrada.");
+    }
+
+    const found = readCampaignFoundCodes_(sheetDados, campaign);
+    const inventory = readInventorySheet_(ss, { keys: ['localidade', 'tombamento', 'especificacao'] });
+    const targetName = String(location).trim();
+
+    const result = [];
+    (inventory ? inventory.rows : []).forEach(row => {
+      const code = String(row.tombamento).trim();
+      if (String(row.localidade).trim() !== targetName || code === '' || found.has(readingCodeKey(code))) return;
+      result.push([code, String(row.especificacao || "").trim().substring(0, 100)]);
+    });
+    return result;
+  }
+
+  const sheet = ss.getSheetByName('nao_encontrados_geral');
+
+  if (!sheet) {
+    throw new Error("getNotFoundItens: aba nao_encontrados_geral não encontrada");
+  }
+
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 3) return [];
+
+  // 2. Otimização de I/O: Leitura em lote
+  // Inicia na linha 3, coluna 1, pega (lastRow - 2) linhas e 3 colunas (A, B, C)
+  const data = sheet.getRange(3, 1, lastRow - 2, 3).getValues();
+
+  // 3. Normalização fora do loop (Evita repetir trim() milhares de vezes)
+  const target = String(location).trim();
+  const result = [];
+
+  // 4. Otimização de Processamento (Single Pass Loop)
+  // Usar for tradicional é mais rápido que filter/map no Apps Script
+  for (let i = 0; i < data.length; i++) {
+    const row = data[i];
+
+    // Compara Localidade (Coluna A -> índice 0)
+    if (String(row[0]).trim() === target) {
+      // Adiciona direto [Tombamento, Descrição] (Colunas B e C -> índices 1 e 2)
+      const specName = String(row[2] || "").trim().substring(0, 100);
+      result.push([row[1], specName]);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Localidade e campanha de um pedido de conclusão/reabertura
+ * @param {Spreadsheet} ss - Planilha ativa
+ * @param {Object} request - { location, campaign }
+ * @param {string} caller - Nome da função (prefixo da mensagem de erro)
+ * @return {{location: string, campaign: string}} Campanha '' sem campanhas cadastradas
+ * @throws {Error} Sem localidade ou com campanha desconhecida/encerrada
+ */
+function locationClosureRequest_(ss, request, caller) {
+  const location = request && request.location ? String(request.location).trim() : '';
+  if (!location) {
+    throw new Error(`${caller}: localidade não informada.`);
+  }
+
+  const campaigns = readCampaigns_(ss);
+  const campaign = campaigns.length > 0 ? campaignId(request.campaign) : '';
+  const campaignReason = campaignReadingReason(campaigns, campaign);
+  if (campaignReason) {
+    throw new Error(`${caller}: ${campaignReason}`);
+  }
+
+  return { location: location, campaign: campaign };
+}
+
+/**
+ * Lê a aba `conclusoes_localidades` (opcional)
+ * @param {Spreadsheet} ss - Planilha ativa
+ * @param {string} campaign - Campanha ('' sem campanhas cadastradas)
+ * @return {LocationClosure[]} Localidades concluídas na campanha ([] sem a aba)
+ */
+function readLocationClosures_(ss, campaign) {
+  const sheet = ss.getSheetByName(LOCATION_CLOSURE_SHEET_NAME);
+  const lastRow = sheet ? sheet.getLastRow() : 0;
+  const rows = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, LOCATION_CLOSURE_HEADER.length).getValues() : [];
+  return parseLocationClosures(rows, campaign);
+}
+
+/**
+ * Contagens atuais de uma localidade (encontrados, faltantes e divergentes)
+ * @param {Spreadsheet} ss - Planilha ativa
+ * @param {string} location - Localidade
+ * @param {string} campaign - Campanha ('' considera todas as leituras)
+ * @return {LocationClosureCounts}
+ */
+function readLocationCounts_(ss, location, campaign) {
+  const sheetDados = ss.getSheetByName('leituras');
+  if (!sheetDados) {
+    throw new Error("readLocationCounts_: Aba 'leituras' não encontrada.");
+  }
+
+  const inventory = readInventorySheet_(ss, { keys: ['localidade', 'tombamento'] });
+  const assets = (inventory ? inventory.rows : []).map(row => ({ location: row.localidade, code: row.tombamento }));
+
+  const readings = [];
+  const columns = readingSheetColumns_(sheetDados);
+  const campaignCol = campaign ? columns[READING_CAMPAIGN_COLUMN] || 0 : 0;
+  const lastRow = sheetDados.getLastRow();
+  if (lastRow > 1 && (!campaign || campaignCol)) {
+    sheetDados.getRange(2, 1, lastRow - 1, readingSheetWidth_(sheetDados)).getValues().forEach(row => {
+      if (row[columns.cancelado_em - 1] !== '') return;
+      if (campaign && campaignId(row[campaignCol - 1]) !== campaign) return;
+      readings.push({ location: row[columns.localidade - 1], code: row[columns.tombamento - 1] });
+    });
+  }
+
+  return locationClosureCounts(location, assets, readings);
+}
+
+/**
+ * Situação de uma localidade para a conclusão: contagens atuais e conclusão registrada
+ * @param {Object} request - Pedido
+ * @param {string} request.location - Localidade
+ * @param {string} [request.campaign] - Campanha ativa no app
+ * @return {{location: string, campaign: string, total: number, found: number, missing: number,
+ * divergent: number, closure: LocationClosure|null}}
+ */
+function getLocationStatus(request) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const target = locationClosureRequest_(ss, request, 'getLocationStatus');
+  const counts = readLocationCounts_(ss, target.location, target.campaign);
+
+  return {
+    location: target.location,
+    campaign: target.campaign,
+    total: counts.total,
+    found: counts.found,
+    missing: counts.missing,
+    divergent: counts.divergent,
+    closure: findLocationClosure(readLocationClosures_(ss, target.campaign), target.location)
+  };
+}
+
+/**
+ * Acrescenta um evento na aba `conclusoes_localidades`, criando-a se necessário
+ * @param {Spreadsheet} ss - Planilha ativa
+ * @param {Array} row - Linha no formato de LOCATION_CLOSURE_HEADER
+ */
+function appendLocationClosureRow_(ss, row) {
+  let sheet = ss.getSheetByName(LOCATION_CLOSURE_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(LOCATION_CLOSURE_SHEET_NAME);
+    sheet.getRange(1, 1, 1, LOCATION_CLOSURE_HEADER.length).setValues([LOCATION_CLOSURE_HEADER]);
+    sheet.setFrozenRows(1);
+  }
+
+  sheet.getRange(sheet.getLastRow() + 1, 1, 1, LOCATION_CLOSURE_HEADER.length).setValues([row]);
+}
+
+/**
+ * Conclui uma localidade: registra o responsável e as contagens do momento na aba
+ * `conclusoes_localidades`. O app e o saveCodeBatch deixam de aceitar leituras,
+ * alterações e cancelamentos na localidade até que um supervisor a reabra (reopenLocation).
+ *
+ * As contagens são recalculadas aqui (não vêm do app). Leituras feitas offline antes
+ * da conclusão e enviadas depois dela também são recusadas pelo saveCodeBatch.
+ * @param {Object} request - Pedido
+ * @param {string} request.location - Localidade
+ * @param {string} [request.campaign] - Campanha ativa no app
+ * @param {string} request.responsible - Nome do responsável pela localidade
+ * @param {boolean} request.confirmed - Confirmação do responsável (deve ser true)
+ * @return {LocationClosure} Conclusão registrada
+ */
+function closeLocation(request) {
+  const responsible = request && request.responsible ? String(request.responsible).trim() : '';
+  if (!responsible) {
+    throw new Error('closeLocation: informe o nome do responsável.');
+  }
+  if (responsible.length > LOCATION_CLOSURE_TEXT_MAX) {
+    throw new Error(`closeLocation: nome do responsável maior que ${LOCATION_CLOSURE_TEXT_MAX} caracteres.`);
+  }
+  if (request.confirmed !== true) {
+    throw new Error('closeLocation: conclusão não confirmada pelo responsável.');
+  }
+
+  const lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+  } catch (e) {
+    throw new Error('Servidor ocupado. Tente novamente.');
+  }
+
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const target = locationClosureRequest_(ss, request, 'closeLocation');
+
+    // Papel e localidade do usuário (aba usuarios)
+    const accessReason = userLocationReason(readUserPermissions_(ss), UserAction.READINGS, target.location);
+    if (accessReason) {
+      throw new Error(`closeLocation: ${accessReason}`);
+    }
+
+    const closureReason = locationClosureReason(readLocationClosures_(ss, target.campaign), LocationClosureAction.CLOSED, target.location);
+    if (closureReason) {
+      throw new Error(`closeLocation: ${closureReason}`);
+    }
+
+    const counts = readLocationCounts_(ss, target.location, target.campaign);
+    const closedAt = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'dd/MM/yyyy HH:mm:ss');
+    const user = getUserName();
+
+    appendLocationClosureRow_(ss, [
+      Utilities.getUuid(), closedAt, target.location, target.campaign, LocationClosureAction.CLOSED,
+      responsible, user, counts.found, counts.missing, counts.divergent, ''
+    ]);
+
+    return {
+      location: target.location,
+      campaign: target.campaign,
+      closedAt: closedAt,
+      responsible: responsible,
+      user: user,
+      found: counts.found,
+      missing: counts.missing,
+      divergent: counts.divergent
+    };
+  } finally {
+    lock.releaseLock();
+  }
+}
 
 /**
- * Lê as configurações da aba 'app_config' e retorna um objeto chave-valor
+ * Reabre uma localidade concluída (supervisores e administradores, nas suas localidades)
+ * @param {Object} request - Pedido
+ * @param {string} request.location - Localidade
+ * @param {string} [request.campaign] - Campanha ativa no app
+ * @param {string} request.reason - Motivo da reabertura
+ * @return {{location: string, campaign: string}} Localidade reaberta
+ */
+function reopenLocation(request) {
+  const reason = request && request.reason ? String(request.reason).trim() : '';
+  if (!reason) {
+    throw new Error('reopenLocation: informe o motivo da reabertura.');
+  }
+  if (reason.length > LOCATION_CLOSURE_TEXT_MAX) {
+    throw new Error(`reopenLocation: motivo maior que ${LOCATION_CLOSURE_TEXT_MAX} caracteres.`);
+  }
+
+  const lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+  } catch (e) {
+    throw new Error('Servidor ocupado. Tente novamente.');
+  }
+
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const target = locationClosureRequest_(ss, request, 'reopenLocation');
+
+    const accessReason = userLocationReason(readUserPermissions_(ss), UserAction.REOPEN_LOCATIONS, target.location);
+    if (accessReason) {
+      throw new Error(`reopenLocation: ${accessReason}`);
+    }
+
+    const closures = readLocationClosures_(ss, target.campaign);
+    const closureReason = locationClosureReason(closures, LocationClosureAction.REOPENED, target.location);
+    if (closureReason) {
+      throw new Error(`reopenLocation: ${closureReason}`);
+    }
+
+    // Mantém as contagens da conclusão para o registro ficar completo
+    const closure = findLocationClosure(closures, target.location);
+    appendLocationClosureRow_(ss, [
+      Utilities.getUuid(),
+      Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'dd/MM/yyyy HH:mm:ss'),
+      target.location, target.campaign, LocationClosureAction.REOPENED,
+      closure.responsible, getUserName(), closure.found, closure.missing, closure.divergent, reason
+    ]);
+
+    return { location: target.location, campaign: target.campaign };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Lê as configurações da aba 'app_config' e retorna um objeto chave-valor, com os
+ * campos do formulário, as campanhas e as permissões do usuário ativo
  * @return {Object} Objeto contendo todas as configurações
  */
 function getAppSettings() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const settings = readAppConfig_(ss);
+
+  // Campos do formulário de edição (aba campos_leitura), já interpretados
+  settings.reading_fields = readReadingFields_(ss, parseReadingRules(settings.reading_validation_rules));
+  // Campanhas da aba campanhas (seletor de campanha do app)
+  settings.campaigns = readCampaigns_(ss);
+  // Papel e localidades do usuário ativo (aba usuarios): o app oculta o que ele não pode usar
+  settings.user_permissions = readUserPermissions_(ss);
+
+  return settings;
+}
+
+/**
+ * Chaves da aba 'app_config' (sem as demais abas de configuração lidas pelo getAppSettings)
+ * @param {Spreadsheet} ss - Planilha ativa
+ * @return {Object} Objeto { chave: valor }
+ */
+function readAppConfig_(ss) {
   const sheet = ss.getSheetByName('app_config');
 
   // Objeto de retorno padrão caso a aba não exista
@@ -549,6 +2524,6 @@ function getAppSettings() {
       }
     }
   }
-  Logger.log(settings);
+
   return settings;
 }
\ No newline at end of file
@@ -75,6 +75,27 @@ function getHtmlContent() {
     }
 }
 
+/**
+ * Copia os módulos de shared/ para a pasta dist como scripts do Apps Script.
+ * O GAS não entende import/export: as declarações exportadas viram globais.
+ * @param {string} sharedDir - Pasta dos módulos compartilhados
+ * @param {string} distDir - Pasta de saída
+ */
+function copySharedModules(sharedDir, distDir) {
+    if (!fs.existsSync(sharedDir)) return;
+
+    fs.readdirSync(sharedDir)
+        .filter(file => file.endsWith('.js'))
+        .forEach(file => {
+            const source = fs.readFileSync(path.join(sharedDir, file), 'utf8');
+            if (/^\s*import\s/m.test(source)) {
+                throw new Error(`shared/${file} não pode conter import (não suportado pelo Apps Script).`);
+            }
+            const gasSource = source.replace(/^export\s+(?=(const|let|function|class)\b)/gm, '');
+            fs.writeFileSync(path.join(distDir, file), gasSource);
+        });
+}
+
 function setupClaspJson() {
     const template = fs.readFileSync('.clasp.json.template', 'utf8');
     // Substitui a variável do template pela variável do seu arquivo .env
@@ -180,6 +201,9 @@ async function deploy() {
             }
         });
 
+        // 3.1 Copiar módulos compartilhados (frontend/backend) convertidos para script GAS
+        copySharedModules('./shared', distDir);
+
         // generateBuildFile();
         
         console.log("✅ Arquivos backend copiados para dist/");
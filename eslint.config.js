@@ -21,6 +21,7 @@ export default [
         __IS_PROD__: "readonly",
         __IS_HOMOLOG__: "readonly",
         __IS_DEV__: "readonly",
+        __IS_STANDALONE__: "readonly",
       },
     },
     rules: {
@@ -1,6 +1,6 @@
 /**
  * MÓDULO: AppModal
- * Substituto moderno e assíncrono para o window.confirm/alert.
+ * Substituto moderno e assíncrono para o window.confirm/alert/prompt.
  * Padrão Singleton para evitar múltiplas instâncias.
  * 
  * @namespace AppModal
@@ -13,6 +13,7 @@
  * @property {HTMLDivElement} overlay - Elemento overlay do modal
  * @property {HTMLDivElement} title - Elemento do título
  * @property {HTMLDivElement} body - Elemento do corpo da mensagem
+ * @property {HTMLTextAreaElement} input - Campo de texto (usado apenas pelo prompt)
  * @property {HTMLButtonElement} btnConfirm - Botão de confirmação
  * @property {HTMLButtonElement} btnCancel - Botão de cancelamento
  */
@@ -51,6 +52,7 @@ export const AppModal = {
             <div class="app-modal-box">
                 <div class="app-modal-title"></div>
                 <div class="app-modal-body"></div>
+                <textarea class="app-modal-input" rows="3"></textarea>
                 <div class="app-modal-actions">
                     <button class="app-btn app-btn-cancel">Cancelar</button>
                     <button class="app-btn app-btn-confirm">Confirmar</button>
@@ -64,11 +66,24 @@ export const AppModal = {
             overlay: overlay,
             title: overlay.querySelector('.app-modal-title'),
             body: overlay.querySelector('.app-modal-body'),
+            input: overlay.querySelector('.app-modal-input'),
             btnConfirm: overlay.querySelector('.app-btn-confirm'),
             btnCancel: overlay.querySelector('.app-btn-cancel')
         };
     },
 
+    /**
+     * Restaura o estado padrão (sem campo de texto e com os rótulos padrão)
+     * @private
+     */
+    _reset() {
+        this.elements.input.style.display = 'none';
+        this.elements.input.value = '';
+        this.elements.btnConfirm.disabled = false;
+        this.elements.btnConfirm.textContent = 'Confirmar';
+        this.elements.btnCancel.textContent = 'Cancelar';
+    },
+
     /**
      * Exibe um modal de confirmação customizado.
      * Substitui o window.confirm() nativo com interface mais amigável.
@@ -99,6 +114,7 @@ export const AppModal = {
             }
 
             this._init();
+            this._reset();
 
             // Configura conteúdo
             this.elements.title.textContent = title;
@@ -141,5 +157,99 @@ export const AppModal = {
             this.isVisible = true;
             this.elements.overlay.classList.add('active');
         });
+    },
+
+    /**
+     * Exibe um modal com campo de texto.
+     * Substitui o window.prompt() nativo.
+     *
+     * @param {string} title - Título do modal (pode conter emojis)
+     * @param {string} message - Mensagem do modal (suporta \n para quebra de linha)
+     * @param {Object} [options] - Opções do campo
+     * @param {string} [options.placeholder] - Texto de exemplo do campo
+     * @param {number} [options.maxLength=500] - Tamanho máximo do texto
+     * @param {boolean} [options.required=false] - Exige texto para habilitar a confirmação
+     * @param {string} [options.confirmLabel='Confirmar'] - Rótulo do botão de confirmação
+     * @param {string} [options.cancelLabel='Cancelar'] - Rótulo do botão de cancelamento
+     * @returns {Promise<string|null>} Texto informado (sem espaços nas pontas) ou null se cancelado
+     *
+     * @example
+     * const motivo = await AppModal.prompt("Justificativa", "Informe o motivo:", { required: true });
+     * if (motivo !== null) {
+     *     // Texto confirmado
+     * }
+     */
+    prompt(title, message, options = {}) {
+        return new Promise((resolve) => {
+            // Proteção contra duplicação
+            if (this.isVisible) {
+                console.warn("AppModal: Tentativa de abrir modal duplicado ignorada.");
+                return resolve(null);
+            }
+
+            this._init();
+            this._reset();
+
+            const { input, btnConfirm, btnCancel } = this.elements;
+
+            // Configura conteúdo
+            this.elements.title.textContent = title;
+            this.elements.body.textContent = message;
+            input.style.display = 'block';
+            input.placeholder = options.placeholder || '';
+            input.maxLength = options.maxLength || 500;
+            btnConfirm.textContent = options.confirmLabel || 'Confirmar';
+            btnCancel.textContent = options.cancelLabel || 'Cancelar';
+
+            /**
+             * Habilita a confirmação apenas com texto quando obrigatório
+             * @private
+             */
+            const onInput = () => {
+                btnConfirm.disabled = options.required === true && input.value.trim() === '';
+            };
+
+            /**
+             * Realiza a limpeza dos event listeners e estado do modal
+             * @private
+             */
+            const cleanup = () => {
+                this.isVisible = false;
+                this.elements.overlay.classList.remove('active');
+                btnConfirm.removeEventListener('click', onConfirm);
+                btnCancel.removeEventListener('click', onCancel);
+                input.removeEventListener('input', onInput);
+            };
+
+            /**
+             * Handler para confirmação
+             * @private
+             */
+            const onConfirm = () => {
+                const value = input.value.trim();
+                cleanup();
+                resolve(value);
+            };
+
+            /**
+             * Handler para cancelamento
+             * @private
+             */
+            const onCancel = () => {
+                cleanup();
+                resolve(null);
+            };
+
+            // Ativa eventos
+            btnConfirm.addEventListener('click', onConfirm);
+            btnCancel.addEventListener('click', onCancel);
+            input.addEventListener('input', onInput);
+            onInput();
+
+            // Exibe o modal
+            this.isVisible = true;
+            this.elements.overlay.classList.add('active');
+            input.focus();
+        });
     }
 };
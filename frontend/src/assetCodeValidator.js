@@ -0,0 +1,56 @@
+/**
+ * @fileoverview AssetCodeValidator - Validação de tombamentos no dispositivo
+ *
+ * Mantém as regras de validação recebidas em `getAppSettings` e aplica a mesma
+ * normalização usada pelo backend em `saveCodeBatch` (módulo compartilhado
+ * `shared/assetCode.js`), garantindo que um código aceito aqui também seja
+ * aceito no servidor.
+ *
+ * @module AssetCodeValidator
+ * @version 1.0.0
+ * @author Tiago Possato
+ */
+
+import { parseAssetCodeRules, validateAssetCode, ASSET_CODE_DEFAULT_RULES } from '../../shared/assetCode.js';
+
+/**
+ * Classe principal do módulo AssetCodeValidator
+ * @class
+ * @public
+ */
+function AssetCodeValidator() {
+    /**
+     * Regras atualmente em uso
+     * @type {Object}
+     * @private
+     */
+    this.rules = ASSET_CODE_DEFAULT_RULES;
+
+    this.validate = this.validate.bind(this);
+}
+
+/**
+ * Define as regras a partir do valor de `code_validation_rules` em app_config
+ * @param {string|Object|null|undefined} rawRules - JSON ou objeto de regras
+ * @public
+ */
+AssetCodeValidator.prototype.setRules = function (rawRules) {
+    this.rules = parseAssetCodeRules(rawRules);
+    console.info('AssetCodeValidator: Regras de tombamento carregadas', this.rules.rules.map(function (r) { return r.name; }));
+};
+
+/**
+ * Normaliza e valida um código lido
+ * @param {string|number} rawValue - Valor cru lido pelo scanner/input
+ * @returns {{valid: boolean, code: string, rule: string|null, reason: (string|undefined)}} Resultado com o código normalizado
+ * @public
+ */
+AssetCodeValidator.prototype.validate = function (rawValue) {
+    return validateAssetCode(rawValue, this.rules);
+};
+
+/**
+ * Instância singleton do AssetCodeValidator
+ * @type {AssetCodeValidator}
+ */
+export const assetCodeValidator = new AssetCodeValidator();
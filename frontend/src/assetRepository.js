@@ -1,13 +1,24 @@
 /**
  * @fileoverview AssetRepository - Gerenciamento de Dados Locais (ES2015 Prototype Version)
- * Responsável exclusivamente pelo CRUD e persistência no LocalStorage.
+ * Responsável exclusivamente pelo CRUD e persistência no IndexedDB.
+ * Mantém uma cópia em memória para as consultas síncronas e grava no banco
+ * apenas os itens alterados. Caso o IndexedDB não esteja disponível, recorre
+ * ao LocalStorage (formato legado).
  * @module AssetRepository
  */
 
+import { localDatabase, Stores } from './localDatabase.js';
+import { readingFieldSchema } from './readingFieldSchema.js';
+import { campaignId } from '../../shared/campaigns.js';
+import { readingCodeKey } from '../../shared/readingRules.js';
+import { ASSET_CODE_NUMERIC_REASON } from '../../shared/assetCode.js';
+
 // Constantes de escopo do módulo
-const STORAGE_KEY = 'BARCODE_APP_DATA_V1';
+const LEGACY_STORAGE_KEY = 'BARCODE_APP_DATA_V1';
 const VERSION_KEY = 'BARCODE_APP_VERSION';
 const SAVE_DEBOUNCE_MS = 400;
+const KEEP_SYNCED_ON_STORAGE_FULL = 100;
+const MAX_PHOTOS_PER_ITEM = 5;
 
 /**
  * Enumeração dos status possíveis para os ativos
@@ -22,41 +33,230 @@ export const AssetStatus = Object.freeze({
   /** @description Sincronizado com sucesso */
   SYNCED: 'synced',
   /** @description Falha na sincronização */
-  FAILED: 'failed'
+  FAILED: 'failed',
+  /** @description Recusado pelo servidor (terminal; motivo em `rejectReason`) */
+  REJECTED: 'rejected'
 });
 
+/**
+ * Indica se o item tem fotos que ainda não chegaram ao servidor
+ * @param {Object} item - Item do repositório
+ * @returns {boolean}
+ */
+function hasUnsentPhotos(item) {
+  return Array.isArray(item.photos) && item.photos.some(function (photo) {
+    return photo.status !== AssetStatus.SYNCED;
+  });
+}
+
+/**
+ * @typedef {Object} ImportReport
+ * @property {number} added - Leituras novas neste dispositivo
+ * @property {number} updated - Leituras existentes substituídas por uma versão mais recente
+ * @property {number} skipped - Leituras ignoradas (já existentes e iguais ou mais novas aqui)
+ * @property {number} requeued - Leituras importadas que voltaram para a fila de sincronização
+ * @property {Array<{index: number, uid: string, reason: string}>} rejected - Registros inválidos
+ */
+
+/**
+ * Tombamento como texto (o código normalizado, preservando zeros à esquerda).
+ * Leituras antigas guardavam o código como número. Só tombamentos numéricos são
+ * aceitos, como em shared/assetCode.js (ver "Validação de Tombamentos" no README).
+ * @param {*} value - Código lido, digitado ou importado
+ * @returns {string|null} Código ou null quando não é um número inteiro positivo
+ */
+function assetCodeText(value) {
+  const code = value === undefined || value === null ? '' : String(value).trim();
+  if (!/^\d+$/.test(code) || Number(code) <= 0 || !Number.isSafeInteger(Number(code))) return null;
+  return code;
+}
+
+/**
+ * Mesmo bem: tombamentos comparados como na planilha (shared/readingRules.js)
+ * @param {string|number} a - Tombamento
+ * @param {string|number} b - Tombamento
+ * @returns {boolean}
+ */
+function sameAssetCode(a, b) {
+  return readingCodeKey(a) === readingCodeKey(b);
+}
+
+/**
+ * Valida um registro importado contra o formato dos itens do repositório e o
+ * normaliza (mesmos limites de addItem/updateItem)
+ * @param {*} raw - Registro lido do arquivo
+ * @returns {{item: Object}|{reason: string}} Item normalizado ou motivo da recusa
+ */
+function normalizeImportedItem(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { reason: 'Registro não é um objeto' };
+
+  const isInt = function (value) { return typeof value === 'number' && Number.isSafeInteger(value); };
+  const toNumber = function (value) {
+    return typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  };
+
+  const uid = typeof raw.uid === 'string' ? raw.uid.trim() : '';
+  if (uid === '' || uid.length > 64) return { reason: 'uid ausente ou inválido' };
+
+  const code = assetCodeText(raw.code);
+  if (code === null) return { reason: ASSET_CODE_NUMERIC_REASON };
+
+  const location = typeof raw.location === 'string' ? raw.location.trim() : '';
+  if (location === '' || location.length > 200) return { reason: 'Localização ausente ou muito longa' };
+
+  // As opções permitidas vêm da aba campos_leitura e são conferidas pelo backend
+  const state = toNumber(raw.state);
+  if (!isInt(state) || state < 0) return { reason: 'Estado inválido' };
+
+  const ipvu = toNumber(raw.ipvu);
+  if (!isInt(ipvu) || ipvu < 0) return { reason: 'Vida útil inválida' };
+
+  const statuses = Object.keys(AssetStatus).map(function (k) { return AssetStatus[k]; });
+  if (statuses.indexOf(raw.status) === -1) return { reason: 'Status desconhecido: ' + raw.status };
+
+  const createdAt = toNumber(raw.createdAt);
+  const updatedAt = raw.updatedAt === undefined || raw.updatedAt === '' ? createdAt : toNumber(raw.updatedAt);
+  if (!isInt(createdAt) || createdAt <= 0 || !isInt(updatedAt) || updatedAt <= 0) {
+    return { reason: 'Datas de criação/alteração inválidas' };
+  }
+
+  const retryCount = raw.retryCount === undefined || raw.retryCount === '' ? 0 : toNumber(raw.retryCount);
+  if (!isInt(retryCount) || retryCount < 0) return { reason: 'Número de tentativas inválido' };
+
+  if (raw.obs !== undefined && raw.obs !== null && typeof raw.obs !== 'string') return { reason: 'Observações devem ser texto' };
+  if (raw.source !== undefined && raw.source !== null && typeof raw.source !== 'string') return { reason: 'Origem deve ser texto' };
+
+  const item = {
+    uid: uid,
+    code: code,
+    location: location,
+    source: raw.source ? raw.source.substring(0, 16) : '',
+    state: state,
+    ipvu: ipvu,
+    obs: raw.obs ? raw.obs.substring(0, 140) : '',
+    status: raw.status,
+    retryCount: retryCount,
+    createdAt: createdAt,
+    updatedAt: updatedAt
+  };
+
+  if (raw.cancelledAt !== undefined && raw.cancelledAt !== null && raw.cancelledAt !== '') {
+    const cancelledAt = toNumber(raw.cancelledAt);
+    if (!isInt(cancelledAt) || cancelledAt <= 0) return { reason: 'Data de cancelamento inválida' };
+    item.cancelledAt = cancelledAt;
+  }
+
+  if (item.status === AssetStatus.REJECTED && raw.rejectReason) {
+    item.rejectReason = String(raw.rejectReason).substring(0, 140);
+  }
+
+  // Recusada depois de gravada (cancelamento recusado): a linha continua na planilha.
+  // No CSV a coluna vem como texto
+  if (item.status === AssetStatus.REJECTED && (raw.cancelRejected === true || raw.cancelRejected === 'true')) {
+    item.cancelRejected = true;
+  }
+
+  if (raw.transfer && raw.transfer.from && raw.transfer.justification) {
+    item.transfer = {
+      from: String(raw.transfer.from).substring(0, 200),
+      justification: String(raw.transfer.justification).substring(0, 500)
+    };
+  }
+
+  if (raw.damagedLabel === true || raw.damagedLabel === 'true') {
+    item.damagedLabel = true;
+  }
+
+  if (typeof raw.campaignId === 'string' && campaignId(raw.campaignId) !== '') {
+    item.campaignId = campaignId(raw.campaignId);
+  }
+
+  if (raw.fields !== undefined && raw.fields !== null && raw.fields !== '') {
+    if (typeof raw.fields !== 'object' || Array.isArray(raw.fields)) return { reason: 'Campos extras inválidos' };
+    const extras = readingFieldSchema.normalizeExtras(raw.fields);
+    if (!extras.valid) return { reason: extras.reason };
+    if (Object.keys(extras.values).length > 0) item.fields = extras.values;
+  }
+
+  // Somente fotos já enviadas: o conteúdo das pendentes não faz parte do arquivo
+  if (Array.isArray(raw.photos)) {
+    const photos = raw.photos.filter(function (photo) {
+      return photo && typeof photo.id === 'string' && photo.status === AssetStatus.SYNCED && typeof photo.url === 'string';
+    }).map(function (photo) {
+      return { id: photo.id, status: AssetStatus.SYNCED, retryCount: 0, createdAt: photo.createdAt, url: photo.url };
+    });
+    if (photos.length > 0) item.photos = photos;
+  }
+
+  return { item: item };
+}
+
 /**
  * Construtor do AssetRepository - Responsável pelo gerenciamento de dados locais
  * @constructor
- * @classdesc Classe para gerenciamento de dados de ativos com persistência no LocalStorage
+ * @classdesc Classe para gerenciamento de dados de ativos com persistência no IndexedDB
  */
 function AssetRepository() {
-  /** @type {Array<Object>} items - Lista de itens armazenados */
+  /** @type {Array<Object>} items - Lista de itens armazenados (cópia em memória) */
   this.items = [];
   /** @type {number|null} saveTimer - Timer para debounce das operações de salvamento */
   this.saveTimer = null;
-  this._load();
+  /** @type {Set<string>} _dirtyUids - UIDs alterados aguardando gravação */
+  this._dirtyUids = new Set();
+  /** @type {Set<string>} _removedUids - UIDs removidos aguardando exclusão no banco */
+  this._removedUids = new Set();
+  /** @type {Set<string>} _removedPhotoIds - Fotos cujo conteúdo deve ser apagado do banco */
+  this._removedPhotoIds = new Set();
+  /** @type {boolean} _useLocalStorage - Fallback quando o IndexedDB não está disponível */
+  this._useLocalStorage = false;
+  /** @type {string} campaignId - Campanha ativa ('' sem campanhas cadastradas) */
+  this.campaignId = '';
+  /** @type {Array<Object>} _hiddenItems - Itens de outras campanhas (fora das consultas e da sincronização) */
+  this._hiddenItems = [];
 
-  // Reativa itens que estavam marcados como sendo enviados na última sessão 
-  // mas que não foram confirmados como sincronizados
-  let saveNeeded = false;
-  this.items.forEach(function (item) {
-    if (item.status === AssetStatus.IN_FLIGHT) {
-      item.status = AssetStatus.PENDING;
-      saveNeeded = true;
-    }
-  });
-  if (saveNeeded) {
-    this._save();
-  }
+  /**
+   * Promise resolvida quando os dados foram carregados do armazenamento
+   * @type {Promise<void>}
+   */
+  this.ready = this._load();
 }
 
 // --- Métodos Internos de Persistência ---
 
 /**
- * Salva os dados no LocalStorage com debounce
+ * Marca itens como alterados para a próxima gravação
+ * @private
+ * @param {...Object} items - Itens alterados
+ */
+AssetRepository.prototype._markDirty = function () {
+  for (let i = 0; i < arguments.length; i++) {
+    const item = arguments[i];
+    if (item && item.uid) {
+      this._dirtyUids.add(item.uid);
+      this._removedUids.delete(item.uid);
+    }
+  }
+};
+
+/**
+ * Marca itens como removidos para a próxima gravação
+ * @private
+ * @param {Array<Object>} items - Itens removidos da memória
+ */
+AssetRepository.prototype._markRemoved = function (items) {
+  const self = this;
+  items.forEach(function (item) {
+    self._removedUids.add(item.uid);
+    self._dirtyUids.delete(item.uid);
+    (item.photos || []).forEach(function (photo) { self._removedPhotoIds.add(photo.id); });
+  });
+};
+
+/**
+ * Salva os itens alterados com debounce
  * @private
  * @param {boolean} [immediate=false] - Se true, salva imediatamente sem debounce
+ * @returns {Promise<void>|void} Promise da gravação quando imediata
  */
 AssetRepository.prototype._save = function (immediate) {
   const self = this;
@@ -67,104 +267,240 @@ AssetRepository.prototype._save = function (immediate) {
     self.saveTimer = null;
   }
 
-  const persist = function () {
+  if (immediate) {
+    return self._flush();
+  }
+  self.saveTimer = setTimeout(function () { self._flush(); }, SAVE_DEBOUNCE_MS);
+};
+
+/**
+ * Grava no armazenamento as alterações pendentes (um registro por item)
+ * @private
+ * @returns {Promise<void>}
+ */
+AssetRepository.prototype._flush = async function () {
+  const self = this;
+
+  if (this._useLocalStorage) {
+    this._dirtyUids.clear();
+    this._removedUids.clear();
     try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(self.items));
+      localStorage.setItem(LEGACY_STORAGE_KEY, JSON.stringify(this._hiddenItems.concat(this.items)));
     } catch (e) {
       console.error('AssetRepository: Erro ao salvar', e);
-      // Tentar salvar com dados reduzidos em caso de erro
       if (e.name === 'QuotaExceededError') {
-        self._handleStorageFull();
+        this._handleStorageFull();
       }
     }
-  };
+    return;
+  }
 
-  if (immediate) {
-    persist();
-  } else {
-    self.saveTimer = setTimeout(persist, SAVE_DEBOUNCE_MS);
+  if (this._dirtyUids.size === 0 && this._removedUids.size === 0 && this._removedPhotoIds.size === 0) return;
+
+  const dirty = Array.from(this._dirtyUids);
+  const removed = Array.from(this._removedUids);
+  const removedPhotos = Array.from(this._removedPhotoIds);
+  this._dirtyUids.clear();
+  this._removedUids.clear();
+  this._removedPhotoIds.clear();
+
+  const records = this.items.concat(this._hiddenItems).filter(function (item) {
+    return dirty.indexOf(item.uid) !== -1;
+  });
+
+  try {
+    await localDatabase.deleteMany(Stores.ASSETS, removed);
+    await localDatabase.putMany(Stores.ASSETS, records);
+    await localDatabase.deleteMany(Stores.PHOTOS, removedPhotos);
+  } catch (e) {
+    console.error('AssetRepository: Erro ao salvar', e);
+    // Devolve para a fila para a próxima tentativa
+    dirty.forEach(function (uid) { self._dirtyUids.add(uid); });
+    removed.forEach(function (uid) { self._removedUids.add(uid); });
+    removedPhotos.forEach(function (id) { self._removedPhotoIds.add(id); });
+
+    if (e && e.name === 'QuotaExceededError') {
+      this._handleStorageFull();
+    }
   }
 };
 
 /**
- * Trata o erro de quota excedida no LocalStorage aplicando uma limpeza conservadora
+ * Trata o erro de quota excedida aplicando uma limpeza conservadora
  * @private
- * @description Método auxiliar que é chamado automaticamente quando o LocalStorage está cheio.
- * Remove os itens mais antigos mantendo apenas os 100 registros mais recentes para evitar
- * perda total de dados. Em caso de falha crítica, apenas registra o erro sem lançar exceção.
- * 
+ * @description Método auxiliar que é chamado automaticamente quando o armazenamento está cheio.
+ * Remove apenas itens já sincronizados (que estão salvos na planilha), de qualquer
+ * campanha, mantendo os registros sincronizados mais recentes. Itens pendentes, com
+ * falha ou com fotos ainda não enviadas nunca são descartados.
+ * Em caso de falha crítica, apenas registra o erro sem lançar exceção.
+ *
  * @example
- * // Chamado automaticamente pelo método _save quando ocorre QuotaExceededError
+ * // Chamado automaticamente pelo método _flush quando ocorre QuotaExceededError
  * this._handleStorageFull();
- * 
+ *
  * @throws {Error} Não lança exceções, apenas registra erros no console
- * 
+ *
  * @returns {void}
- * 
- * @todo Implementar estratégia mais sofisticada de limpeza (por prioridade/status)
  */
 AssetRepository.prototype._handleStorageFull = function () {
   console.warn('AssetRepository: Storage cheio, aplicando limpeza conservadora');
 
-  /**
-   * Ordena os itens por data de criação (mais recentes primeiro) e mantém apenas os 100 mais recentes
-   * @type {Array<Object>}
-   */
-  this.items = this.items
-    .sort((a, b) => b.createdAt - a.createdAt)
-    .slice(0, 100);
+  const synced = this.items.concat(this._hiddenItems)
+    .filter(function (item) { return item.status === AssetStatus.SYNCED && !hasUnsentPhotos(item); })
+    .sort(function (a, b) { return b.createdAt - a.createdAt; });
 
-  try {
-    /**
-     * Tenta salvar os dados reduzidos após a limpeza conservadora
-     * @throws {Error} Possível erro se mesmo os dados reduzidos excederem a quota
-     */
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.items));
-    console.info('AssetRepository: Limpeza conservadora aplicada com sucesso');
-  } catch (e) {
-    /**
-     * Erro crítico - mesmo os dados reduzidos não cabem no storage
-     * @type {Error}
-     */
-    console.error('AssetRepository: Erro crítico ao salvar após limpeza', e);
-
-    /**
-     * Última tentativa: limpar completamente o storage em caso de falha crítica
-     * Isso previne que a aplicação fique em estado inconsistente
-     */
-    try {
-      this.items = [];
-      localStorage.removeItem(STORAGE_KEY);
-      console.warn('AssetRepository: Storage limpo completamente devido a erro crítico');
-    } catch (finalError) {
-      /**
-       * Falha catastrófica - não é possível acessar o storage de forma alguma
-       * @type {Error}
-       */
-      console.error('AssetRepository: Falha catastrófica no storage', finalError);
-    }
+  const toRemove = synced.slice(KEEP_SYNCED_ON_STORAGE_FULL);
+
+  if (toRemove.length === 0) {
+    console.error('AssetRepository: Erro crítico, não há itens sincronizados para liberar espaço');
+    return;
   }
 
+  const keep = function (item) { return toRemove.indexOf(item) === -1; };
+  this.items = this.items.filter(keep);
+  this._hiddenItems = this._hiddenItems.filter(keep);
+  this._markRemoved(toRemove);
+
+  console.info('AssetRepository: Limpeza conservadora aplicada', { removedCount: toRemove.length });
+
   /**
    * Notifica a aplicação sobre a mudança drástica no repositório
    * Permite que a UI atualize adequadamente
    */
   this._emit('repositoryChanged');
+  this._save(true);
+};
+
+/**
+ * Lê o formato legado (array JSON) do LocalStorage
+ * @private
+ * @returns {Array<Object>|null} Itens salvos ou null se a chave não existir
+ */
+AssetRepository.prototype._readLegacyStorage = function () {
+  try {
+    const raw = localStorage.getItem(LEGACY_STORAGE_KEY);
+    if (raw === null) return null;
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    console.error('AssetRepository: Erro ao ler dados legados', e);
+    return [];
+  }
 };
 
+/**
+ * Migra os dados do LocalStorage para o IndexedDB (executa apenas uma vez)
+ * A chave legada só é removida após a gravação ser confirmada.
+ * @private
+ * @returns {Promise<void>}
+ */
+AssetRepository.prototype._migrateFromLocalStorage = async function () {
+  const legacyItems = this._readLegacyStorage();
+  if (legacyItems === null) return;
+
+  const valid = legacyItems.filter(function (item) {
+    return item && typeof item.uid === 'string' && item.uid !== '';
+  });
+
+  await localDatabase.putMany(Stores.ASSETS, valid);
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+  console.info('AssetRepository: Dados migrados do LocalStorage para o IndexedDB', { count: valid.length });
+};
 
 /**
- * Carrega os dados do LocalStorage
+ * Carrega os dados do IndexedDB (migrando o LocalStorage quando necessário)
  * @private
+ * @returns {Promise<void>}
  */
-AssetRepository.prototype._load = function () {
+AssetRepository.prototype._load = async function () {
+  const self = this;
+
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    this.items = raw ? JSON.parse(raw) : [];
+    await this._migrateFromLocalStorage();
+    this.items = await localDatabase.getAll(Stores.ASSETS);
   } catch (e) {
-    console.error('AssetRepository: Erro ao carregar', e);
-    this.items = [];
+    console.error('AssetRepository: IndexedDB indisponível, usando LocalStorage', e);
+    this._useLocalStorage = true;
+    this.items = this._readLegacyStorage() || [];
+  }
+
+  // Mantém a ordem de inserção (o IndexedDB devolve ordenado pela chave)
+  this.items.sort(function (a, b) { return a.createdAt - b.createdAt; });
+
+  // Reativa itens que estavam marcados como sendo enviados na última sessão
+  // mas que não foram confirmados como sincronizados
+  this.items.forEach(function (item) {
+    if (item.status === AssetStatus.IN_FLIGHT) {
+      item.status = AssetStatus.PENDING;
+      self._markDirty(item);
+    }
+    (item.photos || []).forEach(function (photo) {
+      if (photo.status === AssetStatus.IN_FLIGHT) {
+        photo.status = AssetStatus.PENDING;
+        self._markDirty(item);
+      }
+    });
+  });
+  if (this._dirtyUids.size > 0) {
+    await this._save(true);
   }
+
+  this._partition(this.items);
+  this._emit('repositoryChanged');
+};
+
+/**
+ * Separa os itens da campanha ativa (this.items) dos de outras campanhas
+ * @private
+ * @param {Array<Object>} all - Todos os itens do dispositivo
+ */
+AssetRepository.prototype._partition = function (all) {
+  const self = this;
+  this.items = [];
+  this._hiddenItems = [];
+
+  all.forEach(function (item) {
+    (campaignId(item.campaignId) === self.campaignId ? self.items : self._hiddenItems).push(item);
+  });
+
+  this.items.sort(function (a, b) { return a.createdAt - b.createdAt; });
+};
+
+/**
+ * Define a campanha ativa. Consultas, tabela e sincronização passam a considerar
+ * apenas as leituras dela; as das demais campanhas continuam no dispositivo e
+ * voltam quando a campanha é escolhida de novo. Leituras anteriores às campanhas
+ * (sem campanha) passam para a primeira campanha escolhida.
+ * @param {string} id - Identificador da campanha ('' sem campanhas cadastradas)
+ * @returns {Promise<void>}
+ */
+AssetRepository.prototype.setCampaign = async function (id) {
+  await this.ready;
+
+  const self = this;
+  const next = campaignId(id);
+
+  // Grava as alterações pendentes antes de trocar os itens de lista
+  await this._save(true);
+
+  const all = this._hiddenItems.concat(this.items);
+  if (next !== '') {
+    all.forEach(function (item) {
+      if (campaignId(item.campaignId) === '') {
+        item.campaignId = next;
+        self._markDirty(item);
+      }
+    });
+  }
+
+  this.campaignId = next;
+  this._partition(all);
+  if (this._dirtyUids.size > 0) {
+    await this._save(true);
+  }
+
+  console.info('AssetRepository: Campanha ativa', { campaignId: next, items: this.items.length, otherCampaigns: this._hiddenItems.length });
+  this._emit('repositoryChanged');
 };
 
 /**
@@ -183,9 +519,14 @@ AssetRepository.prototype._emit = function (name, detail) {
  * Adiciona um novo item ao repositório
  * @param {string|number} rawCode - Código do ativo (código de barras)
  * @param {string} location - Localização do ativo
+ * @param {string} [source] - Origem da leitura (scanner, manual, ...)
+ * @param {string} [obs] - Observações iniciais
+ * @param {{from: string, justification: string}|null} [transfer] - Pedido de transferência
+ * (bem encontrado fora da localidade de origem), enviado junto com a leitura
+ * @param {boolean} [damagedLabel] - Etiqueta danificada: o bem entra na fila de reimpressão ao sincronizar
  * @returns {Promise<Object|null>} Item criado ou null se já existir
  */
-AssetRepository.prototype.addItem = async function (rawCode, location, source, obs = '') {
+AssetRepository.prototype.addItem = async function (rawCode, location, source, obs = '', transfer = null, damagedLabel = false) {
   // Validações rigorosas
   if (typeof rawCode === 'undefined' || rawCode === null || rawCode === '') {
     console.warn('AssetRepository.addItem: Código do ativo é inválido', rawCode);
@@ -197,8 +538,8 @@ AssetRepository.prototype.addItem = async function (rawCode, location, source, o
     return null;
   }
 
-  const barcode = parseInt(String(rawCode).trim(), 10);
-  if (isNaN(barcode) || barcode <= 0 || !Number.isSafeInteger(barcode)) {
+  const barcode = assetCodeText(rawCode);
+  if (barcode === null) {
     console.warn('AssetRepository.addItem: Código do ativo não é um número válido', rawCode);
     return null;
   }
@@ -209,8 +550,11 @@ AssetRepository.prototype.addItem = async function (rawCode, location, source, o
     return null;
   }
 
+  // Garante que os dados persistidos já foram carregados antes de verificar duplicidade
+  await this.ready;
+
   const exists = this.items.some(function (i) {
-    return i.code === barcode && i.location === loc;
+    return !i.cancelledAt && sameAssetCode(i.code, barcode) && i.location === loc;
   });
 
   if (exists) {
@@ -218,13 +562,16 @@ AssetRepository.prototype.addItem = async function (rawCode, location, source, o
     return null;
   }
 
+  // Estado, vida útil e campos extras com os valores padrão da aba campos_leitura
+  const defaults = readingFieldSchema.defaults();
+
   const item = {
     uid: Date.now().toString(36) + Math.random().toString(36).slice(2),
     code: barcode,
     location: loc,
     source: source ? String(source).substring(0, 16) : '',
-    state: 3,
-    ipvu: 8,
+    state: defaults.state,
+    ipvu: defaults.ipvu,
     obs: obs ? String(obs).substring(0, 140) : '',
     status: AssetStatus.PENDING,
     retryCount: 0,
@@ -232,8 +579,28 @@ AssetRepository.prototype.addItem = async function (rawCode, location, source, o
     updatedAt: Date.now()
   };
 
+  if (transfer && transfer.from && transfer.justification) {
+    item.transfer = {
+      from: String(transfer.from).substring(0, 200),
+      justification: String(transfer.justification).substring(0, 500)
+    };
+  }
+
+  if (damagedLabel === true) {
+    item.damagedLabel = true;
+  }
+
+  if (this.campaignId) {
+    item.campaignId = this.campaignId;
+  }
+
+  if (Object.keys(defaults.fields).length > 0) {
+    item.fields = defaults.fields;
+  }
+
   this.items.push(item);
-  this._save(true);
+  this._markDirty(item);
+  await this._save(true);
   this._emit('assetAdded', { item: Object.assign({}, item) });
   this._emit('repositoryChanged');
   return item;
@@ -245,25 +612,34 @@ AssetRepository.prototype.addItem = async function (rawCode, location, source, o
  * @param {number} state - Estado do item
  * @param {number} ipvu - Valor IPVU do item
  * @param {string} obs - Observações do item
+ * @param {boolean} [damagedLabel] - Etiqueta danificada (omitido: mantém o valor atual)
+ * @param {Object} [fields] - Campos extras da aba campos_leitura (omitido: mantém os valores atuais)
  * @returns {boolean} True se o item foi atualizado, false se não encontrado
  */
-AssetRepository.prototype.updateItem = function (uid, state, ipvu, obs) {
+AssetRepository.prototype.updateItem = function (uid, state, ipvu, obs, damagedLabel, fields) {
   // Validações rigorosas
   if (typeof uid !== 'string' || uid.trim() === '') {
     console.warn('AssetRepository.updateItem: UID é inválido', uid);
     return false;
   }
 
-  if (typeof state !== 'number' || isNaN(state) || state < 0 || state > 5) { // Assumindo estado entre 0-5
+  // As opções permitidas vêm da aba campos_leitura e são conferidas pelo backend
+  if (typeof state !== 'number' || !Number.isInteger(state) || state < 0) {
     console.warn('AssetRepository.updateItem: Estado é inválido', state);
     return false;
   }
 
-  if (typeof ipvu !== 'number' || isNaN(ipvu) || ipvu < 0 || ipvu > 10) {
+  if (typeof ipvu !== 'number' || !Number.isInteger(ipvu) || ipvu < 0) {
     console.warn('AssetRepository.updateItem: IPVU é inválido', ipvu);
     return false;
   }
 
+  const extras = fields === undefined ? null : readingFieldSchema.normalizeExtras(fields);
+  if (extras && !extras.valid) {
+    console.warn('AssetRepository.updateItem: Campos extras inválidos', extras.reason);
+    return false;
+  }
+
   if (typeof obs !== 'undefined' && obs !== null && typeof obs !== 'string') {
     console.warn('AssetRepository.updateItem: Observações devem ser uma string', obs);
     return false;
@@ -273,7 +649,7 @@ AssetRepository.prototype.updateItem = function (uid, state, ipvu, obs) {
   const observation = typeof obs === 'string' ? obs.substring(0, 140) : '';
 
   const item = this.items.find(function (i) { return i.uid === uid; });
-  if (!item) {
+  if (!item || item.cancelledAt) {
     console.warn('AssetRepository.updateItem: Item não encontrado', uid);
     return false;
   }
@@ -281,16 +657,79 @@ AssetRepository.prototype.updateItem = function (uid, state, ipvu, obs) {
   item.state = state;
   item.ipvu = ipvu;
   item.obs = observation;
+  if (damagedLabel === true) {
+    item.damagedLabel = true;
+  } else if (damagedLabel === false) {
+    delete item.damagedLabel;
+  }
+  if (extras) {
+    item.fields = Object.assign({}, item.fields, extras.values);
+  }
   item.updatedAt = Date.now();
   item.status = AssetStatus.PENDING;
   item.retryCount = 0;
+  // Edição manual funciona como nova tentativa para itens recusados
+  delete item.rejectReason;
 
+  this._markDirty(item);
   this._save();
   this._emit('assetDataChanged', { item: Object.assign({}, item) });
   this._emit('repositoryChanged');
   return true;
 };
 
+/**
+ * Cancela (exclui) uma leitura feita por engano
+ *
+ * A leitura vira um "tombstone": some da tabela e das contagens, mas continua no
+ * repositório até que o cancelamento seja sincronizado (a linha em 'leituras' é
+ * marcada como cancelada, não apagada). Itens recusados pelo servidor nunca foram
+ * gravados na planilha e são removidos imediatamente, exceto os que voltaram de
+ * um cancelamento recusado (`cancelRejected`): a linha deles continua ativa.
+ * @param {string} uid - Identificador único do item
+ * @returns {boolean} True se o item foi cancelado, false se não encontrado
+ */
+AssetRepository.prototype.cancelItem = function (uid) {
+  // Validação rigorosa
+  if (typeof uid !== 'string' || uid.trim() === '') {
+    console.warn('AssetRepository.cancelItem: UID é inválido', uid);
+    return false;
+  }
+
+  const item = this.items.find(function (i) { return i.uid === uid; });
+  if (!item || item.cancelledAt) {
+    console.warn('AssetRepository.cancelItem: Item não encontrado', uid);
+    return false;
+  }
+
+  if (item.status === AssetStatus.REJECTED && !item.cancelRejected) {
+    this.items = this.items.filter(function (i) { return i.uid !== uid; });
+    this._markRemoved([item]);
+  } else {
+    item.cancelledAt = Date.now();
+    item.updatedAt = item.cancelledAt;
+    // Um lote em andamento não promove o tombstone para SYNCED (exige IN_FLIGHT)
+    item.status = AssetStatus.PENDING;
+    item.retryCount = 0;
+    delete item.rejectReason;
+    // Fotos ainda não enviadas não têm mais leitura para serem vinculadas
+    if (Array.isArray(item.photos)) {
+      const self = this;
+      item.photos = item.photos.filter(function (photo) {
+        if (photo.status === AssetStatus.SYNCED) return true;
+        self._removedPhotoIds.add(photo.id);
+        return false;
+      });
+    }
+    this._markDirty(item);
+  }
+
+  this._save(true);
+  this._emit('assetCancelled', { item: Object.assign({}, item) });
+  this._emit('repositoryChanged');
+  return true;
+};
+
 /**
  * Verifica se um item existe no repositório
  * @param {string|number} barcode - Código do ativo
@@ -309,8 +748,8 @@ AssetRepository.prototype.hasItem = async function (barcode, location) {
     return false;
   }
 
-  const code = parseInt(String(barcode).trim(), 10);
-  if (isNaN(code) || code <= 0 || !Number.isSafeInteger(code)) {
+  const code = assetCodeText(barcode);
+  if (code === null) {
     console.warn('AssetRepository.hasItem: Código do ativo não é um número válido', barcode);
     return false;
   }
@@ -321,8 +760,10 @@ AssetRepository.prototype.hasItem = async function (barcode, location) {
     return false;
   }
 
+  await this.ready;
+
   return this.items.some(function (item) {
-    return item.code === code && item.location === loc;
+    return !item.cancelledAt && sameAssetCode(item.code, code) && item.location === loc;
   });
 };
 
@@ -342,11 +783,13 @@ AssetRepository.prototype.getItem = function (uid) {
 };
 
 /**
- * Obtém todos os itens do repositório (cópia)
+ * Obtém todos os itens do repositório (cópia), exceto os cancelados
  * @returns {Array<Object>} Array com cópia de todos os itens
  */
 AssetRepository.prototype.getAllItems = function () {
-  return this.items.map(function (item) { return Object.assign({}, item); });
+  return this.items
+    .filter(function (item) { return !item.cancelledAt; })
+    .map(function (item) { return Object.assign({}, item); });
 };
 
 /**
@@ -368,27 +811,225 @@ AssetRepository.prototype.getItemsByLocation = function (location) {
   }
 
   return this.items
-    .filter(function (item) { return item.location === targetLoc; })
+    .filter(function (item) { return !item.cancelledAt && item.location === targetLoc; })
     .map(function (item) { return Object.assign({}, item); });
 };
 
 /**
  * Obtém estatísticas dos itens por status
  * @returns {Object} Objeto com estatísticas de contagem por status
- * @property {number} total - Total de itens
+ * @property {number} total - Total de itens (sem os cancelados)
  * @property {number} synced - Itens sincronizados
  * @property {number} pending - Itens pendentes ou em andamento
  * @property {number} failed - Itens com falha
+ * @property {number} rejected - Itens recusados pelo servidor
+ * @property {number} pendingPhotos - Fotos aguardando envio
  */
 AssetRepository.prototype.getStats = function () {
+  const active = this.items.filter(function (i) { return !i.cancelledAt; });
   return {
-    total: this.items.length,
-    synced: this.items.filter(function (i) { return i.status === AssetStatus.SYNCED; }).length,
+    total: active.length,
+    synced: active.filter(function (i) { return i.status === AssetStatus.SYNCED; }).length,
+    // Cancelamentos aguardando envio também contam como pendentes
     pending: this.items.filter(function (i) {
       return i.status === AssetStatus.PENDING || i.status === AssetStatus.IN_FLIGHT;
     }).length,
-    failed: this.items.filter(function (i) { return i.status === AssetStatus.FAILED; }).length
+    failed: this.items.filter(function (i) { return i.status === AssetStatus.FAILED; }).length,
+    rejected: active.filter(function (i) { return i.status === AssetStatus.REJECTED; }).length,
+    pendingPhotos: active.reduce(function (count, i) {
+      return count + (i.photos || []).filter(function (photo) { return photo.status !== AssetStatus.SYNCED; }).length;
+    }, 0)
+  };
+};
+
+// --- Fotos ---
+
+/**
+ * Anexa uma foto (já comprimida) a uma leitura. O conteúdo fica no IndexedDB até
+ * ser enviado; o item guarda apenas os metadados em `photos`.
+ * @param {string} uid - Identificador único do item
+ * @param {{dataUrl: string, mimeType: string}} photo - Foto comprimida (ver photoCompressor.js)
+ * @returns {Promise<Object|null>} Metadados da foto ou null se não foi possível anexar
+ */
+AssetRepository.prototype.addPhoto = async function (uid, photo) {
+  // Validações rigorosas
+  if (typeof uid !== 'string' || uid.trim() === '') {
+    console.warn('AssetRepository.addPhoto: UID é inválido', uid);
+    return null;
+  }
+
+  if (!photo || typeof photo.dataUrl !== 'string' || photo.dataUrl.indexOf('data:image/') !== 0) {
+    console.warn('AssetRepository.addPhoto: Foto é inválida');
+    return null;
+  }
+
+  // O LocalStorage não comporta imagens
+  if (this._useLocalStorage) {
+    console.warn('AssetRepository.addPhoto: Fotos exigem IndexedDB');
+    return null;
+  }
+
+  await this.ready;
+
+  const item = this.items.find(function (i) { return i.uid === uid; });
+  if (!item || item.cancelledAt) {
+    console.warn('AssetRepository.addPhoto: Item não encontrado', uid);
+    return null;
+  }
+
+  const photos = item.photos || [];
+  if (photos.length >= MAX_PHOTOS_PER_ITEM) {
+    console.warn('AssetRepository.addPhoto: Limite de fotos atingido', uid);
+    return null;
+  }
+
+  const meta = {
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2),
+    status: AssetStatus.PENDING,
+    retryCount: 0,
+    createdAt: Date.now()
   };
+
+  try {
+    await localDatabase.putMany(Stores.PHOTOS, [{
+      id: meta.id,
+      uid: uid,
+      dataUrl: photo.dataUrl,
+      mimeType: photo.mimeType || 'image/jpeg',
+      createdAt: meta.createdAt
+    }]);
+  } catch (e) {
+    console.error('AssetRepository.addPhoto: Erro ao salvar foto', e);
+    return null;
+  }
+
+  item.photos = photos.concat([meta]);
+  this._markDirty(item);
+  await this._save(true);
+  this._emit('assetDataChanged', { item: Object.assign({}, item), type: 'photo' });
+  this._emit('repositoryChanged');
+  return Object.assign({}, meta);
+};
+
+/**
+ * Remove uma foto que ainda não foi enviada (fotos enviadas já estão no Drive)
+ * @param {string} uid - Identificador único do item
+ * @param {string} photoId - Identificador da foto
+ * @returns {boolean} True se a foto foi removida
+ */
+AssetRepository.prototype.removePhoto = function (uid, photoId) {
+  const item = this.items.find(function (i) { return i.uid === uid; });
+  const photo = item && (item.photos || []).find(function (p) { return p.id === photoId; });
+
+  if (!photo || photo.status === AssetStatus.SYNCED || photo.status === AssetStatus.IN_FLIGHT) {
+    console.warn('AssetRepository.removePhoto: Foto não encontrada ou já enviada', photoId);
+    return false;
+  }
+
+  item.photos = item.photos.filter(function (p) { return p !== photo; });
+  this._removedPhotoIds.add(photoId);
+  this._markDirty(item);
+  this._save(true);
+  this._emit('assetDataChanged', { item: Object.assign({}, item), type: 'photo' });
+  this._emit('repositoryChanged');
+  return true;
+};
+
+/**
+ * Lê o conteúdo de uma foto ainda não enviada
+ * @param {string} photoId - Identificador da foto
+ * @returns {Promise<Object|null>} Registro { id, uid, dataUrl, mimeType, createdAt } ou null
+ */
+AssetRepository.prototype.getPhotoData = async function (photoId) {
+  if (this._useLocalStorage) return null;
+  try {
+    return (await localDatabase.get(Stores.PHOTOS, photoId)) || null;
+  } catch (e) {
+    console.error('AssetRepository.getPhotoData: Erro ao ler foto', e);
+    return null;
+  }
+};
+
+/**
+ * Obtém a próxima foto a enviar. Só são enviadas fotos de leituras já
+ * sincronizadas, pois o backend vincula a foto à linha da leitura.
+ * @returns {{uid: string, photoId: string}|null}
+ */
+AssetRepository.prototype.getPendingPhoto = function () {
+  for (let i = 0; i < this.items.length; i++) {
+    const item = this.items[i];
+    if (item.cancelledAt || item.status !== AssetStatus.SYNCED) continue;
+
+    const photo = (item.photos || []).find(function (p) { return p.status === AssetStatus.PENDING; });
+    if (photo) return { uid: item.uid, photoId: photo.id };
+  }
+  return null;
+};
+
+/**
+ * Localiza os metadados de uma foto
+ * @private
+ * @param {string} uid - Identificador único do item
+ * @param {string} photoId - Identificador da foto
+ * @returns {{item: Object, photo: Object}|null}
+ */
+AssetRepository.prototype._findPhoto = function (uid, photoId) {
+  const item = this.items.find(function (i) { return i.uid === uid; });
+  const photo = item && (item.photos || []).find(function (p) { return p.id === photoId; });
+  return photo ? { item: item, photo: photo } : null;
+};
+
+/**
+ * Marca uma foto como "em envio"
+ * @param {string} uid - Identificador único do item
+ * @param {string} photoId - Identificador da foto
+ */
+AssetRepository.prototype.markPhotoInFlight = function (uid, photoId) {
+  const found = this._findPhoto(uid, photoId);
+  if (!found) return;
+
+  found.photo.status = AssetStatus.IN_FLIGHT;
+  this._markDirty(found.item);
+  this._save();
+};
+
+/**
+ * Registra o envio de uma foto e libera o conteúdo guardado no dispositivo
+ * @param {string} uid - Identificador único do item
+ * @param {string} photoId - Identificador da foto
+ * @param {string} url - Link do arquivo no Drive
+ */
+AssetRepository.prototype.processPhotoSuccess = function (uid, photoId, url) {
+  const found = this._findPhoto(uid, photoId);
+  if (!found || found.photo.status !== AssetStatus.IN_FLIGHT) return;
+
+  found.photo.status = AssetStatus.SYNCED;
+  found.photo.url = String(url || '');
+  found.photo.retryCount = 0;
+  this._removedPhotoIds.add(photoId);
+  this._markDirty(found.item);
+  this._save(true);
+  this._emit('assetDataChanged', { item: Object.assign({}, found.item), type: 'photo' });
+};
+
+/**
+ * Processa a falha no envio de uma foto (para retry)
+ * @param {string} uid - Identificador único do item
+ * @param {string} photoId - Identificador da foto
+ * @param {number} maxRetries - Número máximo de tentativas permitidas
+ */
+AssetRepository.prototype.processPhotoRetry = function (uid, photoId, maxRetries) {
+  const found = this._findPhoto(uid, photoId);
+  if (!found || found.photo.status !== AssetStatus.IN_FLIGHT) return;
+
+  found.photo.retryCount = (found.photo.retryCount || 0) + 1;
+  found.photo.status = found.photo.retryCount >= maxRetries ? AssetStatus.FAILED : AssetStatus.PENDING;
+  this._markDirty(found.item);
+  this._save(true);
+
+  if (found.photo.status === AssetStatus.FAILED) {
+    this._emit('assetDataChanged', { item: Object.assign({}, found.item), type: 'photo' });
+  }
 };
 
 // --- Métodos de Suporte à Sincronização ---
@@ -435,9 +1076,11 @@ AssetRepository.prototype.markBatchInFlight = function (uids) {
     uids = uids.slice(0, 1000);
   }
 
+  const self = this;
   this.items.forEach(function (item) {
     if (uids.indexOf(item.uid) !== -1) {
       item.status = AssetStatus.IN_FLIGHT;
+      self._markDirty(item);
     }
   });
   this._save();
@@ -470,15 +1113,30 @@ AssetRepository.prototype.processSyncSuccess = function (syncedUids) {
 
   const self = this;
   let changed = false;
+  const syncedTombstones = [];
   this.items.forEach(function (item) {
     if (item.status === AssetStatus.IN_FLIGHT && syncedUids.indexOf(item.uid) !== -1) {
       item.status = AssetStatus.SYNCED;
       item.retryCount = 0;
+      delete item.cancelRejected;
       changed = true;
+
+      // Cancelamento já registrado na planilha: o tombstone não é mais necessário
+      if (item.cancelledAt) {
+        syncedTombstones.push(item);
+        return;
+      }
+
+      self._markDirty(item);
       self._emit('assetDataChanged', { item: Object.assign({}, item), type: 'sync' });
     }
   });
 
+  if (syncedTombstones.length > 0) {
+    this.items = this.items.filter(function (item) { return syncedTombstones.indexOf(item) === -1; });
+    this._markRemoved(syncedTombstones);
+  }
+
   if (changed) this._save(true);
 };
 
@@ -519,6 +1177,7 @@ AssetRepository.prototype.processSyncRetry = function (failedUids, maxRetries) {
     if (item.status === AssetStatus.IN_FLIGHT && failedUids.indexOf(item.uid) !== -1) {
       item.retryCount++;
       item.status = item.retryCount >= maxRetries ? AssetStatus.FAILED : AssetStatus.PENDING;
+      self._markDirty(item);
       changed = true;
 
       if (item.status === AssetStatus.FAILED) {
@@ -529,18 +1188,76 @@ AssetRepository.prototype.processSyncRetry = function (failedUids, maxRetries) {
   if (changed) this._save(true);
 };
 
+/**
+ * Processa os itens recusados definitivamente pelo servidor (não serão reenviados)
+ * @param {Array<{uid: string, reason: string}>} rejections - UIDs recusados e o motivo informado pelo servidor
+ */
+AssetRepository.prototype.processSyncRejected = function (rejections) {
+  // Validação rigorosa
+  if (!Array.isArray(rejections) || rejections.length === 0) {
+    console.warn('AssetRepository.processSyncRejected: Lista de itens recusados é inválida ou vazia', rejections);
+    return;
+  }
+
+  const reasons = new Map();
+  for (let i = 0; i < rejections.length; i++) {
+    const rejection = rejections[i];
+    if (!rejection || typeof rejection.uid !== 'string' || rejection.uid.trim() === '') {
+      console.warn('AssetRepository.processSyncRejected: UID inválido encontrado', rejection);
+      return;
+    }
+    reasons.set(rejection.uid, String(rejection.reason || 'Recusado pelo servidor').substring(0, 140));
+  }
+
+  const self = this;
+  let changed = false;
+  this.items.forEach(function (item) {
+    if (item.status === AssetStatus.IN_FLIGHT && reasons.has(item.uid)) {
+      let reason = reasons.get(item.uid);
+
+      // Cancelamento recusado: a linha continua ativa na planilha, então a leitura volta
+      // a ser exibida, recusada e com o motivo, e pode ser cancelada de novo
+      if (item.cancelledAt) {
+        delete item.cancelledAt;
+        item.cancelRejected = true;
+        reason = ('Cancelamento recusado: ' + reason).substring(0, 140);
+      }
+
+      item.status = AssetStatus.REJECTED;
+      item.rejectReason = reason;
+      item.retryCount = 0;
+      self._markDirty(item);
+      changed = true;
+      self._emit('assetDataChanged', { item: Object.assign({}, item), type: 'rejected' });
+      self._emit('assetRejected', { item: Object.assign({}, item) });
+    }
+  });
+
+  if (changed) this._save(true);
+};
+
 /**
  * Reativa itens com status de falha para nova tentativa de sincronização
  * @returns {boolean} True se algum item foi reativado, false caso contrário
  */
 AssetRepository.prototype.retryFailed = function () {
+  const self = this;
   let changed = false;
   this.items.forEach(function (item) {
     if (item.status === AssetStatus.FAILED) {
       item.status = AssetStatus.PENDING;
       item.retryCount = 0;
+      self._markDirty(item);
       changed = true;
     }
+    (item.photos || []).forEach(function (photo) {
+      if (photo.status === AssetStatus.FAILED) {
+        photo.status = AssetStatus.PENDING;
+        photo.retryCount = 0;
+        self._markDirty(item);
+        changed = true;
+      }
+    });
   });
   if (changed) {
     this._save(true);
@@ -549,6 +1266,130 @@ AssetRepository.prototype.retryFailed = function () {
   return changed;
 };
 
+// --- Exportação e Importação ---
+
+/**
+ * Obtém uma cópia de todos os itens da campanha ativa (inclusive cancelamentos
+ * ainda não sincronizados) para exportação
+ * @returns {Array<Object>} Cópia profunda dos itens
+ */
+AssetRepository.prototype.exportItems = function () {
+  return JSON.parse(JSON.stringify(this.items));
+};
+
+/**
+ * Importa leituras de outro dispositivo, mesclando pelo uid.
+ *
+ * - uid desconhecido: a leitura é adicionada, exceto se já houver uma leitura ativa
+ *   do mesmo tombamento na mesma localidade (evita duplicidade);
+ * - uid conhecido: a versão importada só substitui a local se for mais recente (updatedAt);
+ * - leituras não sincronizadas (pendentes, em envio ou com falha) voltam para a fila;
+ * - leituras de outra campanha são recusadas, assim como as sem campanha (com uma
+ *   campanha ativa), exceto se `options.assignCampaign` confirmar a atribuição.
+ * @param {Array<Object>} records - Registros lidos do arquivo
+ * @param {Object} [options] - Opções da importação
+ * @param {boolean} [options.assignCampaign=false] - Atribui à campanha ativa as leituras sem campanha
+ * @returns {Promise<ImportReport>} Resumo da importação
+ */
+AssetRepository.prototype.importItems = async function (records, options) {
+  const assignCampaign = !!(options && options.assignCampaign);
+  const report = { added: 0, updated: 0, skipped: 0, requeued: 0, rejected: [] };
+
+  if (!Array.isArray(records)) {
+    console.warn('AssetRepository.importItems: Lista de registros é inválida', records);
+    return report;
+  }
+
+  await this.ready;
+
+  const self = this;
+  const seen = new Set();
+
+  records.forEach(function (raw, index) {
+    const result = normalizeImportedItem(raw);
+    const rawUid = raw && typeof raw.uid === 'string' ? raw.uid : '';
+
+    if (!result.item) {
+      report.rejected.push({ index: index, uid: rawUid, reason: result.reason });
+      return;
+    }
+
+    const imported = result.item;
+    if (seen.has(imported.uid)) {
+      report.rejected.push({ index: index, uid: imported.uid, reason: 'uid repetido no arquivo' });
+      return;
+    }
+    seen.add(imported.uid);
+
+    // Leituras sem campanha só passam para a ativa com a confirmação do usuário
+    if (!imported.campaignId && self.campaignId) {
+      if (!assignCampaign) {
+        report.rejected.push({ index: index, uid: imported.uid, reason: 'Leitura sem campanha' });
+        return;
+      }
+      imported.campaignId = self.campaignId;
+    }
+    const otherCampaign = self._hiddenItems.some(function (i) { return i.uid === imported.uid; });
+    if (campaignId(imported.campaignId) !== self.campaignId || otherCampaign) {
+      const source = campaignId(imported.campaignId) || 'sem campanha';
+      report.rejected.push({ index: index, uid: imported.uid, reason: 'Leitura de outra campanha (' + source + ')' });
+      return;
+    }
+
+    // Itens não confirmados pelo servidor voltam para a fila
+    if (imported.status === AssetStatus.PENDING || imported.status === AssetStatus.IN_FLIGHT || imported.status === AssetStatus.FAILED) {
+      imported.status = AssetStatus.PENDING;
+      imported.retryCount = 0;
+    }
+
+    const existing = self.items.find(function (i) { return i.uid === imported.uid; });
+
+    if (!existing) {
+      const duplicate = !imported.cancelledAt && self.items.some(function (i) {
+        return !i.cancelledAt && sameAssetCode(i.code, imported.code) && i.location === imported.location;
+      });
+      if (duplicate) {
+        report.rejected.push({ index: index, uid: imported.uid, reason: 'Tombamento já lido nesta localidade' });
+        return;
+      }
+
+      self.items.push(imported);
+      self._markDirty(imported);
+      report.added++;
+    } else if (imported.updatedAt > existing.updatedAt && existing.status !== AssetStatus.IN_FLIGHT) {
+      // Mantém as fotos locais (o conteúdo das pendentes só existe neste dispositivo)
+      const photos = existing.photos;
+      Object.keys(existing).forEach(function (key) { delete existing[key]; });
+      Object.assign(existing, imported);
+      if (photos) existing.photos = photos;
+      self._markDirty(existing);
+      report.updated++;
+    } else {
+      report.skipped++;
+      return;
+    }
+
+    if (imported.status === AssetStatus.PENDING) report.requeued++;
+  });
+
+  if (report.added > 0 || report.updated > 0) {
+    this.items.sort(function (a, b) { return a.createdAt - b.createdAt; });
+    await this._save(true);
+    this._emit('assetsImported', { added: report.added, updated: report.updated });
+    this._emit('repositoryChanged');
+  }
+
+  console.info('AssetRepository.importItems: Importação concluída', {
+    added: report.added,
+    updated: report.updated,
+    skipped: report.skipped,
+    requeued: report.requeued,
+    rejected: report.rejected.length
+  });
+
+  return report;
+};
+
 /**
  * Aplica manutenção no repositório (limpeza por data e controle de versão)
  * @param {Object} appSettings - Configurações da aplicação
@@ -592,12 +1433,16 @@ AssetRepository.prototype.applyMaintenance = function (appSettings) {
 
   if (this.items.length > 0) {
     const initialCount = this.items.length;
+    const expired = this.items.filter(function (item) {
+      return item.createdAt < minDateTimestamp;
+    });
 
     this.items = this.items.filter(function (item) {
       return item.createdAt >= minDateTimestamp;
     });
 
     if (this.items.length !== initialCount) {
+      this._markRemoved(expired);
       forceSave = true;
       console.info('AssetRepository.applyMaintenance: Itens antigos removidos', {
         initialCount,
@@ -607,6 +1452,18 @@ AssetRepository.prototype.applyMaintenance = function (appSettings) {
     }
   }
 
+  // A data mínima vale também para as leituras das outras campanhas
+  const hiddenExpired = this._hiddenItems.filter(function (item) {
+    return item.createdAt < minDateTimestamp;
+  });
+  if (hiddenExpired.length > 0) {
+    this._hiddenItems = this._hiddenItems.filter(function (item) {
+      return item.createdAt >= minDateTimestamp;
+    });
+    this._markRemoved(hiddenExpired);
+    forceSave = true;
+  }
+
   if (forceSave) {
     this._save(true);
     this._emit('repositoryChanged');
@@ -619,11 +1476,20 @@ AssetRepository.prototype.applyMaintenance = function (appSettings) {
  */
 AssetRepository.prototype.clearStorage = function () {
   this.items = [];
+  this._hiddenItems = [];
+  this._dirtyUids.clear();
+  this._removedUids.clear();
+  this._removedPhotoIds.clear();
   try {
-    localStorage.removeItem(STORAGE_KEY);
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
   } catch (e) {
     console.error('AssetRepository: Erro ao limpar storage', e);
   }
+  if (!this._useLocalStorage) {
+    Promise.all([localDatabase.clear(Stores.ASSETS), localDatabase.clear(Stores.PHOTOS)]).catch(function (e) {
+      console.error('AssetRepository: Erro ao limpar IndexedDB', e);
+    });
+  }
   this._emit('repositoryChanged');
   this._emit('syncCompleted');
   return true;
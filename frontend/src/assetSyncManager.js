@@ -5,6 +5,7 @@
 
 import { backendService } from "./backendService.js";
 import { assetRepository } from "./assetRepository.js";
+import { SaveBatchStatus } from "../../shared/saveBatchResult.js";
 
 /**
  * Constantes de configuração de sincronização
@@ -13,6 +14,50 @@ const BATCH_SIZE = 10;
 const SYNC_INTERVAL_MS = 2000;
 const MAX_RETRIES = 5;
 
+/**
+ * Interpreta a resposta do saveCodeBatch, separando os UIDs do lote por destino.
+ * Aceita o formato por item ({ uid, status, reason }) e o formato antigo (array de UIDs salvos).
+ * UIDs do lote ausentes na resposta são tratados como falha transitória.
+ * @param {Array<Object|string>} response - Resposta do backend
+ * @param {Array<string>} batchUids - UIDs enviados no lote
+ * @returns {{saved: string[], rejected: Array<{uid: string, reason: string}>, retry: string[]}}
+ * @throws {Error} Se a resposta não for um array
+ */
+function parseSaveBatchResponse(response, batchUids) {
+  if (!Array.isArray(response)) throw new Error('Resposta inválida do backend');
+
+  const saved = [];
+  const rejected = [];
+  const answered = new Set();
+
+  response.forEach(function (entry) {
+    // Formato antigo: apenas o UID persistido
+    if (typeof entry === 'string') {
+      saved.push(entry);
+      answered.add(entry);
+      return;
+    }
+
+    if (!entry || typeof entry.uid !== 'string') return;
+
+    if (entry.status === SaveBatchStatus.SAVED || entry.status === SaveBatchStatus.UPDATED) {
+      saved.push(entry.uid);
+      answered.add(entry.uid);
+    } else if (entry.status === SaveBatchStatus.REJECTED) {
+      rejected.push({ uid: entry.uid, reason: entry.reason });
+      answered.add(entry.uid);
+    } else if (entry.status === SaveBatchStatus.RETRYABLE) {
+      console.warn('SyncManager: Item será reenviado', entry.uid, entry.reason);
+    }
+  });
+
+  const retry = batchUids.filter(function (uid) {
+    return !answered.has(uid);
+  });
+
+  return { saved: saved, rejected: rejected, retry: retry };
+}
+
 /**
  * Construtor do AssetSyncManager
  * @param {AssetRepository} repository - Instância do repositório local
@@ -91,6 +136,18 @@ AssetSyncManager.prototype._processQueue = async function () {
   const batch = this.repo.getPendingBatch(BATCH_SIZE);
 
   if (batch.length === 0) {
+    // Leituras em dia: envia as fotos pendentes, uma por ciclo
+    const photo = this.repo.getPendingPhoto();
+    if (photo) {
+      this.isSyncing = true;
+      try {
+        await this._uploadPhoto(photo.uid, photo.photoId);
+      } finally {
+        this.isSyncing = false;
+      }
+      return;
+    }
+
     this._stopSyncLoop();
     window.dispatchEvent(new CustomEvent('syncCompleted'));
     return;
@@ -108,33 +165,46 @@ AssetSyncManager.prototype._processQueue = async function () {
     const payload = batch.map(function (i) {
       return {
         uid: i.uid,
-        code: parseInt(i.code, 10),
+        // Código normalizado como texto (leituras antigas guardavam número)
+        code: String(i.code),
         location: i.location,
         state: i.state,
         ipvu: i.ipvu,
         obs: i.obs,
-        source: i.source
+        source: i.source,
+        // Tombstone: a linha é marcada como cancelada na planilha
+        cancelled: Boolean(i.cancelledAt),
+        // Pedido de transferência: registrado apenas quando a leitura é criada
+        transfer: i.transfer || null,
+        // Etiqueta danificada: coloca (ou retira) o bem da fila de reimpressão
+        damagedLabel: i.damagedLabel === true,
+        // Campos extras da aba campos_leitura (gravados nas colunas de mesmo cabeçalho)
+        fields: i.fields || {},
+        // Campanha da leitura (coluna campanha; '' sem campanhas cadastradas)
+        campaignId: i.campaignId || ''
       };
     });
 
-    const savedUids = await backendService.saveCodeBatch(payload);
-
-    if (!Array.isArray(savedUids)) throw new Error('Resposta inválida do backend');
+    const response = await backendService.saveCodeBatch(payload);
+    const result = parseSaveBatchResponse(response, batchUids);
 
     // 5. Sucesso: Atualiza repositório
-    this.repo.processSyncSuccess(savedUids);
+    if (result.saved.length > 0) {
+      this.repo.processSyncSuccess(result.saved);
+    }
 
-    // Verifica se algum item do lote não retornou ID (falha parcial)
-    const failedInBatch = batchUids.filter(function (uid) {
-      return savedUids.indexOf(uid) === -1;
-    });
+    // Recusados não voltam para a fila
+    if (result.rejected.length > 0) {
+      this.repo.processSyncRejected(result.rejected);
+    }
 
-    if (failedInBatch.length > 0) {
-      this.repo.processSyncRetry(failedInBatch, MAX_RETRIES);
+    // Falhas transitórias (ou itens sem resposta) voltam para a fila
+    if (result.retry.length > 0) {
+      this.repo.processSyncRetry(result.retry, MAX_RETRIES);
     }
 
     window.dispatchEvent(new CustomEvent('batchSynced', {
-      detail: { count: savedUids.length }
+      detail: { count: result.saved.length, rejected: result.rejected.length }
     }));
 
   } catch (error) {
@@ -146,5 +216,42 @@ AssetSyncManager.prototype._processQueue = async function () {
   }
 };
 
+/**
+ * Envia uma foto de uma leitura já sincronizada
+ * @param {string} uid - UID da leitura
+ * @param {string} photoId - Identificador da foto
+ * @private
+ */
+AssetSyncManager.prototype._uploadPhoto = async function (uid, photoId) {
+  const record = await this.repo.getPhotoData(photoId);
+
+  // Conteúdo perdido (ex.: dados do navegador apagados): não há o que enviar
+  if (!record) {
+    console.warn('SyncManager: Conteúdo da foto não encontrado', photoId);
+    this.repo.removePhoto(uid, photoId);
+    return;
+  }
+
+  this.repo.markPhotoInFlight(uid, photoId);
+
+  try {
+    const response = await backendService.savePhoto({
+      uid: uid,
+      photoId: photoId,
+      mimeType: record.mimeType,
+      // google.script.run não transporta Blob: envia o base64 sem o prefixo data:
+      data: record.dataUrl.substring(record.dataUrl.indexOf(',') + 1)
+    });
+
+    if (!response || !response.url) throw new Error('Resposta inválida do backend');
+
+    this.repo.processPhotoSuccess(uid, photoId, response.url);
+    window.dispatchEvent(new CustomEvent('photoSynced', { detail: { uid: uid, photoId: photoId } }));
+  } catch (error) {
+    console.error('SyncManager: Falha ao enviar foto', error);
+    this.repo.processPhotoRetry(uid, photoId, MAX_RETRIES);
+  }
+};
+
 // Inicializa o manager passando o repositório singleton
 export const assetSyncManager = new AssetSyncManager(assetRepository);
\ No newline at end of file
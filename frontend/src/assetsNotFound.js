@@ -15,6 +15,7 @@ import { locationSelector } from './locationSelector.js'
 import { userWarnings } from './userWarnings.js';
 import { AppModal } from './appModal.js';
 import { loadingModal } from './loadingModal.js'
+import { campaignSelector } from './campaignSelector.js';
 import { backendService } from "./backendService.js"
 import { scannerManager } from "./scannerManager.js"
 import {connectivityManager} from './connectivityManager.js';
@@ -273,7 +274,7 @@ AssetsNotFound.prototype.getNotFoundItensOnLocation = function (location) {
     loadingModal.toggle(true);
 
     // Usar backendService com tratamento unificado
-    backendService.getNotFoundItens(location)
+    backendService.getNotFoundItens(location, campaignSelector.getCampaignId() || null)
         .then(function (data) {
             if (isFinished) return;
             isFinished = true;
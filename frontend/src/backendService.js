@@ -18,6 +18,7 @@
  * @property {number} state - Estado do bem
  * @property {number} ipvu - Vida útil estimada
  * @property {string} obs - Observações
+ * @property {string} campaignId - Campanha da leitura ('' sem campanhas cadastradas)
  */
 
 /**
@@ -31,6 +32,16 @@
  * @typedef {Object} InventorySummaryResponse
  * @property {Array} locations - Lista de localizações
  * @property {Array} assetsFinded - Ativos encontrados por localização
+ * @property {string|null} cursor - Cursor para a próxima sincronização incremental
+ * @property {boolean} full - Indica se assetsFinded é completo (true) ou apenas as novidades (false)
+ */
+
+/**
+ * @typedef {Object} InventoryDataResponse
+ * @property {Array<{name: string, assetsCount: number}>} [locations] - Localidades (ausente quando notModified)
+ * @property {Array<{location: string, assets: Array}>} [inventory] - Bens por localidade (ausente quando notModified)
+ * @property {string} [hash] - Hash da base atual (backends antigos não enviam)
+ * @property {boolean} [notModified] - true quando a base não mudou desde o hash enviado
  */
 
 /**
@@ -96,11 +107,41 @@ BackendService.prototype.getCallConfig = function (functionName) {
             maxRetries: 1, // Mensagens podem esperar
             baseDelay: 3000
         },
+        'savePhoto': {
+            timeout: 60000, // Upload de imagem em redes lentas
+            retryOnFailure: false, // A fila de fotos do repositório controla as tentativas
+            maxRetries: 0,
+            baseDelay: 2000
+        },
+        'getReadingHistory': {
+            timeout: 20000,
+            retryOnFailure: true,
+            maxRetries: 1, // Consulta sob demanda: o usuário pode tentar de novo
+            baseDelay: 1500
+        },
         'getInventoryData': {
             timeout: 20000,
             retryOnFailure: true,
             maxRetries: 3, // Dados críticos, mais tentativas
             baseDelay: 1000
+        },
+        'getLocationStatus': {
+            timeout: 25000,
+            retryOnFailure: true,
+            maxRetries: 1,
+            baseDelay: 1500
+        },
+        'closeLocation': {
+            timeout: 25000,
+            retryOnFailure: false, // O usuário confirma de novo (evita conclusão duplicada)
+            maxRetries: 0,
+            baseDelay: 2000
+        },
+        'reopenLocation': {
+            timeout: 20000,
+            retryOnFailure: false,
+            maxRetries: 0,
+            baseDelay: 2000
         }
     };
 
@@ -267,7 +308,8 @@ BackendService.prototype._retryOperation = async function (operation, options =
 /**
  * Salva um lote de códigos no backend
  * @param {SaveCodeBatchPayload[]} batch - Lote de itens para salvar
- * @returns {Promise<string[]>} Array de UIDs salvos com sucesso
+ * @returns {Promise<Array<{uid: string, status: string, reason?: string}|string>>} Resultado por item
+ * (ver shared/saveBatchResult.js); backends antigos retornam apenas os UIDs salvos
  * @public
  */
 BackendService.prototype.saveCodeBatch = function (batch) {
@@ -277,21 +319,49 @@ BackendService.prototype.saveCodeBatch = function (batch) {
 /**
  * Obtém o resumo do inventário
  * @param {string|null} location - Localização específica (opcional)
+ * @param {string|null} [cursor] - Cursor da última sincronização; com ele o backend
+ * retorna apenas as leituras novas (`full: false`)
+ * @param {string|null} [campaign] - Campanha ativa; o resumo considera apenas as leituras dela
  * @returns {Promise<InventorySummaryResponse>} Resumo do inventário
  * @public
  */
-BackendService.prototype.getInventorySummary = function (location = null) {
-    return this._callBackend('getInventorySummary', location);
+BackendService.prototype.getInventorySummary = function (location = null, cursor = null, campaign = null) {
+    return this._callBackend('getInventorySummary', { location: location, cursor: cursor, campaign: campaign });
 };
 
 /**
  * Obtém itens não encontrados para uma localização
  * @param {string} location - Localização para buscar
+ * @param {string|null} [campaign] - Campanha ativa; considera apenas as leituras dela
  * @returns {Promise<Array>} Array de itens não encontrados
  * @public
  */
-BackendService.prototype.getNotFoundItens = function (location) {
-    return this._callBackend('getNotFoundItens', location);
+BackendService.prototype.getNotFoundItens = function (location, campaign = null) {
+    return this._callBackend('getNotFoundItens', { location: location, campaign: campaign });
+};
+
+/**
+ * Envia uma foto de uma leitura já sincronizada
+ * @param {Object} payload - Dados da foto
+ * @param {string} payload.uid - UID da leitura
+ * @param {string} payload.photoId - Identificador da foto
+ * @param {string} payload.mimeType - Tipo da imagem
+ * @param {string} payload.data - Conteúdo em base64 (sem o prefixo data:)
+ * @returns {Promise<{photoId: string, fileId: string, url: string}>} Arquivo gravado
+ * @public
+ */
+BackendService.prototype.savePhoto = function (payload) {
+    return this._callBackend('savePhoto', payload);
+};
+
+/**
+ * Obtém o histórico de alterações de uma leitura ou de um tombamento
+ * @param {string|{uid: string}|{code: string}} query - UID da leitura ou tombamento
+ * @returns {Promise<Array<Object>>} Entradas { uid, date, user, action, code, location, before, after }
+ * @public
+ */
+BackendService.prototype.getReadingHistory = function (query) {
+    return this._callBackend('getReadingHistory', query);
 };
 
 /**
@@ -304,6 +374,45 @@ BackendService.prototype.saveMessage = function (message) {
     return this._callBackend('saveMessage', message);
 };
 
+/**
+ * Obtém as contagens atuais de uma localidade e a conclusão registrada
+ * @param {string} location - Localidade
+ * @param {string|null} [campaign] - Campanha ativa
+ * @returns {Promise<{location: string, campaign: string, total: number, found: number,
+ * missing: number, divergent: number, closure: Object|null}>} Situação da localidade
+ * @public
+ */
+BackendService.prototype.getLocationStatus = function (location, campaign = null) {
+    return this._callBackend('getLocationStatus', { location: location, campaign: campaign });
+};
+
+/**
+ * Conclui uma localidade (ver shared/locationClosures.js)
+ * @param {Object} request - Pedido
+ * @param {string} request.location - Localidade
+ * @param {string|null} [request.campaign] - Campanha ativa
+ * @param {string} request.responsible - Nome do responsável
+ * @param {boolean} request.confirmed - Confirmação do responsável
+ * @returns {Promise<Object>} Conclusão registrada
+ * @public
+ */
+BackendService.prototype.closeLocation = function (request) {
+    return this._callBackend('closeLocation', request);
+};
+
+/**
+ * Reabre uma localidade concluída (supervisores)
+ * @param {Object} request - Pedido
+ * @param {string} request.location - Localidade
+ * @param {string|null} [request.campaign] - Campanha ativa
+ * @param {string} request.reason - Motivo da reabertura
+ * @returns {Promise<{location: string, campaign: string}>} Localidade reaberta
+ * @public
+ */
+BackendService.prototype.reopenLocation = function (request) {
+    return this._callBackend('reopenLocation', request);
+};
+
 /**
  * Busca as configurações do aplicativo
  * @returns {Promise<Object>} Configurações do aplicativo
@@ -320,12 +429,13 @@ BackendService.prototype.getAppSettings = function () {
 
 /**
  * Obtém dados do inventário (localizações e ativos)
- * @param {BackendCallOptions} options - Opções da chamada
- * @returns {Promise<Object>} Dados completos do inventário
+ * @param {string|null} [hash] - Hash da base em cache; se ela não mudou, o backend
+ * responde apenas `{ notModified: true, hash }`
+ * @returns {Promise<InventoryDataResponse>} Dados completos do inventário
  * @public
  */
-BackendService.prototype.getInventoryData = function () {
-    return this._callBackend('getInventoryData', {});
+BackendService.prototype.getInventoryData = function (hash = null) {
+    return this._callBackend('getInventoryData', hash ? { hash: hash } : {});
 };
 
 /* ============================================================================
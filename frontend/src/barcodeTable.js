@@ -1,32 +1,86 @@
 /**
  * @fileoverview BarcodeTable - Módulo de Gerenciamento da Tabela de Leituras
- * 
+ *
  * Gerencia a renderização, atualização e eventos da tabela de códigos de barras.
- * Implementa paginação, filtros por localização e atualizações em tempo real.
- * 
+ * Implementa busca (tombamento ou descrição), filtros por localização, situação
+ * da sincronização e estado do bem, ordenação pelas colunas e atualizações em
+ * tempo real.
+ *
+ * A renderização é virtualizada: apenas as linhas visíveis na área de rolagem
+ * (mais uma margem) existem no DOM, e linhas de espaçamento mantêm a altura
+ * total. Mudanças em um item atualizam só a linha dele (_updateItemInTable);
+ * a lista filtrada/ordenada é recalculada apenas quando a mudança afeta os
+ * filtros ou a ordem.
+ *
+ * Leituras podem ser selecionadas (caixa de seleção em cada linha ou "todas" no
+ * cabeçalho) para a edição em lote (evento `bulkEditRequested`). A seleção vale
+ * para os itens exibidos: filtrar ou trocar de local retira os que saem da lista.
+ *
  * @module BarcodeTable
- * @version 1.0.0
+ * @version 1.2.0
  * @author Tiago Possato
  */
 
 import { assetRepository, AssetStatus } from './assetRepository.js';
 import { locationSelector } from './locationSelector.js';
 import { inventoryBaseline } from './inventoryBaseline.js';
+import { readingFieldSchema } from './readingFieldSchema.js';
 
 /**
- * @typedef {Object} TableConfig
- * @property {number} itemsPerPage - Número de itens por página
- * @property {string|null} currentFilter - Filtro de localização atual
+ * @typedef {Object} TableSort
+ * @property {string|null} key - Coluna ('status', 'code', 'name' ou 'location'); null = mais recentes primeiro
+ * @property {number} direction - 1 crescente, -1 decrescente
  */
 
 /**
- * @typedef {Object} PaginationInfo
- * @property {number} currentPage - Página atual
- * @property {number} totalPages - Total de páginas
- * @property {number} totalItems - Total de itens
- * @property {number} startIndex - Índice de início da página
- * @property {number} endIndex - Índice de fim da página
+ * Filtros de situação da sincronização (valor do select -> status aceitos)
+ * @type {Object<string, string[]>}
  */
+const STATUS_FILTERS = Object.freeze({
+    unsynced: [AssetStatus.PENDING, AssetStatus.IN_FLIGHT, AssetStatus.FAILED],
+    synced: [AssetStatus.SYNCED],
+    rejected: [AssetStatus.REJECTED]
+});
+
+/**
+ * Ordem da coluna de status na ordenação crescente (problemas primeiro)
+ * @type {Object<string, number>}
+ */
+const STATUS_ORDER = Object.freeze({
+    [AssetStatus.REJECTED]: 0,
+    [AssetStatus.FAILED]: 1,
+    [AssetStatus.PENDING]: 2,
+    [AssetStatus.IN_FLIGHT]: 3,
+    [AssetStatus.SYNCED]: 4
+});
+
+/**
+ * Linhas renderizadas além da área visível, acima e abaixo
+ * @type {number}
+ */
+const OVERSCAN_ROWS = 8;
+
+/**
+ * Espera da busca após a digitação (ms)
+ * @type {number}
+ */
+const SEARCH_DEBOUNCE_MS = 150;
+
+/**
+ * Comparação de textos da ordenação (números dentro do texto em ordem numérica).
+ * Um único Collator: localeCompare com opções recria as regras a cada comparação.
+ * @type {Intl.Collator}
+ */
+const TEXT_COLLATOR = new Intl.Collator('pt-BR', { numeric: true, sensitivity: 'base' });
+
+/**
+ * Normaliza um texto para a busca (minúsculas, sem acentos)
+ * @param {*} text - Texto
+ * @returns {string}
+ */
+function normalizeSearch(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
 
 /**
  * Classe principal do módulo BarcodeTable
@@ -34,54 +88,146 @@ import { inventoryBaseline } from './inventoryBaseline.js';
  * @public
  */
 function BarcodeTable() {
-    /**
-     * Página atual da tabela
-     * @type {number}
-     * @public
-     */
-    this.currentPage = 1;
-
     // Bind de métodos para travar o contexto 'this'
     this.renderTable = this.renderTable.bind(this);
     this._updateItemInTable = this._updateItemInTable.bind(this);
     this._setupTableEvents = this._setupTableEvents.bind(this);
 
     /**
-     * Configurações da tabela
-     * @type {TableConfig}
+     * Filtro de localização atual (null = todas)
+     * @type {string|null}
      * @private
      */
-    this._itemsPerPage = 10;
     this._currentFilter = null;
 
+    /**
+     * Busca normalizada (tombamento ou descrição)
+     * @type {string}
+     * @private
+     */
+    this._search = '';
+
+    /**
+     * Filtro de situação da sincronização (chave de STATUS_FILTERS; '' = todas)
+     * @type {string}
+     * @private
+     */
+    this._statusFilter = '';
+
+    /**
+     * Filtro de estado do bem ('' = todos)
+     * @type {string}
+     * @private
+     */
+    this._stateFilter = '';
+
+    /**
+     * Ordenação atual
+     * @type {TableSort}
+     * @private
+     */
+    this._sort = { key: null, direction: 1 };
+
+    /**
+     * Itens filtrados e ordenados (cópias do repositório)
+     * @type {Array<Object>}
+     * @private
+     */
+    this._view = [];
+
+    /**
+     * Posição de cada uid em _view
+     * @type {Map<string, number>}
+     * @private
+     */
+    this._viewIndex = new Map();
+
+    /**
+     * Total de itens da localização, antes da busca e dos filtros
+     * @type {number}
+     * @private
+     */
+    this._totalItems = 0;
+
+    /**
+     * Linhas presentes no DOM, por uid
+     * @type {Map<string, HTMLTableRowElement>}
+     * @private
+     */
+    this._rows = new Map();
+
+    /**
+     * UIDs das leituras selecionadas
+     * @type {Set<string>}
+     * @private
+     */
+    this._selected = new Set();
+
+    /**
+     * Faixa de _view renderizada (fim exclusivo)
+     * @type {{start: number, end: number}}
+     * @private
+     */
+    this._range = { start: 0, end: 0 };
+
+    /**
+     * Altura de uma linha em pixels (medida após a primeira renderização)
+     * @type {number}
+     * @private
+     */
+    this._rowHeight = 37;
+
+    this._refreshScheduled = false;
+    this._windowScheduled = false;
+    this._measuring = false;
+    this._searchTimer = null;
+
     // Renderiza a estrutura HTML inicial
     const tableArea = document.getElementById('barcode-table-area');
     tableArea.innerHTML = `
         <div class="table-wrapper">
             <h4 class="table-header-container" id="table-heading">Itens Encontrados por este dispositivo</h4>
-            <table id="barcode-table">
-                <thead>
-                    <tr>
-                        <th class="col-stat">Stat</th>
-                        <th class="col-patrimonio">Patrimônio</th>
-                        <th class="col-name">Descrição curta</th>
-                        <th class="col-location">Local</th>
-                        <th class="col-action">Ação</th>
-                    </tr>
-                </thead>
-                <tbody></tbody>
-            </table>
+            <div class="table-toolbar">
+                <input type="search" id="table-search" class="table-search" placeholder="Buscar tombamento ou descrição" aria-label="Buscar tombamento ou descrição">
+                <select id="table-status-filter" aria-label="Filtrar pela sincronização">
+                    <option value="">Todas as situações</option>
+                    <option value="unsynced">Não sincronizados</option>
+                    <option value="synced">Sincronizados</option>
+                    <option value="rejected">Recusados</option>
+                </select>
+                <select id="table-state-filter" aria-label="Filtrar pelo estado do bem">
+                    <option value="">Todos os estados</option>
+                </select>
+            </div>
+            <div id="table-selection-bar" class="table-selection-bar" style="display: none;">
+                <span><strong id="table-selected-count">0</strong> selecionada(s)</span>
+                <button type="button" id="btnBulkEdit" class="btn btn-primary">Editar em lote</button>
+                <button type="button" id="btnClearSelection" class="btn">Limpar seleção</button>
+            </div>
+            <div id="barcode-table-scroll" class="table-virtual-scroll">
+                <table id="barcode-table">
+                    <thead>
+                        <tr>
+                            <th class="col-select"><input type="checkbox" id="table-select-all" aria-label="Selecionar todas as leituras exibidas"></th>
+                            <th class="col-stat sortable" data-sort="status">Stat</th>
+                            <th class="col-patrimonio sortable" data-sort="code">Patrimônio</th>
+                            <th class="col-name sortable" data-sort="name">Descrição curta</th>
+                            <th class="col-location sortable" data-sort="location">Local</th>
+                            <th class="col-action">Ação</th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            </div>
         </div>
         <div class="pagination-container">
             <div class="pagination-info">Itens: <span id="table-item-count">0</span></div>
-            <div class="pagination-info">Página <span id="page-num">1</span></div>
-            <div class="pagination-buttons">
-                <button id="prev-page" class="pagination-btn">Anterior</button>
-                <button id="next-page" class="pagination-btn">Próximo</button>
-            </div>
         </div>
     `;
 
+    this._scroll = document.getElementById('barcode-table-scroll');
+    this._tbody = tableArea.querySelector('#barcode-table tbody');
+
     // Inicializa os ouvintes de eventos globais
     this._setupTableEvents();
 }
@@ -112,109 +258,475 @@ BarcodeTable.prototype._statusIcon = function (status) {
         case AssetStatus.IN_FLIGHT: return '🔄';
         case AssetStatus.FAILED: return '❌';
         case AssetStatus.PENDING: return '⏳';
+        case AssetStatus.REJECTED: return '⛔';
         default: return '?';
     }
 };
 
 /**
- * Atualiza visualmente uma linha sem reconstruí-la
- * @param {Object} item - Item a ser atualizado
+ * Aplica na linha o destaque de item recusado e preenche a célula de descrição
+ * (com o motivo informado pelo servidor, se recusado)
+ * @param {HTMLTableRowElement} row - Linha da tabela
+ * @param {HTMLTableCellElement} nameCell - Célula de descrição
+ * @param {Object} item - Item exibido
  * @private
  */
-BarcodeTable.prototype._updateItemInTable = function (item) {
-    const row = document.getElementById('row-' + item.uid);
-    if (!row) return;
-    const itemName = inventoryBaseline.getAssetName(item.code) || "--";
+BarcodeTable.prototype._applyItemState = function (row, nameCell, item) {
+    const isRejected = item.status === AssetStatus.REJECTED;
+    const text = isRejected
+        ? 'Recusado: ' + (item.rejectReason || 'motivo não informado')
+        : (item.damagedLabel ? '🏷️ ' : '') + (inventoryBaseline.getAssetName(item.code) || "--");
+
+    row.classList.toggle('rejected-row', isRejected);
+    nameCell.classList.toggle('reject-reason', isRejected);
+
+    if (nameCell.textContent !== text) {
+        nameCell.textContent = text;
+        // A célula corta o texto em uma linha; o título mostra o texto completo
+        nameCell.title = text;
+    }
+};
 
-    // Atualiza apenas se necessário (evita reflow desnecessário)
-    if (row.cells[0].textContent !== this._statusIcon(item.status)) {
-        row.cells[0].textContent = this._statusIcon(item.status);
+/**
+ * Preenche uma linha com os dados do item, alterando só o que mudou
+ * @param {HTMLTableRowElement} row - Linha da tabela
+ * @param {Object} item - Item exibido
+ * @private
+ */
+BarcodeTable.prototype._fillRow = function (row, item) {
+    const checkbox = row.cells[0].firstChild;
+    const selected = this._selected.has(item.uid);
+    if (checkbox.checked !== selected) {
+        checkbox.checked = selected;
     }
+    row.classList.toggle('selected-row', selected);
 
-    if (row.cells[1].textContent !== item.code) {
-        row.cells[1].textContent = item.code;
+    // Atualiza apenas se necessário (evita reflow desnecessário)
+    if (row.cells[1].textContent !== this._statusIcon(item.status)) {
+        row.cells[1].textContent = this._statusIcon(item.status);
     }
-    if (row.cells[2].textContent !== itemName) {
-        row.cells[2].textContent = itemName;
+
+    if (row.cells[2].textContent !== String(item.code)) {
+        row.cells[2].textContent = item.code;
     }
+    this._applyItemState(row, row.cells[3], item);
 
     const loc = item.location.split(' ')[0];
-    if (row.cells[3].textContent !== loc) {
-        row.cells[3].textContent = loc;
+    if (row.cells[4].textContent !== loc) {
+        row.cells[4].textContent = loc;
     }
 };
 
 /**
- * Renderiza/atualiza a tabela com os itens filtrados e paginados
- * @param {string|null} [currentFilter=null] - Filtro de localização
- * @public
+ * Cria a linha de um item (os botões são tratados por delegação no tbody)
+ * @param {Object} item - Item exibido
+ * @returns {HTMLTableRowElement}
+ * @private
  */
-BarcodeTable.prototype.renderTable = function (currentFilter = null) {
+BarcodeTable.prototype._createRow = function (item) {
+    const tr = document.createElement("tr");
+    tr.id = "row-" + item.uid;
+
+    const selectCell = this._createCell('', 'centered-cell select-cell');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.setAttribute('data-select', '');
+    checkbox.setAttribute('aria-label', 'Selecionar ' + item.code);
+    selectCell.appendChild(checkbox);
+    tr.appendChild(selectCell);
+
+    tr.appendChild(this._createCell('', 'status-cell centered-cell'));
+    tr.appendChild(this._createCell('', "centered-cell"));
+    tr.appendChild(this._createCell('', "default-cell name-cell"));
+    tr.appendChild(this._createCell('', "default-cell"));
+
+    const actionCell = document.createElement("td");
+    actionCell.className = "centered-cell action-cell";
+
+    const btn = document.createElement("button");
+    btn.className = "btn-edit";
+    btn.textContent = "Editar";
+    btn.setAttribute('data-action', 'edit');
+
+    const btnDelete = document.createElement("button");
+    btnDelete.className = "btn-delete";
+    btnDelete.textContent = "Excluir";
+    btnDelete.setAttribute('data-action', 'delete');
+
+    actionCell.appendChild(btn);
+    actionCell.appendChild(btnDelete);
+    tr.appendChild(actionCell);
+
+    this._fillRow(tr, item);
+    return tr;
+};
+
+/**
+ * Verifica se o item passa pela busca e pelos filtros de situação e estado
+ * @param {Object} item - Item
+ * @returns {boolean}
+ * @private
+ */
+BarcodeTable.prototype._matchesFilters = function (item) {
+    if (this._statusFilter && STATUS_FILTERS[this._statusFilter].indexOf(item.status) === -1) {
+        return false;
+    }
+
+    if (this._stateFilter !== '' && Number(item.state) !== Number(this._stateFilter)) {
+        return false;
+    }
+
+    if (this._search) {
+        if (normalizeSearch(item.code).indexOf(this._search) !== -1) return true;
+        return normalizeSearch(inventoryBaseline.getAssetName(item.code)).indexOf(this._search) !== -1;
+    }
+
+    return true;
+};
+
+/**
+ * Verifica se o item deve aparecer na tabela (localização, cancelamento e filtros)
+ * @param {Object} item - Item
+ * @returns {boolean}
+ * @private
+ */
+BarcodeTable.prototype._matches = function (item) {
+    if (item.cancelledAt) return false;
+    if (this._currentFilter !== null && item.location !== this._currentFilter.trim()) return false;
+    return this._matchesFilters(item);
+};
+
+/**
+ * Valor usado na ordenação pela coluna atual
+ * @param {Object} item - Item
+ * @returns {string|number}
+ * @private
+ */
+BarcodeTable.prototype._sortValue = function (item) {
+    switch (this._sort.key) {
+        case 'status': return STATUS_ORDER[item.status] !== undefined ? STATUS_ORDER[item.status] : 99;
+        case 'code': return String(item.code);
+        case 'name': return inventoryBaseline.getAssetName(item.code) || '';
+        case 'location': return String(item.location || '');
+        default: return 0;
+    }
+};
+
+/**
+ * Recalcula a lista filtrada e ordenada e redesenha as linhas visíveis
+ * @private
+ */
+BarcodeTable.prototype._refresh = function () {
     const self = this;
-    const tbody = document.querySelector("#barcode-table tbody");
+    this._refreshScheduled = false;
+
+    // Mais recentes primeiro (ordem inversa de inclusão)
+    const items = [...assetRepository.getItemsByLocation(this._currentFilter)].reverse();
+    this._totalItems = items.length;
+
+    let view = items.filter(function (item) { return self._matchesFilters(item); });
+
+    if (this._sort.key) {
+        const direction = this._sort.direction;
+        // Índice original como desempate: ordenação estável entre navegadores
+        view = view
+            .map(function (item, index) { return { item: item, index: index, value: self._sortValue(item) }; })
+            .sort(function (a, b) {
+                let diff;
+                if (typeof a.value === 'number') {
+                    diff = a.value - b.value;
+                } else {
+                    diff = TEXT_COLLATOR.compare(a.value, b.value);
+                }
+                return diff !== 0 ? diff * direction : a.index - b.index;
+            })
+            .map(function (entry) { return entry.item; });
+    }
+
+    this._view = view;
+    this._viewIndex = new Map();
+    view.forEach(function (item, index) { self._viewIndex.set(item.uid, index); });
+
+    // A seleção vale apenas para os itens exibidos
+    this._selected.forEach(function (uid) {
+        if (!self._viewIndex.has(uid)) self._selected.delete(uid);
+    });
+    this._renderSelection();
+
+    const count = document.getElementById('table-item-count');
+    count.textContent = view.length === this._totalItems
+        ? String(view.length)
+        : view.length + ' de ' + this._totalItems;
+
+    this._renderWindow(true);
+};
+
+/**
+ * Agenda um _refresh para o próximo quadro (várias mudanças seguidas geram um só)
+ * @private
+ */
+BarcodeTable.prototype._scheduleRefresh = function () {
+    if (this._refreshScheduled) return;
+    this._refreshScheduled = true;
+
+    const self = this;
+    const run = function () { if (self._refreshScheduled) self._refresh(); };
+    if (window.requestAnimationFrame) {
+        window.requestAnimationFrame(run);
+    } else {
+        setTimeout(run, 16);
+    }
+};
+
+/**
+ * Cria uma linha de espaçamento (ocupa a altura das linhas não renderizadas)
+ * @param {number} height - Altura em pixels
+ * @returns {HTMLTableRowElement}
+ * @private
+ */
+BarcodeTable.prototype._createSpacer = function (height) {
+    const tr = document.createElement('tr');
+    tr.className = 'spacer-row';
+    tr.setAttribute('aria-hidden', 'true');
+    const td = document.createElement('td');
+    td.colSpan = 6;
+    td.style.height = height + 'px';
+    tr.appendChild(td);
+    return tr;
+};
+
+/**
+ * Renderiza apenas as linhas da área visível, reaproveitando as que já existem
+ * @param {boolean} [force=false] - Redesenha mesmo que a faixa visível não tenha mudado
+ * @private
+ */
+BarcodeTable.prototype._renderWindow = function (force) {
+    this._windowScheduled = false;
+    const tbody = this._tbody;
     if (!tbody) return;
 
-    // Aplica o filtro se ele existir
-    if (currentFilter !== null) {
-        if (currentFilter !== locationSelector.NONE_SELECTED) {
-            self._currentFilter = currentFilter;
+    const total = this._view.length;
+    const rowHeight = this._rowHeight;
+    // Área oculta (clientHeight 0): renderiza o equivalente a uma tela
+    const viewport = this._scroll.clientHeight || rowHeight * 15;
+    const first = Math.floor(this._scroll.scrollTop / rowHeight);
+    const start = Math.min(Math.max(0, first - OVERSCAN_ROWS), total);
+    const end = Math.min(total, first + Math.ceil(viewport / rowHeight) + OVERSCAN_ROWS);
+
+    if (!force && start === this._range.start && end === this._range.end) return;
+    this._range = { start: start, end: end };
+
+    const rows = new Map();
+    const fragment = document.createDocumentFragment();
+    fragment.appendChild(this._createSpacer(start * rowHeight));
+
+    for (let i = start; i < end; i++) {
+        const item = this._view[i];
+        let tr = this._rows.get(item.uid);
+        if (tr) {
+            this._fillRow(tr, item);
         } else {
-            self._currentFilter = null;
+            tr = this._createRow(item);
         }
+        rows.set(item.uid, tr);
+        fragment.appendChild(tr);
     }
 
-    const allFilteredItems = [...assetRepository.getItemsByLocation(self._currentFilter)].reverse();
+    fragment.appendChild(this._createSpacer((total - end) * rowHeight));
 
-    const totalItems = allFilteredItems.length;
-    const totalPages = Math.ceil(totalItems / self._itemsPerPage) || 1;
+    this._rows = rows;
+    tbody.innerHTML = '';
+    tbody.appendChild(fragment);
 
-    // Garante que a página atual é válida após filtrar
-    if (self.currentPage > totalPages) self.currentPage = totalPages;
-    if (self.currentPage < 1) self.currentPage = 1;
+    // Ajusta a altura estimada à real (fonte/tema do dispositivo) e redesenha uma vez
+    const sample = rows.size > 0 ? rows.values().next().value : null;
+    const measured = sample ? sample.offsetHeight : 0;
+    if (measured > 0 && Math.abs(measured - rowHeight) >= 1 && !this._measuring) {
+        this._rowHeight = measured;
+        this._measuring = true;
+        this._renderWindow(true);
+        this._measuring = false;
+    }
+};
 
-    const start = (self.currentPage - 1) * self._itemsPerPage;
-    const end = start + self._itemsPerPage;
-    const paginatedItems = allFilteredItems.slice(start, end);
+/**
+ * Agenda o redesenho da área visível para o próximo quadro (rolagem)
+ * @private
+ */
+BarcodeTable.prototype._scheduleWindow = function () {
+    if (this._windowScheduled) return;
+    this._windowScheduled = true;
 
-    // Atualiza UI de paginação
-    document.getElementById('page-num').textContent = self.currentPage + " / " + totalPages;
-    document.getElementById('prev-page').disabled = (self.currentPage === 1);
-    document.getElementById('next-page').disabled = (self.currentPage === totalPages);
-    document.getElementById('table-item-count').textContent = String(totalItems);
+    const self = this;
+    const run = function () { if (self._windowScheduled) self._renderWindow(false); };
+    if (window.requestAnimationFrame) {
+        window.requestAnimationFrame(run);
+    } else {
+        setTimeout(run, 16);
+    }
+};
 
-    // Limpa e reconstrói a tabela
-    tbody.innerHTML = ''; // Limpa a página anterior
-    const fragment = document.createDocumentFragment();
+/**
+ * Atualiza visualmente uma linha sem reconstruí-la.
+ * Quando a mudança tira o item dos filtros, o traz para eles ou muda sua
+ * posição na ordenação, a lista é recalculada no próximo quadro.
+ * @param {Object} item - Item a ser atualizado
+ * @private
+ */
+BarcodeTable.prototype._updateItemInTable = function (item) {
+    const index = this._viewIndex.get(item.uid);
+    const matches = this._matches(item);
 
-    paginatedItems.forEach(function (item) {
-        const tr = document.createElement("tr");
-        tr.id = "row-" + item.uid;
+    if (index === undefined) {
+        if (matches) this._scheduleRefresh();
+        return;
+    }
 
-        tr.appendChild(self._createCell(self._statusIcon(item.status), 'status-cell centered-cell'));
-        tr.appendChild(self._createCell(item.code, "centered-cell"));
-        tr.appendChild(self._createCell(inventoryBaseline.getAssetName(item.code) || "--", "default-cell"));
+    const previous = this._view[index];
+    this._view[index] = item;
 
-        const loc = item.location.split(' ')[0];
-        tr.appendChild(self._createCell(loc, "default-cell"));
+    if (!matches || (this._sort.key && this._sortValue(previous) !== this._sortValue(item))) {
+        this._scheduleRefresh();
+        return;
+    }
 
-        const actionCell = document.createElement("td");
-        actionCell.className = "centered-cell";
+    const row = this._rows.get(item.uid);
+    if (row) this._fillRow(row, item);
+};
 
-        const btn = document.createElement("button");
-        btn.className = "btn-edit";
-        btn.textContent = "Editar";
-        btn.onclick = function () {
-            window.dispatchEvent(new CustomEvent('editItemRequested', {
-                detail: { uid: item.uid }
-            }));
-        };
+/**
+ * Atualiza a barra de seleção e a caixa "selecionar todas" do cabeçalho
+ * @private
+ */
+BarcodeTable.prototype._renderSelection = function () {
+    const count = this._selected.size;
+    const bar = document.getElementById('table-selection-bar');
+    const selectAll = document.getElementById('table-select-all');
+
+    if (bar) {
+        bar.style.display = count > 0 ? 'flex' : 'none';
+        document.getElementById('table-selected-count').textContent = String(count);
+    }
 
-        actionCell.appendChild(btn);
-        tr.appendChild(actionCell);
-        fragment.appendChild(tr);
+    if (selectAll) {
+        selectAll.checked = count > 0 && count === this._view.length;
+        selectAll.indeterminate = count > 0 && count < this._view.length;
+    }
+};
+
+/**
+ * Marca ou desmarca uma leitura
+ * @param {string} uid - Identificador do item
+ * @param {boolean} selected - Novo estado
+ * @private
+ */
+BarcodeTable.prototype._setSelected = function (uid, selected) {
+    if (selected) {
+        this._selected.add(uid);
+    } else {
+        this._selected.delete(uid);
+    }
+
+    const row = this._rows.get(uid);
+    const index = this._viewIndex.get(uid);
+    if (row && index !== undefined) this._fillRow(row, this._view[index]);
+    this._renderSelection();
+};
+
+/**
+ * Seleciona todas as leituras exibidas (respeitando busca e filtros) ou nenhuma
+ * @param {boolean} selected - true seleciona, false limpa
+ * @public
+ */
+BarcodeTable.prototype.selectAll = function (selected) {
+    const self = this;
+    this._selected = new Set(selected ? this._view.map(function (item) { return item.uid; }) : []);
+    this._rows.forEach(function (row, uid) {
+        const index = self._viewIndex.get(uid);
+        if (index !== undefined) self._fillRow(row, self._view[index]);
     });
+    this._renderSelection();
+};
 
-    tbody.appendChild(fragment);
+/**
+ * UIDs das leituras selecionadas, na ordem da tabela
+ * @returns {string[]}
+ * @public
+ */
+BarcodeTable.prototype.getSelectedUids = function () {
+    const self = this;
+    return this._view
+        .filter(function (item) { return self._selected.has(item.uid); })
+        .map(function (item) { return item.uid; });
+};
+
+/**
+ * Renderiza/atualiza a tabela com os itens filtrados e ordenados
+ * @param {string|null} [currentFilter=null] - Filtro de localização
+ * @public
+ */
+BarcodeTable.prototype.renderTable = function (currentFilter = null) {
+    // Aplica o filtro se ele existir
+    if (currentFilter !== null) {
+        if (currentFilter !== locationSelector.NONE_SELECTED) {
+            this._currentFilter = currentFilter;
+        } else {
+            this._currentFilter = null;
+        }
+    }
+
+    this._refresh();
+};
+
+/**
+ * Define a ordenação pela coluna: crescente, decrescente e de volta a "mais recentes"
+ * @param {string} key - Coluna ('status', 'code', 'name' ou 'location')
+ * @private
+ */
+BarcodeTable.prototype._toggleSort = function (key) {
+    if (this._sort.key !== key) {
+        this._sort = { key: key, direction: 1 };
+    } else if (this._sort.direction === 1) {
+        this._sort = { key: key, direction: -1 };
+    } else {
+        this._sort = { key: null, direction: 1 };
+    }
+
+    const sort = this._sort;
+    document.querySelectorAll('#barcode-table th[data-sort]').forEach(function (th) {
+        const active = th.getAttribute('data-sort') === sort.key;
+        th.classList.toggle('sort-asc', active && sort.direction === 1);
+        th.classList.toggle('sort-desc', active && sort.direction === -1);
+        th.setAttribute('aria-sort', active ? (sort.direction === 1 ? 'ascending' : 'descending') : 'none');
+    });
+
+    this._refresh();
+};
+
+/**
+ * Preenche o filtro de estado com as opções configuradas (mesmas do modal de edição)
+ * @param {HTMLSelectElement} select - Select do filtro
+ * @private
+ */
+BarcodeTable.prototype._renderStateOptions = function (select) {
+    const current = select.value;
+    const options = readingFieldSchema.getField('estado').options;
+
+    select.innerHTML = '<option value="">Todos os estados</option>';
+    options.forEach(function (option) {
+        const el = document.createElement('option');
+        el.value = option.value;
+        el.textContent = option.label;
+        select.appendChild(el);
+    });
+
+    // Filtro que deixou de existir volta para "todos"
+    const kept = options.some(function (option) { return option.value === current; });
+    select.value = kept ? current : '';
+    if (this._stateFilter !== select.value) {
+        this._stateFilter = select.value;
+        this._refresh();
+    }
 };
 
 /**
@@ -224,25 +736,99 @@ BarcodeTable.prototype.renderTable = function (currentFilter = null) {
 BarcodeTable.prototype._setupTableEvents = function () {
     const self = this;
 
-    const btnPrev = document.getElementById('prev-page');
-    const btnNext = document.getElementById('next-page');
-
-    if (btnPrev && btnNext) {
-        btnPrev.onclick = function () {
-            if (self.currentPage > 1) {
-                self.currentPage--;
-                self.renderTable();
-            }
-        };
-
-        btnNext.onclick = function () {
-            const totalPages = Math.ceil(assetRepository.getStats().total / self._itemsPerPage);
-            if (self.currentPage < totalPages) {
-                self.currentPage++;
-                self.renderTable();
-            }
-        };
+    const search = document.getElementById('table-search');
+    const statusFilter = document.getElementById('table-status-filter');
+    const stateFilter = document.getElementById('table-state-filter');
+
+    if (search) {
+        search.addEventListener('input', function () {
+            clearTimeout(self._searchTimer);
+            self._searchTimer = setTimeout(function () {
+                self._search = normalizeSearch(search.value);
+                self._scroll.scrollTop = 0;
+                self._refresh();
+            }, SEARCH_DEBOUNCE_MS);
+        });
+    }
+
+    if (statusFilter) {
+        statusFilter.addEventListener('change', function () {
+            self._statusFilter = statusFilter.value;
+            self._scroll.scrollTop = 0;
+            self._refresh();
+        });
+    }
+
+    if (stateFilter) {
+        self._renderStateOptions(stateFilter);
+        stateFilter.addEventListener('change', function () {
+            self._stateFilter = stateFilter.value;
+            self._scroll.scrollTop = 0;
+            self._refresh();
+        });
+
+        // Opções do estado vêm da aba campos_leitura (carregada com as configurações)
+        window.addEventListener('readingFieldsChanged', function () {
+            self._renderStateOptions(stateFilter);
+        });
+    }
+
+    document.querySelectorAll('#barcode-table th[data-sort]').forEach(function (th) {
+        th.addEventListener('click', function () {
+            self._toggleSort(th.getAttribute('data-sort'));
+        });
+    });
+
+    const selectAll = document.getElementById('table-select-all');
+    if (selectAll) {
+        selectAll.addEventListener('change', function () {
+            self.selectAll(selectAll.checked);
+        });
+    }
+
+    const btnBulkEdit = document.getElementById('btnBulkEdit');
+    if (btnBulkEdit) {
+        btnBulkEdit.addEventListener('click', function () {
+            /**
+             * Evento disparado para editar em lote as leituras selecionadas
+             * @event bulkEditRequested
+             * @property {string[]} uids - Leituras selecionadas
+             */
+            window.dispatchEvent(new CustomEvent('bulkEditRequested', {
+                detail: { uids: self.getSelectedUids() }
+            }));
+        });
+    }
+
+    const btnClearSelection = document.getElementById('btnClearSelection');
+    if (btnClearSelection) {
+        btnClearSelection.addEventListener('click', function () { self.selectAll(false); });
+    }
+
+    // Botões e caixas de seleção das linhas (delegação: as linhas são criadas e descartadas na rolagem)
+    if (this._tbody) {
+        this._tbody.addEventListener('change', function (e) {
+            if (!e.target.hasAttribute || !e.target.hasAttribute('data-select')) return;
+            const uid = e.target.closest('tr').id.substring('row-'.length);
+            self._setSelected(uid, e.target.checked);
+        });
+
+        this._tbody.addEventListener('click', function (e) {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const uid = button.closest('tr').id.substring('row-'.length);
+            const eventName = button.getAttribute('data-action') === 'edit' ? 'editItemRequested' : 'deleteItemRequested';
+
+            window.dispatchEvent(new CustomEvent(eventName, {
+                detail: { uid: uid }
+            }));
+        });
+    }
+
+    if (this._scroll) {
+        this._scroll.addEventListener('scroll', function () { self._scheduleWindow(); }, { passive: true });
     }
+    window.addEventListener('resize', function () { self._scheduleWindow(); });
 
     /**
      * Escuta eventos de mudança de dados dos assets
@@ -255,6 +841,52 @@ BarcodeTable.prototype._setupTableEvents = function () {
         }
     });
 
+    /**
+     * Início/fim de sincronização: itens passam a "enviando" ou voltam para a fila
+     * sem evento por item
+     * @event syncStarted
+     * @event syncCompleted
+     */
+    ['syncStarted', 'syncCompleted'].forEach(function (eventName) {
+        window.addEventListener(eventName, function () {
+            self._scheduleRefresh();
+        });
+    });
+
+    /**
+     * Edição em lote aplicada: a seleção é concluída
+     * @event bulkEditApplied
+     */
+    window.addEventListener('bulkEditApplied', function () {
+        self.selectAll(false);
+    });
+
+    /**
+     * Escuta cancelamentos de leituras (o item deixa de ser exibido)
+     * @event assetCancelled
+     */
+    window.addEventListener('assetCancelled', function () {
+        self.renderTable();
+    });
+
+    /**
+     * Escuta importações de leituras de outro dispositivo
+     * @event assetsImported
+     */
+    window.addEventListener('assetsImported', function () {
+        self.renderTable();
+    });
+
+    /**
+     * Escuta a troca de campanha (as leituras locais passam a ser as da nova campanha)
+     * @event campaignChanged
+     */
+    window.addEventListener('campaignChanged', function () {
+        self.selectAll(false);
+        self._scroll.scrollTop = 0;
+        self.renderTable();
+    });
+
     /**
      * Escuta eventos de mudança de localização
      * @event locationChanged
@@ -265,7 +897,7 @@ BarcodeTable.prototype._setupTableEvents = function () {
         if (novoLocal === null || novoLocal === undefined) return;
 
         // Atualiza o estado interno do filtro no módulo da tabela
-        self.currentPage = 1; // Volta para a primeira página ao trocar de local
+        self._scroll.scrollTop = 0; // Volta para o topo ao trocar de local
         self.renderTable(novoLocal);
     });
 };
@@ -0,0 +1,281 @@
+/**
+ * @fileoverview BaselineCache - Cache offline da base do inventário
+ *
+ * Guarda no IndexedDB a última base do inventário (localidades e bens), o hash
+ * informado pelo backend e as configurações do app, permitindo abrir o
+ * aplicativo sem conexão. Com conexão, o hash é enviado ao backend, que responde
+ * apenas "não modificado" quando a base não mudou.
+ *
+ * @module BaselineCache
+ * @version 1.0.0
+ * @author Tiago Possato
+ */
+
+import { localDatabase, Stores } from './localDatabase.js';
+import { backendService } from './backendService.js';
+import { userWarnings } from './userWarnings.js';
+import { inventorySchemaErrorText } from '../../shared/inventoryColumns.js';
+
+/**
+ * @typedef {Object} CachedBaseline
+ * @property {string} key - Chave do registro no store de cache
+ * @property {string|null} hash - Hash da base informado pelo backend
+ * @property {{locations: Array, inventory: Array, attributes: Array}} inventoryData - Base do inventário
+ * @property {Object} appSettings - Configurações do app
+ * @property {number} savedAt - Momento da gravação (timestamp)
+ */
+
+/**
+ * @typedef {Object} BootData
+ * @property {{locations: Array, inventory: Array, attributes: Array}} inventoryData - Base do inventário
+ * @property {Object} appSettings - Configurações do app
+ * @property {boolean} fromCache - true quando os dados vieram do cache (sem confirmação do backend)
+ * @property {number|null} savedAt - Momento em que o cache foi gravado
+ * @property {string} [schemaError] - Erro de esquema da aba inventario (já exibido ao usuário)
+ */
+
+/**
+ * Chave do registro da base no store de cache
+ * @type {string}
+ */
+const CACHE_KEY = 'inventoryBaseline';
+
+/**
+ * Tempo máximo de espera pelo backend na abertura quando existe cache (ms).
+ * Depois disso o app abre com o cache e a resposta, se chegar, atualiza o cache.
+ * @type {number}
+ */
+const BOOT_TIMEOUT_MS = 8000;
+
+/**
+ * Classe principal do módulo BaselineCache
+ * @class
+ * @public
+ */
+function BaselineCache() {
+    /**
+     * Hash da base em uso nesta sessão
+     * @type {string|null}
+     * @private
+     */
+    this.hash = null;
+
+    /**
+     * Indica que a sessão abriu com o cache e a base ainda precisa ser confirmada no backend
+     * @type {boolean}
+     * @private
+     */
+    this.needsRevalidation = false;
+
+    /**
+     * Revalidação em andamento (evita chamadas duplicadas)
+     * @type {Promise<void>|null}
+     * @private
+     */
+    this._revalidating = null;
+
+    window.addEventListener('connectivityStatusChanged', (e) => {
+        if (e.detail && e.detail.online && this.needsRevalidation) {
+            this.revalidate();
+        }
+    });
+}
+
+/**
+ * Lê a base guardada
+ * @returns {Promise<CachedBaseline|null>} Registro do cache ou null (sem cache ou IndexedDB indisponível)
+ * @public
+ */
+BaselineCache.prototype.read = async function () {
+    try {
+        const entry = await localDatabase.get(Stores.CACHE, CACHE_KEY);
+        if (!entry || !entry.inventoryData || !Array.isArray(entry.inventoryData.inventory)) return null;
+        return entry;
+    } catch (error) {
+        console.warn('BaselineCache: Não foi possível ler o cache', error);
+        return null;
+    }
+};
+
+/**
+ * Grava a base e as configurações (falhas apenas são registradas: o cache é opcional)
+ * @param {{locations: Array, inventory: Array, attributes: Array}} inventoryData - Base do inventário
+ * @param {string|null} hash - Hash informado pelo backend
+ * @param {Object} appSettings - Configurações do app
+ * @returns {Promise<void>}
+ * @public
+ */
+BaselineCache.prototype.save = async function (inventoryData, hash, appSettings) {
+    try {
+        await localDatabase.putMany(Stores.CACHE, [{
+            key: CACHE_KEY,
+            hash: hash || null,
+            inventoryData: { locations: inventoryData.locations, inventory: inventoryData.inventory, attributes: inventoryData.attributes || [] },
+            appSettings: appSettings || {},
+            savedAt: Date.now()
+        }]);
+    } catch (error) {
+        console.warn('BaselineCache: Não foi possível gravar o cache', error);
+    }
+};
+
+/**
+ * Busca configurações e base no backend, enviando o hash da base em cache
+ * @param {CachedBaseline|null} cached - Cache atual
+ * @returns {Promise<{inventoryData: Object, appSettings: Object, hash: string|null, changed: boolean}>}
+ * @private
+ */
+BaselineCache.prototype._fetch = async function (cached) {
+    const responses = await Promise.all([
+        backendService.getAppSettings(),
+        backendService.getInventoryData(cached ? cached.hash : null)
+    ]);
+    const appSettings = responses[0];
+    const response = responses[1] || {};
+
+    if (response.notModified) {
+        if (!cached) {
+            throw new Error('Backend respondeu "não modificado" sem base em cache');
+        }
+        await this.save(cached.inventoryData, cached.hash, appSettings);
+        return { inventoryData: cached.inventoryData, appSettings: appSettings, hash: cached.hash, changed: false };
+    }
+
+    const inventoryData = { locations: response.locations || [], inventory: response.inventory || [], attributes: response.attributes || [] };
+    const hash = response.hash || null;
+    await this.save(inventoryData, hash, appSettings);
+
+    return {
+        inventoryData: inventoryData,
+        appSettings: appSettings,
+        hash: hash,
+        // Backends sem hash: não há como saber, considera alterada
+        changed: !cached || !hash || hash !== cached.hash
+    };
+};
+
+/**
+ * Obtém os dados de abertura do app: do backend quando possível, do cache
+ * quando o dispositivo está offline ou o backend não responde a tempo
+ * @returns {Promise<BootData>}
+ * @throws {Error} Quando não há conexão com o backend nem cache
+ * @public
+ */
+BaselineCache.prototype.loadBootData = async function () {
+    const self = this;
+    const cached = await this.read();
+
+    if (!cached) {
+        const fresh = await this._fetch(null);
+        this.hash = fresh.hash;
+        return { inventoryData: fresh.inventoryData, appSettings: fresh.appSettings, fromCache: false, savedAt: null };
+    }
+
+    const fromCache = {
+        inventoryData: cached.inventoryData,
+        appSettings: cached.appSettings,
+        fromCache: true,
+        savedAt: cached.savedAt
+    };
+
+    this.hash = cached.hash;
+
+    if (!navigator.onLine) {
+        this.needsRevalidation = true;
+        return fromCache;
+    }
+
+    const request = this._fetch(cached);
+    let timerId = null;
+    const timeout = new Promise(function (resolve) {
+        timerId = setTimeout(function () { resolve(null); }, BOOT_TIMEOUT_MS);
+    });
+
+    try {
+        const fresh = await Promise.race([request, timeout]);
+        if (fresh) {
+            this.hash = fresh.hash;
+            return { inventoryData: fresh.inventoryData, appSettings: fresh.appSettings, fromCache: false, savedAt: null };
+        }
+    } catch (error) {
+        console.warn('BaselineCache: Backend indisponível, abrindo com o cache', error);
+        this.needsRevalidation = true;
+        const schemaError = warnSchemaError(error);
+        if (schemaError) fromCache.schemaError = schemaError;
+        return fromCache;
+    } finally {
+        clearTimeout(timerId);
+    }
+
+    // Backend lento: abre com o cache e aproveita a resposta quando ela chegar
+    console.warn(`BaselineCache: Backend não respondeu em ${BOOT_TIMEOUT_MS}ms, abrindo com o cache`);
+    this.needsRevalidation = true;
+    this._revalidating = request
+        .then(function (fresh) { self._handleRevalidation(fresh); })
+        .catch(function (error) {
+            console.warn('BaselineCache: Revalidação falhou', error);
+            warnSchemaError(error);
+        })
+        .then(function () { self._revalidating = null; });
+
+    return fromCache;
+};
+
+/**
+ * Confirma no backend a base aberta a partir do cache (ao voltar a conexão)
+ * @returns {Promise<void>}
+ * @public
+ */
+BaselineCache.prototype.revalidate = function () {
+    const self = this;
+    if (this._revalidating) return this._revalidating;
+
+    this._revalidating = this.read()
+        .then(function (cached) { return self._fetch(cached); })
+        .then(function (fresh) { self._handleRevalidation(fresh); })
+        .catch(function (error) {
+            console.warn('BaselineCache: Revalidação falhou', error);
+            warnSchemaError(error);
+        })
+        .then(function () { self._revalidating = null; });
+
+    return this._revalidating;
+};
+
+/**
+ * Trata a resposta da revalidação: avisa o usuário quando a base mudou
+ * @param {{hash: string|null, changed: boolean}} fresh - Resultado da busca no backend
+ * @private
+ */
+BaselineCache.prototype._handleRevalidation = function (fresh) {
+    this.needsRevalidation = false;
+
+    if (fresh.changed && fresh.hash !== this.hash) {
+        /**
+         * Evento disparado quando o backend tem uma base diferente da que está em uso
+         * @event baselineOutdated
+         * @property {string|null} hash - Hash da nova base (já gravada no cache)
+         */
+        window.dispatchEvent(new CustomEvent('baselineOutdated', { detail: { hash: fresh.hash } }));
+        userWarnings.printUserWarning('A base do inventário foi atualizada. Recarregue a página para usar a nova versão.');
+    }
+};
+
+/**
+ * Avisa o usuário quando a falha é o erro de esquema da aba inventario
+ * (coluna obrigatória ausente); as demais falhas ficam apenas no console
+ * @param {Error} error - Falha da chamada ao backend
+ * @returns {string} Texto do erro de esquema ('' se for outra falha)
+ * @private
+ */
+function warnSchemaError(error) {
+    const text = inventorySchemaErrorText(error);
+    if (text) userWarnings.printUserWarning(text);
+    return text;
+}
+
+/**
+ * Instância singleton do BaselineCache
+ * @type {BaselineCache}
+ */
+export const baselineCache = new BaselineCache();
@@ -0,0 +1,380 @@
+/**
+ * @fileoverview BulkEditModal - Edição em lote das leituras selecionadas
+ *
+ * Aplica estado, vida útil e observações a várias leituras de uma vez (por
+ * exemplo, 40 cadeiras iguais de uma sala). Cada campo pode ser mantido ou
+ * alterado; a prévia mostra quantas leituras realmente mudam, e só essas
+ * passam pelo AssetRepository.updateItem e voltam para a fila de sincronização.
+ *
+ * Rótulos e opções de estado e vida útil vêm da aba `campos_leitura`
+ * (readingFieldSchema); campos extras não são editados em lote.
+ *
+ * Aberto pelo evento `bulkEditRequested` (disparado pela tabela de leituras).
+ * Implementa padrão Singleton com auto-injeção de HTML, como o EditAssetModal.
+ *
+ * @module BulkEditModal
+ * @version 1.0.0
+ * @author Tiago Possato
+ */
+
+import { assetRepository } from './assetRepository.js';
+import { userWarnings } from './userWarnings.js';
+import { remoteInventoryRegistry } from './remoteInventoryRegistry.js';
+import { readingFieldSchema } from './readingFieldSchema.js';
+
+/**
+ * Valor dos selects para "não alterar"
+ * @type {string}
+ */
+const KEEP = '';
+
+/**
+ * Modos do campo de observações
+ * @readonly
+ * @enum {string}
+ */
+const ObsMode = Object.freeze({
+    KEEP: 'keep',
+    REPLACE: 'replace',
+    APPEND: 'append'
+});
+
+/**
+ * Tamanho máximo das observações (mesmo limite do AssetRepository.updateItem)
+ * @type {number}
+ */
+const OBS_MAX_LENGTH = 140;
+
+/**
+ * Quantidade de tombamentos listados na prévia
+ * @type {number}
+ */
+const PREVIEW_CODES = 10;
+
+/**
+ * @typedef {Object} BulkChanges
+ * @property {number|null} state - Novo estado (null = manter)
+ * @property {number|null} ipvu - Nova vida útil (null = manter)
+ * @property {string} obsMode - Modo das observações (ObsMode)
+ * @property {string} obsText - Texto das observações
+ */
+
+/**
+ * Classe principal do módulo BulkEditModal
+ * @class
+ * @public
+ */
+function BulkEditModal() {
+    this.innerHTML();
+
+    /**
+     * Referência ao elemento modal
+     * @type {HTMLElement}
+     * @private
+     */
+    this.modal = document.getElementById('bulkEditModal');
+
+    /**
+     * Campos do formulário
+     * @type {{state: HTMLSelectElement, ipvu: HTMLSelectElement, obsMode: HTMLSelectElement, obs: HTMLTextAreaElement}}
+     * @private
+     */
+    this.fields = {
+        state: document.getElementById('bulkState'),
+        ipvu: document.getElementById('bulkIpvu'),
+        obsMode: document.getElementById('bulkObsMode'),
+        obs: document.getElementById('bulkObs')
+    };
+
+    /**
+     * Área da prévia e botão de aplicar
+     * @type {HTMLElement}
+     * @private
+     */
+    this.preview = document.getElementById('bulkEditPreview');
+    this.btnApply = document.getElementById('btnApplyBulkEdit');
+
+    /**
+     * UIDs das leituras selecionadas
+     * @type {string[]}
+     * @private
+     */
+    this.uids = [];
+
+    this.open = this.open.bind(this);
+    this.submit = this.submit.bind(this);
+    this.close = this.close.bind(this);
+
+    this.initEvents();
+}
+
+/**
+ * Injeta o HTML necessário no final do body (tela cheia, como o modal de edição)
+ * @private
+ */
+BulkEditModal.prototype.innerHTML = function () {
+    if (document.getElementById('bulkEditModal')) return;
+
+    const modalHtml = `
+        <div id="bulkEditModal" class="modal-full">
+
+            <div class="modal-header">
+                <h2>Editar em Lote</h2>
+            </div>
+
+            <form id="bulkEditForm" class="modal-body">
+                <div class="form-group">
+                    <label id="bulkStateLabel">Estado do Bem</label>
+                    <select id="bulkState" class="input-modal-edit"></select>
+                </div>
+
+                <div class="form-group">
+                    <label id="bulkIpvuLabel">Vida Útil Estimada</label>
+                    <select id="bulkIpvu" class="input-modal-edit"></select>
+                </div>
+
+                <div class="form-group">
+                    <label id="bulkObsLabel">Observações</label>
+                    <select id="bulkObsMode" class="input-modal-edit">
+                        <option value="${ObsMode.KEEP}">Manter as atuais</option>
+                        <option value="${ObsMode.REPLACE}">Substituir por</option>
+                        <option value="${ObsMode.APPEND}">Acrescentar ao final</option>
+                    </select>
+                    <textarea id="bulkObs" class="input-modal-edit bulk-obs" rows="4" maxlength="${OBS_MAX_LENGTH}" placeholder="Notas adicionais..." disabled></textarea>
+                </div>
+
+                <div id="bulkEditPreview" class="bulk-preview" aria-live="polite"></div>
+
+                <div class="modal-footer-btns">
+                    <button type="button" id="btnCancelBulkEdit" class="btn-modal btn-modal-cancel">Cancelar</button>
+                    <button type="button" id="btnApplyBulkEdit" class="btn-modal btn-modal-save">Aplicar</button>
+                </div>
+            </form>
+        </div>
+    `;
+
+    document.body.insertAdjacentHTML('beforeend', modalHtml);
+};
+
+/**
+ * Configura os listeners de eventos
+ * @private
+ */
+BulkEditModal.prototype.initEvents = function () {
+    const self = this;
+
+    document.getElementById('btnCancelBulkEdit').addEventListener('click', self.close);
+    self.btnApply.addEventListener('click', self.submit);
+
+    // Qualquer mudança no formulário atualiza a prévia
+    [self.fields.state, self.fields.ipvu, self.fields.obsMode].forEach(function (field) {
+        field.addEventListener('change', function () {
+            self.fields.obs.disabled = self.fields.obsMode.value === ObsMode.KEEP;
+            self._renderPreview();
+        });
+    });
+    self.fields.obs.addEventListener('input', function () { self._renderPreview(); });
+
+    /**
+     * Evento customizado para abrir a edição em lote
+     * @event bulkEditRequested
+     * @property {string[]} uids - Leituras selecionadas
+     */
+    window.addEventListener('bulkEditRequested', function (e) {
+        self.open(e.detail.uids);
+    });
+};
+
+/**
+ * Abre o modal para as leituras selecionadas
+ * @param {string[]} uids - UIDs das leituras
+ * @public
+ */
+BulkEditModal.prototype.open = function (uids) {
+    this.uids = Array.isArray(uids) ? uids.slice() : [];
+    if (this.uids.length === 0) {
+        console.warn('BulkEditModal: Nenhuma leitura selecionada');
+        return;
+    }
+
+    this._renderOptions(this.fields.state, 'estado', '— Manter o atual —');
+    this._renderOptions(this.fields.ipvu, 'ipvu', '— Manter a atual —');
+    document.getElementById('bulkObsLabel').textContent = readingFieldSchema.getField('obs').label;
+
+    this.fields.state.value = KEEP;
+    this.fields.ipvu.value = KEEP;
+    this.fields.obsMode.value = ObsMode.KEEP;
+    this.fields.obs.value = '';
+    this.fields.obs.disabled = true;
+
+    this._renderPreview();
+
+    this.modal.style.display = 'block';
+    document.body.style.overflow = 'hidden'; // Trava o scroll do fundo
+};
+
+/**
+ * Preenche um select com as opções configuradas do campo, após a opção de manter
+ * @param {HTMLSelectElement} select - Select do formulário
+ * @param {string} key - Campo ('estado' ou 'ipvu')
+ * @param {string} keepLabel - Texto da opção de manter
+ * @private
+ */
+BulkEditModal.prototype._renderOptions = function (select, key, keepLabel) {
+    const field = readingFieldSchema.getField(key);
+    document.getElementById(select.id + 'Label').textContent = field.label;
+
+    select.innerHTML = '';
+    [{ value: KEEP, label: keepLabel }].concat(field.options).forEach(function (option) {
+        const el = document.createElement('option');
+        el.value = option.value;
+        el.textContent = option.label;
+        select.appendChild(el);
+    });
+};
+
+/**
+ * Lê as alterações escolhidas no formulário
+ * @returns {BulkChanges}
+ * @private
+ */
+BulkEditModal.prototype._readChanges = function () {
+    return {
+        state: this.fields.state.value === KEEP ? null : parseInt(this.fields.state.value, 10),
+        ipvu: this.fields.ipvu.value === KEEP ? null : parseInt(this.fields.ipvu.value, 10),
+        obsMode: this.fields.obsMode.value,
+        obsText: this.fields.obs.value.trim()
+    };
+};
+
+/**
+ * Calcula os novos valores de uma leitura
+ * @param {Object} item - Leitura atual
+ * @param {BulkChanges} changes - Alterações escolhidas
+ * @returns {{state: number, ipvu: number, obs: string, changed: boolean}}
+ * @private
+ */
+BulkEditModal.prototype._apply = function (item, changes) {
+    const currentObs = item.obs || '';
+    let obs = currentObs;
+
+    if (changes.obsMode === ObsMode.REPLACE) {
+        obs = changes.obsText;
+    } else if (changes.obsMode === ObsMode.APPEND && changes.obsText) {
+        obs = currentObs ? currentObs + ' ' + changes.obsText : changes.obsText;
+    }
+    obs = obs.substring(0, OBS_MAX_LENGTH);
+
+    const state = changes.state === null ? Number(item.state) : changes.state;
+    const ipvu = changes.ipvu === null ? Number(item.ipvu) : changes.ipvu;
+
+    return {
+        state: state,
+        ipvu: ipvu,
+        obs: obs,
+        changed: state !== Number(item.state) || ipvu !== Number(item.ipvu) || obs !== currentObs
+    };
+};
+
+/**
+ * Leituras selecionadas que ainda existem, com os valores calculados
+ * @param {BulkChanges} changes - Alterações escolhidas
+ * @returns {Array<{item: Object, values: Object}>}
+ * @private
+ */
+BulkEditModal.prototype._plan = function (changes) {
+    const self = this;
+    const plan = [];
+
+    this.uids.forEach(function (uid) {
+        const item = assetRepository.getItem(uid);
+        // Leituras canceladas enquanto o modal estava aberto ficam de fora, assim como as
+        // de localidades concluídas (o saveCodeBatch recusaria a alteração)
+        if (!item || item.cancelledAt || remoteInventoryRegistry.getLocationClosure(item.location)) return;
+        plan.push({ item: item, values: self._apply(item, changes) });
+    });
+
+    return plan;
+};
+
+/**
+ * Mostra quantas leituras serão alteradas e quais
+ * @private
+ */
+BulkEditModal.prototype._renderPreview = function () {
+    const plan = this._plan(this._readChanges());
+    const changed = plan.filter(function (entry) { return entry.values.changed; });
+
+    this.preview.innerHTML = '';
+
+    const summary = document.createElement('p');
+    summary.className = 'bulk-preview-summary';
+    summary.textContent = changed.length === 0
+        ? `${plan.length} leitura(s) selecionada(s). Nenhuma será alterada.`
+        : `${changed.length} de ${plan.length} leitura(s) selecionada(s) serão alteradas e reenviadas.`;
+    this.preview.appendChild(summary);
+
+    if (changed.length > 0) {
+        const codes = document.createElement('p');
+        codes.className = 'bulk-preview-codes';
+        codes.textContent = changed
+            .slice(0, PREVIEW_CODES)
+            .map(function (entry) { return entry.item.code; })
+            .join(', ') + (changed.length > PREVIEW_CODES ? ` e mais ${changed.length - PREVIEW_CODES}` : '');
+        this.preview.appendChild(codes);
+    }
+
+    this.btnApply.disabled = changed.length === 0;
+};
+
+/**
+ * Aplica as alterações às leituras que mudam (cada uma volta para a fila de sincronização)
+ * @returns {number} Quantidade de leituras atualizadas
+ * @public
+ */
+BulkEditModal.prototype.submit = function () {
+    const changed = this._plan(this._readChanges())
+        .filter(function (entry) { return entry.values.changed; });
+
+    let updated = 0;
+    changed.forEach(function (entry) {
+        // damagedLabel omitido: a marcação de etiqueta de cada leitura é mantida
+        if (assetRepository.updateItem(entry.item.uid, entry.values.state, entry.values.ipvu, entry.values.obs)) {
+            updated++;
+        }
+    });
+
+    if (updated < changed.length) {
+        console.error(`BulkEditModal: ${changed.length - updated} leitura(s) não atualizada(s)`);
+    }
+    userWarnings.printUserWarning(`${updated} leitura(s) atualizada(s) em lote.`);
+
+    /**
+     * Evento disparado após aplicar a edição em lote
+     * @event bulkEditApplied
+     * @property {string[]} uids - Leituras que estavam selecionadas
+     * @property {number} updated - Quantidade de leituras alteradas
+     */
+    window.dispatchEvent(new CustomEvent('bulkEditApplied', {
+        detail: { uids: this.uids.slice(), updated: updated }
+    }));
+
+    this.close();
+    return updated;
+};
+
+/**
+ * Fecha o modal
+ * @public
+ */
+BulkEditModal.prototype.close = function () {
+    this.modal.style.display = 'none';
+    document.body.style.overflow = 'auto'; // Destrava o scroll
+    this.uids = [];
+};
+
+/**
+ * Instância singleton do BulkEditModal
+ * @type {BulkEditModal}
+ */
+export const bulkEditModal = new BulkEditModal();
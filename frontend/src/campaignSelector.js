@@ -0,0 +1,229 @@
+/**
+ * @fileoverview CampaignSelector - Seletor da campanha de inventário ativa
+ *
+ * Lista as campanhas abertas da aba `campanhas` (recebidas em `getAppSettings`,
+ * ver shared/campaigns.js) e guarda a escolha no dispositivo. A campanha ativa
+ * separa as leituras locais (AssetRepository.setCampaign) e acompanha o resumo,
+ * os não encontrados e a gravação das leituras no backend.
+ *
+ * Sem campanhas cadastradas o seletor fica oculto e o app funciona como antes.
+ *
+ * @module CampaignSelector
+ * @version 1.0.0
+ * @author Tiago Possato
+ */
+
+import { assetRepository } from './assetRepository.js';
+import { userWarnings } from './userWarnings.js';
+import { CampaignStatus, parseCampaigns } from '../../shared/campaigns.js';
+
+/**
+ * Chave do LocalStorage com a campanha escolhida no dispositivo
+ * @type {string}
+ */
+const STORAGE_KEY = 'BARCODE_APP_CAMPAIGN';
+
+/**
+ * Classe principal do módulo CampaignSelector
+ * @class
+ * @public
+ */
+function CampaignSelector() {
+    /**
+     * Seletor CSS do container do componente
+     * @type {string}
+     * @private
+     */
+    this.containerId = '#campaign-selector';
+
+    /**
+     * ID do elemento select
+     * @type {string}
+     * @private
+     */
+    this.selectId = 'campaign-select';
+
+    /**
+     * Campanhas abertas, na ordem da aba
+     * @type {Array<Object>}
+     * @private
+     */
+    this.campaigns = [];
+
+    /**
+     * Campanha ativa ('' sem campanhas cadastradas). Até o init vale a última
+     * escolhida, para que o resumo remoto já comece na campanha certa.
+     * @type {string}
+     * @private
+     */
+    this.campaignId = this._readStored();
+}
+
+/**
+ * Lê a campanha escolhida na última abertura
+ * @returns {string}
+ * @private
+ */
+CampaignSelector.prototype._readStored = function () {
+    try {
+        return localStorage.getItem(STORAGE_KEY) || '';
+    } catch (e) {
+        console.warn('CampaignSelector: Não foi possível ler a campanha salva', e.message);
+        return '';
+    }
+};
+
+/**
+ * Guarda a campanha escolhida
+ * @param {string} id - Identificador da campanha ('' remove a escolha)
+ * @private
+ */
+CampaignSelector.prototype._store = function (id) {
+    try {
+        if (id) {
+            localStorage.setItem(STORAGE_KEY, id);
+        } else {
+            localStorage.removeItem(STORAGE_KEY);
+        }
+    } catch (e) {
+        console.warn('CampaignSelector: Não foi possível salvar a campanha', e.message);
+    }
+};
+
+/**
+ * Retorna a campanha ativa
+ * @returns {string} Identificador da campanha ('' sem campanhas cadastradas)
+ * @public
+ */
+CampaignSelector.prototype.getCampaignId = function () {
+    return this.campaignId;
+};
+
+/**
+ * Retorna os dados da campanha ativa
+ * @returns {Object|null} Campanha (id, name, status, startsAt, endsAt) ou null
+ * @public
+ */
+CampaignSelector.prototype.getCampaign = function () {
+    const id = this.campaignId;
+    return this.campaigns.filter(function (campaign) { return campaign.id === id; })[0] || null;
+};
+
+/**
+ * Renderiza o seletor e ativa a campanha salva (ou a primeira aberta)
+ * @param {Array<Object>|null|undefined} rawCampaigns - `campaigns` de getAppSettings
+ * @returns {Promise<void>} Resolvida quando as leituras locais já estão na campanha ativa
+ * @public
+ */
+CampaignSelector.prototype.init = async function (rawCampaigns) {
+    const container = document.querySelector(this.containerId);
+    const all = parseCampaigns(rawCampaigns);
+    const stored = this.campaignId;
+
+    this.campaigns = all.filter(function (campaign) { return campaign.status === CampaignStatus.OPEN; });
+
+    let next = '';
+    if (this.campaigns.length > 0) {
+        next = this.campaigns.some(function (campaign) { return campaign.id === stored; })
+            ? stored
+            : this.campaigns[0].id;
+    }
+
+    if (all.length > 0 && this.campaigns.length === 0) {
+        userWarnings.printUserWarning('Nenhuma campanha aberta: novas leituras serão recusadas pelo servidor.');
+    } else if (stored && next !== stored && this.campaigns.length > 0) {
+        userWarnings.printUserWarning(`A campanha "${stored}" não está aberta. Usando "${this.campaigns[0].name}".`);
+    }
+
+    if (container) {
+        this._render(container, next);
+    }
+
+    await this._activate(next);
+};
+
+/**
+ * Monta o select no container (oculto sem campanhas abertas)
+ * @param {HTMLElement} container - Container do componente
+ * @param {string} selected - Campanha selecionada
+ * @private
+ */
+CampaignSelector.prototype._render = function (container, selected) {
+    const self = this;
+    container.innerHTML = '';
+    container.style.display = this.campaigns.length > 0 ? '' : 'none';
+    if (this.campaigns.length === 0) return;
+
+    const select = document.createElement('select');
+    select.id = this.selectId;
+    select.className = 'campaign-select';
+    select.setAttribute('aria-label', 'Campanha de inventário');
+
+    this.campaigns.forEach(function (campaign) {
+        const option = document.createElement('option');
+        option.value = campaign.id;
+        option.textContent = 'Campanha: ' + campaign.name;
+        select.appendChild(option);
+    });
+    select.value = selected;
+
+    select.addEventListener('change', function () {
+        self._handleChange(select);
+    });
+
+    container.appendChild(select);
+};
+
+/**
+ * Troca de campanha pelo seletor. Leituras ainda não enviadas ficariam fora da
+ * sincronização, então a troca só é feita com a fila vazia.
+ * @param {HTMLSelectElement} select - Seletor
+ * @private
+ */
+CampaignSelector.prototype._handleChange = function (select) {
+    const stats = assetRepository.getStats();
+    const unsent = stats.pending + stats.failed + stats.pendingPhotos;
+
+    if (unsent > 0) {
+        userWarnings.printUserWarning(`Há ${unsent} envio(s) pendente(s) nesta campanha. Aguarde a sincronização antes de trocar.`);
+        select.value = this.campaignId;
+        return;
+    }
+
+    this._activate(select.value).catch(function (error) {
+        console.error('CampaignSelector: Erro ao trocar de campanha', error);
+    });
+};
+
+/**
+ * Ativa a campanha nas leituras locais e avisa os demais módulos
+ * @param {string} id - Identificador da campanha
+ * @returns {Promise<void>}
+ * @private
+ */
+CampaignSelector.prototype._activate = async function (id) {
+    const previous = this.campaignId;
+    this.campaignId = id;
+    this._store(id);
+
+    await assetRepository.setCampaign(id);
+
+    if (id !== previous) {
+        console.info('CampaignSelector: Campanha alterada', { from: previous, to: id });
+
+        /**
+         * Evento global disparado quando a campanha ativa muda
+         * @event campaignChanged
+         * @property {string} campaignId - Nova campanha ('' sem campanhas)
+         */
+        window.dispatchEvent(new CustomEvent('campaignChanged', {
+            detail: { campaignId: id }
+        }));
+    }
+};
+
+/**
+ * Instância singleton do CampaignSelector
+ * @type {CampaignSelector}
+ */
+export const campaignSelector = new CampaignSelector();
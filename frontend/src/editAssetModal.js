@@ -3,14 +3,24 @@
  * 
  * Gerencia o modal de edição de ativos com formulário para atualização de estado,
  * vida útil e observações. Implementa padrão Singleton com auto-injeção de HTML.
+ *
+ * Os campos do formulário (rótulos, opções, obrigatoriedade e campos extras) vêm
+ * da aba `campos_leitura` (ver readingFieldSchema.js) e são montados a cada abertura.
  * 
  * @module EditAssetModal
- * @version 1.0.0
+ * @version 1.1.0
  * @author Tiago Possato
  */
 
-import { assetRepository } from './assetRepository.js';
+import { assetRepository, AssetStatus } from './assetRepository.js';
 import { inventoryBaseline } from './inventoryBaseline.js';
+import { AppModal } from './appModal.js';
+import { backendService } from './backendService.js';
+import { compressPhoto } from './photoCompressor.js';
+import { userWarnings } from './userWarnings.js';
+import { readingFieldSchema } from './readingFieldSchema.js';
+import { remoteInventoryRegistry } from './remoteInventoryRegistry.js';
+import { READING_FIELD_TYPES } from '../../shared/readingFields.js';
 
 /**
  * @typedef {Object} FormFields
@@ -18,9 +28,10 @@ import { inventoryBaseline } from './inventoryBaseline.js';
  * @property {HTMLInputElement} code - Campo de tombamento (somente leitura)
  * @property {HTMLTextAreaElement} specification - Campo de especificação (somente leitura)
  * @property {HTMLTextAreaElement} location - Campo de localização (somente leitura)
- * @property {HTMLSelectElement} state - Select de estado do bem
- * @property {HTMLSelectElement} ipvu - Select de vida útil estimada
- * @property {HTMLTextAreaElement} obs - Textarea de observações
+ * @property {HTMLSelectElement} state - Select de estado do bem (recriado a cada abertura)
+ * @property {HTMLSelectElement} ipvu - Select de vida útil estimada (recriado a cada abertura)
+ * @property {HTMLTextAreaElement|HTMLInputElement} obs - Campo de observações (recriado a cada abertura)
+ * @property {HTMLInputElement} damagedLabel - Checkbox de etiqueta danificada
  */
 
 /**
@@ -32,6 +43,8 @@ import { inventoryBaseline } from './inventoryBaseline.js';
  * @property {number} state - Estado do bem (0-4)
  * @property {number} ipvu - Vida útil estimada em anos
  * @property {string} obs - Observações adicionais
+ * @property {boolean} damagedLabel - Etiqueta danificada (pede reimpressão)
+ * @property {Object} fields - Campos extras da aba campos_leitura
  */
 
 /**
@@ -63,15 +76,49 @@ function EditAssetModal() {
         code: document.getElementById('tombamentoField'),
         specification: document.getElementById('specField'),
         location: document.getElementById('locationField'),
-        state: document.getElementById('estadoBem'),
-        ipvu: document.getElementById('vidaUtil'),
-        obs: document.getElementById('observacoes')
+        state: null,
+        ipvu: null,
+        obs: null,
+        damagedLabel: document.getElementById('etiquetaDanificada')
     };
 
+    /**
+     * Container dos campos configuráveis e os controles criados para cada campo
+     * @type {HTMLElement}
+     * @private
+     */
+    this.fieldsContainer = document.getElementById('readingFieldsForm');
+    this.fieldControls = [];
+
+    /**
+     * Container dos atributos extras do bem na base (somente leitura)
+     * @type {HTMLElement}
+     * @private
+     */
+    this.attributesContainer = document.getElementById('baselineAttributes');
+
+    /**
+     * Container do histórico de alterações da leitura
+     * @type {HTMLElement}
+     * @private
+     */
+    this.historyList = document.getElementById('historyList');
+
+    /**
+     * Input de captura de fotos e container das miniaturas
+     * @type {HTMLInputElement}
+     * @private
+     */
+    this.photoInput = document.getElementById('photoInput');
+    this.photoList = document.getElementById('photoList');
+
     // Bind de métodos para manter o contexto
     this.open = this.open.bind(this);
     this.submit = this.submit.bind(this);
     this.close = this.close.bind(this);
+    this.requestDelete = this.requestDelete.bind(this);
+    this.loadHistory = this.loadHistory.bind(this);
+    this.addPhotos = this.addPhotos.bind(this);
 
     /**
      * Handlers de eventos para remoção posterior
@@ -80,6 +127,10 @@ function EditAssetModal() {
      */
     this.handleCancel = null;
     this.handleSave = null;
+    this.handleDelete = null;
+    this.handleHistory = null;
+    this.handleAddPhoto = null;
+    this.handlePhotoSelected = null;
 
     this.initEvents();
     // this.close();
@@ -111,40 +162,36 @@ EditAssetModal.prototype.innerHTML = function () {
                     <label>Especificação</label>
                     <textarea id="specField" class="input-modal-readonly" readonly></textarea>
                 </div>
+                <!-- Atributos extras da aba inventario (categoria, valor de aquisição, responsável...) -->
+                <div id="baselineAttributes"></div>
                 <div class="form-group">
                     <label>Localização</label>
                     <textarea id="locationField" class="input-modal-readonly" readonly></textarea>
                 </div>
 
-                <div class="form-group">
-                    <label>Estado do Bem</label>
-                    <select id="estadoBem" class="input-modal-edit">
-                        <option value="0">Péssimo</option>
-                        <option value="1">Ruim</option>
-                        <option value="2">Regular</option>
-                        <option value="3">Bom</option>
-                        <option value="4">Excelente</option>
-                    </select>
+                <!-- Estado, vida útil, observações e campos extras (aba campos_leitura) -->
+                <div id="readingFieldsForm"></div>
+
+                <div class="form-group form-check">
+                    <input type="checkbox" id="etiquetaDanificada">
+                    <label for="etiquetaDanificada">Etiqueta danificada (pedir reimpressão)</label>
                 </div>
 
                 <div class="form-group">
-                    <label>Vida Útil Estimada</label>
-                    <select id="vidaUtil" class="input-modal-edit">
-                        <option value="0">0 anos</option>
-                        <option value="1">1 ano</option>
-                        <option value="2">2 anos</option>
-                        <option value="5">5 anos</option>
-                        <option value="8">8 anos</option>
-                        <option value="10">10 anos</option>
-                    </select>
+                    <label>Fotos</label>
+                    <input type="file" id="photoInput" accept="image/*" capture="environment" multiple hidden>
+                    <div id="photoList" class="photo-list"></div>
+                    <button type="button" id="btnAddPhoto" class="btn-modal btn-modal-cancel btn-history">📷 Adicionar foto</button>
                 </div>
 
                 <div class="form-group">
-                    <label>Observações</label>
-                    <textarea id="observacoes" class="input-modal-edit" rows="5" placeholder="Notas adicionais..."></textarea>
+                    <label>Histórico</label>
+                    <button type="button" id="btnHistoryEdit" class="btn-modal btn-modal-cancel btn-history">Ver histórico</button>
+                    <div id="historyList" class="history-list"></div>
                 </div>
 
                 <div class="modal-footer-btns">
+                    <button type="button" id="btnDeleteEdit" class="btn-modal btn-modal-delete">Excluir</button>
                     <button type="button" id="btnCancelEdit" class="btn-modal btn-modal-cancel">Cancelar</button>
                     <button type="button" id="btnSaveEdit" class="btn-modal btn-modal-save">Salvar Alterações</button>
                 </div>
@@ -174,8 +221,48 @@ EditAssetModal.prototype.initEvents = function () {
      */
     self.handleSave = function () { self.submit(); };
 
+    /**
+     * Handler para o botão excluir
+     * @private
+     */
+    self.handleDelete = function () { self.requestDelete(self.fields.uid.value); };
+
     document.getElementById('btnCancelEdit').addEventListener('click', self.handleCancel);
     document.getElementById('btnSaveEdit').addEventListener('click', self.handleSave);
+    document.getElementById('btnDeleteEdit').addEventListener('click', self.handleDelete);
+
+    /**
+     * Handler para o botão de histórico
+     * @private
+     */
+    self.handleHistory = function () { self.loadHistory(self.fields.uid.value); };
+
+    document.getElementById('btnHistoryEdit').addEventListener('click', self.handleHistory);
+
+    /**
+     * Handlers da captura de fotos (o botão abre a câmera pelo input oculto)
+     * @private
+     */
+    self.handleAddPhoto = function () { self.photoInput.click(); };
+    self.handlePhotoSelected = function () {
+        const files = Array.prototype.slice.call(self.photoInput.files || []);
+        self.photoInput.value = ''; // Permite escolher a mesma foto novamente
+        self.addPhotos(self.fields.uid.value, files);
+    };
+
+    document.getElementById('btnAddPhoto').addEventListener('click', self.handleAddPhoto);
+    self.photoInput.addEventListener('change', self.handlePhotoSelected);
+
+    /**
+     * Atualiza as miniaturas quando uma foto do item aberto muda de status
+     * @event assetDataChanged
+     */
+    window.addEventListener('assetDataChanged', function (e) {
+        const item = e.detail && e.detail.item;
+        if (item && self.modal.style.display === 'block' && item.uid === self.fields.uid.value) {
+            self._renderPhotos(item.uid);
+        }
+    });
 
     /**
      * Evento customizado para abrir o modal de edição
@@ -184,6 +271,14 @@ EditAssetModal.prototype.initEvents = function () {
     window.addEventListener('editItemRequested', function (e) {
         self.open(e.detail.uid);
     });
+
+    /**
+     * Evento customizado para excluir uma leitura (disparado pela tabela)
+     * @event deleteItemRequested
+     */
+    window.addEventListener('deleteItemRequested', function (e) {
+        self.requestDelete(e.detail.uid);
+    });
 };
 
 /**
@@ -197,6 +292,18 @@ EditAssetModal.prototype.removeEvents = function () {
     if (this.handleSave) {
         document.getElementById('btnSaveEdit').removeEventListener('click', this.handleSave);
     }
+    if (this.handleDelete) {
+        document.getElementById('btnDeleteEdit').removeEventListener('click', this.handleDelete);
+    }
+    if (this.handleHistory) {
+        document.getElementById('btnHistoryEdit').removeEventListener('click', this.handleHistory);
+    }
+    if (this.handleAddPhoto) {
+        document.getElementById('btnAddPhoto').removeEventListener('click', this.handleAddPhoto);
+    }
+    if (this.handlePhotoSelected) {
+        this.photoInput.removeEventListener('change', this.handlePhotoSelected);
+    }
 };
 
 /**
@@ -215,10 +322,14 @@ EditAssetModal.prototype.open = function (uid) {
     this.fields.uid.value = item.uid || "";
     this.fields.code.value = item.code || "";
     this.fields.specification.value = inventoryBaseline.getAssetName(item.code) || "Sem descrição";
+    this._renderAttributes(item.code);
     this.fields.location.value = item.location || "";
-    this.fields.state.value = item.state !== undefined ? String(item.state) : "3";
-    this.fields.ipvu.value = item.ipvu !== undefined ? String(item.ipvu) : "0";
-    this.fields.obs.value = item.obs || "";
+    this._renderFields(item);
+    this.fields.damagedLabel.checked = item.damagedLabel === true;
+
+    // O histórico é carregado sob demanda (consulta ao backend)
+    this.historyList.innerHTML = '';
+    this._renderPhotos(item.uid);
 
     this.modal.style.display = 'block';
     document.body.style.overflow = 'hidden'; // Trava o scroll do fundo
@@ -232,17 +343,31 @@ EditAssetModal.prototype.open = function (uid) {
  */
 EditAssetModal.prototype.submit = function () {
     const uid = this.fields.uid.value;
-    const newState = parseInt(this.fields.state.value, 10);
-    const newIpvu = parseInt(this.fields.ipvu.value, 10);
-    const newObs = this.fields.obs.value.trim();
+    const damagedLabel = this.fields.damagedLabel.checked;
 
     if (!uid) {
         console.error('EditAssetModal: UID não encontrado para salvar');
         return;
     }
 
+    // Localidade concluída: o saveCodeBatch recusaria a alteração
+    if (this._warnClosedLocation(assetRepository.getItem(uid))) return;
+
+    const values = this._readFields();
+    if (values.missing.length > 0) {
+        userWarnings.printUserWarning('Preencha os campos obrigatórios: ' + values.missing.join(', ') + '.');
+        return;
+    }
+
+    // Mesma validação do AssetRepository e do backend (ex.: opção removida da planilha)
+    const extras = readingFieldSchema.normalizeExtras(values.fields);
+    if (!extras.valid) {
+        userWarnings.printUserWarning(extras.reason);
+        return;
+    }
+
     // Captura o item retornado pelo storage
-    const success = assetRepository.updateItem(uid, newState, newIpvu, newObs);
+    const success = assetRepository.updateItem(uid, values.state, values.ipvu, values.obs, damagedLabel, values.fields);
 
     if (!success) {
         console.error('EditAssetModal: Falha ao atualizar item');
@@ -251,6 +376,430 @@ EditAssetModal.prototype.submit = function () {
     this.close();
 };
 
+/**
+ * Mostra os atributos extras do bem vindos da aba inventario (somente os preenchidos)
+ * @param {string|number} code - Tombamento
+ * @private
+ */
+EditAssetModal.prototype._renderAttributes = function (code) {
+    const container = this.attributesContainer;
+    container.innerHTML = '';
+
+    inventoryBaseline.getAssetAttributes(code).forEach(function (attribute) {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+
+        const label = document.createElement('label');
+        label.textContent = attribute.label;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'input-modal-readonly';
+        input.readOnly = true;
+        input.value = attribute.value;
+
+        group.appendChild(label);
+        group.appendChild(input);
+        container.appendChild(group);
+    });
+};
+
+/**
+ * Cria o controle de um campo configurável
+ * @param {Object} field - Campo de readingFieldSchema
+ * @param {string} id - ID do elemento
+ * @param {*} value - Valor atual da leitura
+ * @returns {HTMLElement}
+ * @private
+ */
+EditAssetModal.prototype._createControl = function (field, id, value) {
+    let control;
+    const text = value === undefined || value === null ? '' : String(value);
+
+    if (field.type === READING_FIELD_TYPES.SELECT) {
+        control = document.createElement('select');
+        const options = field.options.slice();
+        // Campos extras opcionais podem ficar em branco
+        if (!field.property && !field.required) options.unshift({ value: '', label: '—' });
+        // Valor gravado que saiu das opções continua visível, mas precisa ser trocado para salvar
+        if (text !== '' && !options.some(function (o) { return o.value === text; })) {
+            options.push({ value: text, label: text + ' (fora das opções)' });
+        }
+        options.forEach(function (option) {
+            const el = document.createElement('option');
+            el.value = option.value;
+            el.textContent = option.label;
+            control.appendChild(el);
+        });
+        control.value = text;
+    } else if (field.type === READING_FIELD_TYPES.CHECKBOX) {
+        control = document.createElement('input');
+        control.type = 'checkbox';
+        control.checked = value === true;
+    } else if (field.type === READING_FIELD_TYPES.TEXTAREA) {
+        control = document.createElement('textarea');
+        control.rows = field.property ? 5 : 3;
+        control.maxLength = field.maxLength;
+        control.value = text;
+    } else {
+        control = document.createElement('input');
+        control.type = field.type === READING_FIELD_TYPES.NUMBER ? 'number' : 'text';
+        if (field.type === READING_FIELD_TYPES.NUMBER) control.step = 'any';
+        else control.maxLength = field.maxLength;
+        control.value = text;
+    }
+
+    control.id = id;
+    if (field.type !== READING_FIELD_TYPES.CHECKBOX) control.className = 'input-modal-edit';
+    if (field.key === 'obs') control.placeholder = 'Notas adicionais...';
+    return control;
+};
+
+/**
+ * Monta os campos do formulário (aba campos_leitura) com os valores da leitura
+ * @param {Object} item - Leitura aberta
+ * @private
+ */
+EditAssetModal.prototype._renderFields = function (item) {
+    const self = this;
+    // Ids dos campos fixos mantidos da versão com o HTML fixo
+    const builtinIds = { state: 'estadoBem', ipvu: 'vidaUtil', obs: 'observacoes' };
+    const extras = item.fields || {};
+
+    this.fieldsContainer.innerHTML = '';
+    this.fieldControls = [];
+
+    readingFieldSchema.getFields().forEach(function (field) {
+        const id = field.property ? builtinIds[field.property] : 'campo_' + field.key;
+        const value = field.property ? item[field.property] : extras[field.key];
+        const control = self._createControl(field, id, value);
+
+        const group = document.createElement('div');
+        const label = document.createElement('label');
+        label.htmlFor = id;
+        label.textContent = field.label + (field.required && field.type !== READING_FIELD_TYPES.CHECKBOX ? ' *' : '');
+
+        if (field.type === READING_FIELD_TYPES.CHECKBOX) {
+            group.className = 'form-group form-check';
+            group.appendChild(control);
+            group.appendChild(label);
+        } else {
+            group.className = 'form-group';
+            group.appendChild(label);
+            group.appendChild(control);
+        }
+
+        self.fieldsContainer.appendChild(group);
+        self.fieldControls.push({ field: field, control: control });
+        if (field.property) self.fields[field.property] = control;
+    });
+};
+
+/**
+ * Lê os campos do formulário
+ * @returns {{state: number, ipvu: number, obs: string, fields: Object, missing: string[]}}
+ * Valores e rótulos dos campos obrigatórios sem preenchimento
+ * @private
+ */
+EditAssetModal.prototype._readFields = function () {
+    const values = { state: NaN, ipvu: NaN, obs: '', fields: {}, missing: [] };
+
+    this.fieldControls.forEach(function (entry) {
+        const field = entry.field;
+        const control = entry.control;
+        const value = field.type === READING_FIELD_TYPES.CHECKBOX ? control.checked : control.value.trim();
+
+        const missing = readingFieldSchema.isMissing(field, value);
+        control.classList.toggle('input-invalid', missing);
+        if (missing) values.missing.push(field.label);
+
+        if (field.property === 'obs') {
+            values.obs = value;
+        } else if (field.property) {
+            values[field.property] = parseInt(value, 10);
+        } else {
+            values.fields[field.key] = value;
+        }
+    });
+
+    return values;
+};
+
+/**
+ * Avisa quando a leitura é de uma localidade concluída: alterações e cancelamentos
+ * só são aceitos depois que um supervisor reabre a localidade
+ * @param {Object|null} item - Leitura
+ * @returns {boolean} true se a localidade está concluída
+ * @private
+ */
+EditAssetModal.prototype._warnClosedLocation = function (item) {
+    const closure = item ? remoteInventoryRegistry.getLocationClosure(item.location) : null;
+    if (!closure) return false;
+
+    userWarnings.printUserWarning(`${item.location} foi concluída por ${closure.responsible}. Peça a um supervisor para reabrir a localidade.`);
+    return true;
+};
+
+/**
+ * Pede confirmação e cancela a leitura (o cancelamento é sincronizado com a planilha)
+ * @param {string} uid - Identificador único do item
+ * @returns {Promise<boolean>} true se a leitura foi cancelada
+ * @public
+ */
+EditAssetModal.prototype.requestDelete = async function (uid) {
+    const item = assetRepository.getItem(uid);
+    if (!item) {
+        console.warn('EditAssetModal: Item não encontrado para UID:', uid);
+        return false;
+    }
+
+    if (this._warnClosedLocation(item)) return false;
+
+    const confirmed = await AppModal.confirm(
+        "🗑️ Excluir leitura",
+        "Excluir a leitura do tombamento " + item.code + " em " + item.location + "?\n\n" +
+        "A leitura será marcada como cancelada na planilha."
+    );
+    if (!confirmed) return false;
+
+    const success = assetRepository.cancelItem(uid);
+    if (!success) {
+        console.error('EditAssetModal: Falha ao excluir item');
+    }
+
+    // Exclusão a partir do modal aberto
+    if (this.fields.uid.value === uid) {
+        this.close();
+    }
+    return success;
+};
+
+/**
+ * Comprime as fotos escolhidas e as anexa à leitura (ficam na fila até o envio)
+ * @param {string} uid - Identificador único do item
+ * @param {Array<File>} files - Fotos capturadas/selecionadas
+ * @returns {Promise<number>} Quantidade de fotos anexadas
+ * @public
+ */
+EditAssetModal.prototype.addPhotos = async function (uid, files) {
+    if (!uid || !files || files.length === 0) return 0;
+
+    let added = 0;
+    for (let i = 0; i < files.length; i++) {
+        try {
+            const photo = await compressPhoto(files[i]);
+            const meta = await assetRepository.addPhoto(uid, photo);
+            if (!meta) break; // Limite atingido ou armazenamento indisponível
+            added++;
+        } catch (error) {
+            console.error('EditAssetModal: Falha ao processar foto', error);
+        }
+    }
+
+    if (added < files.length) {
+        userWarnings.printUserWarning("Nem todas as fotos puderam ser anexadas (limite de fotos por leitura ou armazenamento indisponível).");
+    }
+
+    this._renderPhotos(uid);
+    return added;
+};
+
+/**
+ * Renderiza as miniaturas das fotos da leitura. Fotos ainda não enviadas são
+ * exibidas a partir do IndexedDB; as enviadas viram links para o Drive.
+ * @param {string} uid - Identificador único do item
+ * @returns {Promise<void>}
+ * @private
+ */
+EditAssetModal.prototype._renderPhotos = async function (uid) {
+    const self = this;
+    const item = assetRepository.getItem(uid);
+    const photos = (item && item.photos) || [];
+
+    const statusLabels = {};
+    statusLabels[AssetStatus.PENDING] = 'Aguardando envio';
+    statusLabels[AssetStatus.IN_FLIGHT] = 'Enviando...';
+    statusLabels[AssetStatus.FAILED] = 'Falha no envio';
+    statusLabels[AssetStatus.SYNCED] = 'Enviada';
+
+    const records = await Promise.all(photos.map(function (photo) {
+        return photo.status === AssetStatus.SYNCED ? null : assetRepository.getPhotoData(photo.id);
+    }));
+
+    // O usuário pode ter trocado de item enquanto as fotos eram lidas
+    if (this.fields.uid.value !== uid) return;
+
+    this.photoList.innerHTML = '';
+
+    photos.forEach(function (photo, index) {
+        const thumb = document.createElement('div');
+        thumb.className = 'photo-thumb photo-' + photo.status;
+
+        if (records[index]) {
+            const img = document.createElement('img');
+            img.src = records[index].dataUrl;
+            img.alt = 'Foto ' + (index + 1);
+            thumb.appendChild(img);
+        } else if (photo.url) {
+            const link = document.createElement('a');
+            link.href = photo.url;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            link.textContent = '🖼️ Foto ' + (index + 1);
+            thumb.appendChild(link);
+        }
+
+        const status = document.createElement('span');
+        status.className = 'photo-status';
+        status.textContent = statusLabels[photo.status] || photo.status;
+        thumb.appendChild(status);
+
+        if (photo.status === AssetStatus.PENDING || photo.status === AssetStatus.FAILED) {
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'photo-remove';
+            remove.textContent = '✕';
+            remove.title = 'Remover foto';
+            remove.addEventListener('click', function () {
+                assetRepository.removePhoto(uid, photo.id);
+            });
+            thumb.appendChild(remove);
+        }
+
+        self.photoList.appendChild(thumb);
+    });
+};
+
+/**
+ * Busca no backend o histórico de alterações da leitura e exibe no modal
+ * @param {string} uid - Identificador único do item
+ * @returns {Promise<void>}
+ * @public
+ */
+EditAssetModal.prototype.loadHistory = async function (uid) {
+    if (!uid) return;
+
+    if (!navigator.onLine) {
+        this._renderHistoryMessage('Histórico indisponível sem conexão.');
+        return;
+    }
+
+    this._renderHistoryMessage('Carregando histórico...');
+
+    try {
+        const entries = await backendService.getReadingHistory({ uid: uid });
+
+        // O usuário pode ter trocado de item enquanto a consulta era feita
+        if (this.fields.uid.value !== uid) return;
+
+        if (!Array.isArray(entries) || entries.length === 0) {
+            const item = assetRepository.getItem(uid);
+            this._renderHistoryMessage(item && item.status !== AssetStatus.SYNCED
+                ? 'Leitura ainda não sincronizada com a planilha.'
+                : 'Nenhuma alteração registrada.');
+            return;
+        }
+
+        this._renderHistory(entries);
+    } catch (error) {
+        console.error('EditAssetModal: Falha ao carregar histórico', error);
+        if (this.fields.uid.value === uid) {
+            this._renderHistoryMessage('Não foi possível carregar o histórico.');
+        }
+    }
+};
+
+/**
+ * Exibe uma mensagem simples no lugar do histórico
+ * @param {string} message - Texto a exibir
+ * @private
+ */
+EditAssetModal.prototype._renderHistoryMessage = function (message) {
+    this.historyList.innerHTML = '';
+    const p = document.createElement('p');
+    p.className = 'history-empty';
+    p.textContent = message;
+    this.historyList.appendChild(p);
+};
+
+/**
+ * Retorna o texto de um valor gravado (ex.: estado 3 → "Bom", sim_nao → "Sim")
+ * @param {Object} field - Campo de readingFieldSchema
+ * @param {*} value - Valor gravado
+ * @returns {string}
+ * @private
+ */
+EditAssetModal.prototype._valueLabel = function (field, value) {
+    if (field.type === READING_FIELD_TYPES.CHECKBOX) {
+        return value === true || String(value).toUpperCase() === 'TRUE' ? 'Sim' : 'Não';
+    }
+    const option = field.options.filter(function (opt) {
+        return opt.value === String(value);
+    })[0];
+    const text = String(value === undefined || value === null ? '' : value);
+    return option ? option.label : (text || '(vazio)');
+};
+
+/**
+ * Renderiza as entradas do histórico (mais recentes primeiro), listando
+ * apenas os campos que mudaram em cada alteração
+ * @param {Array<Object>} entries - Entradas retornadas por getReadingHistory
+ * @private
+ */
+EditAssetModal.prototype._renderHistory = function (entries) {
+    const self = this;
+    const stateField = readingFieldSchema.getField('estado');
+    const ipvuField = readingFieldSchema.getField('ipvu');
+    const fields = [
+        { key: 'location', label: 'Localização', format: function (v) { return v; } },
+        { key: 'state', label: stateField.label, format: function (v) { return self._valueLabel(stateField, v); } },
+        { key: 'ipvu', label: ipvuField.label, format: function (v) { return self._valueLabel(ipvuField, v); } },
+        { key: 'obs', label: readingFieldSchema.getField('obs').label, format: function (v) { return v || '(vazio)'; } },
+        { key: 'user', label: 'Usuário', format: function (v) { return v; } }
+    ];
+
+    // Campos extras ficam em `fields` nos valores do histórico
+    readingFieldSchema.getExtraFields().forEach(function (field) {
+        fields.push({
+            key: field.key,
+            extra: true,
+            label: field.label,
+            format: function (v) { return self._valueLabel(field, v); }
+        });
+    });
+
+    this.historyList.innerHTML = '';
+
+    entries.slice().reverse().forEach(function (entry) {
+        const block = document.createElement('div');
+        block.className = 'history-entry';
+
+        const title = document.createElement('div');
+        title.className = 'history-title';
+        title.textContent = entry.date + ' · ' + entry.action + (entry.user ? ' · ' + entry.user : '');
+        block.appendChild(title);
+
+        const before = entry.before || {};
+        const after = entry.after || {};
+
+        fields.forEach(function (field) {
+            const oldValue = field.extra ? (before.fields || {})[field.key] : before[field.key];
+            const newValue = field.extra ? (after.fields || {})[field.key] : after[field.key];
+            if (entry.before && String(oldValue) === String(newValue)) return;
+            if (!entry.before && (newValue === undefined || newValue === '')) return;
+
+            const line = document.createElement('div');
+            line.className = 'history-change';
+            line.textContent = entry.before
+                ? field.label + ': ' + field.format(oldValue) + ' → ' + field.format(newValue)
+                : field.label + ': ' + field.format(newValue);
+            block.appendChild(line);
+        });
+
+        self.historyList.appendChild(block);
+    });
+};
+
 /**
  * Fecha o modal
  * @public
@@ -13,6 +13,13 @@
  * @typedef {Object} AssetDetail
  * @property {number} code - Código do ativo
  * @property {string} [name] - Especificação do ativo (presente se add_spec=true)
+ * @property {Object<string, string>} [attributes] - Atributos extras da aba inventario (categoria, valor de aquisição...)
+ */
+
+/**
+ * @typedef {Object} BaselineAttribute
+ * @property {string} key - Chave do atributo (ex.: 'categoria')
+ * @property {string} label - Rótulo exibido (ex.: 'Categoria')
  */
 
 /**
@@ -32,6 +39,67 @@
  * @property {string} [local] - Localização encontrada quando status é 'check'
  */
 
+/**
+ * @typedef {Object} IndexEntry
+ * @property {string} location - Localização onde o ativo aparece
+ * @property {AssetDetail} asset - Referência ao objeto do ativo em `data`
+ * @property {AssetDetail[]} assets - Referência ao array de ativos que contém o ativo
+ */
+
+/**
+ * @typedef {Object} InventoryIndex
+ * @property {Map<number, IndexEntry[]>} byCode - Ocorrências de cada código, na ordem de `data`
+ * @property {Map<string, AssetDetail[]>} byLocation - Array de ativos de cada localização (primeira ocorrência)
+ */
+
+/**
+ * @typedef {Object} BaselinePatch
+ * @property {Array<{code: number, location: string, name?: string, attributes?: Object<string, string>}>} [upsert] - Ativos incluídos ou movidos
+ * @property {number[]} [remove] - Códigos removidos da base
+ */
+
+/**
+ * Quantidade de ativos a partir da qual vale a pena montar os índices em um Web Worker
+ * @type {number}
+ */
+const WORKER_MIN_ASSETS = 5000;
+
+/**
+ * Monta os índices de consulta a partir dos dados do inventário.
+ * Mantém a semântica das buscas lineares: em caso de duplicidade vale a
+ * primeira ocorrência na ordem de `data`.
+ *
+ * ATENÇÃO: esta função também é serializada (toString) e executada dentro do
+ * Web Worker, por isso não pode referenciar nada fora do próprio corpo.
+ *
+ * @param {InventoryData} data - Dados estruturados do inventário
+ * @returns {InventoryIndex}
+ * @private
+ */
+function buildInventoryIndex(data) {
+    const byCode = new Map();
+    const byLocation = new Map();
+
+    for (let i = 0; i < data.length; i++) {
+        const item = data[i];
+        if (!byLocation.has(item.location)) {
+            byLocation.set(item.location, item.assets);
+        }
+
+        for (let j = 0; j < item.assets.length; j++) {
+            const asset = item.assets[j];
+            let entries = byCode.get(asset.code);
+            if (!entries) {
+                entries = [];
+                byCode.set(asset.code, entries);
+            }
+            entries.push({ location: item.location, asset: asset, assets: item.assets });
+        }
+    }
+
+    return { byCode: byCode, byLocation: byLocation };
+}
+
 /**
  * Classe principal do módulo InventoryBaseline
  * @class
@@ -45,6 +113,34 @@ function InventoryBaseline() {
      */
     this.data = null;
 
+    /**
+     * Índices de consulta (null enquanto não montados; as buscas usam varredura linear)
+     * @type {InventoryIndex|null}
+     * @private
+     */
+    this.index = null;
+
+    /**
+     * Promise resolvida quando os índices da base atual estiverem prontos
+     * @type {Promise<void>}
+     * @public
+     */
+    this.ready = Promise.resolve();
+
+    /**
+     * Contador de cargas, para descartar resultados de Workers de cargas antigas
+     * @type {number}
+     * @private
+     */
+    this._generation = 0;
+
+    /**
+     * Atributos extras da base (rótulos, na ordem das colunas configuradas)
+     * @type {BaselineAttribute[]}
+     * @private
+     */
+    this.attributes = [];
+
     // Bind de métodos para garantir o contexto 'this'
     this.setAssetsDatabase = this.setAssetsDatabase.bind(this);
     this.getLocation = this.getLocation.bind(this);
@@ -52,9 +148,17 @@ function InventoryBaseline() {
 }
 
 /**
- * Carrega a base de dados do inventário
+ * Carrega a base de dados do inventário e monta os índices de consulta
+ *
+ * Com `useWorker`, os índices são montados em um Web Worker (quando suportado e
+ * a base for grande); até a conclusão, as consultas usam a varredura linear e
+ * retornam os mesmos resultados.
+ *
  * @param {InventoryData} data - Dados estruturados do inventário
- * @returns {void}
+ * @param {Object} [options] - Opções de carga
+ * @param {boolean} [options.useWorker=false] - Montar os índices fora da thread principal
+ * @param {BaselineAttribute[]} [options.attributes] - Atributos extras informados pelo getInventoryData
+ * @returns {Promise<void>} Resolvida quando os índices estiverem prontos
  * @public
  * 
  * @example
@@ -75,11 +179,195 @@ function InventoryBaseline() {
  *    }
  *  ]
  */
-InventoryBaseline.prototype.setAssetsDatabase = function (data) {
+InventoryBaseline.prototype.setAssetsDatabase = function (data, options) {
     if (!this._isValidSchema(data)) {
         throw new Error("Invalid data schema. Expected format: Array of {location: string, assets: Array of {code: number, name?: string}}");
     }
     this.data = data;
+    this.index = null;
+    this.attributes = options && Array.isArray(options.attributes)
+        ? options.attributes.filter(function (attribute) {
+            return attribute && typeof attribute.key === 'string' && typeof attribute.label === 'string';
+        })
+        : [];
+
+    const generation = ++this._generation;
+    const useWorker = !!(options && options.useWorker) && this._countAssets(data) >= WORKER_MIN_ASSETS;
+
+    if (!useWorker) {
+        this.index = buildInventoryIndex(data);
+        this.ready = Promise.resolve();
+        return this.ready;
+    }
+
+    const self = this;
+    this.ready = this._buildIndexInWorker(data)
+        .then(function (result) {
+            // Uma carga mais nova já substituiu esta
+            if (generation !== self._generation) return;
+            // O clone estruturado preserva as referências entre data e índices
+            self.data = result.data;
+            self.index = { byCode: result.byCode, byLocation: result.byLocation };
+        })
+        .catch(function (error) {
+            console.warn('InventoryBaseline: Falha ao montar índices no Worker, montando na thread principal', error);
+            if (generation !== self._generation) return;
+            self.index = buildInventoryIndex(self.data);
+        });
+
+    return this.ready;
+};
+
+/**
+ * Monta os índices em um Web Worker criado a partir de um Blob
+ * (a build é um arquivo único, então não há arquivo separado para o Worker)
+ * @param {InventoryData} data - Dados estruturados do inventário
+ * @returns {Promise<{data: InventoryData, byCode: Map, byLocation: Map}>}
+ * @private
+ */
+InventoryBaseline.prototype._buildIndexInWorker = function (data) {
+    return new Promise(function (resolve, reject) {
+        if (typeof Worker === 'undefined' || typeof Blob === 'undefined' || typeof URL === 'undefined') {
+            reject(new Error('Web Worker não suportado'));
+            return;
+        }
+
+        const source =
+            'var buildInventoryIndex = ' + buildInventoryIndex.toString() + ';\n' +
+            'self.onmessage = function (event) {\n' +
+            '  var index = buildInventoryIndex(event.data);\n' +
+            '  self.postMessage({ data: event.data, byCode: index.byCode, byLocation: index.byLocation });\n' +
+            '};\n';
+
+        let url = null;
+        let worker = null;
+
+        const cleanup = function () {
+            if (worker) worker.terminate();
+            if (url) URL.revokeObjectURL(url);
+        };
+
+        try {
+            url = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+            worker = new Worker(url);
+        } catch (error) {
+            cleanup();
+            reject(error);
+            return;
+        }
+
+        worker.onmessage = function (event) {
+            cleanup();
+            resolve(event.data);
+        };
+        worker.onerror = function (event) {
+            cleanup();
+            reject(new Error(event.message || 'Erro no Worker'));
+        };
+
+        worker.postMessage(data);
+    });
+};
+
+/**
+ * Aplica alterações incrementais na base carregada, sem remontar os índices
+ *
+ * Um código em `upsert` passa a existir somente na localização informada
+ * (inclusão, troca de nome ou mudança de local). Códigos em `remove` deixam
+ * de existir em qualquer localização. Localizações novas são criadas no fim.
+ *
+ * @param {BaselinePatch} patch - Alterações a aplicar
+ * @returns {Promise<void>}
+ * @public
+ *
+ * @example
+ * await inventoryBaseline.applyPatch({
+ *   upsert: [{ code: 1001, location: "Sala 2", name: "Computador" }],
+ *   remove: [1002]
+ * });
+ */
+InventoryBaseline.prototype.applyPatch = async function (patch) {
+    // Aguarda uma eventual montagem em Worker para não alterar dados que serão substituídos
+    await this.ready;
+
+    if (!this.data || !this.index) {
+        throw new Error("Base de dados não carregada.");
+    }
+    if (!patch || typeof patch !== 'object') return;
+
+    const self = this;
+    const removed = Array.isArray(patch.remove) ? patch.remove : [];
+    const upserted = Array.isArray(patch.upsert) ? patch.upsert : [];
+
+    removed.forEach(function (rawCode) {
+        const code = parseInt(rawCode, 10);
+        if (isNaN(code)) return;
+        self._removeEntries(code, 0);
+    });
+
+    upserted.forEach(function (change) {
+        const code = change ? parseInt(change.code, 10) : NaN;
+        if (isNaN(code) || typeof change.location !== 'string') {
+            console.warn('InventoryBaseline: Alteração inválida ignorada', change);
+            return;
+        }
+
+        const entries = self.index.byCode.get(code);
+
+        // Já está na mesma localização: atualiza no lugar, preservando a posição
+        if (entries && entries[0].location === change.location) {
+            self._removeEntries(code, 1);
+            if (change.name !== undefined) entries[0].asset.name = change.name;
+            if (change.attributes !== undefined) entries[0].asset.attributes = change.attributes;
+            return;
+        }
+
+        self._removeEntries(code, 0);
+
+        const asset = { code: code };
+        if (typeof change.name === 'string') asset.name = change.name;
+        if (change.attributes && typeof change.attributes === 'object') asset.attributes = change.attributes;
+
+        let assets = self.index.byLocation.get(change.location);
+        if (!assets) {
+            assets = [];
+            self.data.push({ location: change.location, assets: assets });
+            self.index.byLocation.set(change.location, assets);
+        }
+
+        assets.push(asset);
+        self.index.byCode.set(code, [{ location: change.location, asset: asset, assets: assets }]);
+    });
+};
+
+/**
+ * Remove as ocorrências de um código a partir de uma posição da lista de ocorrências
+ * @param {number} code - Código do ativo
+ * @param {number} keep - Quantidade de ocorrências iniciais a manter
+ * @private
+ */
+InventoryBaseline.prototype._removeEntries = function (code, keep) {
+    const entries = this.index.byCode.get(code);
+    if (!entries) return;
+
+    entries.splice(keep).forEach(function (entry) {
+        const position = entry.assets.indexOf(entry.asset);
+        if (position !== -1) entry.assets.splice(position, 1);
+    });
+
+    if (entries.length === 0) this.index.byCode.delete(code);
+};
+
+/**
+ * Conta o total de ativos dos dados informados
+ * @param {InventoryData} data - Dados estruturados do inventário
+ * @returns {number}
+ * @private
+ */
+InventoryBaseline.prototype._countAssets = function (data) {
+    return data.reduce(function (sum, item) {
+        return sum + item.assets.length;
+    }, 0);
 };
 
 /**
@@ -97,7 +385,9 @@ InventoryBaseline.prototype._isValidSchema = function (data) {
         if (!Array.isArray(item.assets)) return false;
 
         return item.assets.every(asset => {
-            return typeof asset.code === 'number' && (asset.name === undefined || typeof asset.name === 'string');
+            return typeof asset.code === 'number' &&
+                (asset.name === undefined || typeof asset.name === 'string') &&
+                (asset.attributes === undefined || (asset.attributes !== null && typeof asset.attributes === 'object'));
         });
     });
 };
@@ -118,6 +408,11 @@ InventoryBaseline.prototype.getLocation = function (asset) {
     const codeToCheck = parseInt(asset, 10);
     if (isNaN(codeToCheck)) return null;
 
+    if (this.index) {
+        const entries = this.index.byCode.get(codeToCheck);
+        return entries ? entries[0].location : null;
+    }
+
     for (let i = 0; i < this.data.length; i++) {
         const item = this.data[i];
         const codes = item.assets;
@@ -131,14 +426,24 @@ InventoryBaseline.prototype.getLocation = function (asset) {
     return null;
 };
 
-
-
+/**
+ * Retorna a especificação (nome) de um código de ativo
+ * @param {string|number} asset - Código do ativo
+ * @returns {string|null|undefined} Nome do ativo, null se não encontrado
+ * (undefined se encontrado sem especificação)
+ * @public
+ */
 InventoryBaseline.prototype.getAssetName = function (asset) {
     if (!this.data || !Array.isArray(this.data)) return null;
 
     const codeToCheck = parseInt(asset, 10);
     if (isNaN(codeToCheck)) return null;
 
+    if (this.index) {
+        const entries = this.index.byCode.get(codeToCheck);
+        return entries ? entries[0].asset.name : null;
+    }
+
     for (let i = 0; i < this.data.length; i++) {
         const item = this.data[i];
         const codes = item.assets;
@@ -155,6 +460,38 @@ InventoryBaseline.prototype.getAssetName = function (asset) {
     return null;
 };
 
+/**
+ * Retorna os atributos extras de um código de ativo (somente os preenchidos)
+ * @param {string|number} asset - Código do ativo
+ * @returns {Array<{key: string, label: string, value: string}>} Atributos na ordem da base
+ * @public
+ *
+ * @example
+ * inventoryBaseline.getAssetAttributes("1001");
+ * // Retorna: [{ key: 'categoria', label: 'Categoria', value: 'Mobiliário' }]
+ */
+InventoryBaseline.prototype.getAssetAttributes = function (asset) {
+    if (!this.data || !Array.isArray(this.data) || this.attributes.length === 0) return [];
+
+    const codeToCheck = parseInt(asset, 10);
+    if (isNaN(codeToCheck)) return [];
+
+    let detail = null;
+    if (this.index) {
+        const entries = this.index.byCode.get(codeToCheck);
+        detail = entries ? entries[0].asset : null;
+    } else {
+        for (let i = 0; i < this.data.length && !detail; i++) {
+            detail = this.data[i].assets.find(a => a.code === codeToCheck) || null;
+        }
+    }
+
+    const values = detail && detail.attributes ? detail.attributes : {};
+    return this.attributes
+        .filter(function (attribute) { return typeof values[attribute.key] === 'string' && values[attribute.key] !== ''; })
+        .map(function (attribute) { return { key: attribute.key, label: attribute.label, value: values[attribute.key] }; });
+};
+
 /**
  * Retorna os códigos de ativo associados a uma localização
  * @param {string} location - Localização para buscar os códigos
@@ -173,6 +510,10 @@ InventoryBaseline.prototype.getAssetName = function (asset) {
 InventoryBaseline.prototype.getAssetsFromLocation = function (location) {
     if (!this.data || !Array.isArray(this.data)) return [];
 
+    if (this.index) {
+        return this.index.byLocation.get(location) || [];
+    }
+
     for (let i = 0; i < this.data.length; i++) {
         const item = this.data[i];
         if (item.location === location) {
@@ -0,0 +1,226 @@
+/**
+ * @fileoverview LocalDatabase - Camada de acesso ao IndexedDB
+ *
+ * Encapsula a abertura do banco, a criação dos object stores/índices e as
+ * operações básicas (leitura, escrita por item e remoção) em Promises.
+ * Os demais módulos não devem acessar o `indexedDB` diretamente.
+ *
+ * @module LocalDatabase
+ * @version 1.0.0
+ * @author Tiago Possato
+ */
+
+const DB_NAME = 'BARCODE_APP_DB';
+const DB_VERSION = 3;
+
+/**
+ * Nomes dos object stores disponíveis
+ * @readonly
+ * @enum {string}
+ */
+export const Stores = Object.freeze({
+    /** @description Leituras realizadas neste dispositivo (chave: uid) */
+    ASSETS: 'assets',
+    /** @description Fotos aguardando envio, em data URL (chave: id; índice: uid da leitura) */
+    PHOTOS: 'photos',
+    /** @description Dados do servidor guardados para uso offline (chave: key) */
+    CACHE: 'cache'
+});
+
+/**
+ * Classe principal do módulo LocalDatabase
+ * @class
+ * @public
+ */
+function LocalDatabase() {
+    /**
+     * Promise da conexão aberta (lazy)
+     * @type {Promise<IDBDatabase>|null}
+     * @private
+     */
+    this._dbPromise = null;
+}
+
+/**
+ * Indica se o navegador oferece suporte a IndexedDB
+ * @returns {boolean}
+ * @public
+ */
+LocalDatabase.prototype.isSupported = function () {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+};
+
+/**
+ * Cria/atualiza a estrutura do banco conforme a versão
+ * @param {IDBDatabase} db - Banco em processo de upgrade
+ * @param {number} oldVersion - Versão anterior (0 na criação)
+ * @private
+ */
+LocalDatabase.prototype._upgrade = function (db, oldVersion) {
+    if (oldVersion < 1) {
+        const assets = db.createObjectStore(Stores.ASSETS, { keyPath: 'uid' });
+        assets.createIndex('status', 'status', { unique: false });
+        assets.createIndex('location', 'location', { unique: false });
+        assets.createIndex('code', 'code', { unique: false });
+    }
+    if (oldVersion < 2) {
+        const photos = db.createObjectStore(Stores.PHOTOS, { keyPath: 'id' });
+        photos.createIndex('uid', 'uid', { unique: false });
+    }
+    if (oldVersion < 3) {
+        db.createObjectStore(Stores.CACHE, { keyPath: 'key' });
+    }
+};
+
+/**
+ * Abre (uma única vez) a conexão com o banco
+ * @returns {Promise<IDBDatabase>}
+ * @public
+ */
+LocalDatabase.prototype.open = function () {
+    const self = this;
+    if (this._dbPromise) return this._dbPromise;
+
+    this._dbPromise = new Promise(function (resolve, reject) {
+        if (!self.isSupported()) {
+            reject(new Error('IndexedDB não suportado neste navegador'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = function (event) {
+            self._upgrade(request.result, event.oldVersion);
+        };
+
+        request.onsuccess = function () {
+            const db = request.result;
+            // Outra aba atualizou o schema: fecha para não bloquear o upgrade
+            db.onversionchange = function () {
+                db.close();
+                self._dbPromise = null;
+            };
+            resolve(db);
+        };
+
+        request.onerror = function () {
+            reject(request.error);
+        };
+
+        request.onblocked = function () {
+            console.warn('LocalDatabase: Abertura bloqueada por outra aba aberta');
+        };
+    });
+
+    // Permite nova tentativa caso a abertura falhe
+    this._dbPromise.catch(function () {
+        self._dbPromise = null;
+    });
+
+    return this._dbPromise;
+};
+
+/**
+ * Executa uma operação dentro de uma transação e resolve quando ela é concluída
+ * @param {string} storeName - Nome do object store
+ * @param {IDBTransactionMode} mode - 'readonly' ou 'readwrite'
+ * @param {function(IDBObjectStore): (IDBRequest|void)} operation - Operação sobre o store
+ * @returns {Promise<*>} Resultado do request retornado pela operação (se houver)
+ * @private
+ */
+LocalDatabase.prototype._transaction = async function (storeName, mode, operation) {
+    const db = await this.open();
+
+    return new Promise(function (resolve, reject) {
+        const tx = db.transaction(storeName, mode);
+        const request = operation(tx.objectStore(storeName));
+
+        tx.oncomplete = function () {
+            resolve(request ? request.result : undefined);
+        };
+        // Erros de quota chegam como 'abort' com tx.error = QuotaExceededError
+        tx.onabort = function () {
+            reject(tx.error || new Error('Transação abortada'));
+        };
+        tx.onerror = function () {
+            reject(tx.error);
+        };
+    });
+};
+
+/**
+ * Retorna todos os registros de um store
+ * @param {string} storeName - Nome do object store
+ * @returns {Promise<Array<Object>>}
+ * @public
+ */
+LocalDatabase.prototype.getAll = function (storeName) {
+    return this._transaction(storeName, 'readonly', function (store) {
+        return store.getAll();
+    });
+};
+
+/**
+ * Retorna um registro pela chave
+ * @param {string} storeName - Nome do object store
+ * @param {IDBValidKey} key - Chave primária
+ * @returns {Promise<Object|undefined>}
+ * @public
+ */
+LocalDatabase.prototype.get = function (storeName, key) {
+    return this._transaction(storeName, 'readonly', function (store) {
+        return store.get(key);
+    });
+};
+
+/**
+ * Grava (insere ou substitui) vários registros em uma única transação
+ * @param {string} storeName - Nome do object store
+ * @param {Array<Object>} records - Registros a gravar
+ * @returns {Promise<void>}
+ * @public
+ */
+LocalDatabase.prototype.putMany = function (storeName, records) {
+    if (!Array.isArray(records) || records.length === 0) return Promise.resolve();
+
+    return this._transaction(storeName, 'readwrite', function (store) {
+        records.forEach(function (record) {
+            store.put(record);
+        });
+    });
+};
+
+/**
+ * Remove vários registros pela chave em uma única transação
+ * @param {string} storeName - Nome do object store
+ * @param {Array<IDBValidKey>} keys - Chaves a remover
+ * @returns {Promise<void>}
+ * @public
+ */
+LocalDatabase.prototype.deleteMany = function (storeName, keys) {
+    if (!Array.isArray(keys) || keys.length === 0) return Promise.resolve();
+
+    return this._transaction(storeName, 'readwrite', function (store) {
+        keys.forEach(function (key) {
+            store.delete(key);
+        });
+    });
+};
+
+/**
+ * Remove todos os registros de um store
+ * @param {string} storeName - Nome do object store
+ * @returns {Promise<void>}
+ * @public
+ */
+LocalDatabase.prototype.clear = function (storeName) {
+    return this._transaction(storeName, 'readwrite', function (store) {
+        store.clear();
+    });
+};
+
+/**
+ * Instância singleton do LocalDatabase
+ * @type {LocalDatabase}
+ */
+export const localDatabase = new LocalDatabase();
@@ -0,0 +1,267 @@
+/**
+ * @fileoverview LocationClosureModal - Conclusão e reabertura da localidade ativa
+ *
+ * Injeta o botão "Concluir localidade": mostra os encontrados, faltantes e
+ * divergentes da localidade (calculados pelo backend), pede o nome do responsável
+ * e a confirmação e registra a conclusão na aba `conclusoes_localidades` (ver
+ * shared/locationClosures.js). Localidades concluídas não aceitam novas leituras
+ * (processBarcode), alterações nem cancelamentos (EditAssetModal, BulkEditModal)
+ * até que um supervisor as reabra pelo mesmo botão; o saveCodeBatch aplica o
+ * mesmo bloqueio no servidor.
+ *
+ * @module LocationClosureModal
+ * @version 1.0.0
+ * @author Tiago Possato
+ */
+
+import { locationSelector } from './locationSelector.js';
+import { campaignSelector } from './campaignSelector.js';
+import { remoteInventoryRegistry } from './remoteInventoryRegistry.js';
+import { assetRepository, AssetStatus } from './assetRepository.js';
+import { userAccess } from './userAccess.js';
+import { userWarnings } from './userWarnings.js';
+import { audioManager } from './audioManager.js';
+import { AppModal } from './appModal.js';
+import { loadingModal } from './loadingModal.js';
+import { backendService } from './backendService.js';
+import { scannerManager } from './scannerManager.js';
+import { connectivityManager } from './connectivityManager.js';
+import { UserAction } from '../../shared/userPermissions.js';
+import { LOCATION_CLOSURE_TEXT_MAX } from '../../shared/locationClosures.js';
+
+/**
+ * Classe principal do módulo LocationClosureModal
+ * @class
+ * @public
+ */
+function LocationClosureModal() {
+    /**
+     * ID do botão de conclusão/reabertura
+     * @type {string}
+     * @private
+     */
+    this.buttonId = 'closeLocationBtn';
+
+    /**
+     * Indica se há uma conclusão ou reabertura em andamento
+     * @type {boolean}
+     * @private
+     */
+    this.busy = false;
+
+    this.injectHTML();
+    this.setupEvents();
+    this.refreshButton();
+}
+
+/**
+ * Injeta o botão no container `#closure-area`
+ * @private
+ */
+LocationClosureModal.prototype.injectHTML = function () {
+    const container = document.getElementById('closure-area');
+    if (!container || document.getElementById(this.buttonId)) return;
+
+    container.innerHTML += (
+        '<button id="' + this.buttonId + '" class="btn btn-gray location-btn" style="display:none;">' +
+        'Concluir localidade' +
+        '</button>'
+    );
+};
+
+/**
+ * Configura os eventos do módulo
+ * @private
+ */
+LocationClosureModal.prototype.setupEvents = function () {
+    const self = this;
+    const btn = document.getElementById(this.buttonId);
+    if (btn) {
+        btn.onclick = function () {
+            self.handleClick();
+        };
+    }
+
+    ['locationChanged', 'locationClosuresChanged', 'campaignChanged'].forEach(function (evt) {
+        window.addEventListener(evt, function () {
+            self.refreshButton();
+        });
+    });
+};
+
+/**
+ * Atualiza o botão conforme a localidade ativa: oculto sem localidade,
+ * "Reabrir" para supervisores em localidades concluídas
+ * @public
+ */
+LocationClosureModal.prototype.refreshButton = function () {
+    const btn = document.getElementById(this.buttonId);
+    if (!btn) return;
+
+    const location = locationSelector.getSelectedLocation();
+    if (location === locationSelector.NONE_SELECTED) {
+        btn.style.display = 'none';
+        return;
+    }
+
+    const closure = remoteInventoryRegistry.getLocationClosure(location);
+    const canReopen = userAccess.can(UserAction.REOPEN_LOCATIONS);
+
+    btn.style.display = 'block';
+    btn.disabled = closure !== null && !canReopen;
+    if (!closure) {
+        btn.textContent = 'Concluir localidade';
+    } else {
+        btn.textContent = canReopen ? '🔓 Reabrir localidade' : '🔒 Localidade concluída';
+    }
+};
+
+/**
+ * Inicia a conclusão ou a reabertura da localidade ativa
+ * @returns {Promise<void>}
+ * @private
+ */
+LocationClosureModal.prototype.handleClick = async function () {
+    if (this.busy) return;
+
+    if (connectivityManager.getStatus() === false) {
+        userWarnings.printUserWarning("Sem conexão com a internet. Verifique sua conectividade.");
+        return;
+    }
+
+    const location = locationSelector.getSelectedLocation();
+    if (location === locationSelector.NONE_SELECTED) {
+        userWarnings.printUserWarning("Selecione uma localização primeiro!");
+        return;
+    }
+
+    this.busy = true;
+    scannerManager.lock();
+    try {
+        if (remoteInventoryRegistry.getLocationClosure(location)) {
+            await this.reopen(location);
+        } else {
+            await this.close(location);
+        }
+    } finally {
+        loadingModal.toggle(false);
+        scannerManager.unlock();
+        this.busy = false;
+        this.refreshButton();
+    }
+};
+
+/**
+ * Conclui a localidade: contagens, responsável, confirmação e registro
+ * @param {string} location - Localidade ativa
+ * @returns {Promise<void>}
+ * @private
+ */
+LocationClosureModal.prototype.close = async function (location) {
+    // Leituras deste dispositivo ainda não enviadas ficariam fora das contagens
+    const unsent = assetRepository.getItemsByLocation(location).filter(function (item) {
+        return item.status !== AssetStatus.SYNCED && item.status !== AssetStatus.REJECTED;
+    }).length;
+    if (unsent > 0) {
+        userWarnings.printUserWarning(`Há ${unsent} leitura(s) de ${location} aguardando envio. Aguarde a sincronização antes de concluir.`);
+        return;
+    }
+
+    const campaign = campaignSelector.getCampaignId() || null;
+    let status;
+    try {
+        loadingModal.toggle(true);
+        status = await backendService.getLocationStatus(location, campaign);
+    } catch (error) {
+        console.error('LocationClosureModal: Erro ao consultar a localidade', error);
+        userWarnings.printUserWarning('Erro ao consultar servidor.');
+        return;
+    } finally {
+        loadingModal.toggle(false);
+    }
+
+    // Concluída em outro dispositivo desde a última sincronização
+    if (status.closure) {
+        remoteInventoryRegistry.applyLocationClosure(location, status.closure);
+        userWarnings.printUserWarning(`${location} já foi concluída por ${status.closure.responsible}.`);
+        return;
+    }
+
+    const responsible = await AppModal.prompt(
+        'Concluir localidade',
+        `${location}\n\n` +
+        `✅ Encontrados: ${status.found} de ${status.total}\n` +
+        `❌ Faltantes: ${status.missing}\n` +
+        `⚠️ Divergentes: ${status.divergent}\n\n` +
+        'Informe o nome do responsável. Depois de concluída, a localidade só aceita novas leituras se um supervisor reabri-la.',
+        { placeholder: 'Nome do responsável', maxLength: LOCATION_CLOSURE_TEXT_MAX, required: true, confirmLabel: 'Concluir' }
+    );
+    if (responsible === null) return;
+
+    const confirmed = await AppModal.confirm(
+        'Confirmar conclusão',
+        `${responsible} confirma a conclusão de ${location} com ${status.missing} bem(ns) faltante(s)?`
+    );
+    if (!confirmed) return;
+
+    try {
+        loadingModal.toggle(true, '⏳ Registrando conclusão ...');
+        const closure = await backendService.closeLocation({
+            location: location,
+            campaign: campaign,
+            responsible: responsible,
+            confirmed: true
+        });
+        remoteInventoryRegistry.applyLocationClosure(location, closure);
+        audioManager.playSuccess();
+        userWarnings.printUserWarning(`${location} concluída por ${responsible}.`);
+    } catch (error) {
+        console.error('LocationClosureModal: Erro ao concluir a localidade', error);
+        audioManager.playError();
+        userWarnings.printUserWarning(`Não foi possível concluir ${location}: ${error.message}`);
+    }
+};
+
+/**
+ * Reabre a localidade (supervisores), com o motivo
+ * @param {string} location - Localidade ativa
+ * @returns {Promise<void>}
+ * @private
+ */
+LocationClosureModal.prototype.reopen = async function (location) {
+    if (!userAccess.can(UserAction.REOPEN_LOCATIONS)) {
+        userWarnings.printUserWarning(`${location} está concluída. Peça a um supervisor para reabrir a localidade.`);
+        return;
+    }
+
+    const closure = remoteInventoryRegistry.getLocationClosure(location);
+    const reason = await AppModal.prompt(
+        'Reabrir localidade',
+        `${location} foi concluída por ${closure.responsible}` + (closure.closedAt ? ` em ${closure.closedAt}` : '') +
+        '.\n\nInforme o motivo da reabertura:',
+        { maxLength: LOCATION_CLOSURE_TEXT_MAX, required: true, confirmLabel: 'Reabrir' }
+    );
+    if (reason === null) return;
+
+    try {
+        loadingModal.toggle(true, '⏳ Reabrindo localidade ...');
+        await backendService.reopenLocation({
+            location: location,
+            campaign: campaignSelector.getCampaignId() || null,
+            reason: reason
+        });
+        remoteInventoryRegistry.applyLocationClosure(location, null);
+        audioManager.playSuccess();
+        userWarnings.printUserWarning(`${location} reaberta para novas leituras.`);
+    } catch (error) {
+        console.error('LocationClosureModal: Erro ao reabrir a localidade', error);
+        audioManager.playError();
+        userWarnings.printUserWarning(`Não foi possível reabrir ${location}: ${error.message}`);
+    }
+};
+
+/**
+ * Instância singleton do LocationClosureModal
+ * @type {LocationClosureModal}
+ */
+export const locationClosureModal = new LocationClosureModal();
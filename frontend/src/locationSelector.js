@@ -3,6 +3,7 @@
  * 
  * Gerencia o seletor de localização, renderizando opções baseadas em dados injetados
  * pelo Google Apps Script e disparando eventos de mudança para outros módulos.
+ * Localidades concluídas (evento `locationClosuresChanged`) são marcadas nas opções.
  * 
  * @module LocationSelector
  * @version 1.0.0
@@ -47,9 +48,22 @@ function LocationSelector() {
      */
     this.NONE_SELECTED = '-1';
 
+    /**
+     * Localidades concluídas na campanha ativa
+     * @type {Set<string>}
+     * @private
+     */
+    this.closedLocations = new Set();
+
     // Bind de métodos para manter o contexto
     this.getSelectedLocation = this.getSelectedLocation.bind(this);
     this.init = this.init.bind(this);
+
+    const self = this;
+    window.addEventListener('locationClosuresChanged', function (e) {
+        self.closedLocations = new Set((e.detail.closures || []).map(function (closure) { return closure.location; }));
+        self._refreshClosureMarks();
+    });
 }
 
 /**
@@ -114,7 +128,7 @@ LocationSelector.prototype.init = function (data) {
         const count = item.assetsCount || 0;
 
         optionsHtml += (
-            '<option value="' + name + '">' +
+            '<option value="' + name + '" data-label="' + name + ' [' + count + ' itens]">' +
             name + ' [' + count + ' itens]' +
             '</option>'
         );
@@ -126,9 +140,26 @@ LocationSelector.prototype.init = function (data) {
         '</select>'
     );
 
+    this._refreshClosureMarks();
     this.setupEvents();
 };
 
+/**
+ * Marca as opções das localidades concluídas
+ * @private
+ */
+LocationSelector.prototype._refreshClosureMarks = function () {
+    const select = document.getElementById(this.selectId);
+    if (!select) return;
+
+    const closed = this.closedLocations;
+    Array.from(select.options).forEach(function (option) {
+        const label = option.getAttribute('data-label');
+        if (label === null) return;
+        option.textContent = closed.has(option.value) ? label + ' 🔒 concluída' : label;
+    });
+};
+
 /**
  * Configura os ouvintes de eventos do seletor
  * @private
@@ -194,6 +225,24 @@ LocationSelector.prototype.setSelectedLocation = function (locationName) {
     return false;
 };
 
+/**
+ * Procura uma localização do seletor pelo nome (sem diferenciar maiúsculas e espaços nas pontas)
+ * @param {string} locationName - Nome procurado
+ * @returns {string|null} Valor da opção encontrada ou null
+ * @public
+ */
+LocationSelector.prototype.findLocation = function (locationName) {
+    const select = document.getElementById(this.selectId);
+    if (!select) return null;
+
+    const wanted = String(locationName).trim().toLowerCase();
+    const option = Array.from(select.options).find(option =>
+        option.value !== this.NONE_SELECTED && option.value.trim().toLowerCase() === wanted
+    );
+
+    return option ? option.value : null;
+};
+
 /**
  * Instância singleton do LocationSelector
  * @type {LocationSelector}
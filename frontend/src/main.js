@@ -27,9 +27,10 @@ if (__IS_DEV__ || __IS_HOMOLOG__) {
 }
 
 /**
- * Carrega mocks do Google Apps Script apenas em ambiente de desenvolvimento
+ * Carrega mocks do Google Apps Script em desenvolvimento e no modo autônomo
+ * (frontend servido pelo local_server, sem Google)
  */
-if (__IS_DEV__) {
+if (__IS_DEV__ || __IS_STANDALONE__) {
   console.log("🔧 Modo DEV.🔌 Rodando Local: Carregando Mocks de Sistema...");
   import('./mockGAS.js')
 }
@@ -43,53 +44,81 @@ if (__IS_DEV__) {
  * @typedef {Object} MainModules
  */
 import { locationSelector } from './locationSelector.js'
+import { campaignSelector } from './campaignSelector.js';
 import { scannerManager } from './scannerManager.js';
 import { barcodeTable } from './barcodeTable.js'
 import { assetRepository } from './assetRepository.js';
 import { inventoryBaseline } from './inventoryBaseline.js';
 import { processBarcode } from './processBarcode.js';
+import { scanQueue } from './scanQueue.js';
 import { userWarnings } from './userWarnings.js'
 import { backendService } from './backendService.js'
+import { baselineCache } from './baselineCache.js';
 import { loadingModal } from './loadingModal.js'
+import { assetCodeValidator } from './assetCodeValidator.js';
+import { readingFieldSchema } from './readingFieldSchema.js';
+import { userAccess } from './userAccess.js';
+import { inventorySchemaErrorText } from '../../shared/inventoryColumns.js';
 import './assetsNotFound.js';
 import './audioManager.js'
 import './editAssetModal.js';
+import './bulkEditModal.js';
 import './connectivityManager.js';
 import './statsManager.js';
+import './readingsBackup.js';
 import './messageSendModal.js';
+import './locationClosureModal.js';
 import './assetSyncManager.js';
 import './barcodeScanner.js';
 
 // ============================================================================
 // CONFIGURAÇÃO DE EVENTOS GLOBAIS
 // ============================================================================
-let isProcessing = false; // Variável de controle
 /**
- * Processa códigos escaneados pelo scanner ou inseridos manualmente
- * @event codeScanned
- * @listens window#codeScanned
+ * Processa as leituras da fila, uma de cada vez e na ordem de chegada
+ * (com a localidade capturada no momento da leitura)
  */
-window.addEventListener('codeScanned', async function (e) {
-  const codigo = e.detail.code;
-  const source = e.detail.source;
-
-  if (!codigo || isProcessing) return; // Ignora se estiver processando
-
-  isProcessing = true; // Trava o processo
-
+scanQueue.setProcessor(async function (entry) {
   try {
-    const selectedLocation = locationSelector.getSelectedLocation();
-    const bypassCheckLocation = document.querySelector("#bypassCheckLocation").checked;
-
-    await processBarcode(codigo, selectedLocation, source, bypassCheckLocation);
+    await processBarcode(entry.code, entry.location, entry.source, entry.bypassCheckLocation, entry.damagedLabel);
   } finally {
-    isProcessing = false;
-    if (source == 'manual_input') {
+    if (entry.source == 'manual_input') {
       scannerManager.setFocus();
     }
   }
 });
 
+/**
+ * Localidade de uma nova leitura: a da última etiqueta de localidade ainda na fila
+ * (leituras feitas logo após a etiqueta vão para a nova sala) ou a selecionada
+ * @returns {string} Localidade ou NONE_SELECTED quando a etiqueta pendente é desconhecida
+ */
+function locationForNewScan() {
+  const labelLocation = scanQueue.pendingLabelLocation();
+  if (labelLocation === null) return locationSelector.getSelectedLocation();
+
+  return locationSelector.findLocation(labelLocation) || locationSelector.NONE_SELECTED;
+}
+
+/**
+ * Enfileira códigos escaneados pelo scanner ou inseridos manualmente
+ * (leituras feitas durante o processamento de outra aguardam na fila)
+ * @event codeScanned
+ * @listens window#codeScanned
+ */
+window.addEventListener('codeScanned', function (e) {
+  const codigo = e.detail.code;
+  if (!codigo) return;
+
+  scanQueue.enqueue({
+    code: codigo,
+    source: e.detail.source,
+    location: locationForNewScan(),
+    bypassCheckLocation: document.querySelector("#bypassCheckLocation").checked,
+    damagedLabel: e.detail.damagedLabel === true
+  });
+});
+
 /**
  * Gerencia a visibilidade do scanner baseado na seleção de localização
  * @event locationChanged
@@ -121,6 +150,10 @@ window.addEventListener('beforeunload', function (e) {
   if (stats.pending > 0) {
     userWarnings.printUserWarning('Você tem dados não enviados. Aguarde a sincronização antes de sair.');
   }
+
+  if (scanQueue.size() > 0) {
+    userWarnings.printUserWarning('Ainda há leituras na fila. Aguarde o processamento antes de sair.');
+  }
 });
 
 // ============================================================================
@@ -154,15 +187,18 @@ window.addEventListener('load', async () => {
     //dinâmico
     if (!__HAS_INVENTORY_DATA__) {
       // Ambiente com dados dinâmicos (GAS runtime)
-      // DISPARO PARALELO
-      // DISPARO PARALELO: Otimiza o tempo de resposta
-      const [settingsRes, inventoryRes] = await Promise.all([
-        backendService.getAppSettings(),
-        backendService.getInventoryData()
-      ]);
-
-      appSettings = settingsRes;
-      inventoryData = inventoryRes;
+      // Base e configurações vêm do backend (que responde "não modificado" se o cache
+      // estiver atualizado) ou, sem conexão, do cache da última abertura
+      const bootData = await baselineCache.loadBootData();
+
+      appSettings = bootData.appSettings;
+      inventoryData = bootData.inventoryData;
+
+      // O erro de esquema da aba inventario já foi exibido pelo BaselineCache
+      if (bootData.fromCache && !bootData.schemaError) {
+        const savedAt = new Date(bootData.savedAt).toLocaleString('pt-BR');
+        userWarnings.printUserWarning(`Sem conexão com o servidor: usando a base salva em ${savedAt}.`);
+      }
     }
 
     console.log('⚙️ Configurações carregadas:', appSettings);
@@ -185,14 +221,52 @@ window.addEventListener('load', async () => {
       return; // Encerra a execução do listener 'load'
     }
 
+    // Papel e localidades do usuário (aba usuarios); o backend recusa o que estiver fora delas
+    userAccess.setPermissions(appSettings && appSettings.user_permissions);
+
+    if (userAccess.isBlocked()) {
+      console.error('⚠️ Usuário sem acesso ao inventário.');
+
+      const email = userAccess.getEmail() || 'não identificado';
+      document.body.innerHTML = `
+      <div style="display: flex; flex-direction: column; align-items: center; justify-content: center; height: 100vh; text-align: center; font-family: sans-serif; background: #f8f9fa; color: #333;">
+        <div style="font-size: 80px;">🚫</div>
+        <h1 style="margin-top: 20px;">Acesso não liberado</h1>
+        <p style="max-width: 80%; color: #666;">O usuário <b></b> não está cadastrado no inventário. Procure o responsável pela planilha.</p>
+      </div>
+      `;
+      // E-mail inserido como texto (não como HTML)
+      document.body.querySelector('b').textContent = email;
+
+      loadingModal.toggle(false);
+      return;
+    }
+
     // Mostra o conteúdo principal depois do carregamento
     document.querySelector('main').style.display = 'block';
 
+    // Regras de validação de tombamento (mesmas usadas pelo backend)
+    assetCodeValidator.setRules(appSettings && appSettings.code_validation_rules);
+
+    // Campos das leituras da aba campos_leitura (formulário de edição, lote e filtros)
+    readingFieldSchema.setFields(appSettings && appSettings.reading_fields);
+
     // 2. EXECUTA ESTRATÉGIA DE LIMPEZA (Kill Switch)
+    // Aguarda o carregamento (e eventual migração) dos dados locais
+    await assetRepository.ready;
     assetRepository.applyMaintenance(appSettings);
 
-    inventoryBaseline.setAssetsDatabase(inventoryData["inventory"]);
-    locationSelector.init(inventoryData["locations"]);
+    // Campanha ativa (aba campanhas): separa as leituras locais e o resumo remoto por campanha
+    await campaignSelector.init(appSettings && appSettings.campaigns);
+
+    // Bases grandes têm os índices montados em um Web Worker; até lá as consultas usam varredura linear
+    inventoryBaseline.setAssetsDatabase(inventoryData["inventory"], { useWorker: true, attributes: inventoryData["attributes"] });
+    // Apenas as localidades liberadas para o usuário
+    const locations = userAccess.filterLocations(inventoryData["locations"]);
+    if (locations.length === 0 && (inventoryData["locations"] || []).length > 0) {
+      userWarnings.printUserWarning('Nenhuma localidade liberada para o seu usuário. Procure o responsável pela planilha.');
+    }
+    locationSelector.init(locations);
     // 4. Renderiza a tabela inicial
     barcodeTable.renderTable();
 
@@ -204,7 +278,8 @@ window.addEventListener('load', async () => {
 
   } catch (error) {
     console.error('❌ Erro crítico na inicialização:', error);
-    userWarnings.printUserWarning('Erro ao carregar dados. Recarregue a página.');
+    // Coluna obrigatória ausente na aba inventario: a mensagem diz o que ajustar na planilha
+    userWarnings.printUserWarning(inventorySchemaErrorText(error) || 'Erro ao carregar dados. Recarregue a página.');
   } finally {
     loadingModal.toggle(false);
   }
@@ -10,7 +10,8 @@ const isGAS = typeof google !== 'undefined' && google.script && google.script.ru
 // Configuração do servidor local
 const SERVER_HOST = window.MOCK_GAS_HOST || window.location.hostname;
 const SERVER_PORT = window.MOCK_GAS_PORT || 3000;
-const SERVER_URL = `https://${SERVER_HOST}:${SERVER_PORT}`;
+// Quando a página é servida pelo próprio servidor local (modo autônomo), ele define MOCK_GAS_URL
+const SERVER_URL = window.MOCK_GAS_URL || `https://${SERVER_HOST}:${SERVER_PORT}`;
 
 if (!isGAS) {
     console.log(`🔧 Ambiente de desenvolvimento detectado. Redirecionando para ${SERVER_URL}`);
@@ -31,20 +32,61 @@ if (!isGAS) {
                 return this;
             },
 
-            getInventoryData: function () {
-                return this._httpCall('GET', '/api/inventory-data', 'getInventoryData');
+            getInventoryData: function (request = null) {
+                // { hash } da base em cache: o servidor pode responder apenas { notModified, hash }
+                const hash = request !== null && typeof request === 'object' ? request.hash : null;
+                const query = hash ? `?hash=${encodeURIComponent(hash)}` : '';
+                return this._httpCall('GET', `/api/inventory-data${query}`, 'getInventoryData');
             },
 
-            getInventorySummary: function (targetLocation = null) {
-                const params = targetLocation ? `?location=${encodeURIComponent(targetLocation)}` : '';
-                return this._httpCall('GET', `/api/inventory-summary${params}`, 'getInventorySummary');
+            getInventorySummary: function (request = null) {
+                // Aceita a localidade (formato antigo) ou { location, cursor, campaign }
+                const query = request !== null && typeof request === 'object' ? request : { location: request };
+                const params = ['location', 'cursor', 'campaign']
+                    .filter(key => query[key])
+                    .map(key => `${key}=${encodeURIComponent(query[key])}`)
+                    .join('&');
+                return this._httpCall('GET', `/api/inventory-summary${params ? '?' + params : ''}`, 'getInventorySummary');
             },
 
-            getNotFoundItens: function (targetLocation) {
-                if (!targetLocation) {
+            getNotFoundItens: function (request) {
+                // Aceita a localidade (formato antigo) ou { location, campaign }
+                const query = request !== null && typeof request === 'object' ? request : { location: request };
+                if (!query.location) {
                     return this._fail('getNotFoundItens', new Error('targetLocation é obrigatório'));
                 }
-                return this._httpCall('GET', `/api/not-found-items?location=${encodeURIComponent(targetLocation)}`, 'getNotFoundItens');
+                const params = ['location', 'campaign']
+                    .filter(key => query[key])
+                    .map(key => `${key}=${encodeURIComponent(query[key])}`)
+                    .join('&');
+                return this._httpCall('GET', `/api/not-found-items?${params}`, 'getNotFoundItens');
+            },
+
+            getReadingHistory: function (query) {
+                const params = query !== null && typeof query === 'object'
+                    ? ['uid', 'code'].filter(key => query[key]).map(key => `${key}=${encodeURIComponent(query[key])}`).join('&')
+                    : `uid=${encodeURIComponent(query)}&code=${encodeURIComponent(query)}`;
+                return this._httpCall('GET', `/api/reading-history?${params}`, 'getReadingHistory');
+            },
+
+            getLocationStatus: function (request) {
+                const query = request !== null && typeof request === 'object' ? request : {};
+                if (!query.location) {
+                    return this._fail('getLocationStatus', new Error('location é obrigatório'));
+                }
+                const params = ['location', 'campaign']
+                    .filter(key => query[key])
+                    .map(key => `${key}=${encodeURIComponent(query[key])}`)
+                    .join('&');
+                return this._httpCall('GET', `/api/location-status?${params}`, 'getLocationStatus');
+            },
+
+            closeLocation: function (request) {
+                return this._httpCall('POST', '/api/close-location', 'closeLocation', request);
+            },
+
+            reopenLocation: function (request) {
+                return this._httpCall('POST', '/api/reopen-location', 'reopenLocation', request);
             },
 
             getAppSettings: function () {
@@ -55,6 +97,10 @@ if (!isGAS) {
                 return this._httpCall('POST', '/api/save-batch', 'saveCodeBatch', { items });
             },
 
+            savePhoto: function (payload) {
+                return this._httpCall('POST', '/api/save-photo', 'savePhoto', payload);
+            },
+
             saveMessage: function (payload) {
                 if (typeof payload === 'object') {
                     return this._httpCall('POST', '/api/save-message', 'saveMessage', payload);
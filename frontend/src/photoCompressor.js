@@ -0,0 +1,109 @@
+/**
+ * @fileoverview PhotoCompressor - Compressão de fotos no dispositivo
+ *
+ * Reduz as fotos da câmera (normalmente vários MB) para JPEG com dimensão
+ * máxima limitada antes de guardá-las na fila offline, diminuindo o uso do
+ * IndexedDB e o tempo de envio ao backend.
+ *
+ * @module PhotoCompressor
+ * @version 1.0.0
+ * @author Tiago Possato
+ */
+
+/**
+ * Maior lado da imagem após a compressão (px)
+ * @type {number}
+ */
+const MAX_DIMENSION = 1280;
+
+/**
+ * Qualidade do JPEG gerado (0 a 1)
+ * @type {number}
+ */
+const JPEG_QUALITY = 0.7;
+
+/**
+ * @typedef {Object} CompressedPhoto
+ * @property {string} dataUrl - Imagem em data URL (image/jpeg)
+ * @property {string} mimeType - Tipo da imagem gerada
+ * @property {number} width - Largura final
+ * @property {number} height - Altura final
+ */
+
+/**
+ * Decodifica o arquivo em um objeto desenhável no canvas
+ * @param {File|Blob} file - Arquivo de imagem
+ * @returns {Promise<ImageBitmap|HTMLImageElement>}
+ * @private
+ */
+function loadImage(file) {
+    // createImageBitmap respeita a orientação EXIF nos navegadores atuais
+    if (typeof createImageBitmap === 'function') {
+        return createImageBitmap(file).catch(function () {
+            return loadImageElement(file);
+        });
+    }
+    return loadImageElement(file);
+}
+
+/**
+ * Fallback de decodificação via <img> para navegadores sem createImageBitmap
+ * @param {File|Blob} file - Arquivo de imagem
+ * @returns {Promise<HTMLImageElement>}
+ * @private
+ */
+function loadImageElement(file) {
+    return new Promise(function (resolve, reject) {
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+        img.onload = function () {
+            URL.revokeObjectURL(url);
+            resolve(img);
+        };
+        img.onerror = function () {
+            URL.revokeObjectURL(url);
+            reject(new Error('Não foi possível ler a imagem'));
+        };
+        img.src = url;
+    });
+}
+
+/**
+ * Redimensiona e converte uma foto para JPEG
+ * @param {File|Blob} file - Foto capturada pela câmera ou escolhida na galeria
+ * @param {Object} [options] - Opções de compressão
+ * @param {number} [options.maxDimension=1280] - Maior lado da imagem final
+ * @param {number} [options.quality=0.7] - Qualidade do JPEG
+ * @returns {Promise<CompressedPhoto>}
+ * @public
+ */
+export async function compressPhoto(file, options) {
+    const opts = options || {};
+    const maxDimension = opts.maxDimension || MAX_DIMENSION;
+    const quality = opts.quality || JPEG_QUALITY;
+
+    if (!file || !/^image\//.test(file.type)) {
+        throw new Error('Arquivo não é uma imagem');
+    }
+
+    const image = await loadImage(file);
+    const sourceWidth = image.width;
+    const sourceHeight = image.height;
+    const scale = Math.min(1, maxDimension / Math.max(sourceWidth, sourceHeight));
+    const width = Math.round(sourceWidth * scale);
+    const height = Math.round(sourceHeight * scale);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+
+    if (typeof image.close === 'function') image.close(); // Libera o ImageBitmap
+
+    return {
+        dataUrl: canvas.toDataURL('image/jpeg', quality),
+        mimeType: 'image/jpeg',
+        width: width,
+        height: height
+    };
+}
@@ -19,6 +19,9 @@ import { remoteInventoryRegistry } from './remoteInventoryRegistry.js';
 import { AppModal } from './appModal.js';
 import { scannerManager } from './scannerManager.js';
 import { locationSelector } from './locationSelector.js';
+import { assetCodeValidator } from './assetCodeValidator.js';
+import { userAccess } from './userAccess.js';
+import { parseLocationLabel } from '../../shared/locationLabel.js';
 
 /**
  * @typedef {Object} VerificationResult
@@ -33,20 +36,73 @@ import { locationSelector } from './locationSelector.js';
  * @property {string} [message] - Mensagem descritiva do resultado
  */
 
+/**
+ * @typedef {Object} TransferRequest
+ * @property {string} from - Localidade de origem (onde o bem deveria estar)
+ * @property {string} justification - Justificativa informada pelo usuário
+ */
+
+/**
+ * Pergunta se o usuário quer pedir a transferência de um bem encontrado fora do lugar.
+ * O pedido segue com a leitura e vira uma linha na aba 'transferencias' ao sincronizar.
+ * @param {string} code - Tombamento
+ * @param {string} from - Localidade de origem
+ * @param {string} to - Localidade onde o bem foi encontrado
+ * @returns {Promise<TransferRequest|null>} Pedido ou null se o usuário pulou
+ */
+async function askTransferRequest(code, from, to) {
+    const justification = await AppModal.prompt(
+        `🔁 SOLICITAR TRANSFERÊNCIA?`,
+        `Registrar pedido de transferência do bem ${code}:\n\n` +
+        `📍 De: ${from}\n` +
+        `📍 Para: ${to}\n\n` +
+        `Informe a justificativa ou toque em "Pular".`,
+        { placeholder: 'Justificativa', maxLength: 500, required: true, confirmLabel: 'Solicitar', cancelLabel: 'Pular' }
+    );
+
+    return justification ? { from: from, justification: justification } : null;
+}
+
+/**
+ * Seleciona a localidade de uma etiqueta lida (não registra nenhum bem)
+ * @param {string} labelLocation - Localidade informada na etiqueta
+ * @returns {boolean} true se a localidade existe e foi selecionada
+ */
+function selectLabelLocation(labelLocation) {
+    const location = locationSelector.findLocation(labelLocation);
+
+    if (location === null || !locationSelector.setSelectedLocation(location)) {
+        audioManager.playError();
+        userWarnings.printUserWarning(userAccess.allowsLocation(labelLocation)
+            ? `Etiqueta de localidade desconhecida: ${labelLocation}`
+            : `Localidade não liberada para o seu usuário: ${labelLocation}`);
+        return false;
+    }
+
+    audioManager.playSuccess();
+    userWarnings.printUserWarning(`📍 Localidade selecionada pela etiqueta: ${location}`);
+    return true;
+}
+
 /**
  * Processa a entrada de um novo código de barras através de um fluxo completo de validações
  * 
+ * Etiquetas de localidade (ver shared/locationLabel.js) apenas trocam a localidade ativa.
+ *
  * O fluxo inclui:
- * 1. Validação da localização selecionada
- * 2. Validação do formato do código de barras (regex)
+ * 1. Validação da localização selecionada (localidades concluídas não aceitam leituras)
+ * 2. Normalização e validação do formato do código (regras de app_config)
  * 3. Verificação de duplicidade no armazenamento local
  * 4. Consulta na base de dados de bens patrimoniais
- * 5. Tratamento de localização divergente (com confirmação do usuário)
+ * 5. Tratamento de localização divergente (com confirmação do usuário e pedido opcional de transferência)
  * 6. Verificação de conflito de localização remota
  * 7. Adição ao armazenamento e atualização da interface
  * 
  * @param {string} rawValue - O valor cru lido pelo scanner/input
  * @param {string} selectedLocation - O local selecionado no dropdown de localização
+ * @param {string} [source] - Origem da leitura
+ * @param {boolean} [bypassCheckLocation] - Ignora a verificação de localização divergente
+ * @param {boolean} [damagedLabel] - Etiqueta danificada: o bem entra na fila de reimpressão
  * @returns {Promise<boolean>} true se o código foi processado com sucesso, false caso contrário
  * 
  * @example
@@ -58,34 +114,50 @@ import { locationSelector } from './locationSelector.js';
  * 
  * @throws {Error} Em caso de erro não tratado durante o processo
  */
-export async function processBarcode(rawValue, selectedLocation, source = "unknown", bypassCheckLocation = false) {
+export async function processBarcode(rawValue, selectedLocation, source = "unknown", bypassCheckLocation = false, damagedLabel = false) {
     let observations = '';
+    let transfer = null;
 
     try {
+        // 0. Etiqueta de localidade: troca a localidade ativa em vez de registrar um bem
+        const labelLocation = parseLocationLabel(rawValue);
+        if (labelLocation !== null) {
+            return selectLabelLocation(labelLocation);
+        }
+
         // 1. Validação de Local Selecionado
         if (!selectedLocation || selectedLocation === locationSelector.NONE_SELECTED) {
             userWarnings.printUserWarning("Selecione uma localização antes de bipar.");
             return false;
         }
 
-        // 2. Validação de Formato (Regex)
-        // Aceita anos de 1990 a 2030 seguidos de 6 dígitos
-        const regex = /^(199[0-9]|20[0-2][0-9]|2030)\d{6}$/;
-        if (!regex.test(rawValue)) {
+        // 1.1 Localidade concluída: só volta a aceitar leituras depois de reaberta
+        const closure = remoteInventoryRegistry.getLocationClosure(selectedLocation);
+        if (closure) {
+            audioManager.playError();
+            userWarnings.printUserWarning(`${selectedLocation} foi concluída por ${closure.responsible}. Peça a um supervisor para reabrir a localidade.`);
+            return false;
+        }
+
+        // 2. Validação de Formato (regras configuradas em app_config)
+        // A partir daqui o fluxo usa sempre o código normalizado
+        const validation = assetCodeValidator.validate(rawValue);
+        if (!validation.valid) {
             audioManager.playError();
-            userWarnings.printUserWarning(`Tombamento inválido: ${rawValue}`);
+            userWarnings.printUserWarning(`Tombamento inválido: ${rawValue} (${validation.reason})`);
             return false;
         }
+        const code = validation.code;
 
         // 3. Validação de Duplicidade no Storage Local (Offline)
-        if (await assetRepository.hasItem(rawValue, selectedLocation)) {
+        if (await assetRepository.hasItem(code, selectedLocation)) {
             audioManager.playWarning();
-            userWarnings.printUserWarning(`${rawValue} já adicionado na lista local`);
+            userWarnings.printUserWarning(`${code} já adicionado na lista local`);
             return false;
         }
 
         // 4. Verificação na Base de Dados de bens
-        const retorno = await inventoryBaseline.verifyItem(rawValue, selectedLocation);
+        const retorno = await inventoryBaseline.verifyItem(code, selectedLocation);
 
         // Tratamento de Respostas
 
@@ -106,12 +178,13 @@ export async function processBarcode(rawValue, selectedLocation, source = "unkno
                     `⚠️ ATENÇÃO: LOCALIZAÇÃO DIVERGENTE`,
                     `Este bem deveria estar na localidade \n\n` +
                     `📍${retorno.local}\n\n` +
-                    `Confirma que o código ${rawValue} está correto?`
+                    `Confirma que o código ${code} está correto?`
                 );
                 if (!userConfirmed) {
                     userWarnings.printUserWarning(`Cancelado: Item deveria estar em ${retorno.local}`);
                     return false;
                 }
+                transfer = await askTransferRequest(code, retorno.local, selectedLocation);
             } finally {
                 // 2. DESBLOQUEIA O SCANNER APÓS A DECISÃO (ou erro)
                 // eslint-disable-next-line no-unused-vars
@@ -119,12 +192,12 @@ export async function processBarcode(rawValue, selectedLocation, source = "unkno
             }
         }
         if (bypassCheckLocation === true && retorno.status === 'check') {
-            userWarnings.printUserWarning(`AVISO: ${rawValue} inserido automaticamente. Deveria estar em ${retorno.local}.`);
+            userWarnings.printUserWarning(`AVISO: ${code} inserido automaticamente. Deveria estar em ${retorno.local}.`);
             observations = `Verificação de localização ignorada`;
         }
 
         // 5. Verifica se o item já foi encontrado em outra localidade
-        const foundLocation = await remoteInventoryRegistry.checkAssetLocation(rawValue);
+        const foundLocation = await remoteInventoryRegistry.checkAssetLocation(code);
 
         if (foundLocation && foundLocation !== selectedLocation) {
             audioManager.playWarning();
@@ -133,14 +206,14 @@ export async function processBarcode(rawValue, selectedLocation, source = "unkno
             try {
                 const userConfirmed = await AppModal.confirm(
                     `⚠️ CONFLITO DE LOCALIZAÇÃO`,
-                    `O bem patrimonial '${rawValue}' já está registrado em:\n` +
+                    `O bem patrimonial '${code}' já está registrado em:\n` +
                     `📍 ${foundLocation}\n\n` +
                     `Você está tentando inserir em:\n` +
                     `📍 ${selectedLocation}\n\n` +
                     `Deseja prosseguir mesmo assim?`
                 );
                 if (!userConfirmed) {
-                    userWarnings.printUserWarning(`Cancelado: Item ${rawValue} encontrado em ${foundLocation}`);
+                    userWarnings.printUserWarning(`Cancelado: Item ${code} encontrado em ${foundLocation}`);
                     return false;
                 }
             } finally {
@@ -151,13 +224,17 @@ export async function processBarcode(rawValue, selectedLocation, source = "unkno
         }
 
         // 6. Sucesso: Adiciona ao Storage e atualiza Interface
-        const newItem = await assetRepository.addItem(rawValue, selectedLocation, source, observations);
+        const newItem = await assetRepository.addItem(code, selectedLocation, source, observations, transfer, damagedLabel);
 
         if (newItem) {
             audioManager.playSuccess();
             // Adiciona à tabela.
             barcodeTable.renderTable(selectedLocation);
-            if (bypassCheckLocation === false) {
+            if (transfer) {
+                userWarnings.printUserWarning(`Transferência de ${code} solicitada (${transfer.from} → ${selectedLocation}).`);
+            } else if (damagedLabel) {
+                userWarnings.printUserWarning(`🏷️ Reimpressão da etiqueta de ${code} solicitada.`);
+            } else if (bypassCheckLocation === false) {
                 userWarnings.clearUserWarning();
             }
             return true;
@@ -0,0 +1,134 @@
+/**
+ * @fileoverview ReadingFieldSchema - Campos das leituras configurados na planilha
+ *
+ * Mantém os campos recebidos em `getAppSettings` (`reading_fields`, aba
+ * `campos_leitura`) e os interpreta com o mesmo módulo usado pelo backend em
+ * `saveCodeBatch` (`shared/readingFields.js`). O modal de edição, a edição em
+ * lote e a tabela montam seus campos e opções a partir daqui.
+ *
+ * Sem configuração valem os campos padrão: estado, vida útil e observações.
+ *
+ * @module ReadingFieldSchema
+ * @version 1.0.0
+ * @author Tiago Possato
+ */
+
+import { parseReadingFields, readingFieldValue, READING_FIELD_TYPES } from '../../shared/readingFields.js';
+
+/**
+ * Classe principal do módulo ReadingFieldSchema
+ * @class
+ * @public
+ */
+function ReadingFieldSchema() {
+    /**
+     * Campos atualmente em uso
+     * @type {Array<Object>}
+     * @private
+     */
+    this.fields = parseReadingFields(null);
+}
+
+/**
+ * Define os campos a partir de `reading_fields` de getAppSettings
+ * @param {Array<Object>|null|undefined} rawFields - Campos já interpretados pelo backend
+ * @public
+ */
+ReadingFieldSchema.prototype.setFields = function (rawFields) {
+    this.fields = parseReadingFields(rawFields);
+    console.info('ReadingFieldSchema: Campos das leituras carregados', this.fields.map(function (f) { return f.key; }));
+
+    /**
+     * Evento disparado quando os campos das leituras mudam
+     * @event readingFieldsChanged
+     */
+    window.dispatchEvent(new CustomEvent('readingFieldsChanged'));
+};
+
+/**
+ * Todos os campos, na ordem do formulário
+ * @returns {Array<Object>}
+ * @public
+ */
+ReadingFieldSchema.prototype.getFields = function () {
+    return this.fields;
+};
+
+/**
+ * Campo pelo nome ('estado', 'ipvu', 'obs' ou um campo extra)
+ * @param {string} key - Nome do campo
+ * @returns {Object|null}
+ * @public
+ */
+ReadingFieldSchema.prototype.getField = function (key) {
+    return this.fields.filter(function (field) { return field.key === key; })[0] || null;
+};
+
+/**
+ * Campos extras (gravados em `item.fields`)
+ * @returns {Array<Object>}
+ * @public
+ */
+ReadingFieldSchema.prototype.getExtraFields = function () {
+    return this.fields.filter(function (field) { return !field.property; });
+};
+
+/**
+ * Valores das leituras novas
+ * @returns {{state: number, ipvu: number, fields: Object}} Estado, vida útil e campos extras com valor padrão
+ * @public
+ */
+ReadingFieldSchema.prototype.defaults = function () {
+    const fields = {};
+    this.getExtraFields().forEach(function (field) {
+        if (field.defaultValue !== '') fields[field.key] = field.defaultValue;
+    });
+
+    return {
+        state: parseInt(this.getField('estado').defaultValue, 10),
+        ipvu: parseInt(this.getField('ipvu').defaultValue, 10),
+        fields: fields
+    };
+};
+
+/**
+ * Normaliza e valida os campos extras de uma leitura (mesma regra do backend)
+ * @param {Object} values - Valores por nome de campo
+ * @returns {{valid: boolean, values: Object, reason: (string|undefined)}} Apenas os campos conhecidos
+ * @public
+ */
+ReadingFieldSchema.prototype.normalizeExtras = function (values) {
+    const result = {};
+    const extras = this.getExtraFields();
+
+    for (let i = 0; i < extras.length; i++) {
+        const field = extras[i];
+        if (!values || !Object.prototype.hasOwnProperty.call(values, field.key)) continue;
+
+        const normalized = readingFieldValue(field, values[field.key]);
+        if (!normalized.valid) {
+            return { valid: false, values: {}, reason: normalized.reason };
+        }
+        result[field.key] = normalized.value;
+    }
+
+    return { valid: true, values: result };
+};
+
+/**
+ * Indica se o valor deixa um campo obrigatório sem preenchimento
+ * @param {Object} field - Campo
+ * @param {*} value - Valor informado
+ * @returns {boolean}
+ * @public
+ */
+ReadingFieldSchema.prototype.isMissing = function (field, value) {
+    if (!field.required || field.type === READING_FIELD_TYPES.CHECKBOX) return false;
+    return value === null || value === undefined || String(value).trim() === '';
+};
+
+/**
+ * Instância singleton do ReadingFieldSchema
+ * @type {ReadingFieldSchema}
+ */
+export const readingFieldSchema = new ReadingFieldSchema();
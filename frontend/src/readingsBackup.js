@@ -0,0 +1,429 @@
+/**
+ * @fileoverview ReadingsBackup - Exportação e importação das leituras locais
+ *
+ * Permite salvar todas as leituras do dispositivo (com status, tentativas e
+ * observações) em um arquivo JSON ou CSV e importá-lo em outro dispositivo,
+ * por exemplo quando um celular estraga antes de sincronizar.
+ *
+ * A importação mescla pelo uid (ver AssetRepository.importItems): leituras
+ * já existentes não são duplicadas e as não sincronizadas voltam para a fila
+ * do AssetSyncManager. Cada leitura leva a sua campanha: as de outra campanha
+ * são recusadas e as sem campanha (backups antigos) só entram na ativa se o
+ * usuário confirmar.
+ *
+ * As fotos pendentes não são exportadas (apenas os links das já enviadas, no JSON).
+ *
+ * @module ReadingsBackup
+ * @version 1.0.0
+ * @author Tiago Possato
+ */
+
+import { assetRepository } from './assetRepository.js';
+import { AppModal } from './appModal.js';
+import { userWarnings } from './userWarnings.js';
+import { campaignSelector } from './campaignSelector.js';
+import { campaignId } from '../../shared/campaigns.js';
+
+/**
+ * Identificador do formato do arquivo JSON
+ * @type {string}
+ */
+const BACKUP_FORMAT = 'inventory-readings';
+
+/**
+ * Versão do formato do arquivo JSON
+ * @type {number}
+ */
+const BACKUP_VERSION = 1;
+
+/**
+ * Colunas do CSV (na ordem do arquivo)
+ * @type {string[]}
+ */
+const CSV_COLUMNS = [
+    'uid', 'code', 'location', 'campaignId', 'state', 'ipvu', 'obs', 'source', 'status', 'retryCount',
+    'createdAt', 'updatedAt', 'cancelledAt', 'rejectReason', 'cancelRejected', 'transferFrom', 'transferJustification', 'damagedLabel', 'fields'
+];
+
+/**
+ * Colunas do CSV com datas (gravadas em ISO 8601 para leitura em planilhas)
+ * @type {string[]}
+ */
+const CSV_DATE_COLUMNS = ['createdAt', 'updatedAt', 'cancelledAt'];
+
+/**
+ * Separador do CSV gerado (o Excel em pt-BR usa ponto e vírgula)
+ * @type {string}
+ */
+const CSV_DELIMITER = ';';
+
+/**
+ * Escapa um valor para o CSV
+ * @param {*} value - Valor da célula
+ * @returns {string}
+ * @private
+ */
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    if (/[";,\r\n]/.test(text)) {
+        return '"' + text.replace(/"/g, '""') + '"';
+    }
+    return text;
+}
+
+/**
+ * Interpreta um texto CSV (aspas duplas, separador ";" ou ",")
+ * @param {string} text - Conteúdo do arquivo
+ * @returns {string[][]} Linhas com as células
+ * @private
+ */
+function parseCsv(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = firstLine.indexOf(';') !== -1 ? ';' : ',';
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text.charAt(i);
+
+        if (quoted) {
+            if (char === '"' && text.charAt(i + 1) === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text.charAt(i + 1) === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Ignora linhas em branco
+    return rows.filter(function (r) {
+        return r.some(function (c) { return c.trim() !== ''; });
+    });
+}
+
+/**
+ * Converte uma data do CSV (ISO 8601 ou milissegundos) em timestamp
+ * @param {string} value - Valor da célula
+ * @returns {number|string} Timestamp, ou o valor original se não for uma data
+ * @private
+ */
+function parseCsvDate(value) {
+    if (value === '' || /^\d+$/.test(value)) return value;
+    const time = Date.parse(value);
+    return isNaN(time) ? value : time;
+}
+
+/**
+ * Classe principal do módulo ReadingsBackup
+ * @class
+ * @public
+ */
+function ReadingsBackup() {
+    /**
+     * ID do container dos botões de backup
+     * @type {string}
+     * @private
+     */
+    this.containerId = 'backup-area';
+
+    this.exportFile = this.exportFile.bind(this);
+    this.importFile = this.importFile.bind(this);
+
+    this._innerHtml();
+    this._setupEvents();
+}
+
+/**
+ * Injeta os botões de exportação/importação
+ * @private
+ */
+ReadingsBackup.prototype._innerHtml = function () {
+    const parent = document.getElementById(this.containerId);
+    if (!parent) return;
+
+    parent.innerHTML = `
+        <div class="flex-align-center">
+            <span class="stat-label">Backup das leituras deste dispositivo</span>
+        </div>
+        <div class="backup-actions">
+            <button type="button" id="btnExportJson" class="btn-modal btn-modal-cancel">📤 Exportar JSON</button>
+            <button type="button" id="btnExportCsv" class="btn-modal btn-modal-cancel">📤 Exportar CSV</button>
+            <button type="button" id="btnImportReadings" class="btn-modal btn-modal-cancel">📥 Importar</button>
+            <input type="file" id="backupFileInput" accept=".json,.csv,application/json,text/csv" hidden>
+        </div>
+        <div id="backupReport" class="backup-report" aria-live="polite"></div>
+    `;
+};
+
+/**
+ * Configura os cliques dos botões
+ * @private
+ */
+ReadingsBackup.prototype._setupEvents = function () {
+    const self = this;
+    const input = document.getElementById('backupFileInput');
+    if (!input) return;
+
+    document.getElementById('btnExportJson').onclick = function () { self.exportFile('json'); };
+    document.getElementById('btnExportCsv').onclick = function () { self.exportFile('csv'); };
+    document.getElementById('btnImportReadings').onclick = function () { input.click(); };
+
+    input.addEventListener('change', function () {
+        const file = input.files && input.files[0];
+        input.value = ''; // Permite escolher o mesmo arquivo novamente
+        if (file) self.importFile(file);
+    });
+};
+
+/**
+ * Gera o conteúdo do arquivo de backup
+ * @param {'json'|'csv'} format - Formato do arquivo
+ * @returns {string} Conteúdo do arquivo
+ * @public
+ */
+ReadingsBackup.prototype.serialize = function (format) {
+    const items = assetRepository.exportItems();
+
+    if (format === 'csv') {
+        const lines = [CSV_COLUMNS.join(CSV_DELIMITER)];
+        items.forEach(function (item) {
+            const transfer = item.transfer || {};
+            const values = Object.assign({}, item, {
+                transferFrom: transfer.from,
+                transferJustification: transfer.justification,
+                // Campos extras em JSON (uma coluna, qualquer que seja a configuração da planilha)
+                fields: item.fields ? JSON.stringify(item.fields) : ''
+            });
+            CSV_DATE_COLUMNS.forEach(function (column) {
+                if (values[column]) values[column] = new Date(values[column]).toISOString();
+            });
+            lines.push(CSV_COLUMNS.map(function (column) { return csvCell(values[column]); }).join(CSV_DELIMITER));
+        });
+        // BOM para o Excel reconhecer o UTF-8
+        return '\uFEFF' + lines.join('\r\n') + '\r\n';
+    }
+
+    return JSON.stringify({
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        items: items
+    }, null, 2);
+};
+
+/**
+ * Interpreta o conteúdo de um arquivo de backup
+ * @param {string} text - Conteúdo do arquivo
+ * @param {string} [fileName] - Nome do arquivo (a extensão define o formato; sem ela, detecta pelo conteúdo)
+ * @returns {{records: Array<Object>, rows: string[]}} Registros e a posição de cada um no arquivo
+ * @throws {Error} Se o arquivo não estiver em um formato reconhecido
+ * @public
+ */
+ReadingsBackup.prototype.parse = function (text, fileName) {
+    const content = String(text || '').replace(/^\uFEFF/, '');
+    const isJson = /\.json$/i.test(fileName || '') || (!/\.csv$/i.test(fileName || '') && /^\s*[[{]/.test(content));
+
+    if (isJson) {
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (e) {
+            throw new Error('JSON inválido: ' + e.message);
+        }
+
+        const items = Array.isArray(data) ? data : (data && data.items);
+        if (!Array.isArray(items)) {
+            throw new Error('O arquivo não contém uma lista de leituras');
+        }
+        if (data.format && data.format !== BACKUP_FORMAT) {
+            throw new Error('Formato de arquivo desconhecido: ' + data.format);
+        }
+
+        return {
+            records: items,
+            rows: items.map(function (item, index) { return 'Item ' + (index + 1); })
+        };
+    }
+
+    const lines = parseCsv(content);
+    if (lines.length === 0) throw new Error('Arquivo vazio');
+
+    const header = lines[0].map(function (column) { return column.trim(); });
+    ['uid', 'code', 'location', 'status'].forEach(function (column) {
+        if (header.indexOf(column) === -1) throw new Error('Coluna obrigatória ausente no CSV: ' + column);
+    });
+
+    const records = lines.slice(1).map(function (cells) {
+        const record = {};
+        header.forEach(function (column, index) {
+            const value = cells[index] !== undefined ? cells[index] : '';
+            record[column] = CSV_DATE_COLUMNS.indexOf(column) !== -1 ? parseCsvDate(value.trim()) : value;
+        });
+        if (record.transferFrom && record.transferJustification) {
+            record.transfer = { from: record.transferFrom, justification: record.transferJustification };
+        }
+        delete record.transferFrom;
+        delete record.transferJustification;
+        if (record.fields) {
+            try {
+                record.fields = JSON.parse(record.fields);
+            } catch (error) {
+                // Mantido como texto: a importação recusa o registro
+                console.warn('ReadingsBackup: Coluna fields inválida', error.message);
+            }
+        }
+        return record;
+    });
+
+    return {
+        records: records,
+        // Linha 1 é o cabeçalho
+        rows: records.map(function (record, index) { return 'Linha ' + (index + 2); })
+    };
+};
+
+/**
+ * Baixa o backup das leituras locais
+ * @param {'json'|'csv'} format - Formato do arquivo
+ * @public
+ */
+ReadingsBackup.prototype.exportFile = function (format) {
+    const content = this.serialize(format);
+    const type = format === 'csv' ? 'text/csv;charset=utf-8' : 'application/json';
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '_');
+
+    const blob = new Blob([content], { type: type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'leituras_' + stamp + '.' + (format === 'csv' ? 'csv' : 'json');
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    console.info('ReadingsBackup: Leituras exportadas', { format: format, total: assetRepository.getStats().total });
+};
+
+/**
+ * Lê, valida e importa um arquivo de backup, exibindo o resultado
+ * @param {File} file - Arquivo escolhido pelo usuário
+ * @returns {Promise<import('./assetRepository.js').ImportReport|null>} Resumo, ou null se cancelado/inválido
+ * @public
+ */
+ReadingsBackup.prototype.importFile = async function (file) {
+    let parsed;
+    try {
+        parsed = this.parse(await file.text(), file.name);
+    } catch (error) {
+        console.error('ReadingsBackup: Erro ao ler o arquivo', error);
+        userWarnings.printUserWarning('Não foi possível importar "' + file.name + '": ' + error.message);
+        return null;
+    }
+
+    // Campanha de cada leitura do arquivo, comparada com a ativa
+    const active = campaignSelector.getCampaignId();
+    let withoutCampaign = 0;
+    let otherCount = 0;
+    const others = [];
+    parsed.records.forEach(function (record) {
+        const id = campaignId(record && record.campaignId);
+        if (id === '') {
+            if (active) withoutCampaign++;
+        } else if (id !== active) {
+            otherCount++;
+            if (others.indexOf(id) === -1) others.push(id);
+        }
+    });
+
+    if (parsed.records.length > 0 && otherCount === parsed.records.length) {
+        userWarnings.printUserWarning('Não foi possível importar "' + file.name + '": as leituras são de outra campanha (' +
+            others.join(', ') + '). Escolha essa campanha antes de importar.');
+        return null;
+    }
+
+    const confirmed = await AppModal.confirm(
+        'Importar leituras',
+        parsed.records.length + ' leitura(s) encontrada(s) em "' + file.name + '".\n\n' +
+        (otherCount > 0 ? otherCount + ' leitura(s) de outra campanha (' + others.join(', ') + ') serão recusadas.\n\n' : '') +
+        'Leituras já existentes neste dispositivo não serão duplicadas e as não sincronizadas serão enviadas para a planilha.\n\nDeseja continuar?'
+    );
+    if (!confirmed) return null;
+
+    let assignCampaign = false;
+    if (withoutCampaign > 0) {
+        const campaign = campaignSelector.getCampaign();
+        assignCampaign = await AppModal.confirm(
+            'Leituras sem campanha',
+            withoutCampaign + ' leitura(s) do arquivo não informam a campanha.\n\n' +
+            'Confirme apenas se elas são da campanha ativa (' + (campaign ? campaign.name : active) + '). ' +
+            'Caso contrário, elas serão recusadas.'
+        );
+    }
+
+    const report = await assetRepository.importItems(parsed.records, { assignCampaign: assignCampaign });
+    this._renderReport(file.name, report, parsed.rows);
+    return report;
+};
+
+/**
+ * Exibe o resumo da importação e os registros recusados
+ * @param {string} fileName - Nome do arquivo importado
+ * @param {import('./assetRepository.js').ImportReport} report - Resumo da importação
+ * @param {string[]} rows - Posição de cada registro no arquivo
+ * @private
+ */
+ReadingsBackup.prototype._renderReport = function (fileName, report, rows) {
+    const container = document.getElementById('backupReport');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    const summary = document.createElement('p');
+    summary.className = 'backup-summary';
+    summary.textContent = '"' + fileName + '": ' + report.added + ' nova(s), ' + report.updated + ' atualizada(s), ' +
+        report.skipped + ' já existente(s), ' + report.rejected.length + ' recusada(s). ' +
+        report.requeued + ' na fila de envio.';
+    container.appendChild(summary);
+
+    if (report.rejected.length === 0) return;
+
+    const list = document.createElement('ul');
+    list.className = 'backup-rejected';
+    report.rejected.forEach(function (entry) {
+        const li = document.createElement('li');
+        li.textContent = rows[entry.index] + (entry.uid ? ' (' + entry.uid + ')' : '') + ': ' + entry.reason;
+        list.appendChild(li);
+    });
+    container.appendChild(list);
+};
+
+/**
+ * Instância singleton do ReadingsBackup
+ * @type {ReadingsBackup}
+ */
+export const readingsBackup = new ReadingsBackup();
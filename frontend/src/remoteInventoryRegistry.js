@@ -20,6 +20,10 @@
  * @typedef {Object} InventorySummaryResponse
  * @property {Array} locations - Lista de localizações disponíveis
  * @property {Array} assetsFinded - Grupos de ativos encontrados por localização
+ * (apenas as leituras novas quando `full` é false)
+ * @property {string|null} cursor - Cursor a enviar na próxima sincronização
+ * @property {boolean} full - true para resposta completa, false para delta
+ * @property {Array<Object>} [closures] - Localidades concluídas na campanha (ver shared/locationClosures.js)
  */
 
 /**
@@ -29,7 +33,10 @@
  */
 
 import { locationSelector } from "./locationSelector.js";
+import { campaignSelector } from "./campaignSelector.js";
 import { backendService } from "./backendService.js"
+import { findLocationClosure } from "../../shared/locationClosures.js";
+import { readingCodeKey } from "../../shared/readingRules.js";
 
 /**
  * Classe principal do módulo RemoteInventoryRegistry
@@ -97,6 +104,34 @@ function RemoteInventoryRegistry(options) {
      */
     this.lastUpdated = null;
 
+    /**
+     * Cursor da última sincronização (o backend retorna apenas as leituras posteriores)
+     * @type {string|null}
+     * @private
+     */
+    this.cursor = null;
+
+    /**
+     * Campanha do cache e do cursor
+     * @type {string}
+     * @private
+     */
+    this.campaign = campaignSelector.getCampaignId();
+
+    /**
+     * Localidades concluídas na campanha (aba conclusoes_localidades)
+     * @type {Array<Object>}
+     * @private
+     */
+    this.closures = [];
+
+    /**
+     * Conclusões já avisadas aos demais módulos (JSON; null: nenhum aviso ainda)
+     * @type {string|null}
+     * @private
+     */
+    this.notifiedClosures = null;
+
     // Vincula o contexto para o event listener
     this._handleOnline = this._syncWithRemote.bind(this);
 
@@ -121,6 +156,26 @@ RemoteInventoryRegistry.prototype._setupListeners = function () {
     const syncHandler = () => self._syncWithRemote();
     window.addEventListener('locationChanged', syncHandler);
     window.addEventListener('syncCompleted', syncHandler);
+
+    // Outra campanha: o cache e o cursor são da anterior
+    window.addEventListener('campaignChanged', function () {
+        self._reset();
+        syncHandler();
+    });
+};
+
+/**
+ * Descarta o cache e o cursor (a próxima sincronização pede o resumo completo)
+ * @private
+ */
+RemoteInventoryRegistry.prototype._reset = function () {
+    this.cache = new Map();
+    this.cursor = null;
+    this.campaign = campaignSelector.getCampaignId();
+    this.ready = false;
+    this.lastUpdated = null;
+    localStorage.removeItem(this.storageKey);
+    this._setClosures([]);
 };
 
 /* --- CICLO DE VIDA --- */
@@ -176,16 +231,63 @@ RemoteInventoryRegistry.prototype.hasBeenScanned = function (code) {
     return this.cache.has(this._normalizeCode(code));
 };
 
+/**
+ * Retorna a conclusão de uma localidade na campanha ativa
+ * @param {string} locationName - Nome da localidade
+ * @returns {Object|null} Conclusão (responsible, closedAt, found, missing, divergent) ou null
+ * @public
+ */
+RemoteInventoryRegistry.prototype.getLocationClosure = function (locationName) {
+    return findLocationClosure(this.closures, locationName);
+};
+
+/**
+ * Aplica uma conclusão (ou reabertura) feita neste dispositivo sem esperar a
+ * próxima sincronização
+ * @param {string} locationName - Nome da localidade
+ * @param {Object|null} closure - Conclusão registrada (null: localidade reaberta)
+ * @public
+ */
+RemoteInventoryRegistry.prototype.applyLocationClosure = function (locationName, closure) {
+    const closures = this.closures.filter(function (entry) { return entry.location !== locationName; });
+    if (closure) closures.push(closure);
+    this._setClosures(closures);
+    this._saveToStorage();
+};
+
+/**
+ * Substitui as conclusões e avisa os demais módulos quando mudarem (o primeiro
+ * resumo sempre avisa, pois as conclusões do cache local não são anunciadas)
+ * @param {Array<Object>} closures - Localidades concluídas
+ * @private
+ */
+RemoteInventoryRegistry.prototype._setClosures = function (closures) {
+    const key = JSON.stringify(closures);
+    this.closures = closures;
+    if (key === this.notifiedClosures) return;
+    this.notifiedClosures = key;
+
+    /**
+     * Evento global disparado quando as localidades concluídas mudam
+     * @event locationClosuresChanged
+     * @property {Array<Object>} closures - Localidades concluídas na campanha ativa
+     */
+    window.dispatchEvent(new CustomEvent('locationClosuresChanged', {
+        detail: { closures: closures.slice() }
+    }));
+};
+
 /* --- AUXILIARES E PERSISTÊNCIA --- */
 
 /**
- * Normaliza um código para formato padrão
+ * Normaliza um código para formato padrão (como a planilha compara os tombamentos,
+ * ver shared/readingRules.js: '00123' e 123 são o mesmo bem)
  * @param {string} value - Código a ser normalizado
  * @returns {string} Código normalizado
  * @private
  */
 RemoteInventoryRegistry.prototype._normalizeCode = function (value) {
-    return String(value).trim().toUpperCase();
+    return readingCodeKey(value).toUpperCase();
 };
 
 /**
@@ -207,8 +309,16 @@ RemoteInventoryRegistry.prototype._loadFromStorage = function () {
             return;
         }
 
+        // Cache de outra campanha
+        if ((parsed.campaign || '') !== this.campaign) {
+            localStorage.removeItem(this.storageKey);
+            return;
+        }
+
         // Reconstrói o Map a partir do array salvo
         this.cache = new Map(parsed.data);
+        this.cursor = parsed.cursor || null;
+        this.closures = Array.isArray(parsed.closures) ? parsed.closures : [];
         this.ready = true;
         this.lastUpdated = new Date(parsed.timestamp);
     } catch (e) {
@@ -226,7 +336,10 @@ RemoteInventoryRegistry.prototype._saveToStorage = function () {
         // Converte o Map para Array para poder salvar em JSON
         const payload = {
             timestamp: Date.now(),
-            data: Array.from(this.cache.entries())
+            data: Array.from(this.cache.entries()),
+            cursor: this.cursor,
+            campaign: this.campaign,
+            closures: this.closures
         };
         localStorage.setItem(this.storageKey, JSON.stringify(payload));
     } catch (e) {
@@ -251,7 +364,8 @@ RemoteInventoryRegistry.prototype._scheduleNext = function () {
 
 /**
  * Realiza a sincronização com o servidor
- * Processa o objeto retornado: { locations: [...], assetsFinded: [...] }
+ * Processa o objeto retornado: { locations: [...], assetsFinded: [...], cursor, full }
+ * Com cursor, o servidor envia apenas as leituras novas, que são mescladas ao cache.
  * @private
  */
 RemoteInventoryRegistry.prototype._syncWithRemote = function () {
@@ -273,6 +387,7 @@ RemoteInventoryRegistry.prototype._syncWithRemote = function () {
     window.dispatchEvent(new CustomEvent('inventoryRegistryIsFetching', { detail: { isFetching: self.isFetching } }));
     let selectedLocation = locationSelector.getSelectedLocation();
     selectedLocation = selectedLocation === locationSelector.NONE_SELECTED ? null : selectedLocation;
+    const campaign = campaignSelector.getCampaignId();
 
     /**
      * Processa a resposta do servidor e atualiza o cache local
@@ -287,6 +402,13 @@ RemoteInventoryRegistry.prototype._syncWithRemote = function () {
             return;
         }
 
+        // Resposta de uma campanha que já não é a ativa: pede o resumo da nova
+        if (campaign !== campaignSelector.getCampaignId()) {
+            self.isFetching = false;
+            self._syncWithRemote();
+            return;
+        }
+
         try {
             // VALIDAÇÃO Verifica se o objeto e a chave esperada existem
             if (!response || !Array.isArray(response.assetsFinded)) {
@@ -302,7 +424,9 @@ RemoteInventoryRegistry.prototype._syncWithRemote = function () {
                 return;
             }
 
-            const newCache = new Map();
+            // Resposta completa substitui o cache; delta é mesclado ao cache atual
+            const isDelta = response.full === false && self.ready;
+            const newCache = isDelta ? self.cache : new Map();
             const groups = response.assetsFinded;
 
             // Itera sobre os grupos (cada grupo é uma localidade com seus itens)
@@ -324,8 +448,14 @@ RemoteInventoryRegistry.prototype._syncWithRemote = function () {
 
             // Atualização do Estado Interno
             self.cache = newCache;
+            self.cursor = response.cursor || null;
+            self.campaign = campaign;
             self.ready = true;
             self.lastUpdated = new Date();
+            // Backends antigos não enviam as conclusões
+            if (Array.isArray(response.closures)) {
+                self._setClosures(response.closures);
+            }
             self._saveToStorage();
 
             // Disparo de Evento com metadados do objeto recebido
@@ -347,7 +477,10 @@ RemoteInventoryRegistry.prototype._syncWithRemote = function () {
 
 
     // Usar backendService com tratamento unificado
-    backendService.getInventorySummary(selectedLocation)
+    // Sem cache válido não há base para aplicar um delta: pede tudo
+    const cursor = self.ready ? self.cursor : null;
+
+    backendService.getInventorySummary(selectedLocation, cursor, campaign || null)
         .then(processResponse)
         .catch(function (error) {
             console.error("RemoteInventoryRegistry: Falha na chamada ao GAS", error);
@@ -0,0 +1,309 @@
+/**
+ * @fileoverview ScanQueue - Fila ordenada de leituras
+ *
+ * Guarda os códigos recebidos enquanto outro ainda está sendo processado
+ * (leituras seguidas do leitor HID, da câmera ou digitadas) e os entrega, na
+ * ordem de chegada, um de cada vez ao processador registrado (processBarcode).
+ *
+ * A localidade e a opção "ignorar localidade" são capturadas no momento da
+ * leitura: trocar de sala com códigos na fila não muda onde eles serão gravados.
+ *
+ * Os códigos ainda não processados aparecem em uma lista com um contador e
+ * podem ser removidos antes de chegar a vez deles.
+ *
+ * @module ScanQueue
+ * @version 1.0.0
+ * @author Tiago Possato
+ */
+
+import { userWarnings } from './userWarnings.js';
+import { parseLocationLabel } from '../../shared/locationLabel.js';
+
+/**
+ * @typedef {Object} QueuedScan
+ * @property {number} id - Identificador da entrada na fila
+ * @property {string} code - Código lido
+ * @property {string} source - Origem da leitura ('otg', 'camera', 'manual_input', ...)
+ * @property {string} location - Localidade selecionada no momento da leitura
+ * @property {boolean} bypassCheckLocation - Opção "ignorar localidade" no momento da leitura
+ * @property {boolean} damagedLabel - Código digitado por etiqueta danificada (pede reimpressão)
+ * @property {number} queuedAt - Momento em que entrou na fila (timestamp)
+ */
+
+/**
+ * Quantidade máxima de leituras aguardando na fila
+ * @type {number}
+ */
+const MAX_QUEUE_SIZE = 100;
+
+/**
+ * Classe principal do módulo ScanQueue
+ * @class
+ * @public
+ */
+function ScanQueue() {
+    /**
+     * ID do container da fila
+     * @type {string}
+     * @private
+     */
+    this.containerId = 'scan-queue-area';
+
+    /**
+     * Leituras aguardando processamento (em ordem de chegada)
+     * @type {QueuedScan[]}
+     * @private
+     */
+    this.items = [];
+
+    /**
+     * Leitura em processamento
+     * @type {QueuedScan|null}
+     * @private
+     */
+    this.current = null;
+
+    /**
+     * Função que processa cada leitura
+     * @type {function(QueuedScan): Promise<void>|null}
+     * @private
+     */
+    this.processor = null;
+
+    /**
+     * Próximo identificador de entrada
+     * @type {number}
+     * @private
+     */
+    this._nextId = 1;
+
+    this._innerHtml();
+    this._setupEvents();
+}
+
+/**
+ * Injeta o container da fila
+ * @private
+ */
+ScanQueue.prototype._innerHtml = function () {
+    const parent = document.getElementById(this.containerId);
+    if (!parent) return;
+
+    parent.innerHTML = `
+        <div id="scanQueuePanel" class="scan-queue" style="display: none;">
+            <div class="scan-queue-header">
+                <span class="stat-label">Fila de leituras: <strong id="scanQueueCount">0</strong></span>
+                <button type="button" id="btnClearScanQueue" class="btn">Limpar fila</button>
+            </div>
+            <div id="scanQueueCurrent" class="scan-queue-current"></div>
+            <ol id="scanQueueList" class="scan-queue-list"></ol>
+        </div>
+    `;
+};
+
+/**
+ * Configura os botões de remoção (delegação no container da lista)
+ * @private
+ */
+ScanQueue.prototype._setupEvents = function () {
+    const self = this;
+    const list = document.getElementById('scanQueueList');
+    const btnClear = document.getElementById('btnClearScanQueue');
+
+    if (list) {
+        list.addEventListener('click', function (e) {
+            const button = e.target.closest('button[data-queue-id]');
+            if (!button) return;
+            self.remove(Number(button.getAttribute('data-queue-id')));
+        });
+    }
+
+    if (btnClear) {
+        btnClear.onclick = function () { self.clear(); };
+    }
+};
+
+/**
+ * Registra a função que processa cada leitura da fila
+ * @param {function(QueuedScan): Promise<void>} processor - Processador (recebe a entrada da fila)
+ * @public
+ */
+ScanQueue.prototype.setProcessor = function (processor) {
+    this.processor = processor;
+    this._drain();
+};
+
+/**
+ * Adiciona uma leitura ao final da fila e inicia o processamento se estiver parado
+ * @param {{code: string, source: string, location: string, bypassCheckLocation: boolean, damagedLabel: boolean}} scan - Leitura recebida
+ * @returns {QueuedScan|null} Entrada criada ou null quando a fila está cheia
+ * @public
+ */
+ScanQueue.prototype.enqueue = function (scan) {
+    if (this.items.length >= MAX_QUEUE_SIZE) {
+        userWarnings.printUserWarning(`Fila de leituras cheia (${MAX_QUEUE_SIZE}). O código ${scan.code} foi descartado; aguarde o processamento.`);
+        return null;
+    }
+
+    const entry = {
+        id: this._nextId++,
+        code: scan.code,
+        source: scan.source,
+        location: scan.location,
+        bypassCheckLocation: !!scan.bypassCheckLocation,
+        damagedLabel: !!scan.damagedLabel,
+        queuedAt: Date.now()
+    };
+
+    this.items.push(entry);
+    this._notifyChange();
+    this._drain();
+
+    return entry;
+};
+
+/**
+ * Remove da fila uma leitura ainda não processada
+ * @param {number} id - Identificador da entrada
+ * @returns {boolean} true quando a entrada estava na fila
+ * @public
+ */
+ScanQueue.prototype.remove = function (id) {
+    const index = this.items.findIndex(function (item) { return item.id === id; });
+    if (index === -1) return false;
+
+    this.items.splice(index, 1);
+    this._notifyChange();
+    return true;
+};
+
+/**
+ * Descarta todas as leituras aguardando (a que está em processamento continua)
+ * @public
+ */
+ScanQueue.prototype.clear = function () {
+    if (this.items.length === 0) return;
+    this.items = [];
+    this._notifyChange();
+};
+
+/**
+ * Quantidade de leituras pendentes, incluindo a que está em processamento
+ * @returns {number}
+ * @public
+ */
+ScanQueue.prototype.size = function () {
+    return this.items.length + (this.current ? 1 : 0);
+};
+
+/**
+ * Localidade da última etiqueta de localidade ainda não aplicada (na fila ou em processamento)
+ * @returns {string|null} Nome lido na etiqueta ou null quando não há etiqueta pendente
+ * @public
+ */
+ScanQueue.prototype.pendingLabelLocation = function () {
+    const pending = this.current ? [this.current].concat(this.items) : this.items;
+
+    for (let i = pending.length - 1; i >= 0; i--) {
+        const location = parseLocationLabel(pending[i].code);
+        if (location !== null) return location;
+    }
+
+    return null;
+};
+
+/**
+ * Processa as leituras em ordem, uma de cada vez
+ * @returns {Promise<void>}
+ * @private
+ */
+ScanQueue.prototype._drain = async function () {
+    if (this.current || !this.processor) return;
+
+    while (this.items.length > 0) {
+        this.current = this.items.shift();
+        this._notifyChange();
+
+        try {
+            await this.processor(this.current);
+        } catch (error) {
+            console.error('ScanQueue: Erro ao processar a leitura', this.current.code, error);
+        }
+
+        this.current = null;
+    }
+
+    this._notifyChange();
+};
+
+/**
+ * Atualiza a lista na tela e avisa os demais módulos
+ * @private
+ */
+ScanQueue.prototype._notifyChange = function () {
+    this._render();
+
+    /**
+     * Evento disparado quando a fila de leituras muda
+     * @event scanQueueChanged
+     * @property {number} size - Leituras pendentes (incluindo a em processamento)
+     * @property {string|null} current - Código em processamento
+     */
+    window.dispatchEvent(new CustomEvent('scanQueueChanged', {
+        detail: { size: this.size(), current: this.current ? this.current.code : null }
+    }));
+};
+
+/**
+ * Desenha o contador, o código em processamento e as leituras aguardando
+ * @private
+ */
+ScanQueue.prototype._render = function () {
+    const panel = document.getElementById('scanQueuePanel');
+    if (!panel) return;
+
+    // Sem nada aguardando a fila fica oculta (o processamento de um único código é imediato)
+    if (this.items.length === 0) {
+        panel.style.display = 'none';
+        return;
+    }
+
+    panel.style.display = 'block';
+    document.getElementById('scanQueueCount').textContent = String(this.items.length);
+
+    const current = document.getElementById('scanQueueCurrent');
+    current.textContent = this.current ? `Processando: ${this.current.code}` : '';
+
+    const list = document.getElementById('scanQueueList');
+    list.innerHTML = '';
+    this.items.forEach(function (item) {
+        const li = document.createElement('li');
+        li.className = 'scan-queue-item';
+
+        const code = document.createElement('span');
+        code.className = 'scan-queue-code';
+        code.textContent = item.code;
+
+        const location = document.createElement('span');
+        location.className = 'scan-queue-location';
+        location.textContent = item.location;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-red scan-queue-remove';
+        button.setAttribute('data-queue-id', String(item.id));
+        button.setAttribute('aria-label', `Remover ${item.code} da fila`);
+        button.textContent = '✕';
+
+        li.appendChild(code);
+        li.appendChild(location);
+        li.appendChild(button);
+        list.appendChild(li);
+    });
+};
+
+/**
+ * Instância singleton do ScanQueue
+ * @type {ScanQueue}
+ */
+export const scanQueue = new ScanQueue();
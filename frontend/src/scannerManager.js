@@ -78,6 +78,10 @@ ScannerManager.prototype.init = function () {
             <input type="number" id="manualBarcode" placeholder="Código (13 dig)" inputmode="numeric">
             <button id="submitManualBarcode" class="btn btn-gray">Enviar</button>
         </div>
+        <div class="control-row">
+            <input type="checkbox" id="manualDamagedLabel" name="manualDamagedLabel" value="manualDamagedLabel">
+            <label for="manualDamagedLabel"> Etiqueta danificada (digitar e pedir reimpressão)</label><br>
+        </div>
         <div class="control-row">
             <input type="checkbox" id="bypassCheckLocation" name="bypassCheckLocation" value="bypassCheckLocation">
             <label for="bypassCheckLocation"> Ignorar verificação de localização?</label><br>
@@ -106,6 +110,7 @@ ScannerManager.prototype.setFocus = function () {
 ScannerManager.prototype._setupManualInput = function () {
     const self = this;
     const btn = document.getElementById('submitManualBarcode');
+    const damagedLabel = document.getElementById('manualDamagedLabel');
 
     btn.addEventListener('click', () => {
         const cleanValue = (self.manualBarcodeInput.value || "").trim();
@@ -121,15 +126,19 @@ ScannerManager.prototype._setupManualInput = function () {
          * Evento global disparado quando um código é escaneado ou inserido manualmente
          * @event codeScanned
          * @property {string} code - Código escaneado/inserido
+         * @property {boolean} [damagedLabel] - Digitado porque a etiqueta está danificada (pede reimpressão)
          */
         window.dispatchEvent(new CustomEvent('codeScanned', {
             detail: {
                 code: cleanValue,
-                source: 'manual_input'
+                source: 'manual_input',
+                damagedLabel: damagedLabel.checked
             }
         }));
 
         self.manualBarcodeInput.value = "";
+        // Vale apenas para o código digitado
+        damagedLabel.checked = false;
 
     });
 };
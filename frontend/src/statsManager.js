@@ -2,7 +2,8 @@
  * @fileoverview StatsManager - Módulo de Gerenciamento de Estatísticas e Dashboard
  * 
  * Gerencia a exibição e atualização em tempo real das métricas do inventário.
- * Inclui estatísticas locais de sincronização e resumo geral do processo.
+ * Inclui estatísticas locais de sincronização e resumo geral do processo, com a
+ * conclusão de cada localidade (evento `locationClosuresChanged`).
  * 
  * @module StatsManager
  * @version 1.0.0
@@ -11,6 +12,7 @@
 
 import { assetRepository } from "./assetRepository.js";
 import { locationSelector } from "./locationSelector.js"
+import { userAccess } from "./userAccess.js";
 
 /**
  * @typedef {Object} StatElements
@@ -33,6 +35,7 @@ import { locationSelector } from "./locationSelector.js"
 /**
  * @typedef {Object} StatsManagerState
  * @property {LocationData[]} _lastLocationsData - Dados mais recentes das localizações
+ * @property {Object<string, Object>} _closures - Conclusões por localidade
  */
 
 /**
@@ -68,6 +71,7 @@ function StatsManager() {
      * @private
      */
     this._lastLocationsData = [];
+    this._closures = {};
 
     // Bind de métodos para manter o contexto
     this._updateStats = this._updateStats.bind(this);
@@ -189,6 +193,20 @@ StatsManager.prototype.renderLocationContext = function () {
 
             td.appendChild(nameDiv);
             td.appendChild(metrics);
+
+            /* ---------- Conclusão ---------- */
+            const closure = this._closures[loc.name];
+            if (closure) {
+                const closed = document.createElement('div');
+                closed.style.fontSize = '12px';
+                closed.style.marginTop = '4px';
+                closed.style.color = '#5f6368';
+                closed.textContent = `🔒 Concluída por ${closure.responsible}` +
+                    (closure.closedAt ? ` em ${closure.closedAt}` : '') +
+                    ` (${closure.divergent} divergente${closure.divergent === 1 ? '' : 's'})`;
+                td.appendChild(closed);
+            }
+
             tr.appendChild(td);
             tbody.appendChild(tr);
         });
@@ -215,7 +233,7 @@ StatsManager.prototype._setupEvents = function () {
     if (fCard) fCard.onclick = () => assetRepository.retryFailed();
 
     // 2. Eventos de atualização de dados locais (Sincronização de saída)
-    ['syncCompleted', 'syncStarted', 'assetDataChanged', 'assetAdded'].forEach(evt => {
+    ['syncCompleted', 'syncStarted', 'assetDataChanged', 'assetAdded', 'assetsImported', 'campaignChanged'].forEach(evt => {
         window.addEventListener(evt, () => self._updateStats());
     });
 
@@ -225,10 +243,19 @@ StatsManager.prototype._setupEvents = function () {
      * @event inventoryRegistryUpdated
      */
     window.addEventListener('inventoryRegistryUpdated', function (event) {
-        self._lastLocationsData = event.detail.locations || [];
+        // Apenas as localidades liberadas para o usuário (aba usuarios)
+        self._lastLocationsData = userAccess.filterLocations(event.detail.locations);
         self.renderLocationContext();
     });
 
+    // 4. Localidades concluídas ou reabertas
+    window.addEventListener('locationClosuresChanged', function (event) {
+        self._closures = {};
+        (event.detail.closures || []).forEach(function (closure) {
+            self._closures[closure.location] = closure;
+        });
+        self.renderLocationContext();
+    });
 
     window.addEventListener('inventoryRegistryIsFetching', (e) => {
         const { isFetching } = e.detail;
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview UserAccess - Permissões do usuário no dispositivo
+ *
+ * Mantém as permissões recebidas em `getAppSettings` (`user_permissions`, lidas da
+ * aba `usuarios`, ver shared/userPermissions.js) para ocultar as localidades e as
+ * ações que o usuário não pode usar. O controle de fato é feito pelo backend, que
+ * recusa as leituras e observações fora das permissões.
+ *
+ * @module UserAccess
+ * @version 1.0.0
+ * @author Tiago Possato
+ */
+
+import { UserAction, userCan, userLocationAllowed } from '../../shared/userPermissions.js';
+
+/**
+ * Classe principal do módulo UserAccess
+ * @class
+ * @public
+ */
+function UserAccess() {
+    /**
+     * Permissões atualmente em uso (null: sem controle de acesso)
+     * @type {Object|null}
+     * @private
+     */
+    this.permissions = null;
+}
+
+/**
+ * Define as permissões a partir de `user_permissions` de getAppSettings
+ * @param {Object|null|undefined} rawPermissions - Permissões de userPermissions
+ * @public
+ */
+UserAccess.prototype.setPermissions = function (rawPermissions) {
+    this.permissions = rawPermissions && typeof rawPermissions === 'object' ? rawPermissions : null;
+
+    if (this.permissions && this.permissions.enforced === true) {
+        console.info('UserAccess: Permissões carregadas', {
+            email: this.permissions.email,
+            role: this.permissions.role,
+            locations: this.permissions.allLocations ? 'todas' : this.permissions.locations
+        });
+    }
+};
+
+/**
+ * Indica se o usuário pode executar a ação
+ * @param {string} action - Valor de UserAction
+ * @returns {boolean}
+ * @public
+ */
+UserAccess.prototype.can = function (action) {
+    return userCan(this.permissions, action);
+};
+
+/**
+ * Indica se o usuário não pode registrar leituras (não cadastrado na aba `usuarios`)
+ * @returns {boolean}
+ * @public
+ */
+UserAccess.prototype.isBlocked = function () {
+    return !this.can(UserAction.READINGS);
+};
+
+/**
+ * Retorna o e-mail do usuário identificado pelo backend
+ * @returns {string} E-mail ('' sem controle de acesso)
+ * @public
+ */
+UserAccess.prototype.getEmail = function () {
+    return this.permissions && this.permissions.enforced === true ? this.permissions.email : '';
+};
+
+/**
+ * Indica se a localidade está liberada para o usuário
+ * @param {string} locationName - Nome da localidade
+ * @returns {boolean}
+ * @public
+ */
+UserAccess.prototype.allowsLocation = function (locationName) {
+    return userLocationAllowed(this.permissions, locationName);
+};
+
+/**
+ * Mantém apenas as localidades liberadas para o usuário
+ * @param {Array<{name: string, assetsCount: number}>|null|undefined} locations - Localidades da base
+ * @returns {Array<{name: string, assetsCount: number}>}
+ * @public
+ */
+UserAccess.prototype.filterLocations = function (locations) {
+    const self = this;
+    return (locations || []).filter(function (location) {
+        return location && self.allowsLocation(location.name);
+    });
+};
+
+/**
+ * Instância singleton do UserAccess
+ * @type {UserAccess}
+ */
+export const userAccess = new UserAccess();
@@ -6,6 +6,7 @@ declare const __BUILD_VERSION__: string;
 declare const __IS_PROD__: boolean;
 declare const __IS_HOMOLOG__: boolean;
 declare const __IS_DEV__: boolean;
+declare const __IS_STANDALONE__: boolean;
 
 // Se você usa o objeto google no frontend:
 declare const google: google.script.GoogleScript;
\ No newline at end of file
@@ -0,0 +1,600 @@
+import fs from 'fs';
+import path from 'path';
+import util from 'util';
+import { createHash, randomUUID } from 'crypto';
+import { parseA1Range } from './storage-adapter.js';
+
+/**
+ * Runtime falso do Google Apps Script para executar o backend/main.js no Node.
+ *
+ * Implementa apenas o que o backend usa de SpreadsheetApp, LockService, Session,
+ * Utilities, Logger, PropertiesService e DriveApp, com as abas em memória.
+ * As escritas seguem o comportamento do Sheets para valores digitados: textos
+ * numéricos viram números, TRUE/FALSE viram booleanos e datas (dd/MM/yyyy) viram Date.
+ *
+ * Tudo é síncrono, como no Apps Script; a carga e a gravação das abas no
+ * armazenamento ficam a cargo de quem usa o runtime (ver backend-runtime.js).
+ */
+
+const DATE_PATTERN = /^(\d{2})\/(\d{2})\/(\d{4})(?:,? (\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+// Partes de uma data no fuso informado
+function zonedParts(ms, timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  });
+  const parts = {};
+  formatter.formatToParts(new Date(ms)).forEach(part => { parts[part.type] = part.value; });
+  return parts;
+}
+
+// Diferença (ms) entre o horário local do fuso e o UTC no instante informado
+function zoneOffset(ms, timeZone) {
+  const p = zonedParts(ms, timeZone);
+  return Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second) - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * Formata uma data com o padrão do Utilities.formatDate (subconjunto do SimpleDateFormat do Java)
+ * @param {Date} date - Data
+ * @param {string} timeZone - Fuso (ex.: America/Sao_Paulo)
+ * @param {string} pattern - Padrão (yyyy, yy, MM, dd, HH, mm, ss, SSS e textos entre aspas simples)
+ * @returns {string}
+ */
+export function formatDate(date, timeZone, pattern) {
+  const ms = date.getTime();
+  const p = zonedParts(ms, timeZone);
+  const tokens = {
+    yyyy: p.year,
+    yy: p.year.slice(-2),
+    MM: p.month,
+    dd: p.day,
+    HH: p.hour,
+    mm: p.minute,
+    ss: p.second,
+    SSS: String(((ms % 1000) + 1000) % 1000).padStart(3, '0')
+  };
+  return String(pattern).replace(/'([^']*)'|yyyy|yy|MM|dd|HH|mm|ss|SSS/g, (match, quoted) => {
+    return quoted !== undefined ? quoted : tokens[match];
+  });
+}
+
+/**
+ * Converte um valor como o Sheets faz ao receber um valor digitado
+ * @param {*} value - Valor gravado
+ * @param {Object} runtime - Runtime (construtor de Date e fuso)
+ * @returns {*} Número, booleano, Date ou o próprio valor
+ */
+function parseEnteredValue(value, runtime) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object' && typeof value.getTime === 'function') {
+    return new runtime.DateCtor(value.getTime());
+  }
+  if (typeof value !== 'string') return value;
+  // Apóstrofo inicial: texto literal (o apóstrofo não faz parte do valor)
+  if (value.charAt(0) === "'") return value.substring(1);
+
+  const text = value.trim();
+  if (text === '') return value;
+  if (/^(true|false)$/i.test(text)) return text.toUpperCase() === 'TRUE';
+  if (/^-?\d+(\.\d+)?$/.test(text) && Number.isSafeInteger(Math.trunc(Number(text)))) return Number(text);
+
+  const match = DATE_PATTERN.exec(text);
+  if (match) {
+    const [, day, month, year, hour = '0', minute = '0', second = '0'] = match;
+    const guess = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+    const offset = zoneOffset(guess, runtime.timeZone);
+    return new runtime.DateCtor(guess - zoneOffset(guess - offset, runtime.timeZone));
+  }
+
+  return value;
+}
+
+/**
+ * Converte um valor lido do armazenamento (texto formatado) no valor da célula.
+ * Números com zeros à esquerda só aparecem assim em células de texto e continuam texto.
+ * @param {*} value - Valor lido
+ * @param {Object} runtime - Runtime (construtor de Date e fuso)
+ * @returns {*} Valor da célula
+ */
+function parseStoredValue(value, runtime) {
+  if (typeof value === 'string' && /^0\d+$/.test(value.trim())) return value;
+  return parseEnteredValue(value, runtime);
+}
+
+/**
+ * Converte um valor da célula no valor gravado no armazenamento (gravação RAW):
+ * datas viram texto no formato da planilha; números e booleanos são mantidos
+ * @param {*} value - Valor da célula
+ * @param {string} timeZone - Fuso usado nas datas
+ * @returns {string|number|boolean}
+ */
+export function toStorageValue(value, timeZone) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object' && typeof value.getTime === 'function') {
+    const text = formatDate(value, timeZone, 'dd/MM/yyyy HH:mm:ss');
+    return text.endsWith(' 00:00:00') ? text.slice(0, 10) : text;
+  }
+  return value;
+}
+
+class FakeRange {
+  constructor(sheet, row, column, numRows, numColumns) {
+    if (row < 1 || column < 1 || numRows < 1 || numColumns < 1) {
+      throw new Error(`Faixa inválida: linha ${row}, coluna ${column}, ${numRows}x${numColumns}`);
+    }
+    this.sheet = sheet;
+    this.row = row;
+    this.column = column;
+    this.numRows = numRows;
+    this.numColumns = numColumns;
+  }
+
+  getRow() { return this.row; }
+  getColumn() { return this.column; }
+  getLastRow() { return this.row + this.numRows - 1; }
+  getLastColumn() { return this.column + this.numColumns - 1; }
+  getNumRows() { return this.numRows; }
+  getNumColumns() { return this.numColumns; }
+  getSheet() { return this.sheet; }
+
+  getValues() {
+    const values = [];
+    for (let r = 0; r < this.numRows; r++) {
+      const row = this.sheet.rows[this.row - 1 + r] || [];
+      const line = [];
+      for (let c = 0; c < this.numColumns; c++) {
+        line.push(this.sheet.cloneValue(row[this.column - 1 + c]));
+      }
+      values.push(line);
+    }
+    return values;
+  }
+
+  getValue() {
+    return this.getValues()[0][0];
+  }
+
+  // Texto exibido: datas no formato da planilha e números sem a formatação das células
+  getDisplayValues() {
+    return this.getValues().map(line => line.map(value => String(toStorageValue(value, this.sheet.runtime.timeZone))));
+  }
+
+  setValues(values) {
+    if (!Array.isArray(values) || values.length !== this.numRows) {
+      throw new Error(`The number of rows in the data does not match the number of rows in the range. The data has ${values?.length} but the range has ${this.numRows}.`);
+    }
+    values.forEach((line, r) => {
+      if (!Array.isArray(line) || line.length !== this.numColumns) {
+        throw new Error(`The number of columns in the data does not match the number of columns in the range. The data has ${line?.length} but the range has ${this.numColumns}.`);
+      }
+      line.forEach((value, c) => this.sheet.setCell(this.row + r, this.column + c, value));
+    });
+    return this;
+  }
+
+  setValue(value) {
+    for (let r = 0; r < this.numRows; r++) {
+      for (let c = 0; c < this.numColumns; c++) {
+        this.sheet.setCell(this.row + r, this.column + c, value);
+      }
+    }
+    return this;
+  }
+}
+
+class FakeSheet {
+  constructor(runtime, name, rows = []) {
+    this.runtime = runtime;
+    this.name = name;
+    this.rows = rows.map(row => row.map(value => parseStoredValue(value, runtime)));
+    this.frozenRows = 0;
+    // Linhas alteradas desde a carga (números a partir de 1)
+    this.dirtyRows = new Set();
+    // Linhas além desta foram acrescentadas pela chamada (gravadas com append)
+    this.loadedLastRow = this.getLastRow();
+  }
+
+  getName() { return this.name; }
+  getSheetName() { return this.name; }
+
+  getLastRow() {
+    for (let r = this.rows.length; r > 0; r--) {
+      if ((this.rows[r - 1] || []).some(value => value !== '' && value !== null && value !== undefined)) return r;
+    }
+    return 0;
+  }
+
+  getLastColumn() {
+    return this.rows.reduce((max, row) => {
+      for (let c = row.length; c > max; c--) {
+        if (row[c - 1] !== '' && row[c - 1] !== null && row[c - 1] !== undefined) return c;
+      }
+      return max;
+    }, 0);
+  }
+
+  getMaxRows() { return Math.max(this.rows.length, 1000); }
+  getMaxColumns() { return Math.max(this.getLastColumn(), 26); }
+
+  // getRange(linha, coluna[, linhas, colunas]) ou getRange('A2:D10')
+  getRange(rowOrA1, column, numRows = 1, numColumns = 1) {
+    if (typeof rowOrA1 === 'string') {
+      const range = parseA1Range(`${this.name}!${rowOrA1}`);
+      const lastRow = range.endRow === Infinity ? Math.max(this.getLastRow(), range.startRow) : range.endRow;
+      const lastColumn = range.endCol === Infinity ? Math.max(this.getLastColumn(), range.startCol) : range.endCol;
+      return new FakeRange(this, range.startRow, range.startCol, lastRow - range.startRow + 1, lastColumn - range.startCol + 1);
+    }
+    return new FakeRange(this, rowOrA1, column, numRows, numColumns);
+  }
+
+  appendRow(values) {
+    const row = this.getLastRow() + 1;
+    values.forEach((value, index) => this.setCell(row, index + 1, value));
+    return this;
+  }
+
+  setFrozenRows(rows) {
+    this.frozenRows = rows;
+  }
+
+  getFrozenRows() {
+    return this.frozenRows;
+  }
+
+  getActiveRangeList() {
+    throw new Error('Seleção de células não disponível no runtime local.');
+  }
+
+  setCell(row, column, value) {
+    while (this.rows.length < row) this.rows.push([]);
+    const line = this.rows[row - 1];
+    while (line.length < column) line.push('');
+    line[column - 1] = parseEnteredValue(value, this.runtime);
+    this.dirtyRows.add(row);
+  }
+
+  // Datas são objetos: cada leitura recebe uma cópia (criada no contexto do backend)
+  cloneValue(value) {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'object' && typeof value.getTime === 'function') {
+      return new this.runtime.DateCtor(value.getTime());
+    }
+    return value;
+  }
+}
+
+class FakeSpreadsheet {
+  constructor(runtime, id, name) {
+    this.runtime = runtime;
+    this.id = id;
+    this.name = name;
+    this.sheets = [];
+    this.activeSheet = null;
+  }
+
+  getId() { return this.id; }
+  getName() { return this.name; }
+  getUrl() { return `local://spreadsheet/${this.id}`; }
+  getSheets() { return this.sheets.slice(); }
+
+  getSheetByName(name) {
+    return this.sheets.find(sheet => sheet.name === name) || null;
+  }
+
+  insertSheet(name) {
+    if (this.getSheetByName(name)) {
+      throw new Error(`A sheet with the name "${name}" already exists. Please enter another name.`);
+    }
+    const sheet = new FakeSheet(this.runtime, name);
+    sheet.created = true;
+    this.sheets.push(sheet);
+    return sheet;
+  }
+
+  getActiveSheet() {
+    return this.activeSheet || this.sheets[0] || null;
+  }
+
+  setActiveSheet(sheet) {
+    this.activeSheet = sheet;
+    return sheet;
+  }
+}
+
+// Iterador no formato do DriveApp (hasNext/next)
+function driveIterator(items) {
+  let index = 0;
+  return {
+    hasNext: () => index < items.length,
+    next: () => {
+      if (index >= items.length) throw new Error('Não há mais itens.');
+      return items[index++];
+    }
+  };
+}
+
+/**
+ * Substituto do DriveApp: pastas são diretórios dentro de `rootDir`, cujos
+ * arquivos são servidos em `urlPrefix` (o servidor local serve a pasta de fotos em /photos)
+ */
+class FakeDrive {
+  constructor(runtime, rootDir, urlPrefix) {
+    this.runtime = runtime;
+    this.rootDir = rootDir;
+    this.urlPrefix = urlPrefix;
+  }
+
+  // O ID de uma pasta/arquivo é o caminho relativo à raiz
+  resolve(id) {
+    const target = path.resolve(this.rootDir, id === 'root' ? '' : String(id));
+    const relative = path.relative(this.rootDir, target);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`No item with the given ID could be found, or you do not have permission to access it. (${id})`);
+    }
+    return target;
+  }
+
+  safeName(name) {
+    const safe = path.basename(String(name));
+    if (!safe || safe !== String(name) || safe === '.' || safe === '..') {
+      throw new Error(`Nome inválido: ${name}`);
+    }
+    return safe;
+  }
+
+  folder(id) {
+    const dir = this.resolve(id);
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+      throw new Error(`No item with the given ID could be found, or you do not have permission to access it. (${id})`);
+    }
+    const relative = path.relative(this.rootDir, dir).split(path.sep).join('/');
+    const drive = this;
+    const folderId = relative || 'root';
+
+    return {
+      getId: () => folderId,
+      getName: () => (relative ? path.basename(dir) : 'Meu Drive'),
+      getUrl: () => `${drive.urlPrefix}/${relative.split('/').map(encodeURIComponent).join('/')}`,
+      createFolder(name) {
+        // Diferente do Drive, uma pasta com o mesmo nome é reaproveitada
+        const child = path.join(dir, drive.safeName(name));
+        fs.mkdirSync(child, { recursive: true });
+        return drive.folder(path.relative(drive.rootDir, child));
+      },
+      createFile(blob) {
+        const fileName = drive.safeName(blob.getName());
+        fs.writeFileSync(path.join(dir, fileName), blob.getBuffer());
+        return drive.file(path.relative(drive.rootDir, path.join(dir, fileName)));
+      },
+      getFilesByName(name) {
+        const filePath = path.join(dir, drive.safeName(name));
+        return driveIterator(fs.existsSync(filePath) ? [drive.file(path.relative(drive.rootDir, filePath))] : []);
+      }
+    };
+  }
+
+  file(id) {
+    // A planilha ativa fica na raiz do Drive
+    if (id === this.runtime.spreadsheet.getId()) {
+      return {
+        getId: () => id,
+        getName: () => this.runtime.spreadsheet.getName(),
+        getUrl: () => this.runtime.spreadsheet.getUrl(),
+        getParents: () => driveIterator([this.folder('root')])
+      };
+    }
+
+    const filePath = this.resolve(id);
+    if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      throw new Error(`No item with the given ID could be found, or you do not have permission to access it. (${id})`);
+    }
+    const relative = path.relative(this.rootDir, filePath).split(path.sep).join('/');
+
+    return {
+      getId: () => relative,
+      getName: () => path.basename(filePath),
+      getUrl: () => `${this.urlPrefix}/${relative.split('/').map(encodeURIComponent).join('/')}`,
+      getParents: () => driveIterator([this.folder(path.dirname(relative))])
+    };
+  }
+
+  getGlobal() {
+    return {
+      getFolderById: id => this.folder(id),
+      getFileById: id => this.file(id),
+      getRootFolder: () => this.folder('root')
+    };
+  }
+}
+
+/**
+ * Substituto das propriedades do script. Os valores são carregados do armazenamento
+ * (load) e `changed` indica que há alterações a gravar de volta.
+ */
+class FakeProperties {
+  constructor() {
+    this.values = new Map();
+    this.changed = false;
+  }
+
+  /**
+   * Substitui os valores pelos lidos do armazenamento
+   * @param {Object<string, string>} values - Propriedades
+   */
+  load(values) {
+    this.values = new Map(Object.entries(values).map(([key, value]) => [key, String(value)]));
+    this.changed = false;
+  }
+
+  getProperty(key) {
+    return this.values.has(key) ? this.values.get(key) : null;
+  }
+
+  setProperty(key, value) {
+    this.values.set(key, String(value));
+    this.changed = true;
+    return this;
+  }
+
+  deleteProperty(key) {
+    this.changed = this.values.delete(key) || this.changed;
+    return this;
+  }
+
+  getProperties() {
+    return Object.fromEntries(this.values);
+  }
+}
+
+/**
+ * Runtime falso do Apps Script com uma planilha em memória
+ */
+export class AppsScriptRuntime {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.spreadsheetId='local'] - ID da planilha ativa
+   * @param {string} [options.spreadsheetName='Inventário local'] - Nome da planilha ativa
+   * @param {string} [options.userEmail] - E-mail do usuário ativo (Session.getActiveUser)
+   * @param {string} [options.timeZone='America/Sao_Paulo'] - Fuso do script (appsscript.json)
+   * @param {string} [options.driveDir] - Diretório usado como raiz do DriveApp
+   * @param {string} [options.driveUrlPrefix='/photos'] - Prefixo das URLs dos arquivos do DriveApp
+   * @param {DateConstructor} [options.DateCtor=Date] - Construtor de Date do contexto do backend
+   *   (instanceof Date só funciona com objetos criados no mesmo contexto do vm)
+   */
+  constructor(options = {}) {
+    this.timeZone = options.timeZone || 'America/Sao_Paulo';
+    this.userEmail = options.userEmail || 'teste.local@dominio.com';
+    this.DateCtor = options.DateCtor || Date;
+    this.spreadsheet = new FakeSpreadsheet(this, options.spreadsheetId || 'local', options.spreadsheetName || 'Inventário local');
+    this.scriptProperties = new FakeProperties();
+    this.drive = options.driveDir
+      ? new FakeDrive(this, options.driveDir, options.driveUrlPrefix || '/photos')
+      : null;
+    this.logs = [];
+  }
+
+  /**
+   * Substitui as abas da planilha (valores como texto, no formato do armazenamento)
+   * @param {Object<string, Array<Array>>} sheets - Linhas por nome de aba
+   */
+  loadSheets(sheets) {
+    const active = this.spreadsheet.activeSheet?.name;
+    this.spreadsheet.sheets = Object.entries(sheets).map(([name, rows]) => new FakeSheet(this, name, rows));
+    this.spreadsheet.activeSheet = active ? this.spreadsheet.getSheetByName(active) : null;
+  }
+
+  /**
+   * Linhas alteradas desde a última carga, já formatadas para o armazenamento.
+   * `rows` são as linhas que já existiam na carga; `appended`, os valores das
+   * linhas acrescentadas depois da última linha com dados, na ordem da aba.
+   * Abas criadas pela chamada (`created`) vêm com as linhas congeladas (`frozenRows`).
+   * @returns {Array<{sheet: string, created: boolean, frozenRows: number, rows: Array<{row: number, values: Array}>, appended: Array<Array>}>}
+   */
+  getChanges() {
+    return this.spreadsheet.sheets
+      .filter(sheet => sheet.dirtyRows.size > 0)
+      .map(sheet => {
+        const dirty = [...sheet.dirtyRows].sort((a, b) => a - b);
+        const format = row => (sheet.rows[row - 1] || []).map(value => toStorageValue(value, this.timeZone));
+        return {
+          sheet: sheet.name,
+          created: sheet.created === true,
+          frozenRows: sheet.frozenRows,
+          rows: dirty.filter(row => row <= sheet.loadedLastRow).map(row => ({ row, values: format(row) })),
+          appended: dirty.filter(row => row > sheet.loadedLastRow).map(format)
+        };
+      });
+  }
+
+  /**
+   * Objetos globais do Apps Script para o contexto do backend
+   * @returns {Object}
+   */
+  getGlobals() {
+    const runtime = this;
+
+    const lock = () => {
+      let locked = false;
+      return {
+        // Node executa uma chamada por vez (ver BackendRuntime), então o lock está sempre livre
+        waitLock: () => { locked = true; },
+        tryLock: () => { locked = true; return true; },
+        releaseLock: () => { locked = false; },
+        hasLock: () => locked
+      };
+    };
+
+    const user = {
+      getEmail: () => runtime.userEmail
+    };
+
+    const newBlob = (data, contentType, name) => {
+      let buffer = typeof data === 'string' ? Buffer.from(data, 'utf8') : Buffer.from(data || []);
+      let blobName = name || null;
+      return {
+        getBytes: () => Array.from(new Int8Array(buffer.buffer, buffer.byteOffset, buffer.length)),
+        getBuffer: () => buffer,
+        getContentType: () => contentType || null,
+        getName: () => blobName,
+        setName(value) { blobName = value; return this; },
+        getDataAsString: () => buffer.toString('utf8'),
+        setBytes(bytes) { buffer = Buffer.from(bytes); return this; }
+      };
+    };
+
+    return {
+      SpreadsheetApp: {
+        getActiveSpreadsheet: () => runtime.spreadsheet,
+        getActive: () => runtime.spreadsheet,
+        flush: () => { },
+        getUi: () => {
+          throw new Error('SpreadsheetApp.getUi não está disponível no runtime local.');
+        }
+      },
+      LockService: {
+        getScriptLock: lock,
+        getDocumentLock: lock,
+        getUserLock: lock
+      },
+      Session: {
+        getActiveUser: () => user,
+        getEffectiveUser: () => user,
+        getScriptTimeZone: () => runtime.timeZone,
+        getActiveUserLocale: () => 'pt_BR'
+      },
+      Utilities: {
+        formatDate: (date, timeZone, pattern) => formatDate(date, timeZone || runtime.timeZone, pattern),
+        getUuid: () => randomUUID(),
+        DigestAlgorithm: { MD5: 'md5', SHA_1: 'sha1', SHA_256: 'sha256', SHA_384: 'sha384', SHA_512: 'sha512' },
+        Charset: { UTF_8: 'utf8', US_ASCII: 'ascii' },
+        computeDigest: (algorithm, value, charset) => {
+          const data = typeof value === 'string' ? Buffer.from(value, charset || 'utf8') : Buffer.from(value.map(b => b & 255));
+          return Array.from(new Int8Array(createHash(algorithm).update(data).digest()));
+        },
+        base64Decode: (text) => Array.from(new Int8Array(Buffer.from(String(text), 'base64'))),
+        base64Encode: (data) => Buffer.from(typeof data === 'string' ? data : data.map(b => b & 255)).toString('base64'),
+        newBlob,
+        sleep: () => { }
+      },
+      Logger: {
+        log: (format, ...values) => {
+          const message = typeof format === 'string' ? util.format(format, ...values) : util.inspect(format);
+          runtime.logs.push(message);
+          console.log('GAS Logger:', message);
+        }
+      },
+      PropertiesService: {
+        getScriptProperties: () => runtime.scriptProperties
+      },
+      DriveApp: runtime.drive
+        ? runtime.drive.getGlobal()
+        : new Proxy({}, {
+          get: () => () => { throw new Error('DriveApp não configurado no runtime local.'); }
+        })
+    };
+  }
+}
@@ -0,0 +1,256 @@
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { fileURLToPath } from 'url';
+import { AppsScriptRuntime } from './apps-script-runtime.js';
+import { assertSheetsStorage } from './storage-adapter.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Funções do backend chamadas pelo frontend (google.script.run)
+const PUBLIC_FUNCTIONS = [
+  'getInventoryData',
+  'getInventorySummary',
+  'getUserName',
+  'saveCodeBatch',
+  'decideTransfers',
+  'markRelabelPrinted',
+  'getReadingHistory',
+  'savePhoto',
+  'saveMessage',
+  'getNotFoundItens',
+  'getLocationStatus',
+  'closeLocation',
+  'reopenLocation',
+  'getAppSettings'
+];
+
+// Validade da lista de abas em cache: abas criadas na planilha aparecem depois deste tempo
+const SHEET_LIST_TTL_MS = 60 * 1000;
+
+// Faixa A1 da aba inteira
+function sheetRange(title) {
+  return `'${title.replace(/'/g, "''")}'`;
+}
+
+// Converte um número de coluna (1 = A) em letras
+function columnLetter(column) {
+  let letters = '';
+  for (let n = column; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+// Cópia serializável, como o google.script.run faz com parâmetros e retornos
+function cloneForTransport(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Executa o backend/main.js real no Node, sobre o runtime falso do Apps Script
+ * (ver apps-script-runtime.js).
+ *
+ * Os módulos de shared/ e o main.js são carregados em um contexto do vm, como
+ * o deploy.js os envia ao Apps Script (sem import/export). A cada chamada, as
+ * abas são lidas do armazenamento (SheetsStorage) em uma única leitura, a função
+ * roda de forma síncrona e as linhas alteradas são gravadas de volta: as que já
+ * existiam na posição lida e as novas com append, ao final da aba, para não
+ * sobrescrever linhas acrescentadas por outros na planilha durante a chamada.
+ * Abas criadas pelo backend (insertSheet) são criadas no armazenamento antes.
+ * As propriedades do script (PropertiesService) também ficam no armazenamento:
+ * lidas na primeira chamada e gravadas quando mudam. As chamadas são executadas uma de cada vez, como o LockService garante no
+ * Apps Script.
+ */
+export class BackendRuntime {
+  /**
+   * @param {import('./storage-adapter.js').SheetsStorage} sheetsService - Armazenamento das abas
+   * @param {Object} [options]
+   * @param {string} [options.photosDir] - Diretório usado como Drive (fotos)
+   * @param {string} [options.userEmail] - E-mail devolvido por Session.getActiveUser()
+   */
+  constructor(sheetsService, options = {}) {
+    this.sheetsService = assertSheetsStorage(sheetsService);
+    this.options = options;
+    this.context = null;
+    this.runtime = null;
+    this.queue = Promise.resolve();
+    // Nomes das abas (getSheets) e quando foram lidos
+    this.sheetTitles = null;
+    this.sheetTitlesAt = 0;
+    // Propriedades do script já lidas do armazenamento
+    this.propertiesLoaded = false;
+  }
+
+  /**
+   * Carrega shared/*.js e backend/main.js no contexto do vm
+   */
+  initialize() {
+    this.context = vm.createContext({ console });
+
+    this.runtime = new AppsScriptRuntime({
+      userEmail: this.options.userEmail,
+      driveDir: this.options.photosDir,
+      DateCtor: vm.runInContext('Date', this.context)
+    });
+    Object.assign(this.context, this.runtime.getGlobals());
+
+    const sharedDir = path.join(ROOT_DIR, 'shared');
+    const files = fs.readdirSync(sharedDir)
+      .filter(file => file.endsWith('.js'))
+      .sort()
+      .map(file => path.join(sharedDir, file));
+    files.push(path.join(ROOT_DIR, 'backend', 'main.js'));
+
+    files.forEach(file => {
+      // Mesma transformação do deploy.js: declarações exportadas viram globais
+      const source = fs.readFileSync(file, 'utf8')
+        .replace(/^export\s+(?=(const|let|function|class)\b)/gm, '');
+      vm.runInContext(source, this.context, { filename: path.relative(ROOT_DIR, file) });
+    });
+
+    PUBLIC_FUNCTIONS.forEach(name => {
+      if (typeof this.context[name] !== 'function') {
+        throw new Error(`backend/main.js não define a função ${name}`);
+      }
+      this[name] = (param) => this.call(name, param);
+    });
+
+    console.log(`✅ backend/main.js carregado (${files.length} arquivos)`);
+  }
+
+  /**
+   * Executa uma função do backend (uma chamada por vez)
+   * @param {string} name - Nome da função
+   * @param {*} [param] - Parâmetro (copiado como no google.script.run)
+   * @returns {Promise<*>} Retorno da função
+   */
+  call(name, param) {
+    const run = this.queue.then(() => this.execute(name, param));
+    this.queue = run.catch(() => { });
+    return run;
+  }
+
+  async execute(name, param) {
+    const fn = this.context && this.context[name];
+    if (typeof fn !== 'function' || !PUBLIC_FUNCTIONS.includes(name)) {
+      throw new Error(`Função do backend desconhecida: ${name}`);
+    }
+
+    await this.loadScriptProperties();
+    await this.loadSheets();
+
+    let result;
+    let failure = null;
+    try {
+      result = param === undefined ? fn() : fn(cloneForTransport(param));
+    } catch (error) {
+      failure = error;
+    }
+
+    // Como no Apps Script, o que foi gravado antes de um erro permanece na planilha
+    await this.flushChanges();
+
+    if (failure) {
+      throw new Error(failure && failure.message ? failure.message : String(failure));
+    }
+    return cloneForTransport(result);
+  }
+
+  // Nomes das abas, relidos do armazenamento quando o cache expira
+  async getSheetTitles(refresh = false) {
+    if (refresh || !this.sheetTitles || Date.now() - this.sheetTitlesAt > SHEET_LIST_TTL_MS) {
+      const sheets = await this.sheetsService.getSheets();
+      this.sheetTitles = sheets.map(sheet => sheet.properties.title);
+      this.sheetTitlesAt = Date.now();
+    }
+    return this.sheetTitles;
+  }
+
+  // Lê todas as abas do armazenamento para a planilha em memória (uma leitura em lote)
+  async loadSheets() {
+    let titles = await this.getSheetTitles();
+    let values = await this.sheetsService.getMultipleRanges(titles.map(sheetRange));
+
+    // Uma aba removida desde a última listagem invalida o lote: lista de novo
+    if (!values) {
+      titles = await this.getSheetTitles(true);
+      values = await this.sheetsService.getMultipleRanges(titles.map(sheetRange));
+    }
+    if (!values) {
+      throw new Error('Falha ao ler a planilha. Tente novamente.');
+    }
+
+    const data = {};
+    titles.forEach((title, index) => {
+      data[title] = values[index] || [];
+    });
+    this.runtime.loadSheets(data);
+  }
+
+  // Lê as propriedades do script do armazenamento (uma vez; depois só este processo as altera)
+  async loadScriptProperties() {
+    if (this.propertiesLoaded) return;
+
+    const values = await this.sheetsService.getScriptProperties();
+    if (!values) {
+      throw new Error('Falha ao ler as propriedades do script. Tente novamente.');
+    }
+    this.runtime.scriptProperties.load(values);
+    this.propertiesLoaded = true;
+  }
+
+  // Grava no armazenamento as linhas alteradas pela chamada
+  async flushChanges() {
+    const requests = [];
+    const appends = [];
+
+    // Propriedades antes das linhas: se a gravação das linhas falhar, uma versão nova
+    // (ex.: LEITURAS_CANCEL_VERSION_) só faz os apps relerem o resumo completo
+    const properties = this.runtime.scriptProperties;
+    if (properties.changed) {
+      if (!(await this.sheetsService.setScriptProperties(properties.getProperties()))) {
+        throw new Error('Falha ao gravar as propriedades do script. Tente novamente.');
+      }
+      properties.changed = false;
+    }
+
+    const changes = this.runtime.getChanges();
+
+    // Abas criadas pelo backend (insertSheet): criadas no armazenamento antes de qualquer
+    // gravação. Todas as linhas delas são novas e vão com append.
+    for (const change of changes.filter(change => change.created)) {
+      const titles = await this.getSheetTitles(true);
+      if (titles.includes(change.sheet) || !(await this.sheetsService.addSheet(change.sheet, { frozenRows: change.frozenRows }))) {
+        throw new Error(`Falha ao criar a aba '${change.sheet}' na planilha. Tente novamente.`);
+      }
+      titles.push(change.sheet);
+    }
+
+    for (const change of changes) {
+      const range = sheetRange(change.sheet);
+      change.rows.forEach(({ row, values }) => {
+        if (values.length === 0) return;
+        requests.push({
+          range: `${range}!A${row}:${columnLetter(values.length)}${row}`,
+          values: [values]
+        });
+      });
+
+      const appended = change.appended.filter(values => values.length > 0);
+      if (appended.length > 0) {
+        appends.push({ range: `${range}!A1`, values: appended });
+      }
+    }
+
+    if (requests.length > 0 && !(await this.sheetsService.updateMultipleRanges(requests))) {
+      throw new Error('Falha ao gravar as alterações na planilha. Tente novamente.');
+    }
+    for (const append of appends) {
+      if (!(await this.sheetsService.appendRangeData(append.range, append.values))) {
+        throw new Error('Falha ao gravar as alterações na planilha. Tente novamente.');
+      }
+    }
+  }
+}
@@ -15,17 +15,48 @@ dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Armazenamentos suportados pelo backend local (ver storage-adapter.js)
+const STORAGE_TYPES = ['sheets', 'file'];
+
 class Config {
   constructor() {
     this.credentials = null;
     this.spreadsheetId = null;
+    this.storage = 'sheets';
+    this.dataDir = null;
     this.loadConfig();
   }
 
+  /**
+   * Define o armazenamento: planilha do Google (padrão) ou arquivos locais.
+   * Aceita --storage=file na linha de comando ou a variável STORAGE.
+   */
+  loadStorage() {
+    const arg = process.argv.find(a => a.startsWith('--storage='));
+    const storage = (arg ? arg.split('=')[1] : process.env.STORAGE || 'sheets').toLowerCase();
+
+    if (!STORAGE_TYPES.includes(storage)) {
+      console.warn(`⚠️ Armazenamento '${storage}' desconhecido. Usando a planilha do Google.`);
+      this.storage = 'sheets';
+    } else {
+      this.storage = storage;
+    }
+
+    this.dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+  }
+
   /**
    * Carrega as configurações do arquivo credentials.json
    */
   loadConfig() {
+    this.loadStorage();
+
+    // Modo autônomo: não usa credenciais do Google
+    if (this.storage === 'file') {
+      console.log(`✅ Armazenamento em arquivos locais: ${this.dataDir}`);
+      return;
+    }
+
     try {
       // Tenta carregar o arquivo credentials.json
       const credentialsPath = path.join(__dirname, 'credentials.json');
@@ -108,7 +139,9 @@ class Config {
   getConfig() {
     return {
       credentials: this.credentials,
-      spreadsheetId: this.spreadsheetId
+      spreadsheetId: this.spreadsheetId,
+      storage: this.storage,
+      dataDir: this.dataDir
     };
   }
 }
@@ -0,0 +1,441 @@
+import fs from 'fs';
+import path from 'path';
+import { parseA1Range } from './storage-adapter.js';
+import { inventoryColumnMap } from '../shared/inventoryColumns.js';
+import { readingColumnMap } from '../shared/readingFields.js';
+
+// Abas gravadas em arquivo e o cabeçalho usado ao criá-las (mesmas colunas da planilha).
+// As que o próprio backend cria na primeira gravação (historico_leituras, transferencias,
+// reimpressao_etiquetas e conclusoes_localidades) ficam de fora, como na planilha.
+const SHEET_HEADERS = {
+  leituras: ['uid', 'data', 'tombamento', 'localidade', 'usuario', 'estado', 'ipvu', 'obs', 'origem', 'cancelado_em', 'fotos'],
+  // Layout da exportação do patrimônio; as colunas são localizadas pelo cabeçalho
+  // (shared/inventoryColumns.js), então a posição não importa
+  inventario: ['', '', '', 'localidade', '', 'tombamento', '', '', '', '', '', 'especificacao'],
+  observacoes: ['uid', 'data', 'localidade', 'aferidor', 'mensagem'],
+  app_config: ['chave', 'valor'],
+  campos_leitura: ['campo', 'rotulo', 'tipo', 'opcoes', 'obrigatorio', 'padrao'],
+  // Vazia: sem campanhas (ver shared/campaigns.js)
+  campanhas: ['id', 'nome', 'status', 'inicio', 'fim'],
+  // Vazia: sem controle de acesso (ver shared/userPermissions.js)
+  usuarios: ['email', 'nome', 'papel', 'localidades']
+};
+
+// Propriedades do script (PropertiesService do backend), em JSON. Sem a extensão .json,
+// que faria o arquivo ser carregado como uma aba
+const SCRIPT_PROPERTIES_FILE = 'script.properties';
+
+// Linhas iniciais (além do cabeçalho) das abas criadas
+const SHEET_SEED_ROWS = {
+  app_config: [['inventory_open', 'TRUE']]
+};
+
+/**
+ * Substituto local da planilha do Google (implementa SheetsStorage, ver storage-adapter.js).
+ *
+ * Cada aba é um arquivo JSON (matriz de linhas) no diretório de dados. Na primeira
+ * execução, uma aba sem arquivo é criada a partir de "<aba>.csv", se existir, ou
+ * apenas com o cabeçalho. As demais abas (criadas pelo backend com addSheet) são
+ * carregadas dos arquivos JSON que já existirem.
+ *
+ * As abas `localidades` e `nao_encontrados_geral`, que na planilha são fórmulas,
+ * são calculadas a cada leitura a partir de `inventario` e `leituras`: um bem é
+ * encontrado quando tem ao menos uma leitura não cancelada. As colunas do
+ * inventário são localizadas pelo cabeçalho, como no backend (shared/inventoryColumns.js).
+ *
+ * Os valores são devolvidos como texto, como a API do Google (FORMATTED_VALUE).
+ */
+export class FileSheetsService {
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.sheets = new Map();
+    // Gravações em série para não intercalar escritas do mesmo arquivo
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Carrega (ou cria) as abas do diretório de dados
+   */
+  async initialize() {
+    console.log(`Inicializando armazenamento em arquivos (${this.dataDir})...`);
+    await fs.promises.mkdir(this.dataDir, { recursive: true });
+
+    for (const [name, header] of Object.entries(SHEET_HEADERS)) {
+      const jsonPath = this.sheetPath(name);
+      const csvPath = path.join(this.dataDir, `${name}.csv`);
+
+      if (fs.existsSync(jsonPath)) {
+        const rows = JSON.parse(await fs.promises.readFile(jsonPath, 'utf8'));
+        if (!Array.isArray(rows)) {
+          throw new Error(`Arquivo inválido (esperada uma lista de linhas): ${jsonPath}`);
+        }
+        this.sheets.set(name, rows);
+      } else if (fs.existsSync(csvPath)) {
+        const rows = parseCsv(await fs.promises.readFile(csvPath, 'utf8'));
+        this.sheets.set(name, rows.length > 0 ? rows : [header]);
+        await this.persist(name);
+        console.log(`📄 Aba '${name}' importada de ${csvPath} (${Math.max(rows.length - 1, 0)} linhas)`);
+      } else {
+        this.sheets.set(name, [header.slice(), ...(SHEET_SEED_ROWS[name] || [])]);
+        await this.persist(name);
+        console.log(`📄 Aba '${name}' criada em ${jsonPath}`);
+      }
+    }
+
+    // Abas criadas pelo backend em execuções anteriores
+    for (const file of await fs.promises.readdir(this.dataDir)) {
+      const name = file.endsWith('.json') ? file.slice(0, -'.json'.length) : '';
+      if (!name || this.sheets.has(name) || Object.prototype.hasOwnProperty.call(COMPUTED_SHEETS, name)) continue;
+
+      const rows = JSON.parse(await fs.promises.readFile(this.sheetPath(name), 'utf8'));
+      if (!Array.isArray(rows)) {
+        throw new Error(`Arquivo inválido (esperada uma lista de linhas): ${this.sheetPath(name)}`);
+      }
+      this.sheets.set(name, rows);
+    }
+
+    console.log('Armazenamento em arquivos inicializado com sucesso');
+  }
+
+  sheetPath(name) {
+    return path.join(this.dataDir, `${name}.json`);
+  }
+
+  // Grava o arquivo da aba
+  persist(name) {
+    return this.writeFile(this.sheetPath(name), JSON.stringify(this.sheets.get(name)));
+  }
+
+  // Grava um arquivo do diretório de dados (arquivo temporário + rename para não corromper em quedas)
+  writeFile(filePath, content) {
+    const tmpPath = `${filePath}.tmp`;
+
+    this.writeQueue = this.writeQueue
+      .catch(() => { })
+      .then(async () => {
+        await fs.promises.writeFile(tmpPath, content);
+        await fs.promises.rename(tmpPath, filePath);
+      });
+    return this.writeQueue;
+  }
+
+  /**
+   * Lista as abas no formato da API do Google ({ properties: { title } })
+   */
+  async getSheets() {
+    return [...this.sheets.keys(), ...Object.keys(COMPUTED_SHEETS)]
+      .map(title => ({ properties: { title } }));
+  }
+
+  async sheetExists(sheetName) {
+    return this.sheets.has(sheetName) || Object.prototype.hasOwnProperty.call(COMPUTED_SHEETS, sheetName);
+  }
+
+  // Linhas de uma aba (as calculadas são montadas na hora)
+  getRows(sheetName) {
+    if (Object.prototype.hasOwnProperty.call(COMPUTED_SHEETS, sheetName)) {
+      const config = (this.sheets.get('app_config') || []).find(row => formatValue(row[0]).trim() === 'inventory_columns');
+      return COMPUTED_SHEETS[sheetName](
+        inventoryByLocation(this.sheets.get('inventario') || [], config ? formatValue(config[1]) : ''),
+        this.sheets.get('leituras') || []
+      );
+    }
+    return this.sheets.get(sheetName) || null;
+  }
+
+  // Aba gravável; as calculadas não aceitam escrita (na planilha são fórmulas)
+  getWritableRows(sheetName) {
+    if (Object.prototype.hasOwnProperty.call(COMPUTED_SHEETS, sheetName)) {
+      throw new Error(`A aba '${sheetName}' é calculada e não pode ser alterada`);
+    }
+    const rows = this.sheets.get(sheetName);
+    if (!rows) {
+      throw new Error(`Aba '${sheetName}' não encontrada`);
+    }
+    return rows;
+  }
+
+  /**
+   * Obtém dados de uma faixa específica
+   * @param {string} range - Faixa no formato 'A1Notation'
+   * @returns {Array<Array>} Dados da faixa
+   */
+  async getRangeData(range) {
+    try {
+      const { sheet, startRow, startCol, endRow, endCol } = parseA1Range(range);
+      const rows = this.getRows(sheet);
+      if (!rows) {
+        throw new Error(`Aba '${sheet}' não encontrada`);
+      }
+
+      const result = rows
+        .slice(startRow - 1, endRow === Infinity ? undefined : endRow)
+        .map(row => trimTrailing(
+          row.slice(startCol - 1, endCol === Infinity ? undefined : endCol).map(formatValue),
+          value => value === ''
+        ));
+
+      return trimTrailing(result, row => row.length === 0);
+    } catch (error) {
+      console.error(`Erro ao obter dados da faixa ${range}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Obtém dados de várias faixas
+   * @param {string[]} ranges - Faixas no formato 'A1Notation'
+   * @returns {Array<Array<Array>>|null} Dados de cada faixa, na ordem pedida, ou null se uma aba não existir
+   */
+  async getMultipleRanges(ranges) {
+    const missing = ranges.map(range => parseA1Range(range).sheet).find(sheet => !this.getRows(sheet));
+    if (missing !== undefined) {
+      console.error(`Erro ao obter dados de várias faixas: aba '${missing}' não encontrada`);
+      return null;
+    }
+    return Promise.all(ranges.map(range => this.getRangeData(range)));
+  }
+
+  /**
+   * Atualiza dados em uma faixa específica
+   * @param {string} range - Faixa no formato 'A1Notation'
+   * @param {Array<Array>} values - Dados para atualizar
+   */
+  async updateRangeData(range, values) {
+    try {
+      const { sheet, startRow, startCol } = parseA1Range(range);
+      const rows = this.getWritableRows(sheet);
+
+      values.forEach((rowValues, rowOffset) => {
+        const index = startRow - 1 + rowOffset;
+        while (rows.length <= index) rows.push([]);
+        const row = rows[index];
+        while (row.length < startCol - 1) row.push('');
+        rowValues.forEach((value, colOffset) => {
+          row[startCol - 1 + colOffset] = value ?? '';
+        });
+      });
+
+      await this.persist(sheet);
+      return true;
+    } catch (error) {
+      console.error(`Erro ao atualizar faixa ${range}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Atualiza múltiplas faixas de uma vez
+   * @param {Array<Object>} requests - Array de {range, values}
+   * @returns {boolean} Sucesso da operação
+   */
+  async updateMultipleRanges(requests) {
+    for (const request of requests) {
+      if (!(await this.updateRangeData(request.range, request.values))) {
+        console.error('❌ Erro no batch update:', request.range);
+        return false;
+      }
+    }
+    console.log(`✅ Batch update realizado: ${requests.length} atualizações`);
+    return true;
+  }
+
+  /**
+   * Adiciona dados ao final da aba
+   * @param {string} range - Faixa no formato 'A1Notation' (a coluna inicial define onde os valores começam)
+   * @param {Array<Array>} values - Dados para adicionar
+   * @returns {boolean} Sucesso da operação
+   */
+  async appendRangeData(range, values) {
+    try {
+      const { sheet, startCol } = parseA1Range(range);
+      const rows = this.getWritableRows(sheet);
+
+      // Como o INSERT_ROWS da API: escreve após a última linha com dados
+      while (rows.length > 0 && rows[rows.length - 1].every(value => value === '' || value === null)) {
+        rows.pop();
+      }
+
+      values.forEach(rowValues => {
+        rows.push([...new Array(startCol - 1).fill(''), ...rowValues.map(value => value ?? '')]);
+      });
+
+      await this.persist(sheet);
+      console.log(`✅ Append realizado: ${values.length} linhas adicionadas`);
+      return true;
+    } catch (error) {
+      console.error('❌ Erro no append:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Cria uma aba vazia (o arquivo é gravado na hora)
+   * @param {string} sheetName - Nome da aba
+   * @returns {boolean} Sucesso da operação
+   */
+  async addSheet(sheetName) {
+    try {
+      if (this.sheets.has(sheetName) || Object.prototype.hasOwnProperty.call(COMPUTED_SHEETS, sheetName)) {
+        throw new Error(`A aba '${sheetName}' já existe`);
+      }
+      if (!sheetName || path.basename(sheetName) !== sheetName) {
+        throw new Error(`Nome de aba inválido: ${sheetName}`);
+      }
+
+      this.sheets.set(sheetName, []);
+      await this.persist(sheetName);
+      console.log(`📄 Aba '${sheetName}' criada em ${this.sheetPath(sheetName)}`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Erro ao criar a aba ${sheetName}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Lê as propriedades do script do arquivo script.properties
+   * @returns {Object<string, string>|null} Propriedades ({} sem o arquivo) ou null em caso de falha
+   */
+  async getScriptProperties() {
+    const filePath = path.join(this.dataDir, SCRIPT_PROPERTIES_FILE);
+    try {
+      if (!fs.existsSync(filePath)) return {};
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      console.error('❌ Erro ao ler as propriedades do script:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Grava as propriedades do script no arquivo script.properties
+   * @param {Object<string, string>} values - Todas as propriedades
+   * @returns {boolean} Sucesso da operação
+   */
+  async setScriptProperties(values) {
+    try {
+      await this.writeFile(path.join(this.dataDir, SCRIPT_PROPERTIES_FILE), JSON.stringify(values));
+      return true;
+    } catch (error) {
+      console.error('❌ Erro ao gravar as propriedades do script:', error.message);
+      return false;
+    }
+  }
+}
+
+// Valor como a API devolve (FORMATTED_VALUE): sempre texto
+function formatValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  return String(value);
+}
+
+// Remove os itens vazios do fim da lista (a API omite células/linhas vazias no fim)
+function trimTrailing(list, isEmpty) {
+  let end = list.length;
+  while (end > 0 && isEmpty(list[end - 1])) end--;
+  return list.slice(0, end);
+}
+
+// Tombamentos com ao menos uma leitura não cancelada (cancelado_em vazio), com as
+// colunas localizadas pelo cabeçalho como no backend
+function foundCodes(leituras) {
+  const codes = new Set();
+  const columns = readingColumnMap(leituras[0] || []);
+  for (const row of leituras.slice(1)) {
+    if (formatValue(row[columns.cancelado_em - 1]) !== '') continue;
+    const code = parseInt(row[columns.tombamento - 1], 10);
+    if (!isNaN(code)) codes.add(code);
+  }
+  return codes;
+}
+
+// Bens do inventário (localidade, tombamento e especificação pelo cabeçalho) agrupados
+// por localidade; sem as colunas obrigatórias fica vazio (o getInventoryData aponta o erro)
+function inventoryByLocation(inventario, config) {
+  const groups = new Map();
+  const { columns, missing } = inventoryColumnMap(inventario[0] || [], config);
+  if (missing.length > 0) return groups;
+
+  for (const row of inventario.slice(1)) {
+    const location = formatValue(row[columns.localidade - 1]).trim();
+    const code = parseInt(row[columns.tombamento - 1], 10);
+    if (!location || isNaN(code)) continue;
+    if (!groups.has(location)) groups.set(location, []);
+    groups.get(location).push({ code, spec: columns.especificacao ? formatValue(row[columns.especificacao - 1]).trim() : '' });
+  }
+  return groups;
+}
+
+// Abas que na planilha são calculadas por fórmulas
+const COMPUTED_SHEETS = {
+  // A: localidade, B: total de bens, C: encontrados, D: faltantes
+  localidades(inventory, leituras) {
+    const found = foundCodes(leituras);
+    const rows = [['localidade', 'total', 'encontrados', 'faltantes']];
+    for (const [location, assets] of inventory) {
+      const findedCount = assets.filter(asset => found.has(asset.code)).length;
+      rows.push([location, assets.length, findedCount, assets.length - findedCount]);
+    }
+    return rows;
+  },
+
+  // Duas linhas de cabeçalho; A: localidade, B: tombamento, C: especificação
+  nao_encontrados_geral(inventory, leituras) {
+    const found = foundCodes(leituras);
+    const rows = [['Bens não encontrados'], ['localidade', 'tombamento', 'especificacao']];
+    for (const [location, assets] of inventory) {
+      assets
+        .filter(asset => !found.has(asset.code))
+        .forEach(asset => rows.push([location, asset.code, asset.spec]));
+    }
+    return rows;
+  }
+};
+
+// Interpreta o CSV de importação inicial (aspas duplas, separador ";" ou ",")
+function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = firstLine.includes(';') ? ';' : ',';
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
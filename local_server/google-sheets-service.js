@@ -1,10 +1,15 @@
 import { google } from 'googleapis';
 
+// Metadado do desenvolvedor (invisível na planilha) com as propriedades do script, em JSON
+const SCRIPT_PROPERTIES_KEY = 'script_properties';
+
 export class GoogleSheetsService {
   constructor() {
     this.auth = null;
     this.sheets = null;
     this.spreadsheetId = null;
+    // metadataId das propriedades do script (null enquanto não foram gravadas)
+    this.scriptPropertiesId = null;
   }
 
   /**
@@ -116,6 +121,25 @@ export class GoogleSheetsService {
     }
   }
 
+  /**
+   * Obtém dados de várias faixas em uma única requisição (values.batchGet)
+   * @param {string[]} ranges - Faixas no formato 'A1Notation'
+   * @returns {Array<Array<Array>>|null} Dados de cada faixa, na ordem pedida, ou null em caso de falha
+   */
+  async getMultipleRanges(ranges) {
+    try {
+      const response = await this.sheets.spreadsheets.values.batchGet({
+        spreadsheetId: this.spreadsheetId,
+        ranges: ranges
+      });
+
+      return (response.data.valueRanges || []).map(valueRange => valueRange.values || []);
+    } catch (error) {
+      console.error('Erro ao obter dados de várias faixas:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Atualiza dados em uma faixa específica
    * @param {string} range - Faixa no formato 'A1Notation'
@@ -192,4 +216,95 @@ export class GoogleSheetsService {
     }
   }
 
+  /**
+   * Cria uma aba vazia no fim da planilha
+   * @param {string} sheetName - Nome da aba
+   * @param {Object} [options]
+   * @param {number} [options.frozenRows=0] - Linhas congeladas (cabeçalho)
+   * @returns {boolean} Sucesso da operação
+   */
+  async addSheet(sheetName, options = {}) {
+    try {
+      await this.sheets.spreadsheets.batchUpdate({
+        spreadsheetId: this.spreadsheetId,
+        resource: {
+          requests: [{
+            addSheet: {
+              properties: {
+                title: sheetName,
+                gridProperties: { frozenRowCount: options.frozenRows || 0 }
+              }
+            }
+          }]
+        }
+      });
+
+      console.log(`✅ Aba '${sheetName}' criada`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Erro ao criar a aba ${sheetName}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Lê as propriedades do script, guardadas em um metadado do desenvolvedor da planilha
+   * @returns {Object<string, string>|null} Propriedades ({} sem o metadado) ou null em caso de falha
+   */
+  async getScriptProperties() {
+    try {
+      const response = await this.sheets.spreadsheets.get({
+        spreadsheetId: this.spreadsheetId,
+        fields: 'developerMetadata(metadataId,metadataKey,metadataValue)'
+      });
+
+      const entry = (response.data.developerMetadata || []).find(metadata => metadata.metadataKey === SCRIPT_PROPERTIES_KEY);
+      this.scriptPropertiesId = entry ? entry.metadataId : null;
+      return entry ? JSON.parse(entry.metadataValue) : {};
+    } catch (error) {
+      console.error('❌ Erro ao ler as propriedades do script:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Grava as propriedades do script no metadado do desenvolvedor (criado na primeira gravação)
+   * @param {Object<string, string>} values - Todas as propriedades
+   * @returns {boolean} Sucesso da operação
+   */
+  async setScriptProperties(values) {
+    const metadataValue = JSON.stringify(values);
+    const request = this.scriptPropertiesId !== null
+      ? {
+        updateDeveloperMetadata: {
+          dataFilters: [{ developerMetadataLookup: { metadataId: this.scriptPropertiesId } }],
+          developerMetadata: { metadataValue },
+          fields: 'metadataValue'
+        }
+      }
+      : {
+        createDeveloperMetadata: {
+          developerMetadata: {
+            metadataKey: SCRIPT_PROPERTIES_KEY,
+            metadataValue,
+            location: { spreadsheet: true },
+            visibility: 'DOCUMENT'
+          }
+        }
+      };
+
+    try {
+      const response = await this.sheets.spreadsheets.batchUpdate({
+        spreadsheetId: this.spreadsheetId,
+        resource: { requests: [request] }
+      });
+
+      const created = response.data.replies && response.data.replies[0] && response.data.replies[0].createDeveloperMetadata;
+      if (created) this.scriptPropertiesId = created.developerMetadata.metadataId;
+      return true;
+    } catch (error) {
+      console.error('❌ Erro ao gravar as propriedades do script:', error.message);
+      return false;
+    }
+  }
 }
\ No newline at end of file
@@ -5,8 +5,15 @@ import http from 'http';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { GoogleSheetsService } from './google-sheets-service.js';
-import { GASSimulation } from './gas-simulation.js';
+import { FileSheetsService } from './file-sheets-service.js';
+import { BackendRuntime } from './backend-runtime.js';
 import { CONFIG } from './config.js';
+import { parseReadingRules, readingRuleReason } from '../shared/readingRules.js';
+import { parseReadingFields, readingFieldRules } from '../shared/readingFields.js';
+import { SaveBatchStatus } from '../shared/saveBatchResult.js';
+import { CAMPAIGN_ID_MAX } from '../shared/campaigns.js';
+import { LOCATION_CLOSURE_TEXT_MAX } from '../shared/locationClosures.js';
+import { ASSET_CODE_NUMERIC_REASON } from '../shared/assetCode.js';
 import os from 'os';
 import { join } from 'path';
 import fs from 'fs';
@@ -148,10 +155,19 @@ app.use(cors({
 import morgan from 'morgan';
 app.use(morgan('combined'));
 
-app.use(express.json());
+// Fotos chegam em base64 no corpo da requisição (ver /api/save-photo)
+app.use(express.json({ limit: '8mb' }));
+
+// Substituto local da pasta de fotos do Drive
+const PHOTOS_DIR = process.env.PHOTOS_DIR || join(__dirname, 'photos');
+app.use('/photos', express.static(PHOTOS_DIR));
+
+// Frontend gerado por `npm run build:standalone` (servidor autônomo na rede local)
+const FRONTEND_DIR = process.env.FRONTEND_DIR || join(__dirname, '..', 'dist-standalone');
+const FRONTEND_INDEX = join(FRONTEND_DIR, 'index.html');
 
 // Inicialização
-let gasSimulation;
+let backend;
 const MAX_RETRIES = 3;
 let retryCount = 0;
 
@@ -159,10 +175,19 @@ async function initializeServer() {
     try {
         console.log('🔄 Inicializando servidor...');
 
-        const sheetsService = new GoogleSheetsService();
-        await sheetsService.initialize(CONFIG.credentials, CONFIG.spreadsheetId);
+        // Planilha do Google ou arquivos locais (--storage=file / STORAGE=file)
+        let sheetsService;
+        if (CONFIG.storage === 'file') {
+            sheetsService = new FileSheetsService(CONFIG.dataDir);
+            await sheetsService.initialize();
+        } else {
+            sheetsService = new GoogleSheetsService();
+            await sheetsService.initialize(CONFIG.credentials, CONFIG.spreadsheetId);
+        }
 
-        gasSimulation = new GASSimulation(sheetsService);
+        // backend/main.js real sobre o runtime falso do Apps Script
+        backend = new BackendRuntime(sheetsService, { photosDir: PHOTOS_DIR });
+        backend.initialize();
         retryCount = 0; // Resetar contador de tentativas após sucesso
         console.log('✅ Servidor inicializado com sucesso');
     } catch (error) {
@@ -206,34 +231,61 @@ function getNetworkIPs() {
 }
 
 // Rotas (mantenha as mesmas rotas do seu código anterior)
-app.get('/', (req, res) => {
+function sendServerInfo(req, res) {
     res.json({
         message: 'Servidor de teste GAS funcionando',
-        status: gasSimulation ? 'Conectado' : 'Erro na inicialização',
+        status: backend ? 'Conectado' : 'Erro na inicialização',
         environment: shouldUseHost ? 'rede local' : 'localhost',
         protocol: useHTTPS ? 'HTTPS' : 'HTTP',
+        storage: CONFIG.storage,
+        frontend: fs.existsSync(FRONTEND_INDEX),
         endpoints: [
-            'GET /api/inventory-data',
+            'GET /api/inventory-data?hash=HASH',
             'GET /api/inventory-summary?location=LOCAL',
             'GET /api/not-found-items?location=LOCAL',
             'GET /api/app-settings',
+            'GET /api/reading-history',
+            'GET /api/location-status?location=LOCAL',
             'POST /api/save-batch',
-            'POST /api/save-message'
+            'POST /api/save-photo',
+            'POST /api/save-message',
+            'POST /api/close-location',
+            'POST /api/reopen-location'
         ]
     });
+}
+
+app.get('/api', sendServerInfo);
+
+// Serve o frontend quando ele foi gerado; o mockGAS passa a chamar a mesma origem da página
+app.get(['/', '/index.html'], (req, res) => {
+    if (!fs.existsSync(FRONTEND_INDEX)) {
+        return sendServerInfo(req, res);
+    }
+
+    const html = fs.readFileSync(FRONTEND_INDEX, 'utf8').replace(
+        '<head>',
+        '<head><script>window.MOCK_GAS_URL = window.location.origin;</script>'
+    );
+    res.type('html').send(html);
 });
 
 // ... (suas rotas existentes mantêm a mesma implementação)
 app.get('/api/inventory-data', async (req, res) => {
     try {
+        // Sanitizar parâmetros de consulta
+        const sanitizedQuery = sanitizeInput(req.query);
+
         logStructured('info', 'Recebendo requisição para dados de inventário', {
             method: req.method,
             url: req.url,
+            query: sanitizedQuery,
             //userAgent: req.get('User-Agent'),
             ip: req.ip
         });
 
-        const result = await gasSimulation.getInventoryData(true);
+        // Com o hash da base em cache no cliente, a resposta pode ser apenas { notModified, hash }
+        const result = await backend.getInventoryData({ hash: sanitizedQuery.hash || null });
         res.json(result);
     } catch (error) {
         logStructured('error', 'Erro ao buscar dados de inventário', {
@@ -262,8 +314,11 @@ app.get('/api/inventory-summary', async (req, res) => {
             ip: req.ip
         });
 
-        const targetLocation = sanitizedQuery.location || null;
-        const result = await gasSimulation.getInventorySummary(targetLocation);
+        const result = await backend.getInventorySummary({
+            location: sanitizedQuery.location || null,
+            cursor: sanitizedQuery.cursor || null,
+            campaign: sanitizedQuery.campaign || null
+        });
         res.json(result);
     } catch (error) {
         logStructured('error', 'Erro ao buscar resumo de inventário', {
@@ -280,6 +335,41 @@ app.get('/api/inventory-summary', async (req, res) => {
     }
 });
 
+app.get('/api/reading-history', async (req, res) => {
+    try {
+        // Sanitizar parâmetros de consulta
+        const sanitizedQuery = sanitizeInput(req.query);
+
+        logStructured('info', 'Recebendo requisição para histórico de leitura', {
+            method: req.method,
+            url: req.url,
+            query: sanitizedQuery,
+            ip: req.ip
+        });
+
+        if (!sanitizedQuery.uid && !sanitizedQuery.code) {
+            return res.status(400).json({ error: 'Parâmetro uid ou code é obrigatório' });
+        }
+
+        const result = await backend.getReadingHistory({
+            uid: sanitizedQuery.uid || '',
+            code: sanitizedQuery.code || ''
+        });
+        res.json(result);
+    } catch (error) {
+        logStructured('error', 'Erro ao buscar histórico de leitura', {
+            error: error.message,
+            stack: error.stack,
+            method: req.method,
+            url: req.url,
+            query: req.query,
+            ip: req.ip
+        });
+
+        res.status(500).json({ error: error.message });
+    }
+});
+
 app.get('/api/not-found-items', async (req, res) => {
     try {
         // Sanitizar parâmetros de consulta
@@ -306,7 +396,10 @@ app.get('/api/not-found-items', async (req, res) => {
             return res.status(400).json({ error: 'Parâmetro location é obrigatório' });
         }
 
-        const result = await gasSimulation.getNotFoundItens(targetLocation);
+        const result = await backend.getNotFoundItens({
+            location: targetLocation,
+            campaign: sanitizedQuery.campaign || null
+        });
         res.json(result);
     } catch (error) {
         logStructured('error', 'Erro ao buscar itens não encontrados', {
@@ -323,6 +416,41 @@ app.get('/api/not-found-items', async (req, res) => {
     }
 });
 
+app.get('/api/location-status', async (req, res) => {
+    try {
+        // Sanitizar parâmetros de consulta
+        const sanitizedQuery = sanitizeInput(req.query);
+
+        logStructured('info', 'Recebendo requisição para situação da localidade', {
+            method: req.method,
+            url: req.url,
+            query: sanitizedQuery,
+            ip: req.ip
+        });
+
+        if (!sanitizedQuery.location) {
+            return res.status(400).json({ error: 'Parâmetro location é obrigatório' });
+        }
+
+        const result = await backend.getLocationStatus({
+            location: sanitizedQuery.location,
+            campaign: sanitizedQuery.campaign || null
+        });
+        res.json(result);
+    } catch (error) {
+        logStructured('error', 'Erro ao buscar situação da localidade', {
+            error: error.message,
+            stack: error.stack,
+            method: req.method,
+            url: req.url,
+            query: req.query,
+            ip: req.ip
+        });
+
+        res.status(500).json({ error: error.message });
+    }
+});
+
 app.get('/api/app-settings', async (req, res) => {
     try {
         logStructured('info', 'Recebendo requisição para configurações do app', {
@@ -332,7 +460,7 @@ app.get('/api/app-settings', async (req, res) => {
             ip: req.ip
         });
 
-        const result = await gasSimulation.getAppSettings();
+        const result = await backend.getAppSettings();
         res.json(result);
     } catch (error) {
         logStructured('error', 'Erro ao buscar configurações do app', {
@@ -353,21 +481,66 @@ app.get('/api/app-settings', async (req, res) => {
 const saveBatchSchema = Joi.object({
     items: Joi.array().items(Joi.object({
         uid: Joi.string().required(),
-        code: Joi.number().integer().required(),
+        // Tombamento já normalizado pelo app, como texto (preserva zeros à esquerda); só dígitos
+        code: Joi.string().pattern(/^\d+$/).max(32).required()
+            .messages({ 'string.pattern.base': ASSET_CODE_NUMERIC_REASON }),
         location: Joi.string().required(),
         state: Joi.number().integer().required(),
         ipvu: Joi.number().integer().required(),
         obs: Joi.string().optional().min(0).max(1000),
-        source: Joi.string().required().min(1).max(16)
+        source: Joi.string().required().min(1).max(16),
+        cancelled: Joi.boolean().optional(),
+        damagedLabel: Joi.boolean().optional(),
+        // Campanha da aba campanhas (existência e situação validadas pelo backend)
+        campaignId: Joi.string().allow('').max(CAMPAIGN_ID_MAX).optional(),
+        // Campos extras da aba campos_leitura (tipos e opções validados pelo backend)
+        fields: Joi.object().pattern(Joi.string(), Joi.alternatives(Joi.string().allow('').max(500), Joi.number(), Joi.boolean())).optional(),
+        transfer: Joi.object({
+            from: Joi.string().required().max(200),
+            // Opcional, como no backend (gravada vazia quando ausente)
+            justification: Joi.string().allow('').max(500).optional()
+        }).allow(null).optional()
     })).min(1).required()
 });
 
+// Regras de estado e vida útil do saveCodeBatch (shared/readingRules.js) como esquema de cada leitura,
+// com os mesmos motivos de recusa do backend. Tombamento e localidade dependem da planilha e ficam com o backend.
+function readingRulesSchema(rules) {
+    return Joi.object({
+        state: Joi.number().integer().valid(...rules.states).required()
+            .error(new Error(readingRuleReason('state', rules))),
+        ipvu: Joi.number().integer().valid(...rules.ipvuValues).required()
+            .error(new Error(readingRuleReason('ipvu', rules)))
+    }).unknown(true);
+}
+
 const saveMessageSchema = Joi.object({
     uid: Joi.string().required(),
     location: Joi.string().required(),
     message: Joi.string().required().min(1).max(1000)
 });
 
+const savePhotoSchema = Joi.object({
+    uid: Joi.string().required(),
+    photoId: Joi.string().required().max(64),
+    mimeType: Joi.string().valid('image/jpeg', 'image/png', 'image/webp').required(),
+    data: Joi.string().base64().required()
+});
+
+// Conclusão e reabertura de localidades (regras e permissões validadas pelo backend)
+const closeLocationSchema = Joi.object({
+    location: Joi.string().required().max(200),
+    campaign: Joi.string().allow('', null).max(CAMPAIGN_ID_MAX).optional(),
+    responsible: Joi.string().required().min(1).max(LOCATION_CLOSURE_TEXT_MAX),
+    confirmed: Joi.boolean().valid(true).required()
+});
+
+const reopenLocationSchema = Joi.object({
+    location: Joi.string().required().max(200),
+    campaign: Joi.string().allow('', null).max(CAMPAIGN_ID_MAX).optional(),
+    reason: Joi.string().required().min(1).max(LOCATION_CLOSURE_TEXT_MAX)
+});
+
 app.post('/api/save-batch', validate(saveBatchSchema, 'body'), async (req, res) => {
     try {
         logStructured('info', 'Recebendo requisição para salvar lote de itens', {
@@ -378,14 +551,32 @@ app.post('/api/save-batch', validate(saveBatchSchema, 'body'), async (req, res)
             ip: req.ip
         });
 
-        // Converter o campo code para inteiro para cada item
-        const items = req.body.items.map(item => ({
-            ...item,
-            code: parseInt(item.code, 10)
-        }));
+        const items = req.body.items;
+
+        // Leituras fora das regras são recusadas uma a uma (cancelamentos são sempre aceitos)
+        const settings = await backend.getAppSettings();
+        const rules = readingFieldRules(parseReadingRules(settings.reading_validation_rules), parseReadingFields(settings.reading_fields));
+        const itemSchema = readingRulesSchema(rules);
+        const rejected = [];
+        const accepted = items.filter(item => {
+            if (item.cancelled === true) return true;
+            const { error } = itemSchema.validate(item);
+            if (!error) return true;
+            rejected.push({ uid: item.uid, status: SaveBatchStatus.REJECTED, reason: error.message });
+            return false;
+        });
 
-        const result = await gasSimulation.saveCodeBatch(items);
-        res.json(result);
+        if (rejected.length > 0) {
+            logStructured('warn', 'Leituras recusadas pela validação', {
+                method: req.method,
+                url: req.url,
+                rejected,
+                ip: req.ip
+            });
+        }
+
+        const result = accepted.length > 0 ? await backend.saveCodeBatch(accepted) : [];
+        res.json([...result, ...rejected]);
     } catch (error) {
         logStructured('error', 'Erro ao salvar lote de itens', {
             error: error.message,
@@ -401,6 +592,34 @@ app.post('/api/save-batch', validate(saveBatchSchema, 'body'), async (req, res)
     }
 });
 
+app.post('/api/save-photo', validate(savePhotoSchema, 'body'), async (req, res) => {
+    try {
+        logStructured('info', 'Recebendo requisição para salvar foto', {
+            method: req.method,
+            url: req.url,
+            body: { uid: req.body.uid, photoId: req.body.photoId, mimeType: req.body.mimeType, size: req.body.data.length },
+            //userAgent: req.get('User-Agent'),
+            ip: req.ip
+        });
+
+        const result = await backend.savePhoto(req.body);
+        // O link gravado na planilha é relativo; o cliente recebe o endereço completo
+        res.json({ ...result, url: `${req.protocol}://${req.get('host')}${result.url}` });
+    } catch (error) {
+        logStructured('error', 'Erro ao salvar foto', {
+            error: error.message,
+            stack: error.stack,
+            method: req.method,
+            url: req.url,
+            body: { uid: req.body.uid, photoId: req.body.photoId },
+            //userAgent: req.get('User-Agent'),
+            ip: req.ip
+        });
+
+        res.status(500).json({ error: error.message });
+    }
+});
+
 app.post('/api/save-message', validate(saveMessageSchema, 'body'), async (req, res) => {
     try {
         logStructured('info', 'Recebendo requisição para salvar mensagem', {
@@ -413,7 +632,7 @@ app.post('/api/save-message', validate(saveMessageSchema, 'body'), async (req, r
 
         const { uid, location, message } = req.body;
 
-        const result = await gasSimulation.saveMessage({ uid, location, message });
+        const result = await backend.saveMessage({ uid, location, message });
         res.json(result);
     } catch (error) {
         logStructured('error', 'Erro ao salvar mensagem', {
@@ -430,9 +649,59 @@ app.post('/api/save-message', validate(saveMessageSchema, 'body'), async (req, r
     }
 });
 
+app.post('/api/close-location', validate(closeLocationSchema, 'body'), async (req, res) => {
+    try {
+        logStructured('info', 'Recebendo requisição para concluir localidade', {
+            method: req.method,
+            url: req.url,
+            body: { location: req.body.location, campaign: req.body.campaign },
+            ip: req.ip
+        });
+
+        const result = await backend.closeLocation(req.body);
+        res.json(result);
+    } catch (error) {
+        logStructured('error', 'Erro ao concluir localidade', {
+            error: error.message,
+            stack: error.stack,
+            method: req.method,
+            url: req.url,
+            body: { location: req.body.location, campaign: req.body.campaign },
+            ip: req.ip
+        });
+
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/reopen-location', validate(reopenLocationSchema, 'body'), async (req, res) => {
+    try {
+        logStructured('info', 'Recebendo requisição para reabrir localidade', {
+            method: req.method,
+            url: req.url,
+            body: { location: req.body.location, campaign: req.body.campaign },
+            ip: req.ip
+        });
+
+        const result = await backend.reopenLocation(req.body);
+        res.json(result);
+    } catch (error) {
+        logStructured('error', 'Erro ao reabrir localidade', {
+            error: error.message,
+            stack: error.stack,
+            method: req.method,
+            url: req.url,
+            body: { location: req.body.location, campaign: req.body.campaign },
+            ip: req.ip
+        });
+
+        res.status(500).json({ error: error.message });
+    }
+});
+
 app.get('/api/health', async (req, res) => {
     try {
-        if (!gasSimulation) {
+        if (!backend) {
             return res.status(500).json({ error: 'Servidor não inicializado' });
         }
 
@@ -0,0 +1,88 @@
+/**
+ * Interface de armazenamento usada pelo backend local (BackendRuntime).
+ *
+ * O backend local só conversa com a "planilha" por estes métodos, no
+ * formato da Google Sheets API (faixas em notação A1 e valores como matriz de
+ * linhas). Implementações:
+ *   - GoogleSheetsService (google-sheets-service.js): planilha real do Google;
+ *   - FileSheetsService (file-sheets-service.js): arquivos locais, sem nuvem.
+ *
+ * @typedef {Object} SheetsStorage
+ * @property {() => Promise<void>} initialize - Prepara o armazenamento (recebe argumentos próprios de cada implementação)
+ * @property {() => Promise<Array<{properties: {title: string}}>>} getSheets - Lista as abas
+ * @property {(sheetName: string) => Promise<boolean>} sheetExists - Indica se a aba existe
+ * @property {(range: string) => Promise<Array<Array>>} getRangeData - Lê uma faixa (linhas/células vazias no fim são omitidas)
+ * @property {(ranges: string[]) => Promise<Array<Array<Array>>|null>} getMultipleRanges - Lê várias faixas de uma vez (null em caso de falha)
+ * @property {(range: string, values: Array<Array>) => Promise<boolean>} updateRangeData - Sobrescreve uma faixa
+ * @property {(requests: Array<{range: string, values: Array<Array>}>) => Promise<boolean>} updateMultipleRanges - Sobrescreve várias faixas
+ * @property {(range: string, values: Array<Array>) => Promise<boolean>} appendRangeData - Adiciona linhas ao final da aba
+ * @property {(sheetName: string, options?: {frozenRows?: number}) => Promise<boolean>} addSheet - Cria uma aba vazia (como o insertSheet do backend)
+ * @property {() => Promise<Object<string, string>|null>} getScriptProperties - Lê as propriedades do script (PropertiesService; null em caso de falha)
+ * @property {(values: Object<string, string>) => Promise<boolean>} setScriptProperties - Grava todas as propriedades do script
+ */
+
+// Métodos obrigatórios de um SheetsStorage
+export const SHEETS_STORAGE_METHODS = Object.freeze([
+  'initialize',
+  'getSheets',
+  'sheetExists',
+  'getRangeData',
+  'getMultipleRanges',
+  'updateRangeData',
+  'updateMultipleRanges',
+  'appendRangeData',
+  'addSheet',
+  'getScriptProperties',
+  'setScriptProperties'
+]);
+
+/**
+ * Garante que o objeto implementa a interface SheetsStorage
+ * @param {Object} storage - Implementação a verificar
+ * @returns {SheetsStorage}
+ */
+export function assertSheetsStorage(storage) {
+  const missing = SHEETS_STORAGE_METHODS.filter(method => typeof storage?.[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Armazenamento inválido: métodos ausentes (${missing.join(', ')})`);
+  }
+  return storage;
+}
+
+/**
+ * Interpreta uma faixa em notação A1 ("aba!A2:D", "aba!A:Z", "aba!K5" ou apenas "aba", a aba inteira)
+ * @param {string} range - Faixa
+ * @returns {{sheet: string, startRow: number, startCol: number, endRow: number, endCol: number}}
+ *   Índices a partir de 1; endRow/endCol são Infinity quando abertos
+ */
+export function parseA1Range(range) {
+  const text = String(range);
+  const separator = text.lastIndexOf('!');
+  const sheet = (separator === -1 ? text : text.substring(0, separator))
+    .replace(/^'(.*)'$/, (quoted, name) => name.replace(/''/g, "'"));
+  // Sem "!", como na API do Google, a faixa é a aba inteira
+  const cells = separator === -1 ? ':' : text.substring(separator + 1);
+
+  const match = /^([A-Z]*)(\d*)(?::([A-Z]*)(\d*))?$/i.exec(cells);
+  if (!sheet || !match) {
+    throw new Error(`Faixa inválida: ${range}`);
+  }
+
+  const columnNumber = (letters) => {
+    let column = 0;
+    for (const char of letters.toUpperCase()) {
+      column = column * 26 + (char.charCodeAt(0) - 64);
+    }
+    return column;
+  };
+
+  const [, startLetters, startDigits, endLetters, endDigits] = match;
+  const isSingleCell = match[3] === undefined && match[4] === undefined;
+
+  const startCol = startLetters ? columnNumber(startLetters) : 1;
+  const startRow = startDigits ? parseInt(startDigits, 10) : 1;
+  const endCol = isSingleCell ? startCol : (endLetters ? columnNumber(endLetters) : Infinity);
+  const endRow = isSingleCell ? (startDigits ? startRow : Infinity) : (endDigits ? parseInt(endDigits, 10) : Infinity);
+
+  return { sheet, startRow, startCol, endRow, endCol };
+}
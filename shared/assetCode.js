@@ -0,0 +1,327 @@
+/**
+ * @fileoverview AssetCode - Normalização e validação de tombamentos
+ *
+ * Módulo compartilhado entre o frontend (importado pelo Vite), o servidor local
+ * (importado pelo Node) e o backend GAS (copiado pelo deploy.js sem as palavras
+ * `export`, virando funções globais). Por isso:
+ *   - não pode importar nada;
+ *   - deve usar apenas sintaxe ES2017;
+ *   - todos os nomes globais usam o prefixo ASSET_CODE / AssetCode.
+ *
+ * As regras vêm da chave `code_validation_rules` da aba `app_config`, em JSON:
+ * @example
+ * {
+ *   "stripPrefixes": ["IFC", "PAT-"],
+ *   "removeChars": "[\\s.\\-/]",
+ *   "stripLeadingZeros": false,
+ *   "rules": [
+ *     { "name": "Padrão IFC", "pattern": "^(199\\d|20\\d{2})\\d{6}$" },
+ *     { "name": "Etiqueta EAN", "pattern": "^\\d{13}$", "checkDigit": "ean13", "dropCheckDigit": true }
+ *   ]
+ * }
+ *
+ * As regras limpam e conferem a leitura, mas o código final é sempre numérico
+ * (ASSET_CODE_NUMERIC_REASON): o restante do sistema compara tombamentos como número.
+ *
+ * @module AssetCode
+ * @version 1.0.0
+ * @author Tiago Possato
+ */
+
+/**
+ * Regras padrão (equivalentes à validação histórica: anos 1990-2030 + 6 dígitos)
+ * @type {Object}
+ */
+export const ASSET_CODE_DEFAULT_RULES = Object.freeze({
+  stripPrefixes: [],
+  removeChars: '\\s',
+  stripLeadingZeros: false,
+  rules: [
+    { name: 'Padrão (1990-2030)', pattern: '^(199[0-9]|20[0-2][0-9]|2030)\\d{6}$', checkDigit: 'none', dropCheckDigit: false }
+  ]
+});
+
+/**
+ * Motivo da recusa de códigos que atendem uma regra mas não são numéricos. O sistema
+ * compara tombamentos como número inteiro (inventário, resumos e contagens), então o
+ * código final precisa ter só dígitos, ser maior que zero e caber em Number.MAX_SAFE_INTEGER.
+ * @type {string}
+ */
+export const ASSET_CODE_NUMERIC_REASON = 'Tombamento deve ser numérico';
+
+/**
+ * Algoritmos de dígito verificador suportados
+ * @readonly
+ * @enum {string}
+ */
+export const AssetCodeCheckDigit = Object.freeze({
+  NONE: 'none',
+  EAN13: 'ean13',
+  MOD11: 'mod11'
+});
+
+/**
+ * Interpreta e completa as regras configuradas.
+ * Aceita o JSON (string) vindo da planilha ou um objeto já interpretado.
+ * Regras inválidas são descartadas; se nenhuma sobrar, usa as regras padrão.
+ * @param {string|Object|null|undefined} raw - Valor de `code_validation_rules`
+ * @returns {{stripPrefixes: string[], removeChars: string, stripLeadingZeros: boolean, rules: Array<Object>}}
+ */
+export function parseAssetCodeRules(raw) {
+  let config = raw;
+
+  if (typeof raw === 'string') {
+    if (raw.trim() === '') return ASSET_CODE_DEFAULT_RULES;
+    try {
+      config = JSON.parse(raw);
+    } catch (e) {
+      console.warn('parseAssetCodeRules: JSON inválido em code_validation_rules, usando regras padrão', e.message);
+      return ASSET_CODE_DEFAULT_RULES;
+    }
+  }
+
+  if (!config || typeof config !== 'object') return ASSET_CODE_DEFAULT_RULES;
+
+  const checkDigits = Object.keys(AssetCodeCheckDigit).map(function (k) { return AssetCodeCheckDigit[k]; });
+
+  const rules = (Array.isArray(config.rules) ? config.rules : [])
+    .filter(function (rule) {
+      if (!rule || typeof rule.pattern !== 'string') return false;
+      try {
+        new RegExp(rule.pattern);
+        return true;
+      } catch (e) {
+        console.warn('parseAssetCodeRules: Expressão regular inválida ignorada', rule.pattern, e.message);
+        return false;
+      }
+    })
+    .map(function (rule, index) {
+      const checkDigit = String(rule.checkDigit || AssetCodeCheckDigit.NONE).toLowerCase();
+      return {
+        name: String(rule.name || 'Regra ' + (index + 1)),
+        pattern: rule.pattern,
+        checkDigit: checkDigits.indexOf(checkDigit) !== -1 ? checkDigit : AssetCodeCheckDigit.NONE,
+        dropCheckDigit: rule.dropCheckDigit === true
+      };
+    });
+
+  let removeChars = ASSET_CODE_DEFAULT_RULES.removeChars;
+  if (typeof config.removeChars === 'string') {
+    try {
+      new RegExp(config.removeChars);
+      removeChars = config.removeChars;
+    } catch (e) {
+      console.warn('parseAssetCodeRules: removeChars inválido ignorado', config.removeChars, e.message);
+    }
+  }
+
+  return {
+    stripPrefixes: (Array.isArray(config.stripPrefixes) ? config.stripPrefixes : [])
+      .map(function (p) { return String(p).trim().toUpperCase(); })
+      .filter(function (p) { return p !== ''; })
+      // Prefixos mais longos primeiro para evitar remoção parcial
+      .sort(function (a, b) { return b.length - a.length; }),
+    removeChars: removeChars,
+    stripLeadingZeros: config.stripLeadingZeros === true,
+    rules: rules.length > 0 ? rules : ASSET_CODE_DEFAULT_RULES.rules
+  };
+}
+
+/**
+ * Normaliza o valor lido (remove separadores, prefixos e, se configurado, zeros à esquerda)
+ * @param {string|number} rawValue - Valor lido pelo scanner/input ou recebido pelo backend
+ * @param {Object} [rules] - Regras já interpretadas por parseAssetCodeRules
+ * @returns {string} Código normalizado (pode ser vazio)
+ */
+export function normalizeAssetCode(rawValue, rules) {
+  const config = rules || ASSET_CODE_DEFAULT_RULES;
+  if (rawValue === null || rawValue === undefined) return '';
+
+  let code = String(rawValue).trim().toUpperCase();
+  code = code.replace(new RegExp(config.removeChars, 'g'), '');
+
+  for (let i = 0; i < config.stripPrefixes.length; i++) {
+    const prefix = config.stripPrefixes[i];
+    if (code.indexOf(prefix) === 0) {
+      code = code.substring(prefix.length);
+      break;
+    }
+  }
+
+  if (config.stripLeadingZeros) {
+    code = code.replace(/^0+(?=\d)/, '');
+  }
+
+  return code;
+}
+
+/**
+ * Calcula o dígito verificador EAN-13 para os 12 primeiros dígitos
+ * @param {string} body - 12 dígitos
+ * @returns {number}
+ */
+function assetCodeEan13Digit(body) {
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) {
+    sum += Number(body.charAt(i)) * (i % 2 === 0 ? 1 : 3);
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * Calcula o dígito verificador módulo 11 (pesos 2 a 9 da direita para a esquerda;
+ * restos que resultam em 10 ou 11 viram 0)
+ * @param {string} body - Dígitos sem o verificador
+ * @returns {number}
+ */
+function assetCodeMod11Digit(body) {
+  let sum = 0;
+  let weight = 2;
+  for (let i = body.length - 1; i >= 0; i--) {
+    sum += Number(body.charAt(i)) * weight;
+    weight = weight === 9 ? 2 : weight + 1;
+  }
+  const digit = 11 - (sum % 11);
+  return digit >= 10 ? 0 : digit;
+}
+
+/**
+ * Calcula o dígito verificador de um corpo numérico
+ * @param {string} body - Dígitos sem o verificador
+ * @param {string} algorithm - Valor de AssetCodeCheckDigit (exceto NONE)
+ * @returns {number|null} Dígito ou null quando o algoritmo não se aplica ao corpo
+ */
+function assetCodeCheckDigit(body, algorithm) {
+  if (!/^\d+$/.test(body)) return null;
+  if (algorithm === AssetCodeCheckDigit.EAN13) {
+    return body.length === 12 ? assetCodeEan13Digit(body) : null;
+  }
+  if (algorithm === AssetCodeCheckDigit.MOD11) {
+    return assetCodeMod11Digit(body);
+  }
+  return null;
+}
+
+/**
+ * Verifica o dígito verificador (último dígito) de um código numérico
+ * @param {string} code - Código normalizado
+ * @param {string} algorithm - Valor de AssetCodeCheckDigit
+ * @returns {boolean}
+ */
+export function isAssetCodeCheckDigitValid(code, algorithm) {
+  if (!algorithm || algorithm === AssetCodeCheckDigit.NONE) return true;
+  if (!/^\d{2,}$/.test(code)) return false;
+
+  return assetCodeCheckDigit(code.substring(0, code.length - 1), algorithm) === Number(code.charAt(code.length - 1));
+}
+
+/**
+ * @typedef {Object} AssetCodeValidation
+ * @property {boolean} valid - Indica se o código atende alguma regra
+ * @property {string} code - Código normalizado (sem dígito verificador quando dropCheckDigit)
+ * @property {string|null} rule - Nome da regra atendida
+ * @property {string} [reason] - Motivo da rejeição quando inválido
+ */
+
+/**
+ * Normaliza e valida um tombamento contra as regras configuradas.
+ * O código é aceito pela primeira regra cujo padrão e dígito verificador conferem.
+ * @param {string|number} rawValue - Valor lido
+ * @param {Object} [rules] - Regras já interpretadas por parseAssetCodeRules
+ * @returns {AssetCodeValidation}
+ *
+ * @example
+ * validateAssetCode(' 2023000123 ', parseAssetCodeRules(''));
+ * // { valid: true, code: '2023000123', rule: 'Padrão (1990-2030)' }
+ */
+export function validateAssetCode(rawValue, rules) {
+  const config = rules || ASSET_CODE_DEFAULT_RULES;
+  const code = normalizeAssetCode(rawValue, config);
+
+  if (code === '') {
+    return { valid: false, code: code, rule: null, reason: 'Código vazio' };
+  }
+
+  // Motivo da primeira regra cujo padrão confere (verificador ou código não numérico)
+  let reason = '';
+
+  for (let i = 0; i < config.rules.length; i++) {
+    const rule = config.rules[i];
+    const result = assetCodeApplyRule(code, rule);
+    if (result.code) {
+      return { valid: true, code: result.code, rule: rule.name };
+    }
+    reason = reason || result.reason;
+  }
+
+  return { valid: false, code: code, rule: null, reason: reason || 'Formato não reconhecido' };
+}
+
+/**
+ * Aplica uma regra a um código normalizado
+ * @param {string} code - Código normalizado
+ * @param {Object} rule - Regra já interpretada por parseAssetCodeRules
+ * @returns {{code: string, reason: string}} Código final (sem o verificador quando
+ * dropCheckDigit) ou, quando vazio, o motivo da recusa (vazio se o padrão não confere)
+ */
+function assetCodeApplyRule(code, rule) {
+  if (!new RegExp(rule.pattern).test(code)) return { code: '', reason: '' };
+  if (!isAssetCodeCheckDigitValid(code, rule.checkDigit)) return { code: '', reason: 'Dígito verificador inválido' };
+
+  const finalCode = rule.dropCheckDigit && rule.checkDigit !== AssetCodeCheckDigit.NONE
+    ? code.substring(0, code.length - 1)
+    : code;
+
+  // O restante do sistema trabalha com tombamentos numéricos (como texto, preservando zeros à esquerda)
+  if (!/^\d+$/.test(finalCode) || !Number.isSafeInteger(Number(finalCode)) || Number(finalCode) <= 0) {
+    return { code: '', reason: ASSET_CODE_NUMERIC_REASON };
+  }
+  return { code: finalCode, reason: '' };
+}
+
+/**
+ * Valida um tombamento já normalizado por validateAssetCode (o `code` das leituras
+ * enviadas pelo app). O código é aceito quando alguma regra o produz: nas regras com
+ * dropCheckDigit, o verificador é recalculado e a leitura original é validada; nas
+ * demais, o próprio código. Normalizar de novo recusaria, por exemplo, os 12 dígitos
+ * que sobram de um EAN-13.
+ * @param {string|number} code - Código normalizado
+ * @param {Object} [rules] - Regras já interpretadas por parseAssetCodeRules
+ * @returns {AssetCodeValidation}
+ *
+ * @example
+ * const rules = parseAssetCodeRules({ rules: [{ pattern: '^\\d{13}$', checkDigit: 'ean13', dropCheckDigit: true }] });
+ * validateAssetCode('7891234567895', rules).code;      // '789123456789'
+ * validateNormalizedAssetCode('789123456789', rules);  // { valid: true, code: '789123456789', rule: 'Regra 1' }
+ */
+export function validateNormalizedAssetCode(code, rules) {
+  const config = rules || ASSET_CODE_DEFAULT_RULES;
+  const text = code === null || code === undefined ? '' : String(code).trim();
+
+  if (text === '') {
+    return { valid: false, code: text, rule: null, reason: 'Código vazio' };
+  }
+  // Separadores, prefixos ou zeros que a normalização removeria
+  if (normalizeAssetCode(text, config) !== text) {
+    return { valid: false, code: text, rule: null, reason: 'Formato não reconhecido' };
+  }
+
+  let reason = '';
+
+  for (let i = 0; i < config.rules.length; i++) {
+    const rule = config.rules[i];
+    let original = text;
+    if (rule.dropCheckDigit && rule.checkDigit !== AssetCodeCheckDigit.NONE) {
+      const digit = assetCodeCheckDigit(text, rule.checkDigit);
+      if (digit === null) continue;
+      original = text + digit;
+    }
+    const result = assetCodeApplyRule(original, rule);
+    if (result.code === text) {
+      return { valid: true, code: text, rule: rule.name };
+    }
+    reason = reason || result.reason;
+  }
+
+  return { valid: false, code: text, rule: null, reason: reason || 'Formato não reconhecido' };
+}
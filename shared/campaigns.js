@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Campaigns - Campanhas de inventário cadastradas na planilha
+ *
+ * Módulo compartilhado entre o frontend (seletor de campanha), o servidor local
+ * (limites dos esquemas Joi) e o backend GAS (mesmas restrições de shared/assetCode.js:
+ * sem imports, apenas ES2017 e nomes globais com o prefixo CAMPAIGN / campaign).
+ *
+ * A aba `campanhas` tem uma linha por campanha. Cada leitura guarda a campanha na
+ * coluna `campanha` da aba `leituras`; o resumo, os não encontrados e a gravação
+ * das leituras consideram apenas a campanha escolhida no app. Sem a aba (ou com
+ * ela vazia) não há campanhas e tudo funciona como antes.
+ * @example
+ * id      | nome                  | status    | inicio     | fim
+ * 2025-1  | Inventário anual 2025 | encerrada | 01/03/2025 | 30/04/2025
+ * 2026-1  | Inventário anual 2026 | aberta    | 01/03/2026 |
+ *
+ * @module Campaigns
+ * @version 1.0.0
+ * @author Tiago Possato
+ */
+
+/**
+ * Nome da aba com o cadastro das campanhas
+ * @type {string}
+ */
+export const CAMPAIGN_SHEET_NAME = 'campanhas';
+
+/**
+ * Cabeçalho da aba `campanhas`
+ * @type {string[]}
+ */
+export const CAMPAIGN_HEADER = Object.freeze(['id', 'nome', 'status', 'inicio', 'fim']);
+
+/**
+ * Tamanho máximo do identificador de uma campanha
+ * @type {number}
+ */
+export const CAMPAIGN_ID_MAX = 64;
+
+/**
+ * Situações de uma campanha (coluna `status`)
+ * @readonly
+ * @enum {string}
+ */
+export const CampaignStatus = Object.freeze({
+  /** @description Recebe leituras (padrão quando a coluna está vazia) */
+  OPEN: 'aberta',
+  /** @description Apenas consulta: novas leituras e alterações são recusadas */
+  CLOSED: 'encerrada'
+});
+
+/**
+ * @typedef {Object} Campaign
+ * @property {string} id - Identificador gravado nas leituras
+ * @property {string} name - Nome exibido no seletor
+ * @property {string} status - Valor de CampaignStatus
+ * @property {string} startsAt - Início (AAAA-MM-DD ou o texto da célula)
+ * @property {string} endsAt - Fim (AAAA-MM-DD ou o texto da célula)
+ */
+
+/**
+ * Identificador de campanha normalizado (sem espaços nas pontas)
+ * @param {*} value - Valor da célula ou da leitura
+ * @returns {string} Identificador ('' sem campanha)
+ */
+export function campaignId(value) {
+  return String(value === null || value === undefined ? '' : value).trim().substring(0, CAMPAIGN_ID_MAX);
+}
+
+/**
+ * Data de início/fim como texto (datas em AAAA-MM-DD)
+ * @param {*} value - Valor da célula
+ * @returns {string}
+ */
+function campaignDateText(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? '' : value.toISOString().split('T')[0];
+  }
+  return String(value === null || value === undefined ? '' : value).trim();
+}
+
+/**
+ * Interpreta as linhas da aba `campanhas` (sem o cabeçalho).
+ * Linhas sem id são ignoradas; ids repetidos valem pela primeira linha.
+ * Também aceita as campanhas já interpretadas (vindas de getAppSettings).
+ * @param {Array<Array>|Array<Campaign>|null|undefined} rows - Linhas da aba
+ * @returns {Campaign[]} Campanhas na ordem da aba
+ */
+export function parseCampaigns(rows) {
+  const campaigns = [];
+  const seen = Object.create(null);
+
+  (Array.isArray(rows) ? rows : []).forEach(function (row) {
+    const values = Array.isArray(row)
+      ? row
+      : (row && typeof row === 'object' ? [row.id, row.name, row.status, row.startsAt, row.endsAt] : []);
+
+    const id = campaignId(values[0]);
+    if (id === '') return;
+    if (seen[id]) {
+      console.warn('parseCampaigns: campanha "' + id + '" repetida, usando a primeira linha');
+      return;
+    }
+    seen[id] = true;
+
+    const status = String(values[2] === null || values[2] === undefined ? '' : values[2]).trim().toLowerCase();
+    campaigns.push({
+      id: id,
+      name: String(values[1] === null || values[1] === undefined ? '' : values[1]).trim() || id,
+      status: status === CampaignStatus.CLOSED ? CampaignStatus.CLOSED : CampaignStatus.OPEN,
+      startsAt: campaignDateText(values[3]),
+      endsAt: campaignDateText(values[4])
+    });
+  });
+
+  return campaigns;
+}
+
+/**
+ * Campanha pelo identificador
+ * @param {Campaign[]} campaigns - Campanhas de parseCampaigns
+ * @param {*} id - Identificador procurado
+ * @returns {Campaign|null}
+ */
+export function findCampaign(campaigns, id) {
+  const key = campaignId(id);
+  return campaigns.filter(function (campaign) { return campaign.id === key; })[0] || null;
+}
+
+/**
+ * Motivo da recusa de uma leitura pela campanha informada
+ * @param {Campaign[]} campaigns - Campanhas de parseCampaigns
+ * @param {*} id - Campanha da leitura
+ * @returns {string} Motivo ('' quando aceita ou quando não há campanhas cadastradas)
+ */
+export function campaignReadingReason(campaigns, id) {
+  if (campaigns.length === 0) return '';
+
+  const key = campaignId(id);
+  if (key === '') return 'Campanha não informada';
+
+  const campaign = findCampaign(campaigns, key);
+  if (!campaign) return 'Campanha desconhecida: ' + key;
+  if (campaign.status === CampaignStatus.CLOSED) return 'Campanha "' + campaign.name + '" encerrada';
+  return '';
+}
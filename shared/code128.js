@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Code128 - Geração de códigos de barras Code 128
+ *
+ * Módulo compartilhado (mesmas restrições de shared/assetCode.js: sem imports,
+ * apenas ES2017 e nomes globais com o prefixo CODE128 / code128). Usado pelo
+ * backend GAS nas folhas de reimpressão de etiquetas de tombamento.
+ *
+ * Usa o conjunto B (ASCII 32 a 126) e troca para o conjunto C (pares de dígitos)
+ * nas sequências numéricas, o que deixa os tombamentos com metade da largura.
+ *
+ * @example
+ * const svg = code128Svg('2023000123', { height: 40 });
+ * const widths = code128Widths('2023000123'); // [2, 1, 1, 2, 3, 2, ...] barra, espaço, barra...
+ *
+ * @module Code128
+ * @version 1.0.0
+ * @author Tiago Possato
+ */
+
+/**
+ * Larguras (barra, espaço, barra, espaço, barra, espaço) de cada símbolo, pelo valor.
+ * 103 a 105 são os inícios A, B e C; 106 é a parada (com a barra final).
+ * @type {string[]}
+ */
+const CODE128_PATTERNS = Object.freeze([
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+]);
+
+/**
+ * Valores especiais dos conjuntos B e C
+ * @type {Object}
+ */
+const CODE128_SYMBOLS = Object.freeze({
+  CODE_C: 99,
+  CODE_B: 100,
+  START_B: 104,
+  START_C: 105,
+  STOP: 106
+});
+
+/**
+ * Quantidade de dígitos consecutivos a partir de uma posição
+ * @param {string} text - Texto
+ * @param {number} start - Posição inicial
+ * @returns {number}
+ * @private
+ */
+function code128DigitRun(text, start) {
+  let end = start;
+  while (end < text.length && text.charCodeAt(end) >= 48 && text.charCodeAt(end) <= 57) end++;
+  return end - start;
+}
+
+/**
+ * Converte o texto nos valores dos símbolos (início, dados, verificador e parada)
+ * @param {string} text - Conteúdo (ASCII 32 a 126)
+ * @returns {number[]}
+ * @throws {Error} Texto vazio ou com caracteres fora do conjunto B
+ */
+export function code128Values(text) {
+  const value = String(text === null || text === undefined ? '' : text);
+  if (value === '') {
+    throw new Error('Code 128: conteúdo vazio');
+  }
+  for (let i = 0; i < value.length; i++) {
+    const c = value.charCodeAt(i);
+    if (c < 32 || c > 126) {
+      throw new Error(`Code 128: caractere não suportado na posição ${i + 1}`);
+    }
+  }
+
+  const values = [];
+  let set = null;
+  let i = 0;
+
+  while (i < value.length) {
+    const digits = code128DigitRun(value, i);
+
+    // Conjunto C compensa com 4+ dígitos (ou 2+ quando o texto inteiro é numérico e par)
+    const useC = digits >= 4 || (digits === value.length && digits % 2 === 0);
+
+    if (useC) {
+      // Sequência ímpar: o primeiro dígito vai no conjunto B
+      if (digits % 2 === 1) {
+        if (set === null) {
+          values.push(CODE128_SYMBOLS.START_B);
+          set = 'B';
+        } else if (set === 'C') {
+          values.push(CODE128_SYMBOLS.CODE_B);
+          set = 'B';
+        }
+        values.push(value.charCodeAt(i) - 32);
+        i++;
+      }
+
+      if (set === null) {
+        values.push(CODE128_SYMBOLS.START_C);
+      } else if (set !== 'C') {
+        values.push(CODE128_SYMBOLS.CODE_C);
+      }
+      set = 'C';
+
+      const end = i + digits - (digits % 2);
+      for (; i < end; i += 2) {
+        values.push(Number(value.substring(i, i + 2)));
+      }
+    } else {
+      if (set === null) {
+        values.push(CODE128_SYMBOLS.START_B);
+      } else if (set !== 'B') {
+        values.push(CODE128_SYMBOLS.CODE_B);
+      }
+      set = 'B';
+
+      values.push(value.charCodeAt(i) - 32);
+      i++;
+    }
+  }
+
+  // Verificador: início + soma ponderada pela posição, módulo 103
+  let checksum = values[0];
+  for (let k = 1; k < values.length; k++) {
+    checksum += values[k] * k;
+  }
+  values.push(checksum % 103);
+  values.push(CODE128_SYMBOLS.STOP);
+
+  return values;
+}
+
+/**
+ * Larguras das barras e espaços (em módulos), começando por uma barra, sem a zona de silêncio
+ * @param {string} text - Conteúdo
+ * @returns {number[]}
+ */
+export function code128Widths(text) {
+  const widths = [];
+  code128Values(text).forEach(function (value) {
+    const pattern = CODE128_PATTERNS[value];
+    for (let i = 0; i < pattern.length; i++) {
+      widths.push(Number(pattern[i]));
+    }
+  });
+  return widths;
+}
+
+/**
+ * Gera o código de barras em SVG (sem o texto legível, que fica a cargo da etiqueta)
+ * @param {string} text - Conteúdo
+ * @param {Object} [options] - Opções
+ * @param {number} [options.moduleWidth=2] - Largura do módulo em unidades do SVG
+ * @param {number} [options.height=50] - Altura das barras nas mesmas unidades
+ * @param {number} [options.quietZone=10] - Zona de silêncio em módulos, de cada lado
+ * @param {string} [options.width] - Largura do elemento (ex.: '100%', '50mm'); omitida: a do viewBox
+ * @param {string} [options.color='#000000'] - Cor das barras
+ * @returns {string} Elemento <svg>
+ */
+export function code128Svg(text, options) {
+  const opts = options || {};
+  const moduleWidth = Number(opts.moduleWidth) || 2;
+  const height = Number(opts.height) || 50;
+  const quietZone = opts.quietZone === undefined ? 10 : Math.max(0, Number(opts.quietZone) || 0);
+  const color = opts.color || '#000000';
+
+  const widths = code128Widths(text);
+  const path = [];
+  let x = quietZone;
+  widths.forEach(function (width, index) {
+    // Índices pares são barras
+    if (index % 2 === 0) path.push(`M${x * moduleWidth},0h${width * moduleWidth}v${height}h-${width * moduleWidth}z`);
+    x += width;
+  });
+
+  const totalWidth = (x + quietZone) * moduleWidth;
+  const size = opts.width
+    ? `width="${opts.width}" preserveAspectRatio="none"`
+    : `width="${totalWidth}" height="${height}"`;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" ${size} viewBox="0 0 ${totalWidth} ${height}" shape-rendering="crispEdges">` +
+    `<path d="${path.join('')}" fill="${color}"/>` +
+    '</svg>';
+}
@@ -0,0 +1,201 @@
+/**
+ * @fileoverview InventoryColumns - Colunas da aba `inventario` localizadas pelo cabeçalho
+ *
+ * Módulo compartilhado entre o frontend (mensagem de erro de esquema), o servidor
+ * local (abas calculadas do FileSheetsService) e o backend GAS (mesmas restrições de shared/assetCode.js:
+ * sem imports, apenas ES2017 e nomes globais com o prefixo INVENTORY / inventory).
+ *
+ * A aba `inventario` costuma ser uma exportação do sistema de patrimônio, cujo
+ * layout muda. Cada coluna é encontrada pelo cabeçalho (comparado sem acentos,
+ * maiúsculas ou pontuação), tentando os nomes da chave `inventory_columns` da aba
+ * `app_config` e depois os nomes padrão. Chaves novas viram atributos extras:
+ * @example
+ * {
+ *   "tombamento": ["Nº Patrimônio", "Tombo"],
+ *   "responsavel": "Servidor responsável",
+ *   "marca": { "label": "Marca", "headers": ["Marca/Modelo"] }
+ * }
+ *
+ * `localidade` e `tombamento` são obrigatórias: sem elas o backend responde com
+ * um erro de esquema (inventorySchemaMessage). As demais são opcionais.
+ *
+ * @module InventoryColumns
+ * @version 1.0.0
+ * @author Tiago Possato
+ */
+
+/**
+ * Colunas conhecidas: rótulo, obrigatoriedade e cabeçalhos aceitos por padrão.
+ * Além de localidade, tombamento e especificação, as demais são atributos extras.
+ * @type {Object<string, {label: string, required: boolean, headers: string[]}>}
+ */
+export const INVENTORY_DEFAULT_COLUMNS = Object.freeze({
+  localidade: { label: 'Localidade', required: true, headers: ['localidade', 'local', 'setor', 'sala'] },
+  tombamento: { label: 'Tombamento', required: true, headers: ['tombamento', 'patrimonio', 'numero do patrimonio', 'n patrimonio', 'no patrimonio', 'plaqueta'] },
+  especificacao: { label: 'Especificação', required: false, headers: ['especificacao', 'descricao', 'denominacao', 'descricao do bem'] },
+  categoria: { label: 'Categoria', required: false, headers: ['categoria', 'classe', 'grupo', 'tipo do bem'] },
+  valor_aquisicao: { label: 'Valor de aquisição', required: false, headers: ['valor de aquisicao', 'valor aquisicao', 'valor'] },
+  responsavel: { label: 'Responsável', required: false, headers: ['responsavel', 'detentor', 'carga patrimonial'] }
+});
+
+/**
+ * Colunas que não são atributos extras (usadas diretamente pela base do app)
+ * @type {string[]}
+ */
+export const INVENTORY_CORE_KEYS = Object.freeze(['localidade', 'tombamento', 'especificacao']);
+
+/**
+ * Início da mensagem de erro de esquema (o frontend a reconhece por este texto)
+ * @type {string}
+ */
+export const INVENTORY_SCHEMA_ERROR = 'Esquema da aba inventario';
+
+/**
+ * Tamanho máximo do valor de um atributo extra
+ * @type {number}
+ */
+export const INVENTORY_ATTRIBUTE_MAX = 100;
+
+/**
+ * Normaliza um cabeçalho ou nome de coluna (sem acentos, minúsculas e `_`)
+ * @param {*} text - Texto
+ * @returns {string}
+ */
+export function inventoryHeaderKey(text) {
+  return String(text === null || text === undefined ? '' : text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Interpreta a chave `inventory_columns` e completa com as colunas padrão.
+ * Aceita o JSON (string) vindo da planilha ou um objeto já interpretado; cada
+ * coluna pode ser um cabeçalho, uma lista de cabeçalhos ou { label, headers, required }.
+ * @param {string|Object|null|undefined} raw - Valor de `inventory_columns`
+ * @returns {Array<{key: string, label: string, required: boolean, headers: string[]}>}
+ * Colunas na ordem padrão, seguidas das chaves novas
+ */
+export function parseInventoryColumns(raw) {
+  let config = raw;
+
+  if (typeof raw === 'string' && raw.trim() !== '') {
+    try {
+      config = JSON.parse(raw);
+    } catch (e) {
+      console.warn('parseInventoryColumns: JSON inválido em inventory_columns, usando colunas padrão', e.message);
+      config = null;
+    }
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) config = {};
+
+  const columns = [];
+  const byKey = Object.create(null);
+
+  Object.keys(INVENTORY_DEFAULT_COLUMNS).forEach(function (key) {
+    const column = INVENTORY_DEFAULT_COLUMNS[key];
+    byKey[key] = { key: key, label: column.label, required: column.required, headers: column.headers.slice() };
+    columns.push(byKey[key]);
+  });
+
+  Object.keys(config).forEach(function (name) {
+    const key = inventoryHeaderKey(name);
+    const value = config[name];
+    if (!key) return;
+
+    const entry = value !== null && typeof value === 'object' && !Array.isArray(value) ? value : { headers: value };
+    const headers = (Array.isArray(entry.headers) ? entry.headers : [entry.headers])
+      .map(function (header) { return String(header === null || header === undefined ? '' : header).trim(); })
+      .filter(function (header) { return header !== ''; });
+
+    let column = byKey[key];
+    if (!column) {
+      column = { key: key, label: String(name).trim(), required: false, headers: [key] };
+      byKey[key] = column;
+      columns.push(column);
+    }
+
+    // Cabeçalhos configurados são tentados antes dos padrão
+    column.headers = headers.concat(column.headers);
+    if (typeof entry.label === 'string' && entry.label.trim() !== '') column.label = entry.label.trim();
+    // Localidade e tombamento continuam obrigatórias
+    if (entry.required === true) column.required = true;
+  });
+
+  return columns;
+}
+
+/**
+ * Localiza as colunas no cabeçalho da aba `inventario`
+ * @param {Array} header - Primeira linha da aba
+ * @param {string|Object|null|undefined} raw - Valor de `inventory_columns`
+ * @returns {{columns: Object<string, number>, attributes: Array<{key: string, label: string}>, missing: Array<{key: string, label: string, headers: string[]}>}}
+ * Coluna (1 = A) de cada chave encontrada, atributos extras encontrados e colunas obrigatórias ausentes
+ */
+export function inventoryColumnMap(header, raw) {
+  const positions = Object.create(null);
+  (header || []).forEach(function (title, index) {
+    const key = inventoryHeaderKey(title);
+    if (key && !positions[key]) positions[key] = index + 1;
+  });
+
+  const result = { columns: {}, attributes: [], missing: [] };
+
+  parseInventoryColumns(raw).forEach(function (column) {
+    const found = column.headers
+      .map(function (title) { return positions[inventoryHeaderKey(title)]; })
+      .filter(function (position) { return position !== undefined; })[0];
+
+    if (found === undefined) {
+      if (column.required) result.missing.push({ key: column.key, label: column.label, headers: column.headers });
+      return;
+    }
+
+    result.columns[column.key] = found;
+    if (INVENTORY_CORE_KEYS.indexOf(column.key) === -1) {
+      result.attributes.push({ key: column.key, label: column.label });
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Mensagem do erro de esquema (colunas obrigatórias ausentes)
+ * @param {Array<{label: string, headers: string[]}>} missing - Colunas ausentes (de inventoryColumnMap)
+ * @returns {string}
+ */
+export function inventorySchemaMessage(missing) {
+  const details = missing.map(function (column) {
+    return '"' + column.label + '" (cabeçalhos aceitos: ' + column.headers.join(', ') + ')';
+  });
+  return INVENTORY_SCHEMA_ERROR + ': coluna(s) não encontrada(s): ' + details.join('; ') +
+    '. Ajuste o cabeçalho da aba ou a chave inventory_columns da aba app_config.';
+}
+
+/**
+ * Texto do erro de esquema da aba `inventario` contido em um erro do backend
+ * (o servidor local o devolve dentro do JSON da resposta HTTP)
+ * @param {Error|string|null|undefined} error - Erro recebido do backend
+ * @returns {string} Mensagem a partir de INVENTORY_SCHEMA_ERROR ('' se for outro erro)
+ */
+export function inventorySchemaErrorText(error) {
+  const message = error && typeof error === 'object' ? error.message : error;
+  const start = typeof message === 'string' ? message.indexOf(INVENTORY_SCHEMA_ERROR) : -1;
+  if (start === -1) return '';
+  return message.substring(start).replace(/\\"/g, '"').replace(/"\}\s*$/, '');
+}
+
+/**
+ * Valor de um atributo extra como texto (datas em AAAA-MM-DD)
+ * @param {*} value - Valor da célula
+ * @returns {string}
+ */
+export function inventoryAttributeValue(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? '' : value.toISOString().split('T')[0];
+  }
+  return String(value === null || value === undefined ? '' : value).trim().substring(0, INVENTORY_ATTRIBUTE_MAX);
+}
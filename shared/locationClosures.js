@@ -0,0 +1,223 @@
+/**
+ * @fileoverview LocationClosures - Conclusão (e reabertura) das localidades inventariadas
+ *
+ * Módulo compartilhado entre o frontend (botão "Concluir localidade", seletor e
+ * estatísticas), o servidor local (limites dos esquemas Joi) e o backend GAS (mesmas restrições
+ * de shared/assetCode.js: sem imports, apenas ES2017 e nomes globais com o prefixo
+ * LOCATION_CLOSURE / LocationClosure / locationClosure).
+ *
+ * A aba `conclusoes_localidades` é um registro de eventos: cada conclusão ou
+ * reabertura acrescenta uma linha e o último evento de cada localidade (na campanha)
+ * define a situação atual. As contagens da linha são as do momento da conclusão.
+ * @example
+ * id   | data             | localidade | campanha | acao      | responsavel | usuario | encontrados | faltantes | divergentes | motivo
+ * a1b2 | 10/03/2026 16:20 | Sala 101   | 2026-1   | concluida | Ana Souza   | ana     | 42          | 3         | 1           |
+ * c3d4 | 11/03/2026 09:05 | Sala 101   | 2026-1   | reaberta  | Ana Souza   | bruno   | 42          | 3         | 1           | Armário novo
+ *
+ * @module LocationClosures
+ * @version 1.0.0
+ * @author Tiago Possato
+ */
+
+/**
+ * Nome da aba com as conclusões das localidades
+ * @type {string}
+ */
+export const LOCATION_CLOSURE_SHEET_NAME = 'conclusoes_localidades';
+
+/**
+ * Cabeçalho da aba `conclusoes_localidades`
+ * @type {string[]}
+ */
+export const LOCATION_CLOSURE_HEADER = Object.freeze([
+  'id', 'data', 'localidade', 'campanha', 'acao', 'responsavel', 'usuario',
+  'encontrados', 'faltantes', 'divergentes', 'motivo'
+]);
+
+/**
+ * Tamanho máximo do nome do responsável e do motivo da reabertura
+ * @type {number}
+ */
+export const LOCATION_CLOSURE_TEXT_MAX = 200;
+
+/**
+ * Eventos registrados na coluna `acao`
+ * @readonly
+ * @enum {string}
+ */
+export const LocationClosureAction = Object.freeze({
+  /** @description Localidade concluída: o app e o saveCodeBatch não aceitam leituras nela */
+  CLOSED: 'concluida',
+  /** @description Localidade reaberta por um supervisor */
+  REOPENED: 'reaberta'
+});
+
+/**
+ * @typedef {Object} LocationClosure
+ * @property {string} location - Localidade
+ * @property {string} campaign - Campanha ('' sem campanhas)
+ * @property {string} closedAt - Data da conclusão (texto da célula)
+ * @property {string} responsible - Responsável informado na conclusão
+ * @property {string} user - Usuário que registrou a conclusão
+ * @property {number} found - Bens encontrados na conclusão
+ * @property {number} missing - Bens faltantes na conclusão
+ * @property {number} divergent - Leituras divergentes na conclusão
+ */
+
+/**
+ * @typedef {Object} LocationClosureCounts
+ * @property {number} total - Bens da localidade no inventário
+ * @property {number} found - Bens da localidade com leitura (em qualquer localidade)
+ * @property {number} missing - Bens da localidade sem leitura
+ * @property {number} divergent - Tombamentos lidos na localidade que o inventário
+ * coloca em outra localidade (ou que não estão no inventário)
+ */
+
+/**
+ * Texto de uma célula, sem espaços nas pontas
+ * @param {*} value - Valor da célula
+ * @returns {string}
+ */
+function locationClosureText(value) {
+  return String(value === null || value === undefined ? '' : value).trim();
+}
+
+/**
+ * Data da célula como texto (datas em DD/MM/AAAA HH:MM)
+ * @param {*} value - Valor da célula
+ * @returns {string}
+ */
+function locationClosureDateText(value) {
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return '';
+    const pad = function (number) { return (number < 10 ? '0' : '') + number; };
+    return pad(value.getDate()) + '/' + pad(value.getMonth() + 1) + '/' + value.getFullYear() +
+      ' ' + pad(value.getHours()) + ':' + pad(value.getMinutes());
+  }
+  return locationClosureText(value);
+}
+
+/**
+ * Interpreta as linhas da aba `conclusoes_localidades` (sem o cabeçalho) e retorna
+ * as localidades concluídas na campanha: vale o último evento de cada localidade.
+ * @param {Array<Array>|null|undefined} rows - Linhas da aba, na ordem da aba
+ * @param {*} campaign - Campanha ativa ('' sem campanhas cadastradas)
+ * @returns {LocationClosure[]} Localidades concluídas, na ordem da conclusão
+ */
+export function parseLocationClosures(rows, campaign) {
+  const campaignKey = locationClosureText(campaign);
+  let closures = [];
+
+  (Array.isArray(rows) ? rows : []).forEach(function (row) {
+    const values = Array.isArray(row) ? row : [];
+    const location = locationClosureText(values[2]);
+    if (location === '' || locationClosureText(values[3]) !== campaignKey) return;
+
+    const action = locationClosureText(values[4]).toLowerCase();
+    if (action !== LocationClosureAction.CLOSED && action !== LocationClosureAction.REOPENED) return;
+
+    closures = closures.filter(function (closure) { return closure.location !== location; });
+    if (action === LocationClosureAction.CLOSED) {
+      closures.push({
+        location: location,
+        campaign: campaignKey,
+        closedAt: locationClosureDateText(values[1]),
+        responsible: locationClosureText(values[5]),
+        user: locationClosureText(values[6]),
+        found: Number(values[7]) || 0,
+        missing: Number(values[8]) || 0,
+        divergent: Number(values[9]) || 0
+      });
+    }
+  });
+
+  return closures;
+}
+
+/**
+ * Conclusão de uma localidade
+ * @param {LocationClosure[]|null|undefined} closures - Conclusões de parseLocationClosures
+ * @param {*} location - Localidade procurada
+ * @returns {LocationClosure|null}
+ */
+export function findLocationClosure(closures, location) {
+  const key = locationClosureText(location);
+  if (key === '') return null;
+  return (closures || []).filter(function (closure) { return closure.location === key; })[0] || null;
+}
+
+/**
+ * Contagens de uma localidade para a conclusão
+ * @param {*} location - Localidade
+ * @param {Array<{location: *, code: *}>} inventory - Bens do inventário
+ * @param {Array<{location: *, code: *}>} readings - Leituras não canceladas (da campanha)
+ * @returns {LocationClosureCounts}
+ */
+export function locationClosureCounts(location, inventory, readings) {
+  const key = locationClosureText(location);
+  const inventoryLocation = Object.create(null);
+  const readCodes = Object.create(null);
+  const divergentCodes = Object.create(null);
+  let total = 0;
+  let found = 0;
+  let divergent = 0;
+
+  (inventory || []).forEach(function (asset) {
+    const code = parseInt(asset.code, 10);
+    if (isNaN(code)) return;
+    inventoryLocation[code] = locationClosureText(asset.location);
+  });
+
+  (readings || []).forEach(function (reading) {
+    const code = parseInt(reading.code, 10);
+    if (isNaN(code)) return;
+    readCodes[code] = true;
+
+    if (locationClosureText(reading.location) === key && inventoryLocation[code] !== key && !divergentCodes[code]) {
+      divergentCodes[code] = true;
+      divergent++;
+    }
+  });
+
+  Object.keys(inventoryLocation).forEach(function (code) {
+    if (inventoryLocation[code] !== key) return;
+    total++;
+    if (readCodes[code]) found++;
+  });
+
+  return { total: total, found: found, missing: total - found, divergent: divergent };
+}
+
+/**
+ * Motivo da recusa de uma conclusão ou reabertura pelos dados informados
+ * @param {LocationClosure[]} closures - Conclusões atuais (parseLocationClosures)
+ * @param {string} action - Valor de LocationClosureAction
+ * @param {*} location - Localidade
+ * @returns {string} Motivo ('' quando aceita)
+ */
+export function locationClosureReason(closures, action, location) {
+  const key = locationClosureText(location);
+  if (key === '') return 'Localidade não informada';
+
+  const closure = findLocationClosure(closures, key);
+  if (action === LocationClosureAction.CLOSED && closure) {
+    return 'Localidade já concluída: ' + key + (closure.responsible ? ' (' + closure.responsible + ')' : '');
+  }
+  if (action === LocationClosureAction.REOPENED && !closure) {
+    return 'Localidade não está concluída: ' + key;
+  }
+  return '';
+}
+
+/**
+ * Motivo da recusa de uma leitura (nova, alteração ou cancelamento) em localidade concluída
+ * @param {LocationClosure[]} closures - Conclusões da campanha da leitura (parseLocationClosures)
+ * @param {*} location - Localidade da leitura
+ * @returns {string} Motivo ('' quando a localidade não está concluída)
+ */
+export function locationClosureReadingReason(closures, location) {
+  const closure = findLocationClosure(closures, location);
+  if (!closure) return '';
+  return 'Localidade concluída: ' + closure.location + (closure.responsible ? ' (' + closure.responsible + ')' : '') +
+    '. Peça a reabertura a um supervisor';
+}
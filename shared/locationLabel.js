@@ -0,0 +1,50 @@
+/**
+ * @fileoverview LocationLabel - Formato das etiquetas de localidade
+ *
+ * Módulo compartilhado entre o frontend (processBarcode) e o backend GAS, que
+ * gera a folha de etiquetas no menu da planilha (mesmas restrições de
+ * shared/assetCode.js: sem imports, apenas ES2017 e nomes globais com o
+ * prefixo LOCATION_LABEL / LocationLabel).
+ *
+ * Uma etiqueta é um QR Code com o nome da localidade precedido de um prefixo
+ * reservado, que nunca forma um tombamento válido:
+ * @example
+ * locationLabelText('Sala 101');      // 'LOCAL:Sala 101'
+ * parseLocationLabel('LOCAL:Sala 101'); // 'Sala 101'
+ * parseLocationLabel('2023000123');     // null
+ *
+ * @module LocationLabel
+ * @version 1.0.0
+ * @author Tiago Possato
+ */
+
+/**
+ * Prefixo reservado das etiquetas de localidade
+ * @type {string}
+ */
+export const LOCATION_LABEL_PREFIX = 'LOCAL:';
+
+/**
+ * Monta o conteúdo do QR Code da etiqueta de uma localidade
+ * @param {string} locationName - Nome da localidade
+ * @returns {string}
+ */
+export function locationLabelText(locationName) {
+  return LOCATION_LABEL_PREFIX + String(locationName).trim();
+}
+
+/**
+ * Extrai a localidade de um código lido
+ * O prefixo é comparado sem diferenciar maiúsculas.
+ * @param {string} value - Código lido pelo scanner ou digitado
+ * @returns {string|null} Nome da localidade ou null quando não é uma etiqueta
+ */
+export function parseLocationLabel(value) {
+  const text = String(value === null || value === undefined ? '' : value).trim();
+  if (text.substring(0, LOCATION_LABEL_PREFIX.length).toUpperCase() !== LOCATION_LABEL_PREFIX) {
+    return null;
+  }
+
+  const name = text.substring(LOCATION_LABEL_PREFIX.length).trim();
+  return name === '' ? null : name;
+}
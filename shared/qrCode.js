@@ -0,0 +1,503 @@
+/**
+ * @fileoverview QrCode - Geração de QR Codes sem serviços externos
+ *
+ * Módulo compartilhado (mesmas restrições de shared/assetCode.js: sem imports,
+ * apenas ES2017 e nomes globais com o prefixo QR_CODE / qrCode). No Apps Script,
+ * gera o QR do link do leitor e das etiquetas de localidade sem enviar a URL da
+ * implantação a terceiros.
+ *
+ * Implementa o modo byte (texto em UTF-8), versões 1 a 40 (escolhida pelo tamanho
+ * do texto), os quatro níveis de correção de erros e a escolha automática da máscara
+ * (ISO/IEC 18004).
+ *
+ * @example
+ * const svg = qrCodeSvg('https://exemplo.com', { size: 200, errorCorrection: 'Q' });
+ * const matrix = qrCodeMatrix('LOCAL:Sala 101'); // matrix[y][x] === true: módulo escuro
+ *
+ * @module QrCode
+ * @version 1.0.0
+ * @author Tiago Possato
+ */
+
+/**
+ * Níveis de correção de erros (recuperam cerca de 7%, 15%, 25% e 30% do símbolo)
+ * @readonly
+ * @enum {string}
+ */
+export const QrCodeErrorCorrection = Object.freeze({
+  LOW: 'L',
+  MEDIUM: 'M',
+  QUARTILE: 'Q',
+  HIGH: 'H'
+});
+
+/**
+ * Opções padrão de geração
+ * @type {Object}
+ */
+export const QR_CODE_DEFAULT_OPTIONS = Object.freeze({
+  errorCorrection: QrCodeErrorCorrection.MEDIUM,
+  size: 200,
+  margin: 4,
+  dark: '#000000',
+  light: '#ffffff'
+});
+
+/**
+ * Tabelas da norma por nível (L, M, Q, H), indexadas pela versão (índice 0 sem uso)
+ * @type {Object}
+ */
+const QR_CODE_TABLES = Object.freeze({
+  // Posição do nível na tabela e bits de formato
+  levels: { L: { index: 0, formatBits: 1 }, M: { index: 1, formatBits: 0 }, Q: { index: 2, formatBits: 3 }, H: { index: 3, formatBits: 2 } },
+  eccCodewordsPerBlock: [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+  ],
+  errorCorrectionBlocks: [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+  ]
+});
+
+/**
+ * Codifica o texto em UTF-8 (o Apps Script não tem TextEncoder)
+ * @param {string} text - Texto
+ * @returns {number[]} Bytes
+ * @private
+ */
+function qrCodeUtf8Bytes(text) {
+  const bytes = [];
+  for (let i = 0; i < text.length; i++) {
+    let c = text.charCodeAt(i);
+
+    // Par substituto (caracteres fora do plano básico, como emojis)
+    if (c >= 0xD800 && c < 0xDC00 && i + 1 < text.length) {
+      const next = text.charCodeAt(i + 1);
+      if (next >= 0xDC00 && next < 0xE000) {
+        c = 0x10000 + ((c - 0xD800) << 10) + (next - 0xDC00);
+        i++;
+      }
+    }
+
+    if (c < 0x80) {
+      bytes.push(c);
+    } else if (c < 0x800) {
+      bytes.push(0xC0 | (c >> 6), 0x80 | (c & 0x3F));
+    } else if (c < 0x10000) {
+      bytes.push(0xE0 | (c >> 12), 0x80 | ((c >> 6) & 0x3F), 0x80 | (c & 0x3F));
+    } else {
+      bytes.push(0xF0 | (c >> 18), 0x80 | ((c >> 12) & 0x3F), 0x80 | ((c >> 6) & 0x3F), 0x80 | (c & 0x3F));
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Quantidade de módulos disponíveis para dados e correção em uma versão
+ * @param {number} version - Versão (1 a 40)
+ * @returns {number}
+ * @private
+ */
+function qrCodeRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+/**
+ * Quantidade de bytes de dados (sem correção) de uma versão e nível
+ * @param {number} version - Versão (1 a 40)
+ * @param {number} level - Índice do nível nas tabelas
+ * @returns {number}
+ * @private
+ */
+function qrCodeDataCodewords(version, level) {
+  return Math.floor(qrCodeRawDataModules(version) / 8) -
+    QR_CODE_TABLES.eccCodewordsPerBlock[level][version] * QR_CODE_TABLES.errorCorrectionBlocks[level][version];
+}
+
+/**
+ * Multiplicação no corpo de Galois GF(2^8) (polinômio 0x11D)
+ * @param {number} x - Fator
+ * @param {number} y - Fator
+ * @returns {number}
+ * @private
+ */
+function qrCodeGfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+/**
+ * Calcula os bytes de correção Reed-Solomon de um bloco
+ * @param {number[]} data - Bytes de dados do bloco
+ * @param {number} degree - Quantidade de bytes de correção
+ * @returns {number[]}
+ * @private
+ */
+function qrCodeReedSolomon(data, degree) {
+  // Polinômio gerador (coeficientes do maior para o menor grau, sem o líder)
+  const divisor = new Array(degree).fill(0);
+  divisor[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      divisor[j] = qrCodeGfMultiply(divisor[j], root);
+      if (j + 1 < degree) divisor[j] ^= divisor[j + 1];
+    }
+    root = qrCodeGfMultiply(root, 0x02);
+  }
+
+  const result = new Array(degree).fill(0);
+  data.forEach(function (b) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    for (let i = 0; i < degree; i++) {
+      result[i] ^= qrCodeGfMultiply(divisor[i], factor);
+    }
+  });
+  return result;
+}
+
+/**
+ * Posições (linha/coluna) dos padrões de alinhamento
+ * @param {number} version - Versão (1 a 40)
+ * @param {number} size - Lado do símbolo em módulos
+ * @returns {number[]}
+ * @private
+ */
+function qrCodeAlignmentPositions(version, size) {
+  if (version === 1) return [];
+
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) {
+    result.splice(1, 0, pos);
+  }
+  return result;
+}
+
+/**
+ * Pontuação de penalidade de um símbolo (quanto menor, mais fácil de ler)
+ * @param {boolean[][]} modules - Módulos
+ * @returns {number}
+ * @private
+ */
+function qrCodePenalty(modules) {
+  const size = modules.length;
+  let result = 0;
+
+  // Padrões parecidos com os localizadores (1:1:3:1:1 com 4 módulos claros em um dos lados)
+  const addHistory = function (runLength, history) {
+    if (history[0] === 0) runLength += size; // Borda clara antes do símbolo
+    history.pop();
+    history.unshift(runLength);
+  };
+  const countPatterns = function (h) {
+    const n = h[1];
+    const core = n > 0 && h[2] === n && h[3] === n * 3 && h[4] === n && h[5] === n;
+    return (core && h[0] >= n * 4 && h[6] >= n ? 1 : 0) + (core && h[6] >= n * 4 && h[0] >= n ? 1 : 0);
+  };
+  const terminateAndCount = function (runColor, runLength, history) {
+    if (runColor) {
+      addHistory(runLength, history);
+      runLength = 0;
+    }
+    addHistory(runLength + size, history); // Borda clara depois do símbolo
+    return countPatterns(history);
+  };
+
+  // Sequências de 5 ou mais módulos iguais e padrões de localizador, em linhas e colunas
+  for (let pass = 0; pass < 2; pass++) {
+    for (let a = 0; a < size; a++) {
+      let runColor = false;
+      let runLength = 0;
+      const history = [0, 0, 0, 0, 0, 0, 0];
+
+      for (let b = 0; b < size; b++) {
+        const color = pass === 0 ? modules[a][b] : modules[b][a];
+        if (color === runColor) {
+          runLength++;
+          if (runLength === 5) result += 3;
+          else if (runLength > 5) result++;
+        } else {
+          addHistory(runLength, history);
+          if (!runColor) result += countPatterns(history) * 40;
+          runColor = color;
+          runLength = 1;
+        }
+      }
+      result += terminateAndCount(runColor, runLength, history) * 40;
+    }
+  }
+
+  // Blocos 2x2 da mesma cor
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const color = modules[y][x];
+      if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+        result += 3;
+      }
+    }
+  }
+
+  // Proporção de módulos escuros distante de 50%
+  let dark = 0;
+  modules.forEach(function (row) {
+    row.forEach(function (color) { if (color) dark++; });
+  });
+  const total = size * size;
+  result += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+  return result;
+}
+
+/**
+ * Gera a matriz de módulos de um QR Code
+ * @param {string} text - Conteúdo (codificado em UTF-8, modo byte)
+ * @param {Object} [options] - Opções
+ * @param {string} [options.errorCorrection='M'] - Nível de correção ('L', 'M', 'Q' ou 'H')
+ * @returns {boolean[][]} Módulos por linha (true: escuro), sem a margem
+ * @throws {Error} Nível inválido ou texto grande demais para a versão 40
+ */
+export function qrCodeMatrix(text, options) {
+  const ecl = String((options && options.errorCorrection) || QR_CODE_DEFAULT_OPTIONS.errorCorrection).toUpperCase();
+  const levelInfo = QR_CODE_TABLES.levels[ecl];
+  if (!levelInfo) {
+    throw new Error(`Nível de correção de erros inválido: ${ecl} (use L, M, Q ou H)`);
+  }
+  const level = levelInfo.index;
+  const bytes = qrCodeUtf8Bytes(String(text === null || text === undefined ? '' : text));
+
+  // 1. Menor versão que comporta o texto (contador de 8 bits até a versão 9, 16 bits depois)
+  let version = 0;
+  for (let v = 1; v <= 40; v++) {
+    const usedBits = 4 + (v <= 9 ? 8 : 16) + bytes.length * 8;
+    if (usedBits <= qrCodeDataCodewords(v, level) * 8) {
+      version = v;
+      break;
+    }
+  }
+  if (version === 0) {
+    throw new Error(`Texto grande demais para um QR Code (${bytes.length} bytes no nível ${ecl})`);
+  }
+
+  // 2. Sequência de bits: modo byte, contador, dados, terminador e preenchimento
+  const capacityBits = qrCodeDataCodewords(version, level) * 8;
+  const bits = [];
+  const appendBits = function (value, length) {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  appendBits(0x4, 4);
+  appendBits(bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach(function (b) { appendBits(b, 8); });
+  appendBits(0, Math.min(4, capacityBits - bits.length));
+  appendBits(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+    appendBits(pad, 8);
+  }
+
+  const dataCodewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    let value = 0;
+    for (let j = 0; j < 8; j++) value = (value << 1) | bits[i + j];
+    dataCodewords.push(value);
+  }
+
+  // 3. Blocos com correção Reed-Solomon, intercalados
+  const numBlocks = QR_CODE_TABLES.errorCorrectionBlocks[level][version];
+  const blockEccLen = QR_CODE_TABLES.eccCodewordsPerBlock[level][version];
+  const rawCodewords = Math.floor(qrCodeRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const data = dataCodewords.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+    k += data.length;
+    const ecc = qrCodeReedSolomon(data, blockEccLen);
+    if (i < numShortBlocks) data.push(0); // Posição vazia para alinhar com os blocos longos
+    blocks.push(data.concat(ecc));
+  }
+
+  const codewords = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach(function (block, j) {
+      if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) codewords.push(block[i]);
+    });
+  }
+
+  // 4. Padrões fixos (localizadores, temporização, alinhamento e versão)
+  const size = version * 4 + 17;
+  const modules = [];
+  const isFunction = [];
+  for (let y = 0; y < size; y++) {
+    modules.push(new Array(size).fill(false));
+    isFunction.push(new Array(size).fill(false));
+  }
+  const setFunction = function (x, y, dark) {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(function (center) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = center[0] + dx;
+        const y = center[1] + dy;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) setFunction(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  });
+
+  const alignment = qrCodeAlignmentPositions(version, size);
+  const last = alignment.length - 1;
+  alignment.forEach(function (ay, i) {
+    alignment.forEach(function (ax, j) {
+      // Os cantos já têm localizadores
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setFunction(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  const drawFormatBits = function (mask) {
+    const data = levelInfo.formatBits << 3 | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const format = (data << 10 | rem) ^ 0x5412;
+    const bit = function (i) { return ((format >>> i) & 1) !== 0; };
+
+    for (let i = 0; i <= 5; i++) setFunction(8, i, bit(i));
+    setFunction(8, 7, bit(6));
+    setFunction(8, 8, bit(7));
+    setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) setFunction(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, bit(i));
+    setFunction(8, size - 8, true); // Módulo escuro fixo
+  };
+  drawFormatBits(0); // Reserva as posições antes de posicionar os dados
+
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+    const versionBits = version << 12 | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((versionBits >>> i) & 1) !== 0;
+      const a = size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      setFunction(a, b, dark);
+      setFunction(b, a, dark);
+    }
+  }
+
+  // 5. Dados em zigue-zague, de baixo para cima, em pares de colunas da direita para a esquerda
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5; // Pula a coluna de temporização
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!isFunction[y][x] && bitIndex < codewords.length * 8) {
+          modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) !== 0;
+          bitIndex++;
+        }
+      }
+    }
+  }
+
+  // 6. Máscara com a menor penalidade
+  const applyMask = function (mask) {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        let invert;
+        switch (mask) {
+          case 0: invert = (x + y) % 2 === 0; break;
+          case 1: invert = y % 2 === 0; break;
+          case 2: invert = x % 3 === 0; break;
+          case 3: invert = (x + y) % 3 === 0; break;
+          case 4: invert = (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; break;
+          case 5: invert = x * y % 2 + x * y % 3 === 0; break;
+          case 6: invert = (x * y % 2 + x * y % 3) % 2 === 0; break;
+          default: invert = ((x + y) % 2 + x * y % 3) % 2 === 0;
+        }
+        if (!isFunction[y][x] && invert) modules[y][x] = !modules[y][x];
+      }
+    }
+  };
+
+  let bestMask = 0;
+  let minPenalty = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    applyMask(mask);
+    drawFormatBits(mask);
+    const penalty = qrCodePenalty(modules);
+    if (penalty < minPenalty) {
+      bestMask = mask;
+      minPenalty = penalty;
+    }
+    applyMask(mask); // Desfaz (a máscara é um XOR)
+  }
+  applyMask(bestMask);
+  drawFormatBits(bestMask);
+
+  return modules;
+}
+
+/**
+ * Gera um QR Code em SVG (um único path, nítido em qualquer escala e na impressão)
+ * @param {string} text - Conteúdo
+ * @param {Object} [options] - Opções (padrões em QR_CODE_DEFAULT_OPTIONS)
+ * @param {string} [options.errorCorrection='M'] - Nível de correção ('L', 'M', 'Q' ou 'H')
+ * @param {number} [options.size=200] - Largura e altura em pixels
+ * @param {number} [options.margin=4] - Margem clara em módulos
+ * @param {string} [options.dark='#000000'] - Cor dos módulos escuros
+ * @param {string} [options.light='#ffffff'] - Cor do fundo (vazio: transparente)
+ * @returns {string} Elemento <svg>
+ */
+export function qrCodeSvg(text, options) {
+  const opts = Object.assign({}, QR_CODE_DEFAULT_OPTIONS, options || {});
+  const modules = qrCodeMatrix(text, opts);
+  const margin = Math.max(0, Math.floor(Number(opts.margin) || 0));
+  const viewBox = modules.length + margin * 2;
+  const size = Math.max(1, Math.round(Number(opts.size) || QR_CODE_DEFAULT_OPTIONS.size));
+
+  const path = [];
+  modules.forEach(function (row, y) {
+    row.forEach(function (dark, x) {
+      if (dark) path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+    });
+  });
+
+  const background = opts.light ? `<rect width="100%" height="100%" fill="${opts.light}"/>` : '';
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${viewBox} ${viewBox}" shape-rendering="crispEdges">` +
+    background +
+    `<path d="${path.join('')}" fill="${opts.dark}"/>` +
+    '</svg>';
+}
@@ -0,0 +1,380 @@
+/**
+ * @fileoverview ReadingFields - Campos das leituras definidos na planilha
+ *
+ * Módulo compartilhado entre o frontend (formulário de edição), o servidor local
+ * e o backend GAS (mesmas restrições de shared/assetCode.js: sem imports, apenas
+ * ES2017 e nomes globais com o prefixo READING / reading).
+ *
+ * A aba `campos_leitura` tem uma linha por campo. `campo` é o cabeçalho da coluna
+ * na aba `leituras` (comparado sem acentos, maiúsculas ou espaços). Os campos
+ * `estado`, `ipvu` e `obs` já existem: linhas com esses nomes mudam apenas rótulo,
+ * opções e valor padrão. Os demais vão em `item.fields` e são gravados na coluna
+ * com o mesmo cabeçalho (criada no fim da aba quando não existe).
+ *
+ * Tipos: `lista` (opções "valor=rótulo" separadas por ";"), `numero`, `texto`,
+ * `paragrafo` e `sim_nao`. Sem a aba, valem os campos padrão (os mesmos de antes).
+ *
+ * @example
+ * campo        | rotulo          | tipo    | opcoes                                 | obrigatorio | padrao
+ * estado       | Estado do Bem   | lista   | 0=Péssimo; 1=Ruim; 2=Regular; 3=Bom; 4=Excelente | sim | 3
+ * numero_serie | Número de série | texto   |                                        | não         |
+ * responsavel  | Responsável     | lista   | Ana; Bruno; Carla                      | sim         |
+ * tem_etiqueta | Possui etiqueta | sim_nao |                                        |             | sim
+ *
+ * @module ReadingFields
+ * @version 1.0.0
+ * @author Tiago Possato
+ */
+
+/**
+ * Tipos de campo aceitos na coluna `tipo`
+ * @readonly
+ * @enum {string}
+ */
+export const READING_FIELD_TYPES = Object.freeze({
+  SELECT: 'lista',
+  NUMBER: 'numero',
+  TEXT: 'texto',
+  TEXTAREA: 'paragrafo',
+  CHECKBOX: 'sim_nao'
+});
+
+/**
+ * Colunas fixas da aba `leituras`, na posição usada quando o cabeçalho não as identifica
+ * @type {string[]}
+ */
+export const READING_CORE_COLUMNS = Object.freeze([
+  'uid', 'data', 'tombamento', 'localidade', 'usuario', 'estado', 'ipvu', 'obs', 'origem', 'cancelado_em', 'fotos'
+]);
+
+/**
+ * Coluna da aba `leituras` com a campanha da leitura (shared/campaigns.js). Fica fora
+ * das colunas fixas: só é criada, no fim da aba, quando há campanhas cadastradas.
+ * @type {string}
+ */
+export const READING_CAMPAIGN_COLUMN = 'campanha';
+
+/**
+ * Campos fixos que a aba pode personalizar (nome do campo -> propriedade da leitura)
+ * @type {Object<string, string>}
+ */
+export const READING_BUILTIN_FIELDS = Object.freeze({
+  estado: 'state',
+  ipvu: 'ipvu',
+  obs: 'obs'
+});
+
+/**
+ * Tamanho máximo dos campos de texto (as observações mantêm o limite de 140)
+ * @type {number}
+ */
+export const READING_FIELD_TEXT_MAX = 500;
+
+/**
+ * Rótulos padrão dos estados do bem
+ * @type {Object<number, string>}
+ */
+const READING_STATE_LABELS = Object.freeze({ 0: 'Péssimo', 1: 'Ruim', 2: 'Regular', 3: 'Bom', 4: 'Excelente' });
+
+/**
+ * @typedef {Object} ReadingFieldOption
+ * @property {string} value - Valor gravado
+ * @property {string} label - Texto exibido
+ */
+
+/**
+ * @typedef {Object} ReadingField
+ * @property {string} key - Nome do campo (cabeçalho normalizado da coluna em `leituras`)
+ * @property {string|null} property - Propriedade da leitura nos campos fixos ('state', 'ipvu', 'obs'); null nos extras
+ * @property {string} label - Rótulo exibido no formulário
+ * @property {string} type - Tipo (READING_FIELD_TYPES)
+ * @property {ReadingFieldOption[]} options - Opções dos campos `lista`
+ * @property {boolean} required - O formulário não salva sem o valor
+ * @property {string|number|boolean} defaultValue - Valor das leituras novas
+ * @property {number} maxLength - Tamanho máximo dos campos de texto
+ */
+
+/**
+ * Normaliza um nome de campo ou cabeçalho ("Número de Série" -> "numero_de_serie")
+ * @param {*} text - Nome
+ * @returns {string}
+ */
+export function readingFieldKey(text) {
+  return String(text === null || text === undefined ? '' : text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Interpreta marcações de sim/não da planilha (TRUE, sim, s, x, 1)
+ * @param {*} value - Valor da célula
+ * @returns {boolean}
+ */
+export function readingFieldFlag(value) {
+  if (value === true) return true;
+  const text = readingFieldKey(value);
+  return text === 'true' || text === 'sim' || text === 's' || text === 'x' || text === '1' || text === 'yes';
+}
+
+/**
+ * Interpreta as opções de um campo `lista` ("0=Péssimo; 1=Ruim" ou "Ana; Bruno")
+ * @param {string|ReadingFieldOption[]} raw - Texto da célula ou opções já interpretadas
+ * @returns {ReadingFieldOption[]}
+ */
+function readingFieldOptions(raw) {
+  const seen = Object.create(null);
+  const parts = Array.isArray(raw)
+    ? raw.map(function (option) { return option && typeof option === 'object' ? option : { value: option, label: option }; })
+    : String(raw === null || raw === undefined ? '' : raw).split(/[;\n]/).map(function (part) {
+      const index = part.indexOf('=');
+      return index === -1
+        ? { value: part, label: part }
+        : { value: part.substring(0, index), label: part.substring(index + 1) };
+    });
+
+  return parts
+    .map(function (option) {
+      const value = String(option.value === null || option.value === undefined ? '' : option.value).trim();
+      const label = String(option.label === null || option.label === undefined ? '' : option.label).trim();
+      return { value: value, label: label || value };
+    })
+    .filter(function (option) {
+      if (option.value === '' || seen[option.value]) return false;
+      seen[option.value] = true;
+      return true;
+    });
+}
+
+/**
+ * Campos padrão (estado, vida útil e observações), com as opções das regras de validação
+ * @param {{states: number[], ipvuValues: number[]}} [rules] - Regras de parseReadingRules (omitidas: as padrão)
+ * @returns {ReadingField[]}
+ */
+export function readingDefaultFields(rules) {
+  const states = rules && Array.isArray(rules.states) ? rules.states : [0, 1, 2, 3, 4];
+  const ipvuValues = rules && Array.isArray(rules.ipvuValues) ? rules.ipvuValues : [0, 1, 2, 5, 8, 10];
+  const pick = function (values, preferred) {
+    return String(values.indexOf(preferred) !== -1 ? preferred : values[0]);
+  };
+
+  return [
+    {
+      key: 'estado', property: 'state', label: 'Estado do Bem', type: READING_FIELD_TYPES.SELECT,
+      options: states.map(function (v) { return { value: String(v), label: READING_STATE_LABELS[v] || String(v) }; }),
+      required: true, defaultValue: pick(states, 3), maxLength: 0
+    },
+    {
+      key: 'ipvu', property: 'ipvu', label: 'Vida Útil Estimada', type: READING_FIELD_TYPES.SELECT,
+      options: ipvuValues.map(function (v) { return { value: String(v), label: v === 1 ? '1 ano' : v + ' anos' }; }),
+      required: true, defaultValue: pick(ipvuValues, 8), maxLength: 0
+    },
+    {
+      key: 'obs', property: 'obs', label: 'Observações', type: READING_FIELD_TYPES.TEXTAREA,
+      options: [], required: false, defaultValue: '', maxLength: 140
+    }
+  ];
+}
+
+/**
+ * Normaliza o valor de um campo
+ * @param {ReadingField} field - Campo
+ * @param {*} raw - Valor recebido
+ * @returns {{valid: boolean, value: (string|number|boolean), reason: (string|undefined)}}
+ * Vazio é válido ('' ou false); a obrigatoriedade é verificada pelo formulário
+ */
+export function readingFieldValue(field, raw) {
+  if (field.type === READING_FIELD_TYPES.CHECKBOX) {
+    return { valid: true, value: readingFieldFlag(raw) };
+  }
+
+  const text = String(raw === null || raw === undefined ? '' : raw).trim();
+  if (text === '') {
+    return { valid: true, value: '' };
+  }
+
+  if (field.type === READING_FIELD_TYPES.SELECT) {
+    const found = field.options.some(function (option) { return option.value === text; });
+    return found
+      ? { valid: true, value: text }
+      : { valid: false, value: '', reason: 'Valor inválido em "' + field.label + '"' };
+  }
+
+  if (field.type === READING_FIELD_TYPES.NUMBER) {
+    const number = Number(text.replace(',', '.'));
+    return isFinite(number)
+      ? { valid: true, value: number }
+      : { valid: false, value: '', reason: 'Número inválido em "' + field.label + '"' };
+  }
+
+  return { valid: true, value: text.substring(0, field.maxLength || READING_FIELD_TEXT_MAX) };
+}
+
+/**
+ * Interpreta a aba `campos_leitura`.
+ * Aceita as linhas da aba (sem o cabeçalho) ou a lista já interpretada (ex.: vinda
+ * de getAppSettings). Linhas inválidas são ignoradas; campos fixos ausentes usam o padrão.
+ * @param {Array<Array>|ReadingField[]|null|undefined} raw - Linhas [campo, rotulo, tipo, opcoes, obrigatorio, padrao]
+ * @param {{states: number[], ipvuValues: number[]}} [rules] - Regras de parseReadingRules (opções padrão de estado e vida útil)
+ * @returns {ReadingField[]}
+ */
+export function parseReadingFields(raw, rules) {
+  const defaults = readingDefaultFields(rules);
+  if (!Array.isArray(raw)) return defaults;
+
+  const types = Object.keys(READING_FIELD_TYPES).map(function (name) { return READING_FIELD_TYPES[name]; });
+  const fields = [];
+  const seen = Object.create(null);
+
+  raw.forEach(function (entry) {
+    const row = Array.isArray(entry)
+      ? entry
+      : (entry && typeof entry === 'object'
+        ? [entry.key, entry.label, entry.type, entry.options, entry.required, entry.defaultValue]
+        : []);
+
+    const key = readingFieldKey(row[0]);
+    if (!key || seen[key]) return;
+
+    const label = String(row[1] === null || row[1] === undefined ? '' : row[1]).trim();
+    const type = readingFieldKey(row[2]);
+    const options = readingFieldOptions(row[3]);
+    let field;
+
+    if (READING_BUILTIN_FIELDS[key]) {
+      field = Object.assign({}, defaults.filter(function (f) { return f.key === key; })[0]);
+      if (label) field.label = label;
+
+      if (key === 'obs') {
+        if (type === READING_FIELD_TYPES.TEXT) field.type = type;
+        field.required = readingFieldFlag(row[4]);
+      } else if (options.length > 0) {
+        // Estado e vida útil são gravados como números
+        const numeric = options.every(function (option) { return Number.isInteger(Number(option.value)) && option.value !== ''; });
+        if (numeric) {
+          field.options = options.map(function (option) { return { value: String(Number(option.value)), label: option.label }; });
+        } else {
+          console.warn('parseReadingFields: opções de "' + key + '" devem ser números inteiros, usando as padrão');
+        }
+      }
+
+      const fallback = field.defaultValue;
+      field.defaultValue = '';
+      const configured = readingFieldValue(field, row[5]);
+      field.defaultValue = configured.valid && configured.value !== '' ? String(configured.value) : fallback;
+      if (field.type === READING_FIELD_TYPES.SELECT && !field.options.some(function (o) { return o.value === field.defaultValue; })) {
+        field.defaultValue = field.options[0].value;
+      }
+    } else {
+      if (READING_CORE_COLUMNS.indexOf(key) !== -1 || key === READING_CAMPAIGN_COLUMN) {
+        console.warn('parseReadingFields: "' + key + '" é uma coluna fixa da aba leituras e não pode ser um campo');
+        return;
+      }
+      if (types.indexOf(type) === -1) {
+        console.warn('parseReadingFields: tipo "' + row[2] + '" desconhecido em "' + key + '", usando texto');
+      }
+      field = {
+        key: key,
+        property: null,
+        label: label || key,
+        type: types.indexOf(type) !== -1 ? type : READING_FIELD_TYPES.TEXT,
+        options: options,
+        required: readingFieldFlag(row[4]),
+        defaultValue: '',
+        maxLength: READING_FIELD_TEXT_MAX
+      };
+      if (field.type === READING_FIELD_TYPES.SELECT && options.length === 0) {
+        console.warn('parseReadingFields: campo "' + key + '" do tipo lista sem opções foi ignorado');
+        return;
+      }
+      if (field.type !== READING_FIELD_TYPES.SELECT) field.options = [];
+      const configured = readingFieldValue(field, row[5]);
+      field.defaultValue = configured.valid ? configured.value : '';
+    }
+
+    seen[key] = true;
+    fields.push(field);
+  });
+
+  // Campos fixos que a aba não lista entram logo após o campo fixo anterior
+  // (ou no início), mantendo a ordem padrão estado, vida útil, observações
+  let position = 0;
+  defaults.forEach(function (field) {
+    if (seen[field.key]) {
+      position = fields.map(function (f) { return f.key; }).indexOf(field.key) + 1;
+      return;
+    }
+    fields.splice(position, 0, field);
+    position++;
+  });
+  return fields;
+}
+
+/**
+ * Regras de validação com os estados e as vidas úteis das opções dos campos
+ * @param {Object} rules - Regras de parseReadingRules
+ * @param {ReadingField[]} fields - Campos de parseReadingFields
+ * @returns {Object} Cópia das regras
+ */
+export function readingFieldRules(rules, fields) {
+  const values = function (key, fallback) {
+    const field = fields.filter(function (f) { return f.key === key; })[0];
+    return field && field.options.length > 0
+      ? field.options.map(function (option) { return Number(option.value); })
+      : fallback;
+  };
+
+  return Object.assign({}, rules, {
+    states: values('estado', rules.states),
+    ipvuValues: values('ipvu', rules.ipvuValues)
+  });
+}
+
+/**
+ * Valida e normaliza os campos extras enviados em `item.fields`.
+ * Campos ausentes não entram no resultado (a coluna mantém o valor atual) e
+ * nomes desconhecidos são ignorados.
+ * @param {Object} item - Leitura recebida
+ * @param {ReadingField[]} fields - Campos de parseReadingFields
+ * @returns {{valid: boolean, values: Object<string, (string|number|boolean)>, reason: (string|undefined)}}
+ */
+export function readingExtraValues(item, fields) {
+  const raw = item && item.fields && typeof item.fields === 'object' ? item.fields : {};
+  const values = {};
+
+  for (let i = 0; i < fields.length; i++) {
+    const field = fields[i];
+    if (field.property || !Object.prototype.hasOwnProperty.call(raw, field.key)) continue;
+
+    const result = readingFieldValue(field, raw[field.key]);
+    if (!result.valid) {
+      return { valid: false, values: {}, reason: result.reason };
+    }
+    values[field.key] = result.value;
+  }
+
+  return { valid: true, values: values };
+}
+
+/**
+ * Coluna (1 = A) de cada campo pelo cabeçalho da aba `leituras`.
+ * Colunas fixas sem cabeçalho reconhecível ficam na posição padrão.
+ * @param {Array} header - Primeira linha da aba
+ * @returns {Object<string, number>}
+ */
+export function readingColumnMap(header) {
+  const columns = {};
+
+  (header || []).forEach(function (title, index) {
+    const key = readingFieldKey(title);
+    if (key && !columns[key]) columns[key] = index + 1;
+  });
+
+  READING_CORE_COLUMNS.forEach(function (key, index) {
+    if (!columns[key]) columns[key] = index + 1;
+  });
+
+  return columns;
+}
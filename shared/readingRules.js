@@ -0,0 +1,148 @@
+/**
+ * @fileoverview ReadingRules - Validação das leituras recebidas pelo saveCodeBatch
+ *
+ * Módulo compartilhado entre o frontend (readingCodeKey), o servidor local (esquemas
+ * Joi) e o backend GAS (mesmas restrições de shared/assetCode.js: sem imports, apenas
+ * ES2017 e nomes globais com o prefixo READING / Reading).
+ *
+ * As regras vêm da chave `reading_validation_rules` da aba `app_config`, em JSON;
+ * chaves ausentes ou inválidas usam o valor padrão:
+ * @example
+ * {
+ *   "states": [0, 1, 2, 3, 4],
+ *   "ipvuValues": [0, 1, 2, 5, 8, 10],
+ *   "requireInventoryCode": true,
+ *   "requireKnownLocation": true
+ * }
+ *
+ * @module ReadingRules
+ * @version 1.0.0
+ * @author Tiago Possato
+ */
+
+/**
+ * Regras padrão (mesmas opções do modal de edição do frontend)
+ * @type {Object}
+ */
+export const READING_DEFAULT_RULES = Object.freeze({
+  states: Object.freeze([0, 1, 2, 3, 4]),
+  ipvuValues: Object.freeze([0, 1, 2, 5, 8, 10]),
+  requireInventoryCode: true,
+  requireKnownLocation: true
+});
+
+/**
+ * Interpreta e completa as regras configuradas.
+ * Aceita o JSON (string) vindo da planilha ou um objeto já interpretado.
+ * @param {string|Object|null|undefined} raw - Valor de `reading_validation_rules`
+ * @returns {{states: number[], ipvuValues: number[], requireInventoryCode: boolean, requireKnownLocation: boolean}}
+ */
+export function parseReadingRules(raw) {
+  let config = raw;
+
+  if (typeof raw === 'string') {
+    if (raw.trim() === '') return READING_DEFAULT_RULES;
+    try {
+      config = JSON.parse(raw);
+    } catch (e) {
+      console.warn('parseReadingRules: JSON inválido em reading_validation_rules, usando regras padrão', e.message);
+      return READING_DEFAULT_RULES;
+    }
+  }
+
+  if (!config || typeof config !== 'object') return READING_DEFAULT_RULES;
+
+  // Lista de inteiros; vazia ou inválida usa o padrão
+  const integerList = function (value, fallback) {
+    if (!Array.isArray(value)) return fallback;
+    const list = value
+      .map(function (v) { return Number(v); })
+      .filter(function (v) { return Number.isInteger(v); });
+    return list.length > 0 ? list : fallback;
+  };
+
+  return {
+    states: integerList(config.states, READING_DEFAULT_RULES.states),
+    ipvuValues: integerList(config.ipvuValues, READING_DEFAULT_RULES.ipvuValues),
+    requireInventoryCode: config.requireInventoryCode !== false,
+    requireKnownLocation: config.requireKnownLocation !== false
+  };
+}
+
+/**
+ * Motivo de recusa de cada regra (o mesmo texto nos dois backends)
+ * @param {string} field - 'state', 'ipvu', 'code' ou 'location'
+ * @param {Object} rules - Regras já interpretadas por parseReadingRules
+ * @returns {string}
+ */
+export function readingRuleReason(field, rules) {
+  switch (field) {
+    case 'state':
+      return 'Estado inválido (permitidos: ' + rules.states.join(', ') + ')';
+    case 'ipvu':
+      return 'Vida útil inválida (permitidos: ' + rules.ipvuValues.join(', ') + ')';
+    case 'code':
+      return 'Tombamento não consta no inventário';
+    case 'location':
+      return 'Localidade não cadastrada';
+    default:
+      return 'Leitura inválida';
+  }
+}
+
+/**
+ * Chave de comparação de tombamentos (como o getInventoryData, que usa parseInt)
+ * @param {string|number} value - Tombamento
+ * @returns {string}
+ */
+export function readingCodeKey(value) {
+  const text = String(value === null || value === undefined ? '' : value).trim();
+  const number = parseInt(text, 10);
+  return isNaN(number) ? text : String(number);
+}
+
+/**
+ * @typedef {Object} ReadingCatalog
+ * @property {Set<string>|null} codes - Tombamentos do inventário (chaves de readingCodeKey)
+ * @property {Set<string>|null} locations - Localidades cadastradas (sem espaços nas pontas)
+ */
+
+/**
+ * @typedef {Object} ReadingValidation
+ * @property {boolean} valid - Leitura aceita
+ * @property {string} [reason] - Motivo da recusa
+ */
+
+/**
+ * Valida estado, vida útil, tombamento e localidade de uma leitura
+ * @param {Object} item - Leitura recebida ({ code, location, state, ipvu })
+ * @param {Object} rules - Regras já interpretadas por parseReadingRules
+ * @param {ReadingCatalog} [catalog] - Cadastro para as regras de tombamento/localidade (omitido: não verifica)
+ * @returns {ReadingValidation}
+ */
+export function validateReading(item, rules, catalog) {
+  // Vazio não vira 0 (Number('') === 0)
+  const toInteger = function (value) {
+    return value === null || value === undefined || String(value).trim() === '' ? NaN : Number(value);
+  };
+
+  const state = toInteger(item.state);
+  if (!Number.isInteger(state) || rules.states.indexOf(state) === -1) {
+    return { valid: false, reason: readingRuleReason('state', rules) };
+  }
+
+  const ipvu = toInteger(item.ipvu);
+  if (!Number.isInteger(ipvu) || rules.ipvuValues.indexOf(ipvu) === -1) {
+    return { valid: false, reason: readingRuleReason('ipvu', rules) };
+  }
+
+  if (catalog && catalog.codes && rules.requireInventoryCode && !catalog.codes.has(readingCodeKey(item.code))) {
+    return { valid: false, reason: readingRuleReason('code', rules) };
+  }
+
+  if (catalog && catalog.locations && rules.requireKnownLocation && !catalog.locations.has(String(item.location).trim())) {
+    return { valid: false, reason: readingRuleReason('location', rules) };
+  }
+
+  return { valid: true };
+}
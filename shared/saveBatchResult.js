@@ -0,0 +1,37 @@
+/**
+ * @fileoverview SaveBatchResult - Protocolo de resposta do saveCodeBatch
+ *
+ * Módulo compartilhado entre o frontend, o servidor local e o backend GAS
+ * (mesmas restrições de shared/assetCode.js: sem imports e apenas ES2017).
+ *
+ * O saveCodeBatch retorna um resultado por item:
+ * @example
+ * [
+ *   { uid: 'abc', status: 'saved' },
+ *   { uid: 'def', status: 'updated' },
+ *   { uid: 'ghi', status: 'rejected', reason: 'Formato não reconhecido' },
+ *   { uid: 'jkl', status: 'retryable', reason: 'Falha ao gravar a linha' }
+ * ]
+ *
+ * Versões antigas do backend retornam apenas o array de UIDs persistidos.
+ *
+ * @module SaveBatchResult
+ * @version 1.0.0
+ * @author Tiago Possato
+ */
+
+/**
+ * Status possíveis de um item no retorno do saveCodeBatch
+ * @readonly
+ * @enum {string}
+ */
+export const SaveBatchStatus = Object.freeze({
+  /** @description Linha nova gravada */
+  SAVED: 'saved',
+  /** @description Linha existente (mesmo uid) atualizada */
+  UPDATED: 'updated',
+  /** @description Nunca será aceito (ex.: código fora das regras); não deve ser reenviado */
+  REJECTED: 'rejected',
+  /** @description Falha transitória; pode ser reenviado */
+  RETRYABLE: 'retryable'
+});
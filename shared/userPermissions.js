@@ -0,0 +1,249 @@
+/**
+ * @fileoverview UserPermissions - Papéis e localidades dos usuários do app
+ *
+ * Módulo compartilhado entre o frontend (localidades e ações exibidas) e o backend
+ * GAS (mesmas restrições de shared/assetCode.js: sem imports, apenas ES2017 e
+ * nomes globais com o prefixo USER / user).
+ *
+ * A aba `usuarios` tem uma linha por usuário, identificado pelo e-mail da conta
+ * Google. A coluna `localidades` lista as localidades que o usuário pode
+ * inventariar, separadas por `;` (`*` libera todas). Sem a aba (ou com ela vazia)
+ * não há controle de acesso e todos podem tudo, como antes.
+ * @example
+ * email                 | nome  | papel       | localidades
+ * ana@dominio.edu.br    | Ana   | colaborador | Sala 101; Sala 102
+ * bruno@dominio.edu.br  | Bruno | supervisor  | *
+ * carla@dominio.edu.br  | Carla | admin       |
+ *
+ * @module UserPermissions
+ * @version 1.0.0
+ * @author Tiago Possato
+ */
+
+/**
+ * Nome da aba com o cadastro dos usuários
+ * @type {string}
+ */
+export const USERS_SHEET_NAME = 'usuarios';
+
+/**
+ * Cabeçalho da aba `usuarios`
+ * @type {string[]}
+ */
+export const USERS_HEADER = Object.freeze(['email', 'nome', 'papel', 'localidades']);
+
+/**
+ * Valor da coluna `localidades` que libera todas as localidades
+ * @type {string}
+ */
+export const USER_ALL_LOCATIONS = '*';
+
+/**
+ * Papéis dos usuários (coluna `papel`)
+ * @readonly
+ * @enum {string}
+ */
+export const UserRole = Object.freeze({
+  /** @description Registra leituras, fotos e observações nas suas localidades */
+  COLLABORATOR: 'colaborador',
+  /** @description Colaborador que também imprime etiquetas, marca reimpressões e reabre localidades */
+  SUPERVISOR: 'supervisor',
+  /** @description Tudo, em todas as localidades (inclusive decidir transferências) */
+  ADMIN: 'admin'
+});
+
+/**
+ * Ações controladas pelo papel do usuário
+ * @readonly
+ * @enum {string}
+ */
+export const UserAction = Object.freeze({
+  /** @description Gravar, alterar e cancelar leituras e enviar fotos (saveCodeBatch, savePhoto) */
+  READINGS: 'leituras',
+  /** @description Enviar observações das localidades (saveMessage) */
+  MESSAGES: 'observacoes',
+  /** @description Etiquetas de localidade e reimpressão de etiquetas (menu da planilha) */
+  LABELS: 'etiquetas',
+  /** @description Aprovar ou recusar transferências (altera a aba inventario) */
+  TRANSFERS: 'transferencias',
+  /** @description Reabrir localidades concluídas (reopenLocation) */
+  REOPEN_LOCATIONS: 'reabrir_localidades'
+});
+
+/**
+ * Ações de cada papel
+ * @type {Object<string, string[]>}
+ */
+const USER_ROLE_ACTIONS = Object.freeze({
+  colaborador: [UserAction.READINGS, UserAction.MESSAGES],
+  supervisor: [UserAction.READINGS, UserAction.MESSAGES, UserAction.LABELS, UserAction.REOPEN_LOCATIONS],
+  admin: [UserAction.READINGS, UserAction.MESSAGES, UserAction.LABELS, UserAction.TRANSFERS, UserAction.REOPEN_LOCATIONS]
+});
+
+/**
+ * @typedef {Object} UserEntry
+ * @property {string} email - E-mail (minúsculas)
+ * @property {string} name - Nome exibido
+ * @property {string} role - Valor de UserRole ('' para papel desconhecido)
+ * @property {boolean} allLocations - Todas as localidades liberadas
+ * @property {string[]} locations - Localidades liberadas (quando allLocations é false)
+ */
+
+/**
+ * @typedef {Object} UserPermissionSet
+ * @property {boolean} enforced - Há usuários cadastrados (false: todos podem tudo)
+ * @property {string} email - E-mail do usuário
+ * @property {string} name - Nome do cadastro ('' se não cadastrado)
+ * @property {string} role - Papel ('' se não cadastrado)
+ * @property {string[]} actions - Valores de UserAction permitidos
+ * @property {boolean} allLocations - Todas as localidades liberadas
+ * @property {string[]} locations - Localidades liberadas (quando allLocations é false)
+ */
+
+/**
+ * E-mail normalizado para comparação (minúsculas, sem espaços nas pontas)
+ * @param {*} value - E-mail
+ * @returns {string}
+ */
+export function userEmailKey(value) {
+  return String(value === null || value === undefined ? '' : value).trim().toLowerCase();
+}
+
+/**
+ * Nome de localidade normalizado para comparação (como o LocationSelector.findLocation)
+ * @param {*} value - Localidade
+ * @returns {string}
+ */
+function userLocationKey(value) {
+  return String(value === null || value === undefined ? '' : value).trim().toLowerCase();
+}
+
+/**
+ * Interpreta as linhas da aba `usuarios` (sem o cabeçalho).
+ * Linhas sem e-mail são ignoradas; e-mails repetidos valem pela primeira linha.
+ * Papéis desconhecidos deixam o usuário sem acesso (role ''), mas a linha conta
+ * como cadastro: um erro de digitação não desliga o controle de acesso.
+ * @param {Array<Array>|null|undefined} rows - Linhas da aba
+ * @returns {UserEntry[]} Usuários na ordem da aba
+ */
+export function parseUsers(rows) {
+  const users = [];
+  const seen = Object.create(null);
+
+  (Array.isArray(rows) ? rows : []).forEach(function (row) {
+    const values = Array.isArray(row) ? row : [];
+    const email = userEmailKey(values[0]);
+    if (email === '') return;
+    if (seen[email]) {
+      console.warn('parseUsers: usuário "' + email + '" repetido, usando a primeira linha');
+      return;
+    }
+    seen[email] = true;
+
+    let role = String(values[2] === null || values[2] === undefined ? '' : values[2]).trim().toLowerCase();
+    if (!USER_ROLE_ACTIONS[role]) {
+      console.warn('parseUsers: papel "' + values[2] + '" desconhecido para "' + email + '", usuário sem acesso');
+      role = '';
+    }
+
+    const locations = String(values[3] === null || values[3] === undefined ? '' : values[3])
+      .split(/[;\n]/)
+      .map(function (location) { return location.trim(); })
+      .filter(function (location) { return location !== ''; });
+
+    users.push({
+      email: email,
+      name: String(values[1] === null || values[1] === undefined ? '' : values[1]).trim() || email.split('@')[0],
+      role: role,
+      allLocations: role === UserRole.ADMIN || locations.indexOf(USER_ALL_LOCATIONS) !== -1,
+      locations: locations.filter(function (location) { return location !== USER_ALL_LOCATIONS; })
+    });
+  });
+
+  return users;
+}
+
+/**
+ * Permissões de um usuário
+ * @param {UserEntry[]} users - Usuários de parseUsers
+ * @param {*} email - E-mail do usuário ativo
+ * @returns {UserPermissionSet}
+ */
+export function userPermissions(users, email) {
+  const key = userEmailKey(email);
+
+  if (users.length === 0) {
+    return {
+      enforced: false, email: key, name: '', role: '',
+      actions: USER_ROLE_ACTIONS[UserRole.ADMIN].slice(), allLocations: true, locations: []
+    };
+  }
+
+  const user = users.filter(function (entry) { return entry.email === key; })[0];
+  if (!user || !user.role) {
+    return { enforced: true, email: key, name: user ? user.name : '', role: '', actions: [], allLocations: false, locations: [] };
+  }
+
+  return {
+    enforced: true,
+    email: key,
+    name: user.name,
+    role: user.role,
+    actions: USER_ROLE_ACTIONS[user.role].slice(),
+    allLocations: user.allLocations,
+    locations: user.locations.slice()
+  };
+}
+
+/**
+ * Indica se o usuário pode executar a ação
+ * @param {UserPermissionSet|null|undefined} permissions - Permissões de userPermissions
+ * @param {string} action - Valor de UserAction
+ * @returns {boolean} true também quando não há controle de acesso
+ */
+export function userCan(permissions, action) {
+  if (!permissions || permissions.enforced !== true) return true;
+  return Array.isArray(permissions.actions) && permissions.actions.indexOf(action) !== -1;
+}
+
+/**
+ * Indica se a localidade está liberada para o usuário
+ * @param {UserPermissionSet|null|undefined} permissions - Permissões de userPermissions
+ * @param {*} location - Localidade
+ * @returns {boolean} true também quando não há controle de acesso
+ */
+export function userLocationAllowed(permissions, location) {
+  if (!permissions || permissions.enforced !== true || permissions.allLocations === true) return true;
+  const key = userLocationKey(location);
+  return key !== '' && (permissions.locations || []).some(function (allowed) {
+    return userLocationKey(allowed) === key;
+  });
+}
+
+/**
+ * Motivo da recusa de uma ação do usuário
+ * @param {UserPermissionSet} permissions - Permissões de userPermissions
+ * @param {string} action - Valor de UserAction
+ * @returns {string} Motivo ('' quando permitida)
+ */
+export function userActionReason(permissions, action) {
+  if (userCan(permissions, action)) return '';
+  if (!permissions.role) {
+    return 'Usuário sem acesso ao inventário: ' + (permissions.email || 'não identificado');
+  }
+  return 'Ação "' + action + '" não permitida para o papel ' + permissions.role;
+}
+
+/**
+ * Motivo da recusa de uma leitura (ou observação, conclusão de localidade) pela localidade
+ * @param {UserPermissionSet} permissions - Permissões de userPermissions
+ * @param {string} action - Valor de UserAction (READINGS, MESSAGES ou REOPEN_LOCATIONS)
+ * @param {*} location - Localidade da leitura
+ * @returns {string} Motivo ('' quando aceita)
+ */
+export function userLocationReason(permissions, action, location) {
+  const reason = userActionReason(permissions, action);
+  if (reason) return reason;
+  if (userLocationAllowed(permissions, location)) return '';
+  return 'Localidade não liberada para o usuário: ' + String(location === null || location === undefined ? '' : location).trim();
+}
@@ -0,0 +1,83 @@
+/**
+ * Tombamentos normalizados pelo app e conferidos pelo saveCodeBatch
+ * (shared/assetCode.js e backend/main.js pelo servidor local).
+ *
+ * Executar com `npm test` (node:test, sem dependências).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ASSET_CODE_NUMERIC_REASON, parseAssetCodeRules, validateAssetCode, validateNormalizedAssetCode } from '../shared/assetCode.js';
+import { createBackend, READING } from './helpers/backend.js';
+
+const CODE_RULES = {
+  rules: [
+    { name: 'Etiqueta EAN', pattern: '^\\d{13}$', checkDigit: 'ean13', dropCheckDigit: true },
+    { name: 'Plaqueta com zeros', pattern: '^0\\d{7}$' }
+  ]
+};
+
+test('o código normalizado pelo app é aceito sem normalizar de novo', () => {
+  const rules = parseAssetCodeRules(CODE_RULES);
+
+  const ean = validateAssetCode('7891234567895', rules);
+  assert.deepEqual(ean, { valid: true, code: '789123456789', rule: 'Etiqueta EAN' });
+  assert.equal(validateNormalizedAssetCode(ean.code, rules).valid, true);
+  // Os 12 dígitos não atendem o padrão da leitura: normalizar de novo recusaria o código
+  assert.equal(validateAssetCode(ean.code, rules).valid, false);
+
+  const zeros = validateAssetCode(' 00123456 ', rules);
+  assert.deepEqual(zeros, { valid: true, code: '00123456', rule: 'Plaqueta com zeros' });
+  assert.equal(validateNormalizedAssetCode(zeros.code, rules).valid, true);
+});
+
+test('códigos que nenhuma regra produz são recusados', () => {
+  const rules = parseAssetCodeRules(CODE_RULES);
+
+  assert.equal(validateNormalizedAssetCode('7891234567895', rules).valid, false);
+  assert.equal(validateNormalizedAssetCode('123456', rules).valid, false);
+  assert.equal(validateNormalizedAssetCode('0012 3456', rules).valid, false);
+  assert.equal(validateNormalizedAssetCode('', rules).reason, 'Código vazio');
+});
+
+test('códigos com letras que atendem uma regra são recusados como não numéricos', () => {
+  const rules = parseAssetCodeRules({ rules: [{ name: 'Plaqueta', pattern: '^[A-Z]{2}\\d{4}$' }] });
+
+  assert.deepEqual(validateAssetCode('ab1234', rules),
+    { valid: false, code: 'AB1234', rule: null, reason: ASSET_CODE_NUMERIC_REASON });
+  assert.equal(validateNormalizedAssetCode('AB1234', rules).reason, ASSET_CODE_NUMERIC_REASON);
+  assert.equal(validateAssetCode('1234', rules).reason, 'Formato não reconhecido');
+});
+
+test('saveCodeBatch grava EAN sem verificador e preserva zeros à esquerda', async () => {
+  const ctx = await createBackend({
+    sheets: {
+      app_config: [
+        ['chave', 'valor'],
+        ['inventory_open', 'TRUE'],
+        ['code_validation_rules', JSON.stringify(CODE_RULES)]
+      ],
+      inventario: [
+        ['localidade', 'tombamento', 'especificacao'],
+        ['Sala 1', '789123456789', 'Mesa'],
+        ['Sala 1', '00123456', 'Cadeira']
+      ]
+    }
+  });
+  try {
+    const reading = Object.assign({ location: 'Sala 1' }, READING);
+    const result = await ctx.backend.saveCodeBatch([
+      Object.assign({ uid: 'ean', code: '789123456789' }, reading),
+      Object.assign({ uid: 'zeros', code: '00123456' }, reading)
+    ]);
+    assert.deepEqual(result.map(item => item.status), ['saved', 'saved']);
+
+    const rows = await ctx.storage.getRangeData("'leituras'!A2:C");
+    assert.deepEqual(rows.map(row => [row[0], row[2]]), [['ean', '789123456789'], ['zeros', '00123456']]);
+
+    // Os zeros continuam na planilha lida de novo (nova chamada) e no resumo
+    const summary = await ctx.backend.getInventorySummary();
+    assert.deepEqual(summary.assetsFinded, [{ location: 'Sala 1', assets: ['789123456789', '00123456'] }]);
+  } finally {
+    ctx.cleanup();
+  }
+});
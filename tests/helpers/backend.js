@@ -0,0 +1,82 @@
+/**
+ * Montagem do backend local para os testes: backend/main.js real (BackendRuntime)
+ * sobre um armazenamento em um diretório temporário.
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileSheetsService } from '../../local_server/file-sheets-service.js';
+import { GoogleSheetsService } from '../../local_server/google-sheets-service.js';
+import { BackendRuntime } from '../../local_server/backend-runtime.js';
+import { FakeSheetsApi } from './fakeSheetsApi.js';
+
+// Inventário aberto, sem outras configurações
+const DEFAULT_CONFIG = [['chave', 'valor'], ['inventory_open', 'TRUE']];
+
+/**
+ * Campos fixos de uma leitura enviada ao saveCodeBatch
+ * @type {{state: number, ipvu: number, obs: string, source: string}}
+ */
+export const READING = Object.freeze({ state: 3, ipvu: 8, obs: '', source: 'teste' });
+
+/**
+ * Cria o backend sobre arquivos (FileSheetsService) ou sobre a API do Google simulada
+ * (GoogleSheetsService com FakeSheetsApi)
+ * @param {Object} [options]
+ * @param {Object<string, Array<Array>>} [options.sheets] - Linhas de cada aba (app_config padrão: inventário aberto)
+ * @param {'file'|'google'} [options.storage='file'] - Armazenamento
+ * @returns {Promise<{backend: BackendRuntime, storage: Object, dataDir: string, api: FakeSheetsApi|null,
+ *   reopen: () => Promise<BackendRuntime>, cleanup: () => void}>}
+ */
+export async function createBackend({ sheets = {}, storage = 'file' } = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inventario-'));
+  // Pasta usada como Drive (fotos), como a local_server/photos do servidor
+  fs.mkdirSync(path.join(dataDir, 'photos'));
+  const initial = Object.assign({ app_config: DEFAULT_CONFIG }, sheets);
+  let api = null;
+  let service;
+
+  if (storage === 'google') {
+    api = new FakeSheetsApi(Object.assign({
+      leituras: [['uid', 'data', 'tombamento', 'localidade', 'usuario', 'estado', 'ipvu', 'obs', 'origem', 'cancelado_em', 'fotos']],
+      inventario: [['localidade', 'tombamento', 'especificacao']],
+      localidades: [['localidade', 'total', 'encontrados', 'faltantes']]
+    }, initial));
+    service = new GoogleSheetsService();
+    service.sheets = api;
+    service.spreadsheetId = 'teste';
+  } else {
+    Object.keys(initial).forEach(name => {
+      fs.writeFileSync(path.join(dataDir, `${name}.json`), JSON.stringify(initial[name]));
+    });
+    service = new FileSheetsService(dataDir);
+    await service.initialize();
+  }
+
+  const start = () => {
+    const runtime = new BackendRuntime(service, { photosDir: path.join(dataDir, 'photos') });
+    runtime.initialize();
+    return runtime;
+  };
+
+  const context = {
+    backend: start(),
+    storage: service,
+    dataDir,
+    api,
+    // Novo BackendRuntime sobre o mesmo armazenamento (como um reinício do servidor)
+    async reopen() {
+      if (storage !== 'google') {
+        service = new FileSheetsService(dataDir);
+        await service.initialize();
+        context.storage = service;
+      }
+      context.backend = start();
+      return context.backend;
+    },
+    cleanup() {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+  return context;
+}
@@ -0,0 +1,57 @@
+/**
+ * Globais do navegador usados pelos módulos do frontend, instalados ao importar este
+ * arquivo (importe-o antes dos módulos de frontend/src). Sem IndexedDB, o
+ * AssetRepository usa o LocalStorage, aqui em memória.
+ */
+
+/**
+ * LocalStorage em memória
+ */
+class MemoryStorage {
+  constructor() {
+    this.values = new Map();
+  }
+
+  get length() {
+    return this.values.size;
+  }
+
+  key(index) {
+    const keys = Array.from(this.values.keys());
+    return index < keys.length ? keys[index] : null;
+  }
+
+  getItem(key) {
+    return this.values.has(key) ? this.values.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.values.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.values.delete(key);
+  }
+
+  clear() {
+    this.values.clear();
+  }
+}
+
+if (typeof global.window === 'undefined') {
+  // Eventos do app (repositoryChanged, batchSynced...) despachados no window
+  global.window = new EventTarget();
+  global.localStorage = new MemoryStorage();
+  Object.defineProperty(global, 'navigator', { value: { onLine: true }, configurable: true, writable: true });
+}
+
+/**
+ * Eventos despachados no window desde a chamada
+ * @param {string} name - Nome do evento
+ * @returns {Array<Object>} Lista (preenchida conforme os eventos chegam) com o detail de cada evento
+ */
+export function collectEvents(name) {
+  const details = [];
+  window.addEventListener(name, event => details.push(event.detail));
+  return details;
+}
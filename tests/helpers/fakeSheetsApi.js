@@ -0,0 +1,119 @@
+/**
+ * Planilha do Google em memória com a parte do cliente `googleapis` (sheets v4)
+ * usada pelo GoogleSheetsService: valores gravados como RAW e lidos como texto
+ * (FORMATTED_VALUE), sem as linhas e células vazias do fim.
+ */
+import { parseA1Range } from '../../local_server/storage-adapter.js';
+
+// Valor como a API devolve: sempre texto
+function formatted(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  return String(value);
+}
+
+function trimTrailing(list, isEmpty) {
+  let end = list.length;
+  while (end > 0 && isEmpty(list[end - 1])) end--;
+  return list.slice(0, end);
+}
+
+export class FakeSheetsApi {
+  /**
+   * @param {Object<string, Array<Array>>} sheets - Linhas de cada aba
+   */
+  constructor(sheets) {
+    this.tabs = new Map(Object.keys(sheets).map(name => [name, { rows: sheets[name].map(row => row.slice()), frozenRows: 0 }]));
+    // Metadados do desenvolvedor da planilha (metadataId, metadataKey, metadataValue)
+    this.developerMetadata = [];
+
+    const api = this;
+    this.spreadsheets = {
+      get: async () => ({
+        data: {
+          properties: { title: 'Planilha de teste' },
+          sheets: [...api.tabs.keys()].map(title => ({ properties: { title } })),
+          developerMetadata: api.developerMetadata.map(metadata => Object.assign({}, metadata))
+        }
+      }),
+      batchUpdate: async ({ resource }) => {
+        const replies = resource.requests.map(request => {
+          if (request.createDeveloperMetadata) {
+            const metadata = Object.assign({ metadataId: api.developerMetadata.length + 1 }, request.createDeveloperMetadata.developerMetadata);
+            api.developerMetadata.push(metadata);
+            return { createDeveloperMetadata: { developerMetadata: metadata } };
+          }
+          if (request.updateDeveloperMetadata) {
+            const { dataFilters, developerMetadata } = request.updateDeveloperMetadata;
+            const metadata = api.developerMetadata.find(entry => entry.metadataId === dataFilters[0].developerMetadataLookup.metadataId);
+            if (!metadata) throw new Error('No developer metadata found');
+            metadata.metadataValue = developerMetadata.metadataValue;
+            return { updateDeveloperMetadata: { developerMetadata: [metadata] } };
+          }
+
+          const properties = request.addSheet.properties;
+          if (api.tabs.has(properties.title)) {
+            throw new Error(`A sheet with the name "${properties.title}" already exists.`);
+          }
+          api.tabs.set(properties.title, { rows: [], frozenRows: (properties.gridProperties && properties.gridProperties.frozenRowCount) || 0 });
+          return { addSheet: { properties } };
+        });
+        return { data: { replies } };
+      },
+      values: {
+        get: async ({ range }) => ({ data: { values: api.read(range) } }),
+        batchGet: async ({ ranges }) => ({ data: { valueRanges: ranges.map(range => ({ range, values: api.read(range) })) } }),
+        update: async ({ range, resource }) => {
+          api.write(range, resource.values);
+          return { data: {} };
+        },
+        batchUpdate: async ({ resource }) => {
+          resource.data.forEach(entry => api.write(entry.range, entry.values));
+          return { data: {} };
+        },
+        append: async ({ range, resource }) => {
+          const { sheet, startCol } = parseA1Range(range);
+          const rows = api.tab(sheet).rows;
+          const lastRow = trimTrailing(rows, row => row.every(value => formatted(value) === '')).length;
+          resource.values.forEach((values, index) => {
+            rows[lastRow + index] = [...new Array(startCol - 1).fill(''), ...values];
+          });
+          return { data: {} };
+        }
+      }
+    };
+  }
+
+  tab(name) {
+    const tab = this.tabs.get(name);
+    if (!tab) throw new Error(`Unable to parse range: ${name}`);
+    return tab;
+  }
+
+  /**
+   * Linhas de uma aba como texto (sem as vazias do fim)
+   * @param {string} name - Nome da aba
+   * @returns {Array<Array<string>>}
+   */
+  rows(name) {
+    return this.read(`'${name}'`);
+  }
+
+  read(range) {
+    const { sheet, startRow, startCol, endRow, endCol } = parseA1Range(range);
+    const rows = this.tab(sheet).rows
+      .slice(startRow - 1, endRow === Infinity ? undefined : endRow)
+      .map(row => trimTrailing((row || []).slice(startCol - 1, endCol === Infinity ? undefined : endCol).map(formatted), value => value === ''));
+    return trimTrailing(rows, row => row.length === 0);
+  }
+
+  write(range, values) {
+    const { sheet, startRow, startCol } = parseA1Range(range);
+    const rows = this.tab(sheet).rows;
+    values.forEach((line, r) => {
+      while (rows.length <= startRow - 1 + r) rows.push([]);
+      const row = rows[startRow - 1 + r];
+      line.forEach((value, c) => { row[startCol - 1 + c] = value; });
+    });
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * Colunas da aba inventario localizadas pelo cabeçalho (shared/inventoryColumns.js e
+ * getInventoryData em backend/main.js pelo servidor local).
+ *
+ * Executar com `npm test` (node:test, sem dependências).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { inventoryColumnMap, INVENTORY_SCHEMA_ERROR } from '../shared/inventoryColumns.js';
+import { createBackend } from './helpers/backend.js';
+
+test('cabeçalhos reconhecidos sem acentos, maiúsculas ou pontuação', () => {
+  const map = inventoryColumnMap(['Nº Patrimônio', 'Descrição do Bem', 'SETOR', 'Valor de Aquisição']);
+
+  assert.deepEqual(map.columns, { localidade: 3, tombamento: 1, especificacao: 2, valor_aquisicao: 4 });
+  assert.deepEqual(map.attributes.map(attribute => attribute.key), ['valor_aquisicao']);
+  assert.deepEqual(map.missing, []);
+
+  const missing = inventoryColumnMap(['Setor', 'Descrição']).missing;
+  assert.deepEqual(missing.map(column => column.key), ['tombamento']);
+});
+
+test('getInventoryData usa os apelidos de inventory_columns e devolve os atributos extras', async () => {
+  const ctx = await createBackend({
+    sheets: {
+      app_config: [
+        ['chave', 'valor'],
+        ['inventory_open', 'TRUE'],
+        ['inventory_columns', JSON.stringify({ tombamento: 'Plaqueta Nova', fornecedor: { label: 'Fornecedor', headers: ['Empresa'] } })]
+      ],
+      // "Nº Patrimônio" também seria um tombamento: o apelido configurado tem prioridade
+      inventario: [
+        ['Nº Patrimônio', 'Descrição do Bem', 'Setor', 'Categoria', 'Empresa', 'Plaqueta Nova'],
+        ['111', 'Mesa', 'Sala 1', 'Móveis', 'ACME', '2020000001'],
+        ['222', 'Cadeira', 'Sala 2', 'Móveis', '', '2020000002']
+      ]
+    }
+  });
+  try {
+    const data = await ctx.backend.getInventoryData({ addSpec: true });
+
+    assert.deepEqual(data.attributes, [{ key: 'categoria', label: 'Categoria' }, { key: 'fornecedor', label: 'Fornecedor' }]);
+    assert.deepEqual(data.locations, [{ name: 'Sala 1', assetsCount: 1 }, { name: 'Sala 2', assetsCount: 1 }]);
+    assert.deepEqual(data.inventory[0], {
+      location: 'Sala 1',
+      assets: [{ code: 2020000001, name: 'Mesa', attributes: { categoria: 'Móveis', fornecedor: 'ACME' } }]
+    });
+    assert.equal(data.inventory[1].assets[0].code, 2020000002);
+  } finally {
+    ctx.cleanup();
+  }
+});
+
+test('getInventoryData aponta a coluna obrigatória que falta', async () => {
+  const ctx = await createBackend({ sheets: { inventario: [['Setor', 'Descrição'], ['Sala 1', 'Mesa']] } });
+  try {
+    await assert.rejects(ctx.backend.getInventoryData(true), error => {
+      assert.ok(error.message.startsWith(INVENTORY_SCHEMA_ERROR));
+      assert.match(error.message, /"Tombamento" \(cabeçalhos aceitos: tombamento, patrimonio/);
+      return true;
+    });
+  } finally {
+    ctx.cleanup();
+  }
+});
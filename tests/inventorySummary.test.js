@@ -0,0 +1,77 @@
+/**
+ * Cursor do getInventorySummary: só as leituras novas desde a última sincronização e o
+ * resumo completo quando o cursor deixa de valer (backend/main.js pelo servidor local).
+ *
+ * Executar com `npm test` (node:test, sem dependências).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBackend, READING } from './helpers/backend.js';
+
+const INVENTORY = [
+  ['localidade', 'tombamento', 'especificacao'],
+  ['Sala 1', '2020000001', 'Mesa'],
+  ['Sala 1', '2020000002', 'Cadeira'],
+  ['Sala 2', '2020000003', 'Armário']
+];
+
+test('getInventorySummary devolve só as leituras após o cursor', async () => {
+  const ctx = await createBackend({ sheets: { inventario: INVENTORY } });
+  try {
+    const backend = ctx.backend;
+    await backend.saveCodeBatch([
+      Object.assign({ uid: 'mesa', code: '2020000001', location: 'Sala 1' }, READING),
+      Object.assign({ uid: 'armario', code: '2020000003', location: 'Sala 2' }, READING)
+    ]);
+
+    const first = await backend.getInventorySummary({});
+    assert.equal(first.full, true);
+    assert.deepEqual(first.assetsFinded, [
+      { location: 'Sala 1', assets: ['2020000001'] },
+      { location: 'Sala 2', assets: ['2020000003'] }
+    ]);
+
+    // Nada novo: o mesmo cursor, sem leituras
+    const unchanged = await backend.getInventorySummary({ cursor: first.cursor });
+    assert.equal(unchanged.full, false);
+    assert.deepEqual(unchanged.assetsFinded, []);
+    assert.equal(unchanged.cursor, first.cursor);
+
+    await backend.saveCodeBatch([Object.assign({ uid: 'cadeira', code: '2020000002', location: 'Sala 1' }, READING)]);
+    const delta = await backend.getInventorySummary({ cursor: first.cursor });
+    assert.equal(delta.full, false);
+    assert.deepEqual(delta.assetsFinded, [{ location: 'Sala 1', assets: ['2020000002'] }]);
+    assert.notEqual(delta.cursor, first.cursor);
+    // As contagens das localidades são sempre completas
+    assert.deepEqual(delta.locations.map(item => [item.name, item.assetsFindedCount]), [['Sala 1', 2], ['Sala 2', 1]]);
+  } finally {
+    ctx.cleanup();
+  }
+});
+
+test('cancelamentos e linhas alteradas na planilha invalidam o cursor', async () => {
+  const ctx = await createBackend({ sheets: { inventario: INVENTORY } });
+  try {
+    const backend = ctx.backend;
+    await backend.saveCodeBatch([
+      Object.assign({ uid: 'mesa', code: '2020000001', location: 'Sala 1' }, READING),
+      Object.assign({ uid: 'cadeira', code: '2020000002', location: 'Sala 1' }, READING)
+    ]);
+    const before = await backend.getInventorySummary({});
+
+    await backend.saveCodeBatch([Object.assign({ uid: 'cadeira', code: '2020000002', location: 'Sala 1', cancelled: true }, READING)]);
+    const afterCancel = await backend.getInventorySummary({ cursor: before.cursor });
+    assert.equal(afterCancel.full, true);
+    assert.deepEqual(afterCancel.assetsFinded, [{ location: 'Sala 1', assets: ['2020000001'] }]);
+
+    // Linha do cursor com outro uid (linhas apagadas ou reordenadas à mão)
+    const parts = afterCancel.cursor.split(':');
+    parts[1] = 'outro';
+    const moved = await backend.getInventorySummary({ cursor: parts.join(':') });
+    assert.equal(moved.full, true);
+    assert.deepEqual(moved.assetsFinded, afterCancel.assetsFinded);
+    assert.equal(moved.cursor, afterCancel.cursor);
+  } finally {
+    ctx.cleanup();
+  }
+});
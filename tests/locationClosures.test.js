@@ -0,0 +1,55 @@
+/**
+ * Leituras em localidades concluídas recusadas pelo saveCodeBatch
+ * (shared/locationClosures.js e backend/main.js pelo servidor local).
+ *
+ * Executar com `npm test` (node:test, sem dependências).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBackend, READING } from './helpers/backend.js';
+
+test('saveCodeBatch recusa leituras, alterações e cancelamentos em localidade concluída', async () => {
+  const ctx = await createBackend({
+    sheets: {
+      inventario: [
+        ['localidade', 'tombamento', 'especificacao'],
+        ['Sala 1', '2020000001', 'Mesa'],
+        ['Sala 1', '2020000002', 'Cadeira'],
+        ['Sala 2', '2020000003', 'Armário']
+      ]
+    }
+  });
+  try {
+    const backend = ctx.backend;
+    const saved = await backend.saveCodeBatch([
+      Object.assign({ uid: 'mesa', code: '2020000001', location: 'Sala 1' }, READING),
+      Object.assign({ uid: 'armario', code: '2020000003', location: 'Sala 2' }, READING)
+    ]);
+    assert.deepEqual(saved.map(item => item.status), ['saved', 'saved']);
+
+    await backend.closeLocation({ location: 'Sala 1', responsible: 'Ana', confirmed: true });
+
+    const result = await backend.saveCodeBatch([
+      Object.assign({ uid: 'cadeira', code: '2020000002', location: 'Sala 1' }, READING),
+      Object.assign({ uid: 'mesa', code: '2020000001', location: 'Sala 1' }, READING, { obs: 'riscada' }),
+      Object.assign({ uid: 'armario', code: '2020000003', location: 'Sala 1' }, READING),
+      Object.assign({ uid: 'mesa', code: '2020000001', location: 'Sala 1', cancelled: true }, READING)
+    ]);
+    assert.deepEqual(result.map(item => item.status), ['rejected', 'rejected', 'rejected', 'rejected']);
+    assert.match(result[0].reason, /^Localidade concluída: Sala 1 \(Ana\)/);
+
+    // A planilha continua como estava na conclusão
+    const rows = await ctx.storage.getRangeData("'leituras'!A2:J");
+    assert.deepEqual(rows.map(row => [row[0], row[3], row[7] || '', row[9] || '']),
+      [['mesa', 'Sala 1', '', ''], ['armario', 'Sala 2', '', '']]);
+
+    // Reaberta, a localidade volta a aceitar leituras
+    await backend.reopenLocation({ location: 'Sala 1', reason: 'Cadeira encontrada' });
+    const reopened = await backend.saveCodeBatch([
+      Object.assign({ uid: 'cadeira', code: '2020000002', location: 'Sala 1' }, READING)
+    ]);
+    assert.deepEqual(reopened.map(item => item.status), ['saved']);
+  } finally {
+    ctx.cleanup();
+  }
+});
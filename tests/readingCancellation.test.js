@@ -0,0 +1,85 @@
+/**
+ * Cancelamento de leituras no app (frontend/src/assetRepository.js): o tombstone
+ * enviado ao saveCodeBatch e o destino da leitura conforme a resposta do servidor.
+ *
+ * Executar com `npm test` (node:test, sem dependências).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/browser.js';
+import { SaveBatchStatus } from '../shared/saveBatchResult.js';
+import { assetRepository, AssetStatus } from '../frontend/src/assetRepository.js';
+import { assetSyncManager } from '../frontend/src/assetSyncManager.js';
+import { backendService } from '../frontend/src/backendService.js';
+
+/**
+ * Sincroniza a fila com uma resposta fixa do backend
+ * @param {function(Array<Object>): Array<Object|string>} respond - Resposta para o lote enviado
+ * @returns {Promise<Array<Object>>} Lote enviado
+ */
+async function sync(respond) {
+  const original = backendService.saveCodeBatch;
+  let sent = [];
+  backendService.saveCodeBatch = async items => {
+    sent = items;
+    return respond(items);
+  };
+  try {
+    await assetSyncManager._processQueue();
+  } finally {
+    backendService.saveCodeBatch = original;
+    // O repositório reinicia o loop de sincronização a cada mudança
+    assetSyncManager._stopSyncLoop();
+  }
+  return sent;
+}
+
+const accept = items => items.map(item => ({ uid: item.uid, status: SaveBatchStatus.UPDATED }));
+
+test('a leitura cancelada vira tombstone até a planilha confirmar', async () => {
+  await assetRepository.ready;
+  const item = await assetRepository.addItem('2020000001', 'Sala 1', 'teste');
+  await sync(items => items.map(entry => ({ uid: entry.uid, status: SaveBatchStatus.SAVED })));
+
+  assert.equal(assetRepository.cancelItem(item.uid), true);
+  // Fora das consultas, mas ainda na fila de envio
+  assert.equal(assetRepository.getAllItems().some(entry => entry.uid === item.uid), false);
+  assert.equal(assetRepository.getItem(item.uid).status, AssetStatus.PENDING);
+
+  const sent = await sync(accept);
+  assert.deepEqual(sent.map(entry => [entry.uid, entry.cancelled]), [[item.uid, true]]);
+  assert.equal(assetRepository.getItem(item.uid), null);
+});
+
+test('leituras recusadas pelo servidor são removidas sem tombstone', async () => {
+  await assetRepository.ready;
+  const item = await assetRepository.addItem('2020000002', 'Sala 1', 'teste');
+  await sync(items => items.map(entry => ({ uid: entry.uid, status: SaveBatchStatus.REJECTED, reason: 'Tombamento não consta no inventário' })));
+  assert.equal(assetRepository.getItem(item.uid).status, AssetStatus.REJECTED);
+
+  assert.equal(assetRepository.cancelItem(item.uid), true);
+  assert.equal(assetRepository.getItem(item.uid), null);
+  assert.deepEqual(assetRepository.getPendingBatch(10), []);
+});
+
+test('cancelamento recusado devolve a leitura, que pode ser cancelada de novo', async () => {
+  await assetRepository.ready;
+  const item = await assetRepository.addItem('2020000003', 'Sala 2', 'teste');
+  await sync(items => items.map(entry => ({ uid: entry.uid, status: SaveBatchStatus.SAVED })));
+
+  assetRepository.cancelItem(item.uid);
+  await sync(items => items.map(entry => ({ uid: entry.uid, status: SaveBatchStatus.REJECTED, reason: 'Localidade concluída: Sala 2 (Ana)' })));
+
+  const restored = assetRepository.getItem(item.uid);
+  assert.equal(restored.status, AssetStatus.REJECTED);
+  assert.equal(restored.cancelledAt, undefined);
+  assert.equal(restored.cancelRejected, true);
+  assert.equal(restored.rejectReason, 'Cancelamento recusado: Localidade concluída: Sala 2 (Ana)');
+  assert.equal(assetRepository.getAllItems().some(entry => entry.uid === item.uid), true);
+
+  // A linha continua ativa na planilha: o novo cancelamento é enviado, não descartado
+  assert.equal(assetRepository.cancelItem(item.uid), true);
+  const sent = await sync(accept);
+  assert.deepEqual(sent.map(entry => [entry.uid, entry.cancelled]), [[item.uid, true]]);
+  assert.equal(assetRepository.getItem(item.uid), null);
+});
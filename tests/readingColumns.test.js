@@ -0,0 +1,52 @@
+/**
+ * Colunas da aba "leituras" localizadas pelo cabeçalho em todas as funções do
+ * backend (shared/readingFields.js readingColumnMap e backend/main.js).
+ *
+ * Executar com `npm test` (node:test, sem dependências).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBackend, READING } from './helpers/backend.js';
+
+test('leituras com as colunas fora da ordem padrão', async () => {
+  const ctx = await createBackend({
+    sheets: {
+      inventario: [
+        ['localidade', 'tombamento', 'especificacao'],
+        ['Sala 1', '2020000001', 'Mesa'],
+        ['Sala 1', '2020000002', 'Cadeira'],
+        ['Sala 2', '2020000003', 'Armário']
+      ],
+      leituras: [['obs', 'tombamento', 'localidade', 'cancelado_em', 'uid', 'data', 'usuario', 'estado', 'ipvu', 'origem', 'fotos']]
+    }
+  });
+  try {
+    const backend = ctx.backend;
+    await backend.saveCodeBatch([
+      Object.assign({ uid: 'mesa', code: '2020000001', location: 'Sala 1' }, READING),
+      Object.assign({ uid: 'cadeira', code: '2020000002', location: 'Sala 1' }, READING),
+      Object.assign({ uid: 'armario', code: '2020000003', location: 'Sala 2' }, READING)
+    ]);
+    const cancelled = await backend.saveCodeBatch([
+      Object.assign({ uid: 'cadeira', code: '2020000002', location: 'Sala 1', cancelled: true }, READING)
+    ]);
+    assert.deepEqual(cancelled.map(item => item.status), ['updated']);
+
+    const summary = await backend.getInventorySummary();
+    assert.deepEqual(summary.assetsFinded, [
+      { location: 'Sala 1', assets: ['2020000001'] },
+      { location: 'Sala 2', assets: ['2020000003'] }
+    ]);
+    assert.match(summary.cursor, /^4:armario:/);
+
+    const status = await backend.getLocationStatus({ location: 'Sala 1' });
+    assert.deepEqual([status.total, status.found, status.missing], [2, 1, 1]);
+
+    const photo = await backend.savePhoto({ uid: 'mesa', photoId: 'p1', mimeType: 'image/jpeg', data: '/9j/4AAQ' });
+    const rows = await ctx.storage.getRangeData("'leituras'!A1:K");
+    assert.deepEqual(rows.slice(1).map(row => [row[4], row[3] !== '', row[10] || '']),
+      [['mesa', false, photo.url], ['cadeira', true, ''], ['armario', false, '']]);
+  } finally {
+    ctx.cleanup();
+  }
+});
@@ -0,0 +1,81 @@
+/**
+ * Importação de leituras de outro dispositivo (frontend/src/assetRepository.js
+ * importItems): mescla pelo uid, fila de sincronização e registros recusados.
+ *
+ * Executar com `npm test` (node:test, sem dependências).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/browser.js';
+import { ASSET_CODE_NUMERIC_REASON } from '../shared/assetCode.js';
+import { assetRepository, AssetStatus } from '../frontend/src/assetRepository.js';
+import { assetSyncManager } from '../frontend/src/assetSyncManager.js';
+
+/**
+ * Registro exportado por outro dispositivo
+ * @param {Object} values - Campos do registro
+ * @returns {Object}
+ */
+function record(values) {
+  return Object.assign({
+    location: 'Sala 1', source: 'teste', state: 3, ipvu: 8, obs: '',
+    status: AssetStatus.SYNCED, retryCount: 0, createdAt: 1000, updatedAt: 1000
+  }, values);
+}
+
+test.after(() => {
+  // O repositório reinicia o loop de sincronização a cada mudança
+  assetSyncManager._stopSyncLoop();
+});
+
+test('importItems mescla pelo uid e devolve as não sincronizadas para a fila', async () => {
+  await assetRepository.ready;
+  const local = await assetRepository.addItem('2020000001', 'Sala 1', 'teste');
+
+  const records = [
+    // Versão mais nova de uma leitura local, não sincronizada no outro aparelho
+    record({ uid: local.uid, code: '2020000001', obs: 'riscada', status: AssetStatus.FAILED, retryCount: 5, createdAt: local.createdAt, updatedAt: local.updatedAt + 1 }),
+    record({ uid: 'outro-1', code: '2020000002', status: AssetStatus.IN_FLIGHT }),
+    record({ uid: 'outro-2', code: '2020000003' }),
+    record({ uid: 'outro-2', code: '2020000004' }),
+    record({ uid: 'duplicada', code: '2020000001' }),
+    record({ uid: 'letras', code: 'AB1234' }),
+    record({ uid: 'campanha', code: '2020000005', campaignId: '2025' })
+  ];
+  const report = await assetRepository.importItems(records);
+
+  assert.deepEqual([report.added, report.updated, report.skipped, report.requeued], [2, 1, 0, 2]);
+  assert.deepEqual(report.rejected, [
+    { index: 3, uid: 'outro-2', reason: 'uid repetido no arquivo' },
+    { index: 4, uid: 'duplicada', reason: 'Tombamento já lido nesta localidade' },
+    { index: 5, uid: 'letras', reason: ASSET_CODE_NUMERIC_REASON },
+    { index: 6, uid: 'campanha', reason: 'Leitura de outra campanha (2025)' }
+  ]);
+
+  const merged = assetRepository.getItem(local.uid);
+  assert.deepEqual([merged.obs, merged.status, merged.retryCount], ['riscada', AssetStatus.PENDING, 0]);
+  assert.equal(assetRepository.getItem('outro-2').status, AssetStatus.SYNCED);
+  // A fila segue a ordem de criação (createdAt)
+  assert.deepEqual(assetRepository.getPendingBatch(10).map(item => item.uid), ['outro-1', local.uid]);
+
+  // O mesmo arquivo de novo não muda nada
+  const again = await assetRepository.importItems(records.slice(0, 3));
+  assert.deepEqual([again.added, again.updated, again.skipped], [0, 0, 3]);
+});
+
+test('leituras sem campanha só entram na campanha ativa com confirmação', async () => {
+  await assetRepository.setCampaign('2026');
+  try {
+    const records = [record({ uid: 'sem-campanha', code: '2020000006', location: 'Sala 2' })];
+
+    const refused = await assetRepository.importItems(records);
+    assert.deepEqual(refused.rejected.map(item => item.reason), ['Leitura sem campanha']);
+    assert.equal(assetRepository.getItem('sem-campanha'), null);
+
+    const assigned = await assetRepository.importItems(records, { assignCampaign: true });
+    assert.equal(assigned.added, 1);
+    assert.equal(assetRepository.getItem('sem-campanha').campaignId, '2026');
+  } finally {
+    await assetRepository.setCampaign('');
+  }
+});
@@ -0,0 +1,83 @@
+/**
+ * Resultado por item do saveCodeBatch (shared/saveBatchResult.js): status gravados pelo
+ * backend e o destino de cada leitura no app (frontend/src/assetSyncManager.js).
+ *
+ * Executar com `npm test` (node:test, sem dependências).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { collectEvents } from './helpers/browser.js';
+import { createBackend, READING } from './helpers/backend.js';
+import { SaveBatchStatus } from '../shared/saveBatchResult.js';
+import { assetRepository, AssetStatus } from '../frontend/src/assetRepository.js';
+import { assetSyncManager } from '../frontend/src/assetSyncManager.js';
+import { backendService } from '../frontend/src/backendService.js';
+
+test('saveCodeBatch informa o status de cada leitura', async () => {
+  const ctx = await createBackend({
+    sheets: {
+      inventario: [
+        ['localidade', 'tombamento', 'especificacao'],
+        ['Sala 1', '2020000001', 'Mesa'],
+        ['Sala 1', '2020000002', 'Cadeira']
+      ]
+    }
+  });
+  try {
+    await ctx.backend.saveCodeBatch([Object.assign({ uid: 'mesa', code: '2020000001', location: 'Sala 1' }, READING)]);
+
+    const result = await ctx.backend.saveCodeBatch([
+      Object.assign({ uid: 'mesa', code: '2020000001', location: 'Sala 1' }, READING, { obs: 'riscada' }),
+      Object.assign({ uid: 'cadeira', code: '2020000002', location: 'Sala 1' }, READING),
+      Object.assign({ uid: 'formato', code: '123', location: 'Sala 1' }, READING),
+      Object.assign({ uid: 'fora', code: '2020000009', location: 'Sala 1' }, READING)
+    ]);
+    assert.deepEqual(result.map(item => [item.uid, item.status]), [
+      ['mesa', SaveBatchStatus.UPDATED],
+      ['cadeira', SaveBatchStatus.SAVED],
+      ['formato', SaveBatchStatus.REJECTED],
+      ['fora', SaveBatchStatus.REJECTED]
+    ]);
+    assert.equal(result[2].reason, 'Formato não reconhecido');
+    assert.equal(result[3].reason, 'Tombamento não consta no inventário');
+  } finally {
+    ctx.cleanup();
+  }
+});
+
+test('o app separa gravadas, recusadas e reenviadas, inclusive no formato antigo', async () => {
+  await assetRepository.ready;
+  const rejected = collectEvents('assetRejected');
+  const saved = await assetRepository.addItem('2020000001', 'Sala 1', 'teste');
+  const refused = await assetRepository.addItem('2020000002', 'Sala 1', 'teste');
+  const retried = await assetRepository.addItem('2020000003', 'Sala 1', 'teste');
+  const original = backendService.saveCodeBatch;
+  try {
+    backendService.saveCodeBatch = async () => [
+      { uid: saved.uid, status: SaveBatchStatus.SAVED },
+      { uid: refused.uid, status: SaveBatchStatus.REJECTED, reason: 'Tombamento fora do inventário' },
+      { uid: retried.uid, status: SaveBatchStatus.RETRYABLE, reason: 'Falha ao gravar a linha' }
+    ];
+    await assetSyncManager._processQueue();
+
+    assert.equal(assetRepository.getItem(saved.uid).status, AssetStatus.SYNCED);
+    const refusedItem = assetRepository.getItem(refused.uid);
+    assert.equal(refusedItem.status, AssetStatus.REJECTED);
+    assert.equal(refusedItem.rejectReason, 'Tombamento fora do inventário');
+    assert.deepEqual(rejected.map(detail => detail.item.uid), [refused.uid]);
+    const retriedItem = assetRepository.getItem(retried.uid);
+    assert.deepEqual([retriedItem.status, retriedItem.retryCount], [AssetStatus.PENDING, 1]);
+
+    // Recusadas não voltam para a fila
+    assert.deepEqual(assetRepository.getPendingBatch(10).map(item => item.uid), [retried.uid]);
+
+    // Backend antigo: array com os UIDs gravados
+    backendService.saveCodeBatch = async () => [retried.uid];
+    await assetSyncManager._processQueue();
+    assert.equal(assetRepository.getItem(retried.uid).status, AssetStatus.SYNCED);
+  } finally {
+    backendService.saveCodeBatch = original;
+    // O repositório reinicia o loop de sincronização a cada mudança
+    assetSyncManager._stopSyncLoop();
+  }
+});
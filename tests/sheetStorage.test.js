@@ -0,0 +1,78 @@
+/**
+ * Abas criadas pelo backend (insertSheet) e propriedades do script (PropertiesService)
+ * gravadas em cada armazenamento do servidor local (local_server/backend-runtime.js).
+ *
+ * Executar com `npm test` (node:test, sem dependências).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBackend, READING } from './helpers/backend.js';
+
+const INVENTORY = [
+  ['localidade', 'tombamento', 'especificacao'],
+  ['Sala 1', '2020000001', 'Mesa'],
+  ['Sala 1', '2020000002', 'Cadeira']
+];
+
+for (const storage of ['file', 'google']) {
+  test(`closeLocation cria a aba conclusoes_localidades (${storage})`, async () => {
+    const ctx = await createBackend({ storage, sheets: { inventario: INVENTORY } });
+    try {
+      assert.equal(await ctx.storage.sheetExists('conclusoes_localidades'), false);
+
+      const closure = await ctx.backend.closeLocation({ location: 'Sala 1', responsible: 'Ana', confirmed: true });
+      assert.equal(closure.responsible, 'Ana');
+
+      const rows = await ctx.storage.getRangeData("'conclusoes_localidades'!A1:K");
+      assert.equal(rows.length, 2);
+      assert.equal(rows[0][0], 'id');
+      assert.deepEqual(rows[1].slice(2, 10), ['Sala 1', '', 'concluida', 'Ana', 'teste.local', '0', '2', '0']);
+      if (ctx.api) assert.equal(ctx.api.tabs.get('conclusoes_localidades').frozenRows, 1);
+
+      // A conclusão gravada vale nas chamadas seguintes, inclusive após reiniciar o servidor
+      const backend = await ctx.reopen();
+      const status = await backend.getLocationStatus({ location: 'Sala 1' });
+      assert.equal(status.closure.responsible, 'Ana');
+      await assert.rejects(backend.closeLocation({ location: 'Sala 1', responsible: 'Bia', confirmed: true }), /já concluída/);
+    } finally {
+      ctx.cleanup();
+    }
+  });
+
+  test(`uma aba que não pode ser criada faz a chamada falhar (${storage})`, async () => {
+    const ctx = await createBackend({ storage, sheets: { inventario: INVENTORY } });
+    try {
+      ctx.storage.addSheet = async () => false;
+      await assert.rejects(
+        ctx.backend.closeLocation({ location: 'Sala 1', responsible: 'Ana', confirmed: true }),
+        /Falha ao criar a aba 'conclusoes_localidades'/
+      );
+    } finally {
+      ctx.cleanup();
+    }
+  });
+
+  test(`a versão de cancelamentos sobrevive ao reinício do servidor (${storage})`, async () => {
+    const ctx = await createBackend({ storage, sheets: { inventario: INVENTORY } });
+    try {
+      await ctx.backend.saveCodeBatch([
+        Object.assign({ uid: 'mesa', code: '2020000001', location: 'Sala 1' }, READING),
+        Object.assign({ uid: 'cadeira', code: '2020000002', location: 'Sala 1' }, READING)
+      ]);
+      await ctx.backend.saveCodeBatch([Object.assign({ uid: 'cadeira', code: '2020000002', location: 'Sala 1', cancelled: true }, READING)]);
+      const before = await ctx.backend.getInventorySummary({});
+
+      // Com a versão perdida, o cursor deixaria de valer e o app releria o resumo completo
+      const backend = await ctx.reopen();
+      const after = await backend.getInventorySummary({ cursor: before.cursor });
+      assert.equal(after.full, false);
+      assert.equal(after.cursor, before.cursor);
+
+      // Um novo cancelamento continua invalidando o cursor
+      await backend.saveCodeBatch([Object.assign({ uid: 'mesa', code: '2020000001', location: 'Sala 1', cancelled: true }, READING)]);
+      assert.equal((await backend.getInventorySummary({ cursor: before.cursor })).full, true);
+    } finally {
+      ctx.cleanup();
+    }
+  });
+}
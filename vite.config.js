@@ -61,6 +61,9 @@ export default defineConfig(({ mode }) => {
       // Flag para Produção (node deploy.js --env=production)
       __IS_PROD__: JSON.stringify(mode === 'production'),
 
+      // Flag para o modo autônomo (npm run build:standalone), servido pelo local_server
+      __IS_STANDALONE__: JSON.stringify(mode === 'standalone'),
+
       __BUILD_VERSION__: JSON.stringify(process.env.VITE_BUILD_VERSION || "dev"),
     },
 
@@ -79,7 +82,8 @@ export default defineConfig(({ mode }) => {
     ],
 
     build: {
-      outDir: "../dist",
+      // O build autônomo não pode sobrescrever o build enviado ao GAS
+      outDir: mode === 'standalone' ? "../dist-standalone" : "../dist",
       emptyOutDir: false, // Garante que a pasta limpa antes de gerar
       target: "es2015", // Seguro para GAS
 